@@ -58,6 +58,14 @@ const builds = [
       'process.env.NODE_ENV': '"production"',
     },
   },
+  
+  // Content scripts (classic scripts, one file each)
+  ...['mse-hook', 'mse-relay', 'dom-scanner'].map(name => ({
+    ...sharedOptions,
+    format: 'iife',
+    entryPoints: [`extension/content/${name}.js`],
+    outfile: `chrome-web-store/extension/content/${name}.js`,
+  })),
 ];
 
 // Execute all builds
@@ -66,7 +74,8 @@ async function buildAll() {
     console.log('🔨 Starting esbuild process...');
     
     const buildPromises = builds.map(async (config, index) => {
-      const buildName = config.entryPoints[0].includes('background') ? 'Background' : 'Popup';
+      const entry = config.entryPoints[0];
+      const buildName = entry.includes('background') ? 'Background' : (entry.includes('content') ? `Content script ${entry}` : 'Popup');
       console.log(`📦 Building ${buildName}...`);
       
       const result = await build(config);
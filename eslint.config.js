@@ -32,6 +32,10 @@ export default [
         FileReader: "readonly",
         structuredClone: "readonly",
         AbortController: "readonly",
+        TextDecoder: "readonly",
+        Blob: "readonly",
+        createImageBitmap: "readonly",
+        OffscreenCanvas: "readonly",
       },
     },
     rules: {
@@ -0,0 +1,197 @@
+/**
+ * Ad Classifier - Tells ad clips and pre-rolls apart from the video a page is about
+ * - Strong signals (one is enough): media served from a known ad host, media listed in a VAST/VMAP
+ *   response the page loaded, an HLS playlist that is one CUE-OUT ad break from start to end
+ * - Weak signals (two are needed): very short duration, discontinuities in a short HLS playlist,
+ *   ad-like URL paths
+ * Ads are only flagged (isAd, adReasons); the popup hides them unless "Show Ads" is on.
+ */
+
+import { normalizeUrl } from '../../shared/utils/processing-utils.js';
+import { fetchManifest } from '../processing/manifest-fetcher.js';
+
+// Ad servers and ad video CDNs (subdomains included)
+const AD_HOSTS = [
+    'doubleclick.net',
+    'googleadservices.com',
+    'imasdk.googleapis.com',
+    'adnxs.com',
+    'springserve.com',
+    'spotxchange.com',
+    'spotx.tv',
+    'fwmrm.net',
+    'tremorhub.com',
+    'innovid.com',
+    'teads.tv',
+    'serving-sys.com',
+    'adsrvr.org',
+    'pubmatic.com',
+    'rubiconproject.com',
+    'smartadserver.com',
+    'aniview.com',
+    'connatix.com',
+    'jwpltx.com',
+    'vidoomy.com'
+];
+
+// Path segments or parameters ad servers use for creatives
+const AD_PATH_RE = /(?:^|[/_.-])(?:ads?|adserver|preroll|pre-roll|midroll|postroll|vast|vmap|creatives?|commercials?)(?:[/_.-]|$)|[?&](?:ad_?id|creative_?id|adunit)=/i;
+
+// Pre-rolls and bumpers are 6, 15 or 30 seconds
+const SHORT_AD_DURATION = 35;
+// An HLS playlist this short with discontinuities is likely spliced ad content
+const SHORT_SPLICED_DURATION = 60;
+// Share of a playlist inside CUE-OUT breaks that makes the whole playlist an ad
+const AD_BREAK_COVERAGE = 0.9;
+
+// Evidence from VAST/VMAP responses per tab
+// Map<tabId, { urls: Set<normalizedUrl>, hosts: Set<hostname> }>
+const vastEvidence = new Map();
+// VAST responses already inspected per tab (the same ad tag is often requested again)
+const inspectedVastUrls = new Map();
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+function isAdHost(host) {
+    return !!host && AD_HOSTS.some(adHost => host === adHost || host.endsWith(`.${adHost}`));
+}
+
+/**
+ * Whether a document is a VAST or VMAP ad response
+ * @param {string} content - Response text
+ * @returns {boolean}
+ */
+export function isVastDocument(content) {
+    return /<(?:VAST|(?:vmap:)?VMAP)[\s>]/.test(content.slice(0, 2048));
+}
+
+/**
+ * Media file URLs listed in a VAST document
+ * @param {string} content - VAST XML
+ * @returns {Array<string>} Absolute http(s) URLs
+ */
+export function parseVastMediaFiles(content) {
+    const urls = [];
+    const mediaFileRe = /<MediaFile\b[^>]*>\s*(?:<!\[CDATA\[\s*([\s\S]*?)\s*\]\]>|([^<]*?))\s*<\/MediaFile>/gi;
+    let match;
+    while ((match = mediaFileRe.exec(content)) !== null) {
+        const url = (match[1] || match[2] || '').trim().replace(/&amp;/g, '&');
+        if (/^https?:\/\//i.test(url)) {
+            urls.push(url);
+        }
+    }
+    return urls;
+}
+
+/**
+ * Fetch a VAST/VMAP response the page requested and remember the ad media it lists for the tab
+ * Each response URL is inspected once per tab.
+ * @param {number} tabId - Tab ID
+ * @param {string} url - VAST/VMAP URL
+ * @param {Object} headers - Headers the page sent
+ * @returns {Promise<boolean>} True if new ad media was recorded
+ */
+export async function inspectVastResponse(tabId, url, headers) {
+    if (!inspectedVastUrls.has(tabId)) {
+        inspectedVastUrls.set(tabId, new Set());
+    }
+    const inspected = inspectedVastUrls.get(tabId);
+    if (inspected.has(url)) return false;
+    inspected.add(url);
+
+    const fetchResult = await fetchManifest(url, headers, { timeoutMs: 5000, maxRetries: 0 });
+    if (!fetchResult.success || !isVastDocument(fetchResult.content)) {
+        return false;
+    }
+
+    const mediaUrls = parseVastMediaFiles(fetchResult.content);
+    console.debug(`VAST response for tab ${tabId} lists ${mediaUrls.length} media files: ${url}`);
+    return recordAdMedia(tabId, mediaUrls);
+}
+
+/**
+ * Remember ad media URLs for a tab
+ * @param {number} tabId - Tab ID
+ * @param {Array<string>} urls - Ad media URLs
+ * @returns {boolean} True if any URL was new
+ */
+function recordAdMedia(tabId, urls) {
+    if (urls.length === 0) return false;
+    if (!vastEvidence.has(tabId)) {
+        vastEvidence.set(tabId, { urls: new Set(), hosts: new Set() });
+    }
+    const evidence = vastEvidence.get(tabId);
+
+    const sizeBefore = evidence.urls.size;
+    for (const url of urls) {
+        evidence.urls.add(normalizeUrl(url));
+        const host = getHostname(url);
+        if (host) evidence.hosts.add(host);
+    }
+    return evidence.urls.size > sizeBefore;
+}
+
+/**
+ * Classify a video from its URL, the tab's ad evidence and, once processed, its duration and HLS markers
+ * @param {Object} video - Video from the store (url, tabId, pageUrl, duration, isLive, adMarkers)
+ * @returns {Object} { isAd, adReasons }
+ */
+export function classifyAd(video) {
+    const strong = [];
+    const weak = [];
+    const host = getHostname(video.url);
+
+    if (isAdHost(host)) {
+        strong.push('ad-host');
+    }
+
+    // Hosts from VAST only count when the page does not serve its own videos from there
+    const evidence = vastEvidence.get(video.tabId);
+    if (evidence?.urls.has(normalizeUrl(video.url))) {
+        strong.push('vast-media');
+    } else if (evidence?.hosts.has(host) && host !== getHostname(video.pageUrl)) {
+        strong.push('vast-host');
+    }
+
+    const duration = Number.isFinite(video.duration) ? video.duration : null;
+    const markers = video.adMarkers;
+    if (markers && duration && markers.adBreakDuration >= duration * AD_BREAK_COVERAGE) {
+        strong.push('hls-cue-out');
+    }
+
+    if (!video.isLive && duration !== null && duration > 0 && duration <= SHORT_AD_DURATION) {
+        weak.push('short-duration');
+    }
+    if (markers?.discontinuities > 0 && !video.isLive && duration !== null && duration <= SHORT_SPLICED_DURATION) {
+        weak.push('hls-discontinuity');
+    }
+    try {
+        const { pathname, search } = new URL(video.url);
+        if (AD_PATH_RE.test(pathname + search)) {
+            weak.push('ad-path');
+        }
+    } catch {
+        // Invalid URL - no path to judge
+    }
+
+    const isAd = strong.length > 0 || weak.length >= 2;
+    return { isAd, adReasons: isAd ? [...strong, ...weak] : [] };
+}
+
+// Clean up ad evidence for a specific tab
+export function cleanupAdEvidenceForTab(tabId) {
+    vastEvidence.delete(tabId);
+    inspectedVastUrls.delete(tabId);
+}
+
+// Clean up ad evidence for all tabs
+export function clearAllAdEvidence() {
+    vastEvidence.clear();
+    inspectedVastUrls.clear();
+}
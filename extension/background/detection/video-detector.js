@@ -1,8 +1,12 @@
-import { addDetectedVideo } from '../processing/video-processor.js';
+import { addDetectedVideo, refreshAdClassification } from '../processing/video-processor.js';
+import { recordRejectedCandidate, dismissVideoFromTab } from '../processing/video-store.js';
 import { getRequestHeaders, removeHeadersByRequestId } from '../../shared/utils/headers-utils.js';
-import { probe, gate } from './video-type-identifier.js';
+import { probe, gate, isSniffCandidate } from './video-type-identifier.js';
+import { sniffContent } from '../processing/manifest-fetcher.js';
+import { inspectVastResponse } from './ad-classifier.js';
 import { settingsManager } from '../index.js';
 import { generateId } from '../../shared/utils/processing-utils.js';
+import { evaluateUrlRules } from '../../shared/utils/detection-rules.js';
 
 /**
  * Get containers from MIME type for direct assignment during detection
@@ -174,6 +178,39 @@ function addVideoWithCommonProcessing(tabId, url, videoInfo, metadata, source, t
     addDetectedVideo(videoData);
 }
 
+/**
+ * Classify a candidate probe() could not place by sniffing its first bytes
+ * @param {string} url - Candidate URL
+ * @param {Object|null} metadata - Request metadata (contentType, contentLength)
+ * @param {Object|null} headers - Headers the page sent for the URL
+ * @param {boolean} allowMissingMime - Also sniff URLs without a known mime (page-provided candidates)
+ * @param {Object} rulesContext - { rules, pageUrl } - URLs the detection rules block are not fetched
+ * @returns {Promise<Object|null>} { candidate, metadata } with the sniffed mime as contentType, or null
+ */
+async function sniffCandidate(url, metadata, headers, allowMissingMime = false, rulesContext = null) {
+    if (!isSniffCandidate(url, metadata, allowMissingMime)) {
+        return null;
+    }
+    if (evaluateUrlRules(rulesContext?.rules, { url, pageUrl: rulesContext?.pageUrl })) {
+        return null;
+    }
+
+    const sniffed = await sniffContent(url, headers);
+    if (!sniffed) {
+        return null;
+    }
+
+    return {
+        candidate: sniffed,
+        metadata: {
+            ...(metadata || {}),
+            contentType: sniffed.mime,
+            servedContentType: metadata?.contentType || null,
+            sniffed: true
+        }
+    };
+}
+
 /**
  * Process a video URL from a web request
  * @param {number} tabId - Tab ID where request originated
@@ -197,21 +234,40 @@ export async function processWebRequest(details, metadata = null) {
     // Use resolved tabId if available
     const resolvedTabId = tabInfo.tabId || tabId;
 
+    const rulesContext = { rules: settingsManager.get('detectionRules'), pageUrl: tabInfo.pageUrl };
+
     // Use new probe → gate pattern
-    const candidate = probe(url, metadata);
+    let candidate = probe(url, metadata);
     if (!candidate) {
-        console.debug(`No candidate type detected for: ${url}`);
+        // Extensionless manifest or media file served with a generic mime - let its content decide
+        const sniffed = await sniffCandidate(url, metadata, getRequestHeaders(requestId), false, rulesContext);
+        if (!sniffed) {
+            console.debug(`No candidate type detected for: ${url}`);
+            return;
+        }
+        ({ candidate, metadata } = sniffed);
+    }
+
+    // VAST/VMAP ad responses only teach the ad classifier which media files are ads
+    if (candidate.type === 'vast') {
+        if (await inspectVastResponse(resolvedTabId, url, getRequestHeaders(requestId))) {
+            refreshAdClassification(resolvedTabId);
+        }
         return;
     }
 
     // Apply gate filtering (pass candidate for type-aware filtering)
     const minFileSize = settingsManager.get('minFileSizeFilter');
-    if (!gate(url, metadata, minFileSize, candidate)) {
+    if (!gate(url, metadata, minFileSize, candidate, rulesContext)) {
         console.debug(`Candidate rejected by gate: ${url}`);
+        if (candidate.rejection) {
+            recordRejectedCandidate(resolvedTabId, { url, type: candidate.type, source: 'webRequest', rejection: candidate.rejection });
+        }
         return;
     }
 
-    addVideoWithCommonProcessing(resolvedTabId, url, candidate, metadata, `BG_webRequest_${candidate.type}`, tabInfo, requestId);
+    const source = metadata?.sniffed ? `BG_webRequest_sniffed_${candidate.type}` : `BG_webRequest_${candidate.type}`;
+    addVideoWithCommonProcessing(resolvedTabId, url, candidate, metadata, source, tabInfo, requestId);
 }
 
 /**
@@ -231,6 +287,128 @@ export function processContentScriptVideo(tabId, videoData) {
     addDetectedVideo(videoData);
 }
 
+/**
+ * Process a stream the page plays through Media Source Extensions, reported by the MSE capture hook
+ * Its blob: URL never shows up as a network request, so this is the only way such videos are detected.
+ * @param {Object} sender - Message sender (tab and frame holding the captured data)
+ * @param {Object} capture - { url, duration, width, height, poster, recording, truncated, tracks: [{ id, mimeType, kind, bytes }] }
+ */
+export async function processMseCapture(sender, capture) {
+    const tabId = sender.tab?.id;
+    if (!tabId || tabId <= 0 || !capture?.url?.startsWith('blob:')) {
+        return;
+    }
+
+    // Nothing to download until a track holds media data
+    if (!capture.tracks?.some(track => track.bytes > 0)) {
+        return;
+    }
+
+    const tabInfo = await getTabUrl(tabId);
+    if (!tabInfo) {
+        console.debug(`Could not resolve tab for MSE capture in tab ${tabId}`);
+        return;
+    }
+
+    // Only domain and URL rules apply here - the blob: URL has no host, so domains come from the page
+    const rejection = evaluateUrlRules(settingsManager.get('detectionRules'), {
+        url: capture.url,
+        pageUrl: tabInfo.pageUrl,
+        type: 'mse'
+    });
+    if (rejection) {
+        console.debug(`MSE capture rejected by detection rule ${rejection.rule}: ${capture.url}`);
+        recordRejectedCandidate(tabId, { url: capture.url, type: 'mse', source: 'mseCapture', rejection });
+        return;
+    }
+
+    addDetectedVideo({
+        url: capture.url,
+        type: 'mse',
+        source: 'CS_mse_capture',
+        timestampDetected: Date.now(),
+        tabId,
+        ...tabInfo,
+        duration: capture.duration,
+        ...(capture.poster && { poster: capture.poster }),
+        mseCapture: {
+            frameId: sender.frameId || 0,
+            width: capture.width,
+            height: capture.height,
+            recording: capture.recording,
+            truncated: capture.truncated,
+            tracks: capture.tracks
+        }
+    });
+}
+
+/**
+ * Process candidates the DOM scanner found in a page's elements, player configs and metadata
+ * They run through the same probe → gate checks as network requests; a candidate whose type cannot be told
+ * from its URL or mime hint is sniffed. Requests for them carry the headers the page itself would send.
+ * @param {Object} sender - Message sender (tab and frame that was scanned)
+ * @param {Object} scan - { candidates: [{ url, mimeType, origin, title, poster, duration }], page: { url, userAgent } }
+ */
+export async function processDomScan(sender, scan) {
+    const tabId = sender.tab?.id;
+    if (!tabId || tabId <= 0 || !scan?.candidates?.length) {
+        return;
+    }
+
+    const tabInfo = await getTabUrl(tabId);
+    if (!tabInfo) {
+        console.debug(`Could not resolve tab for DOM scan in tab ${tabId}`);
+        return;
+    }
+
+    const frameUrl = scan.page?.url || tabInfo.pageUrl;
+    const headers = {};
+    try {
+        headers.Origin = new URL(frameUrl).origin;
+        headers.Referer = frameUrl;
+    } catch {
+        // Frame without an http(s) URL (about:blank, srcdoc) - send no page headers
+    }
+    if (scan.page?.userAgent) {
+        headers['User-Agent'] = scan.page.userAgent;
+    }
+
+    const minFileSize = settingsManager.get('minFileSizeFilter');
+    const rulesContext = { rules: settingsManager.get('detectionRules'), pageUrl: tabInfo.pageUrl };
+    for (const found of scan.candidates) {
+        let metadata = found.mimeType ? { contentType: found.mimeType } : null;
+        let candidate = probe(found.url, metadata);
+        if (!candidate) {
+            const sniffed = await sniffCandidate(found.url, metadata, headers, true, rulesContext);
+            if (sniffed && sniffed.candidate.type !== 'vast') {
+                ({ candidate, metadata } = sniffed);
+            }
+        }
+        if (!candidate || !gate(found.url, metadata, minFileSize, candidate, rulesContext)) {
+            console.debug(`DOM scan candidate rejected (${found.origin}): ${found.url}`);
+            if (candidate?.rejection) {
+                recordRejectedCandidate(tabId, { url: found.url, type: candidate.type, source: 'domScan', rejection: candidate.rejection });
+            }
+            continue;
+        }
+
+        addDetectedVideo({
+            url: found.url,
+            type: candidate.type,
+            source: 'dom-scan',
+            domScanOrigin: found.origin,
+            timestampDetected: Date.now(),
+            tabId,
+            ...tabInfo,
+            headers,
+            ...(candidate.mediaType && { mediaType: candidate.mediaType }),
+            ...(found.title && { title: found.title }),
+            ...(found.poster && { poster: found.poster }),
+            ...(found.duration && { duration: found.duration })
+        });
+    }
+}
+
 /**
  * Initialize the video detector - sets up web request listeners and message handlers
  */
@@ -381,6 +559,30 @@ function setupMessageListener() {
             return false;
         }
 
+        // Candidates found by the DOM scanner
+        if (request.command === 'dom-scan') {
+            processDomScan(sender, request).catch(error => {
+                console.debug('Error in processDomScan:', error);
+            });
+            return false;
+        }
+
+        // Streams captured from the page's SourceBuffers
+        if (request.command === 'mse-detected') {
+            processMseCapture(sender, request.capture).catch(error => {
+                console.debug('Error in processMseCapture:', error);
+            });
+            return false;
+        }
+
+        // The page closed a captured MediaSource, so its bytes are gone
+        if (request.command === 'mse-released') {
+            if (sender.tab?.id > 0) {
+                dismissVideoFromTab(sender.tab.id, request.url);
+            }
+            return false;
+        }
+
         // Let other handlers deal with non-detection messages
         return false;
     });
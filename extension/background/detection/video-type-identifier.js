@@ -1,7 +1,12 @@
+import { evaluateUrlRules } from '../../shared/utils/detection-rules.js';
+
 // Precompiled detectors (regex are case-insensitive and tolerate query/hash) with audio-only extensions as well
 const DIRECT_EXT_RE = /\.(mp4|webm|ogg|mov|avi|mkv|flv|3gp|wmv|m4a|mp3|wav|flac|aac|oga|opus|mka)(?:$|[?#])/i;
 const MPD_RE  = /\.mpd(?:$|[?#])/i;
 const M3U8_RE = /\.m3u8(?:$|[?#])/i;
+// Smooth Streaming manifests live under the .ism/.isml publishing point: /video.ism/Manifest
+const MSS_RE = /\.isml?\/manifest(?:$|[?#(])/i;
+const MSS_MIME = 'application/vnd.ms-sstr+xml';
 
 // Obvious non-media extensions (early return perf guard only)
 const NON_MEDIA_EXT_RE = /\.(?:js|mjs|css|map|json|html?|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|pdf)(?:$|[?#])/i;
@@ -21,6 +26,8 @@ const SEGMENT_PATTERNS = [
   /\b(?:seg|segment|chunk|part|frag|seq)[-_]?\d+\b/i,
   // path segment literally named segment/chunk/part/frag/seq
   /(^|\/)(?:segments?|chunks?|parts?|frags?|seq)(?=\/|$)/i,
+  // Smooth Streaming fragments: QualityLevels(bitrate)/Fragments(video=time)
+  /\/Fragments\([^)]*\)/i,
 ];
 // Querystring flags that strongly imply per-segment addressing or byte slicing
 const SEGMENT_QUERY_RE = /[?&](?:start_seq|mse_seq|part|segment|chunk|frag|byterange|range)=/i;
@@ -28,6 +35,11 @@ const SEGMENT_QUERY_RE = /[?&](?:start_seq|mse_seq|part|segment|chunk|frag|byter
 // Rare but valid direct binary mimes
 const DIRECT_MIMES = new Set(['application/mp4', 'application/ogg']);
 
+// Generic mimes manifests and media files are often misserved with - only their content tells what they are
+const AMBIGUOUS_MIMES = new Set(['text/plain', 'application/octet-stream', 'binary/octet-stream', 'application/binary', 'application/xml', 'text/xml']);
+// Text responses larger than this are not manifests worth sniffing
+const MAX_SNIFF_TEXT_LENGTH = 2 * 1024 * 1024;
+
 /**
  * Classify URL and MIME into candidate types
  * @param {string} url - URL to analyze
@@ -59,6 +71,11 @@ export function probe(url, metadata = null) {
         return { type: 'dash', mime: normalizedMime };
     }
 
+    // Smooth Streaming: .ism/Manifest or its MIME
+    if (MSS_RE.test(url) || normalizedMime === MSS_MIME) {
+        return { type: 'mss', mime: normalizedMime };
+    }
+
     // Skip video/mp2t (almost always HLS segments, too rare as direct video)
     if (normalizedMime === 'video/mp2t') return null;
 
@@ -78,15 +95,36 @@ export function probe(url, metadata = null) {
  * @param {string} url - URL to check
  * @param {Object} metadata - Request metadata
  * @param {number} minSize - Minimum file size threshold
- * @param {Object} candidate - Candidate type info from probe() (optional)
+ * @param {Object} candidate - Candidate type info from probe() (optional), gets `rejection` { rule, value, reason } when rejected
+ *   (not for stream segments and byte ranges: they are pieces of a stream, never listed as rejected candidates)
+ * @param {Object} context - User detection rules and the page the candidate was found on (optional)
+ * @param {Object} context.rules - Normalized detection rules
+ * @param {string} context.pageUrl - Page URL, for domain rules
  * @returns {boolean} True if should process, false if should skip
  */
-export function gate(url, metadata = null, minSize = 1024, candidate = null) {
+export function gate(url, metadata = null, minSize = 1024, candidate = null, context = null) {
+    const reject = (rule, reason, value = null) => {
+        if (candidate) candidate.rejection = { rule, value, reason };
+        return false;
+    };
+
     if (!url) {
         console.log(`[GATE] Rejected: No URL provided`);
         return false;
     }
 
+    // User rules first - they are cheap and explain the rejection best
+    const ruleRejection = evaluateUrlRules(context?.rules, {
+        url,
+        pageUrl: context?.pageUrl,
+        type: candidate?.type,
+        mediaType: candidate?.mediaType
+    });
+    if (ruleRejection) {
+        console.log(`[GATE] Rejected: Detection rule ${ruleRejection.rule}`, { url, candidate, ruleRejection });
+        return reject(ruleRejection.rule, ruleRejection.reason, ruleRejection.value);
+    }
+
     // Conservative URL range param skip: only for direct candidates (manifests are often tiny and chunked)
     if (candidate?.type === 'direct' && /[?&](?:bytes|range)=\d+-\d+/i.test(url)) {
         console.log(`[GATE] Rejected: Direct candidate with range params in URL`, { url, candidate });
@@ -118,14 +156,14 @@ export function gate(url, metadata = null, minSize = 1024, candidate = null) {
             minSize, 
             candidate 
         });
-        return false;
+        return reject('min-file-size', `Smaller than ${minSize} bytes`, contentLength);
     }
 
     // Octet-stream needs filename or sufficient size (safer parse)
     const mime = candidate?.mime != null ? candidate.mime : (metadata?.contentType ? metadata.contentType.split(';')[0].trim().toLowerCase() : null);
     if (mime === 'application/octet-stream') {
         const hasFilename = !!metadata?.filename;
-        if (candidate?.type === 'hls' || candidate?.type === 'dash') {
+        if (candidate?.type === 'hls' || candidate?.type === 'dash' || candidate?.type === 'mss') {
             const result = hasFilename || contentLength == null || contentLength > 0;
             if (!result) {
                 console.log(`[GATE] Rejected: Octet-stream manifest without filename or size`, { 
@@ -134,6 +172,7 @@ export function gate(url, metadata = null, minSize = 1024, candidate = null) {
                     contentLength, 
                     candidate 
                 });
+                return reject('octet-stream', 'Octet-stream manifest without filename or size');
             }
             return result;
         }
@@ -145,10 +184,43 @@ export function gate(url, metadata = null, minSize = 1024, candidate = null) {
                 minSize, 
                 candidate 
             });
-            return false;
+            return reject('octet-stream', 'Octet-stream without filename and below the minimum size', contentLength);
         }
     }
 
     console.log(`[GATE] Passed:`, { url, candidate, metadata, minSize });
     return true;
-}
\ No newline at end of file
+}
+
+/**
+ * Whether a URL that probe() could not classify is worth sniffing for manifest or media content
+ * @param {string} url - URL to check
+ * @param {Object} metadata - Request metadata with contentType and contentLength
+ * @param {boolean} allowMissingMime - Also accept a URL without a known mime (page-provided candidates)
+ * @returns {boolean} True if the response should be sniffed
+ */
+export function isSniffCandidate(url, metadata = null, allowMissingMime = false) {
+    if (!url || !/^https?:/i.test(url)) return false;
+    if (NON_MEDIA_EXT_RE.test(url)) return false;
+    try {
+        const host = new URL(url).hostname.toLowerCase();
+        if (NON_MEDIA_DOMAINS.has(host) || host.endsWith('.googlesyndication.com')) return false;
+    } catch {
+        return false;
+    }
+
+    // Segments are never worth the extra request
+    if (SEGMENT_EXT_RE.test(url) || INIT_HEADER_RE.test(url) || SEGMENT_QUERY_RE.test(url) || SEGMENT_PATTERNS.some(p => p.test(url))) {
+        return false;
+    }
+
+    const normalizedMime = metadata?.contentType ? metadata.contentType.split(';')[0].trim().toLowerCase() : null;
+    if (!normalizedMime) return allowMissingMime;
+    if (!AMBIGUOUS_MIMES.has(normalizedMime)) return false;
+
+    const contentLength = Number.isFinite(metadata?.contentLength) ? metadata.contentLength : null;
+    if (normalizedMime.startsWith('text/') || normalizedMime.endsWith('/xml')) {
+        return contentLength == null || contentLength <= MAX_SNIFF_TEXT_LENGTH;
+    }
+    return true;
+}
@@ -0,0 +1,86 @@
+/**
+ * Bandwidth Manager - Keeps the native host's global speed cap in line with settings and browser use
+ * The cap drops to the "speed while browsing" setting while a browser window is focused and the user is not idle,
+ * and goes back to the regular maximum when the browser is in the background or the user steps away.
+ */
+
+import nativeHostService from '../messaging/native-host-service.js';
+import { settingsManager } from '../index.js';
+
+// Seconds without input before the user counts as away
+const IDLE_DETECTION_SECONDS = 60;
+
+let userActive = true;      // chrome.idle reports 'active'
+let windowFocused = true;   // One of the browser's windows has focus
+let appliedLimit = null;    // Limit last sent to the running host process
+
+/**
+ * Speed cap the native host should apply right now
+ * @returns {number} Bytes per second, 0 for unlimited
+ */
+export function getEffectiveSpeedLimit() {
+    const maxSpeed = settingsManager.get('maxDownloadSpeed') || 0;
+    const activeUseSpeed = settingsManager.get('activeUseDownloadSpeed') || 0;
+
+    if (activeUseSpeed && userActive && windowFocused) {
+        return maxSpeed ? Math.min(maxSpeed, activeUseSpeed) : activeUseSpeed;
+    }
+    return maxSpeed;
+}
+
+/**
+ * Send the effective limit to the host when it changed
+ * A host that is not running has nothing to throttle - it gets the limit on host-connected.
+ * @param {boolean} force - Send even if the host already has this limit (fresh host process)
+ */
+async function applySpeedLimit(force = false) {
+    const limit = getEffectiveSpeedLimit();
+    if (!force && limit === appliedLimit) return;
+    if (nativeHostService.getConnectionState().state !== 'connected') {
+        appliedLimit = null;
+        return;
+    }
+
+    appliedLimit = limit;
+    try {
+        await nativeHostService.sendMessage({ command: 'set-speed-limit', limit });
+        console.debug('Download speed limit applied:', limit ? `${limit} B/s` : 'unlimited');
+    } catch (error) {
+        appliedLimit = null;
+        console.warn('Failed to apply download speed limit:', error.message);
+    }
+}
+
+/**
+ * Initialize bandwidth tracking: settings changes, idle state and window focus
+ */
+export async function initBandwidthManager() {
+    nativeHostService.addEventListener('host-connected', () => applySpeedLimit(true));
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.settings) {
+            applySpeedLimit();
+        }
+    });
+
+    chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+    chrome.idle.onStateChanged.addListener((state) => {
+        userActive = state === 'active';
+        applySpeedLimit();
+    });
+
+    chrome.windows.onFocusChanged.addListener((windowId) => {
+        windowFocused = windowId !== chrome.windows.WINDOW_ID_NONE;
+        applySpeedLimit();
+    });
+
+    try {
+        userActive = (await chrome.idle.queryState(IDLE_DETECTION_SECONDS)) === 'active';
+        windowFocused = (await chrome.windows.getLastFocused()).focused;
+    } catch (error) {
+        console.warn('Could not read browser activity state:', error.message);
+    }
+
+    await applySpeedLimit(true);
+    console.debug('Bandwidth manager initialized, effective limit:', getEffectiveSpeedLimit());
+}
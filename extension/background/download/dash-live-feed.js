@@ -0,0 +1,64 @@
+/**
+ * DASH Live Feed - Keeps a native live DASH recording supplied with the current manifest
+ * The host records segments but does not parse MPDs: the manifest is fetched here (with the tab's headers) and
+ * resolved by the same model the parser uses (mpd-model.js). The first model goes out with the download command,
+ * later ones as 'dash-live-manifest' messages every minimumUpdatePeriod until the recording or the stream ends.
+ */
+
+import { fetchManifest } from '../processing/manifest-fetcher.js';
+import { buildMpdModel } from '../processing/mpd-model.js';
+import nativeHostService from '../messaging/native-host-service.js';
+
+// Update interval when the MPD gives no minimumUpdatePeriod, and bounds of the wait
+const DEFAULT_UPDATE_PERIOD_S = 2;
+const MIN_UPDATE_MS = 500;
+const MAX_UPDATE_MS = 10000;
+
+/**
+ * Fetch a live manifest and resolve it into the model the recorder works from
+ * @param {string} url - MPD URL
+ * @param {Object} headers - Request headers of the stream
+ * @returns {Promise<Object>} buildMpdModel() result
+ */
+export async function fetchDashLiveModel(url, headers) {
+    const result = await fetchManifest(url, headers, { maxRetries: 1, timeoutMs: 5000 });
+    if (!result.success) {
+        throw new Error(`Manifest returned ${result.status}`);
+    }
+    const model = buildMpdModel(result.content, url);
+    if (!model) {
+        throw new Error('Response is not a DASH manifest');
+    }
+    return model;
+}
+
+/**
+ * Send the recorder of a download a fresh manifest every minimumUpdatePeriod
+ * A failed fetch is skipped (the host keeps recording from the last model); the feed ends once the host
+ * no longer records the download, the download is no longer active or the stream has turned static.
+ * @param {Object} downloadRequest - Download request with downloadId, downloadUrl, headers and dashLiveManifest
+ * @param {Function} isActive - Returns false once the download was canceled or ended
+ */
+export async function feedDashLiveManifest(downloadRequest, isActive) {
+    const { downloadId, downloadUrl, headers } = downloadRequest;
+    let model = downloadRequest.dashLiveManifest;
+
+    while (model?.isLive && isActive()) {
+        const updatePeriodMs = (model.minimumUpdatePeriod || DEFAULT_UPDATE_PERIOD_S) * 1000;
+        await new Promise(resolve => setTimeout(resolve, Math.min(MAX_UPDATE_MS, Math.max(MIN_UPDATE_MS, updatePeriodMs))));
+        if (!isActive()) return;
+
+        try {
+            model = await fetchDashLiveModel(downloadUrl, headers);
+        } catch (error) {
+            console.debug(`Live DASH manifest update failed for ${downloadId}:`, error.message);
+            continue;
+        }
+
+        const response = await nativeHostService.sendMessage({ command: 'dash-live-manifest', downloadId, manifest: model });
+        if (!response?.success) {
+            console.debug(`Live DASH manifest feed ended for ${downloadId}:`, response?.error || 'no answer');
+            return;
+        }
+    }
+}
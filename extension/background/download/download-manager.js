@@ -7,10 +7,41 @@
 import nativeHostService from '../messaging/native-host-service.js';
 import { broadcastToPopups } from '../messaging/popup-communication.js';
 import { settingsManager } from '../index.js';
+import { resolveHlsKeys } from '../processing/hls-parser.js';
+import { getScheduledStart } from './download-schedule.js';
+import { getVideo } from '../processing/video-store.js';
+import { getTabCookieHeader } from '../processing/key-fetcher.js';
+import { getRetryDelay } from '../../shared/utils/retry-policy.js';
+import { transferMseCapture } from './mse-capture-transfer.js';
+import { fetchDashLiveModel, feedDashLiveManifest } from './dash-live-feed.js';
 
 // Unified download state management - Single source of truth
 const allDownloads = new Map(); // downloadId -> downloadEntry
 
+// Persisted copy of allDownloads so queued/running downloads survive service worker and browser restarts
+const QUEUE_STORAGE_KEY = 'downloads_queue';
+const DETACHED_RECHECK_MS = 30000; // Jobs left running by an earlier host process are polled until they end
+const SCHEDULE_ALARM_NAME = 'download-schedule'; // Wakes the queue when the earliest scheduled download is due
+
+// Chrome's interrupt reasons for browser downloads, mapped to the native host's failure categories
+const BROWSER_FAILURE_CATEGORIES = {
+    NETWORK_FAILED: 'network-timeout',
+    NETWORK_TIMEOUT: 'network-timeout',
+    NETWORK_DISCONNECTED: 'network-timeout',
+    NETWORK_SERVER_DOWN: 'network-timeout',
+    SERVER_UNREACHABLE: 'network-timeout',
+    SERVER_UNAUTHORIZED: 'token-expired',
+    SERVER_FORBIDDEN: 'http-403',
+    SERVER_BAD_CONTENT: 'http-404',
+    SERVER_FAILED: 'unknown',
+    FILE_NO_SPACE: 'disk-full',
+    FILE_TOO_LARGE: 'disk-full'
+};
+
+let queuePersistChain = Promise.resolve();
+let queueRestored = Promise.resolve();
+let detachedRecheckTimer = null;
+
 // Simple storage operation queue for history operations only
 const historyOperationQueue = [];
 let isProcessingHistoryQueue = false;
@@ -84,6 +115,8 @@ export function getActiveDownloads() {
                 type: entry.downloadRequest.type,
                 // Pure progress data only (null if no progress yet)
                 progressData: entry.progressData,
+                scheduledFor: entry.scheduledFor || null,
+                retryCount: entry.downloadRequest.retryCount || 0,
                 timestamp: entry.timestamp
             });
         }
@@ -92,12 +125,63 @@ export function getActiveDownloads() {
     return activeDownloads;
 }
 
+/**
+ * Map an in-memory entry status to its persisted queue state
+ * @param {string} status - Entry status
+ * @returns {string} 'queued' | 'running' | 'paused' | 'failed'
+ */
+function getPersistedState(status) {
+    switch (status) {
+        case 'queued':
+        case 'paused':
+            return status;
+        case 'downloading':
+        case 'stopping':
+            return 'running';
+        default:
+            return 'failed';
+    }
+}
+
+/**
+ * Write all tracked downloads to storage
+ * Writes are chained so an older snapshot never lands after a newer one
+ * @returns {Promise<void>}
+ */
+function persistDownloadQueue() {
+    const records = [];
+    for (const [downloadId, entry] of allDownloads.entries()) {
+        if (entry.status === 'orphaned' || !entry.downloadRequest) continue;
+        
+        // Preview images are data URLs - not worth the storage
+        const { previewUrl: _, ...videoData } = entry.downloadRequest.videoData || {};
+        records.push({
+            downloadId,
+            state: getPersistedState(entry.status),
+            downloadRequest: { ...entry.downloadRequest, videoData },
+            resolvedFilename: entry.resolvedFilename || null,
+            browserDownloadId: entry.browserDownloadId || null,
+            resumeFromPause: entry.resumeFromPause || false,
+            progressData: entry.progressData,
+            timestamp: entry.timestamp
+        });
+    }
+    
+    queuePersistChain = queuePersistChain
+        .then(() => chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: records }))
+        .catch(error => console.error('Failed to persist download queue:', error));
+    return queuePersistChain;
+}
+
 /**
  * Notify UI about download count changes and update badge
  */
 function notifyDownloadCountChange() {
     const counts = getActiveDownloadCount();
     
+    // Every count change is a queue change worth persisting
+    persistDownloadQueue();
+    
     // Update badge icon
     updateBadgeIcon(counts.total);
     
@@ -122,8 +206,24 @@ export async function initDownloadManager() {
         nativeHostService.addEventListener('download-success', handleDownloadEvent);
         nativeHostService.addEventListener('download-error', handleDownloadEvent);
         nativeHostService.addEventListener('download-canceled', handleDownloadEvent);
+        nativeHostService.addEventListener('download-paused', handleDownloadEvent);
         nativeHostService.addEventListener('filename-resolved', handleDownloadEvent);
         
+        // Every new host process may find downloads interrupted by a previous crash/restart
+        nativeHostService.addEventListener('host-connected', handleHostConnected);
+        
+        // Scheduled downloads start when their alarm fires; a changed download window reschedules them
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === SCHEDULE_ALARM_NAME) {
+                processNextDownload();
+            }
+        });
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.settings) {
+                processNextDownload();
+            }
+        });
+        
         // One-time cleanup: Remove legacy active downloads storage
         try {
             await chrome.storage.local.remove(['downloads_active']);
@@ -132,8 +232,12 @@ export async function initDownloadManager() {
             console.debug('No legacy storage to clean up');
         }
         
+        // Bring back downloads tracked by the previous service worker (host reconciliation waits for this)
+        queueRestored = restorePersistedQueue();
+        await queueRestored;
+        
         // Initialize badge icon with current in-memory count
-        updateBadgeIcon(allDownloads.size);
+        updateBadgeIcon(getActiveDownloadCount().total);
         
         // Clean up old history items on startup
         await cleanupOldHistoryItems();
@@ -149,6 +253,237 @@ export async function initDownloadManager() {
     }
 }
 
+/**
+ * Restore downloads persisted by a previous service worker
+ * Queued and paused entries come back as they were. Running browser downloads pick up polling again;
+ * running native downloads are confirmed with the host once it connects (see reconcileRestoredDownloads).
+ */
+async function restorePersistedQueue() {
+    let records;
+    try {
+        const result = await chrome.storage.local.get([QUEUE_STORAGE_KEY]);
+        records = result[QUEUE_STORAGE_KEY] || [];
+    } catch (error) {
+        console.error('Failed to read persisted download queue:', error);
+        return;
+    }
+    
+    if (records.length === 0) {
+        return;
+    }
+    
+    console.info(`Restoring ${records.length} persisted download(s)`);
+    
+    const failedIds = [];
+    for (const record of records) {
+        if (allDownloads.has(record.downloadId) || !record.downloadRequest) continue;
+        
+        const entry = {
+            status: record.state,
+            downloadRequest: record.downloadRequest,
+            progressData: record.progressData || null,
+            timestamp: record.timestamp || Date.now(),
+            ...(record.resolvedFilename && { resolvedFilename: record.resolvedFilename }),
+            ...(record.browserDownloadId && { browserDownloadId: record.browserDownloadId }),
+            ...(record.resumeFromPause && { resumeFromPause: true })
+        };
+        
+        if (record.state === 'running') {
+            entry.status = 'downloading';
+            if (record.browserDownloadId) {
+                startBrowserPolling(record.downloadId, entry);
+            } else {
+                entry.reconciling = true;
+            }
+        } else if (record.state !== 'queued' && record.state !== 'paused') {
+            failedIds.push(record.downloadId);
+        }
+        
+        allDownloads.set(record.downloadId, entry);
+    }
+    
+    notifyDownloadCountChange();
+    
+    for (const downloadId of failedIds) {
+        await failInterruptedDownload(downloadId, 'Download was interrupted and could not be recovered');
+    }
+    
+    processNextDownload();
+}
+
+/**
+ * A new host process is available: resume journaled downloads, then settle the restored ones
+ */
+async function handleHostConnected() {
+    await queueRestored;
+    await resumeInterruptedDownloads();
+    await reconcileRestoredDownloads();
+}
+
+/**
+ * Ask the native host what became of restored or detached native downloads
+ * A host process started by an earlier service worker keeps running its jobs but can no longer report
+ * on them; those are polled until the journal shows how they ended.
+ */
+async function reconcileRestoredDownloads() {
+    clearTimeout(detachedRecheckTimer);
+    detachedRecheckTimer = null;
+    
+    const downloadIds = Array.from(allDownloads.entries())
+        .filter(([, entry]) => entry.reconciling || entry.detached)
+        .map(([downloadId]) => downloadId);
+    
+    if (downloadIds.length === 0) {
+        return;
+    }
+    
+    let response;
+    try {
+        response = await nativeHostService.sendMessage({ command: 'get-download-states', downloadIds });
+    } catch (error) {
+        console.debug('Could not query download states:', error.message);
+        return;
+    }
+    
+    const states = response?.states || {};
+    let hasDetached = false;
+    
+    for (const downloadId of downloadIds) {
+        const entry = allDownloads.get(downloadId);
+        if (!entry) continue;
+        
+        const { state, result } = states[downloadId] || { state: 'unknown' };
+        console.debug('Reconciled download:', downloadId, state);
+        
+        if (state === 'active' || state === 'running') {
+            // 'running' means another host process owns it: no progress until it ends
+            entry.reconciling = false;
+            entry.detached = state === 'running';
+            hasDetached = hasDetached || entry.detached;
+        } else if (state === 'paused') {
+            // Paused while this service worker was not listening
+            entry.status = 'paused';
+            entry.reconciling = false;
+            entry.detached = false;
+        } else if (state === 'finished') {
+            await handleDownloadEvent({
+                ...result,
+                downloadUrl: entry.downloadRequest.downloadUrl,
+                masterUrl: entry.downloadRequest.masterUrl || null,
+                selectedOptionOrigText: entry.downloadRequest.selectedOptionOrigText || null
+            });
+        } else if (state === 'resumable') {
+            entry.reconciling = false;
+            entry.detached = false;
+            nativeHostService.sendMessage({ command: 'resume-download', downloadId }, { expectResponse: false });
+        } else if (state === 'unknown') {
+            // The host never saw the command (or the outcome expired) - start it again
+            entry.status = 'queued';
+            entry.reconciling = false;
+            entry.detached = false;
+        } else {
+            await failInterruptedDownload(downloadId, 'Download was interrupted and cannot be resumed');
+        }
+    }
+    
+    notifyDownloadCountChange();
+    processNextDownload();
+    
+    if (hasDetached) {
+        detachedRecheckTimer = setTimeout(reconcileRestoredDownloads, DETACHED_RECHECK_MS);
+    }
+}
+
+/**
+ * Report a restored download whose job is gone as failed (kept as 'failed' until history has it)
+ * @param {string} downloadId - Internal download ID
+ * @param {string} errorMessage - Reason shown in history
+ */
+async function failInterruptedDownload(downloadId, errorMessage) {
+    const entry = allDownloads.get(downloadId);
+    if (!entry) return;
+    
+    entry.status = 'failed';
+    await persistDownloadQueue();
+    
+    await handleDownloadEvent({
+        command: 'download-error',
+        downloadId,
+        downloadUrl: entry.downloadRequest.downloadUrl,
+        masterUrl: entry.downloadRequest.masterUrl || null,
+        selectedOptionOrigText: entry.downloadRequest.selectedOptionOrigText || null,
+        errorMessage
+    });
+}
+
+/**
+ * Resume downloads the native host journaled before it crashed or the browser restarted
+ * Entries are restored from the journaled request so the UI and history see the original command.
+ * Only free slots resume right away; the rest wait in the queue and continue through processNextDownload.
+ */
+async function resumeInterruptedDownloads() {
+    let response;
+    try {
+        response = await nativeHostService.sendMessage({ command: 'get-resumable-downloads' });
+    } catch (error) {
+        console.debug('Could not query resumable downloads:', error.message);
+        return;
+    }
+    
+    const resumable = response?.downloads || [];
+    if (resumable.length === 0) {
+        return;
+    }
+    
+    console.info(`Resuming ${resumable.length} interrupted download(s)`);
+    
+    // Restored entries of these jobs count as running until they are replaced below
+    const resumableIds = new Set(resumable.map(({ downloadId }) => downloadId));
+    const activeCount = Array.from(allDownloads.entries())
+        .filter(([downloadId, entry]) => !resumableIds.has(downloadId) && (entry.status === 'downloading' || entry.status === 'stopping'))
+        .length;
+    let freeSlots = settingsManager.get('maxConcurrentDownloads') - activeCount;
+    
+    for (const { downloadId, request, lastTime } of resumable) {
+        if (!request) continue;
+        
+        const existingEntry = allDownloads.get(downloadId);
+        const startNow = freeSlots > 0;
+        allDownloads.set(downloadId, {
+            status: startNow ? 'downloading' : 'queued',
+            downloadRequest: existingEntry?.downloadRequest || request,
+            progressData: existingEntry?.progressData || null,
+            timestamp: existingEntry?.timestamp || Date.now(),
+            resumed: true,
+            // Queued jobs continue from their journaled position once a slot opens
+            ...(!startNow && { resumeFromPause: true })
+        });
+        
+        // Re-create the UI entry for popups that never saw this download start
+        broadcastToPopups({
+            command: startNow ? 'download-started' : 'download-queued',
+            downloadId,
+            downloadUrl: request.downloadUrl,
+            masterUrl: request.masterUrl || null,
+            filename: request.filename,
+            selectedOptionOrigText: request.selectedOptionOrigText || null,
+            videoData: request.videoData,
+            audioOnly: request.audioOnly || false,
+            subsOnly: request.subsOnly || false
+        });
+        
+        if (startNow) {
+            freeSlots--;
+            nativeHostService.sendMessage({ command: 'resume-download', downloadId }, { expectResponse: false });
+            console.debug('Resume requested:', downloadId, 'from', lastTime, 's');
+        } else {
+            console.debug('Resume queued, every slot is taken:', downloadId, 'from', lastTime, 's');
+        }
+    }
+    
+    notifyDownloadCountChange();
+}
+
 /**
  * Process download command - unified entry point for all download types
  * @param {Object} downloadCommand - Complete download command from UI
@@ -177,6 +512,13 @@ export async function processDownloadCommand(downloadCommand) {
         return;
     }
     
+    // Downloads with a later start time, or outside the allowed hours, wait in the queue
+    if (getScheduledStart(resolvedCommand)) {
+        console.debug('Queue download - scheduled for later:', downloadId);
+        await queueDownload(resolvedCommand);
+        return;
+    }
+    
     // Check if we're at concurrent download limit
     const activeCount = Array.from(allDownloads.values())
         .filter(entry => entry.status === 'downloading' || entry.status === 'stopping').length;
@@ -229,12 +571,14 @@ async function resolveDownloadPaths(downloadCommand) {
  */
 async function queueDownload(downloadCommand) {
     const downloadId = downloadCommand.downloadId;
+    const scheduledFor = getScheduledStart(downloadCommand);
     
     // Add to unified downloads map - no progressData needed for queued state
     allDownloads.set(downloadId, {
         status: 'queued',
         downloadRequest: downloadCommand, // Complete original command
         progressData: null, // No progress data until download starts
+        scheduledFor, // Not started before this time (null when only waiting for a slot)
         timestamp: Date.now()
     });
     
@@ -251,10 +595,15 @@ async function queueDownload(downloadCommand) {
         selectedOptionOrigText: downloadCommand.selectedOptionOrigText || null,
         videoData: downloadCommand.videoData, // Include video data for UI creation
         audioOnly: downloadCommand.audioOnly || false,
-        subsOnly: downloadCommand.subsOnly || false
+        subsOnly: downloadCommand.subsOnly || false,
+        scheduledFor
     });
     
-    console.debug('Download queued:', downloadId);
+    if (scheduledFor) {
+        armScheduleAlarm();
+    }
+    
+    console.debug('Download queued:', downloadId, scheduledFor ? `scheduled for ${new Date(scheduledFor).toLocaleString()}` : '');
 }
 
 /**
@@ -301,10 +650,80 @@ async function startDownloadImmediately(downloadRequest) {
     if (downloadRequest.browserDownload) {
         await startBrowserDownload(downloadId, downloadRequest);
     } else {
-        // Send download command to native host (fire-and-forget)
-        // All responses will come through event listeners
-        nativeHostService.sendMessage(downloadRequest, { expectResponse: false });
-        console.debug('Download command sent:', downloadId);
+        await startNativeDownload(downloadId, downloadRequest);
+    }
+}
+
+/**
+ * Send download command to native host, resolving HLS decryption keys first
+ * Keys are fetched here with the tab's cookies because key servers often reject FFmpeg's requests.
+ * @param {string} downloadId - Internal download ID
+ * @param {Object} downloadRequest - Complete download request
+ */
+async function startNativeDownload(downloadId, downloadRequest) {
+    let hlsKeys = null;
+    
+    if (downloadRequest.type === 'hls' && downloadRequest.videoData?.isEncrypted) {
+        const playlistUrls = downloadRequest.inputs?.length > 0
+            ? [...new Set(downloadRequest.inputs.map(input => input.url))]
+            : [downloadRequest.downloadUrl];
+        const keyResult = await resolveHlsKeys(playlistUrls, downloadRequest.headers, downloadRequest.videoData?.tabId);
+        
+        if (keyResult.isDrm) {
+            await handleDownloadEvent({
+                command: 'download-error',
+                downloadId,
+                downloadUrl: downloadRequest.downloadUrl,
+                masterUrl: downloadRequest.masterUrl || null,
+                selectedOptionOrigText: downloadRequest.selectedOptionOrigText || null,
+                errorMessage: 'DRM-protected stream, cannot download',
+                failureCategory: 'drm'
+            });
+            return;
+        }
+        hlsKeys = keyResult.keys;
+    }
+    
+    // Live DASH is recorded from the manifest model resolved here, refreshed while the recording runs
+    let dashLiveManifest = null;
+    if (downloadRequest.type === 'dash' && downloadRequest.isLive) {
+        try {
+            dashLiveManifest = await fetchDashLiveModel(downloadRequest.downloadUrl, downloadRequest.headers);
+        } catch (error) {
+            await handleDownloadEvent({
+                command: 'download-error',
+                downloadId,
+                downloadUrl: downloadRequest.downloadUrl,
+                masterUrl: downloadRequest.masterUrl || null,
+                selectedOptionOrigText: downloadRequest.selectedOptionOrigText || null,
+                errorMessage: `Could not read the live manifest: ${error.message}`,
+                failureCategory: 'network-timeout'
+            });
+            return;
+        }
+    }
+    
+    // Canceled while keys or the manifest were being fetched
+    if (allDownloads.get(downloadId)?.status !== 'downloading') {
+        return;
+    }
+    
+    // Send download command to native host (fire-and-forget)
+    // All responses will come through event listeners
+    await nativeHostService.sendMessage({
+        ...downloadRequest,
+        segmentConcurrency: settingsManager.get('segmentConcurrency'),
+        segmentRetries: settingsManager.get('segmentRetries'),
+        ...(hlsKeys && { hlsKeys }),
+        ...(dashLiveManifest && { dashLiveManifest })
+    }, { expectResponse: false });
+    console.debug('Download command sent:', downloadId);
+    
+    // Captured MSE data lives in the page - the host waits for it before remuxing
+    if (downloadRequest.type === 'mse') {
+        transferMseCapture(downloadRequest, () => allDownloads.get(downloadId)?.status === 'downloading');
+    } else if (dashLiveManifest) {
+        feedDashLiveManifest({ ...downloadRequest, dashLiveManifest }, () => allDownloads.get(downloadId)?.status === 'downloading');
     }
 }
 
@@ -339,16 +758,8 @@ async function startBrowserDownload(downloadId, downloadRequest) {
         const entry = allDownloads.get(downloadId);
         if (entry) {
             entry.browserDownloadId = browserDownloadId;
-            entry.progressClock = {
-                startTime: Date.now(),
-                lastBytes: 0,
-                lastTime: Date.now()
-            };
-            
-            // Start polling every 1 second
-            entry.pollIntervalId = setInterval(() => {
-                tickPoll(downloadId);
-            }, 1000);
+            startBrowserPolling(downloadId, entry);
+            persistDownloadQueue();
         }
         
     } catch (error) {
@@ -369,6 +780,23 @@ async function startBrowserDownload(downloadId, downloadRequest) {
     }
 }
 
+/**
+ * Start polling a Chrome download every second
+ * @param {string} downloadId - Internal download ID
+ * @param {Object} entry - Download entry with browserDownloadId set
+ */
+function startBrowserPolling(downloadId, entry) {
+    entry.progressClock = {
+        startTime: Date.now(),
+        lastBytes: 0,
+        lastTime: Date.now()
+    };
+    
+    entry.pollIntervalId = setInterval(() => {
+        tickPoll(downloadId);
+    }, 1000);
+}
+
 /**
  * Poll Chrome download by ID and convert to existing event format
  * @param {string} downloadId - Internal download ID
@@ -436,6 +864,7 @@ async function tickPoll(downloadId) {
                 masterUrl: entry.downloadRequest.masterUrl || null,
                 selectedOptionOrigText: entry.downloadRequest.selectedOptionOrigText || null,
                 errorMessage: item.error || 'Download interrupted',
+                failureCategory: BROWSER_FAILURE_CATEGORIES[item.error] || null,
                 browserDownload: true
             };
             
@@ -475,6 +904,7 @@ async function tickPoll(downloadId) {
                 speed: speed > 0 ? Math.round(speed) : null,
                 eta,
                 elapsedTime: elapsed,
+                pausable: true,
                 browserDownload: true
             };
             
@@ -547,6 +977,7 @@ async function handleDownloadEvent(event) {
     // Handle filename resolution
     if (command === 'filename-resolved') {
         downloadEntry.resolvedFilename = event.resolvedFilename;
+        persistDownloadQueue();
 
         // Broadcast filename update to UI - compose from entry data
         broadcastToPopups({
@@ -583,6 +1014,31 @@ async function handleDownloadEvent(event) {
         return; // Don't process completion logic for progress events
     }
 
+    // Paused jobs keep their entry but give up their slot
+    if (command === 'download-paused') {
+        downloadEntry.status = 'paused';
+        stopPolling(downloadEntry);
+        notifyDownloadCountChange();
+        
+        broadcastToPopups({
+            ...downloadEntry.progressData,
+            command: 'download-paused',
+            downloadId,
+            downloadUrl: downloadEntry.downloadRequest.downloadUrl,
+            masterUrl: downloadEntry.downloadRequest.masterUrl || null,
+            selectedOptionOrigText: downloadEntry.downloadRequest.selectedOptionOrigText || null
+        });
+        
+        processNextDownload();
+        console.debug('Download paused:', downloadId);
+        return;
+    }
+
+    // Failures the retry policy covers go back to the queue instead of to history
+    if (command === 'download-error' && await scheduleRetry(downloadId, downloadEntry, event)) {
+        return;
+    }
+
     // Handle completion/error/cancellation - clean up active tracking
     if (['download-canceled', 'download-success', 'download-error'].includes(command)) {
         // Remove from unified downloads map
@@ -594,9 +1050,15 @@ async function handleDownloadEvent(event) {
         if (command === 'download-success' || command === 'download-error') {
 			// Deconstruct videoData to remove previewUrl for history storage
 			const { previewUrl: _, ...cleanVideoData } = downloadEntry?.downloadRequest?.videoData || {};
-			const cleanOriginalCommand = { ...downloadEntry.downloadRequest, videoData: cleanVideoData };
+			// Retry state stays with this attempt - a redownload from history starts with a fresh budget
+			const { retryCount, retryAt: __, lastFailureCategory: ___, ...originalCommand } = downloadEntry.downloadRequest;
+			const cleanOriginalCommand = { ...originalCommand, videoData: cleanVideoData };
 
-            await addToHistoryStorage({ ...event, originalCommand: cleanOriginalCommand });
+            await addToHistoryStorage({
+                ...event,
+                ...(retryCount && { retryCount }),
+                originalCommand: cleanOriginalCommand
+            });
         }
 
         // Handle specific completion types
@@ -620,6 +1082,86 @@ async function handleDownloadEvent(event) {
     }
 }
 
+/**
+ * Put a failed download back in the queue when the retry policy of its failure category allows another attempt
+ * Each retry waits twice as long as the one before; downloads whose token expired get fresh headers from the tab.
+ * @param {string} downloadId - Download ID
+ * @param {Object} entry - Download entry
+ * @param {Object} event - download-error event, failureCategory set by the native host or from Chrome's error
+ * @returns {Promise<boolean>} True when the download was requeued
+ */
+async function scheduleRetry(downloadId, entry, event) {
+    const category = event.failureCategory;
+    const policy = category ? settingsManager.get('retryPolicies')?.[category] : null;
+    const downloadRequest = entry.downloadRequest;
+    const retryCount = downloadRequest.retryCount || 0;
+    
+    // Stopped downloads that end in an error are not retried
+    if (!policy || retryCount >= policy.maxRetries || entry.status !== 'downloading') {
+        return false;
+    }
+    
+    const delay = getRetryDelay(policy, retryCount);
+    downloadRequest.retryCount = retryCount + 1;
+    downloadRequest.retryAt = Date.now() + delay;
+    downloadRequest.lastFailureCategory = category;
+    stopPolling(entry);
+    
+    // A fresh queued entry in the same place - nothing of the failed attempt carries over
+    const scheduledFor = getScheduledStart(downloadRequest);
+    allDownloads.set(downloadId, {
+        status: 'queued',
+        downloadRequest,
+        progressData: null,
+        scheduledFor,
+        timestamp: entry.timestamp
+    });
+    
+    if (category === 'token-expired') {
+        await refreshRequestHeaders(downloadRequest);
+    }
+    
+    notifyDownloadCountChange();
+    
+    broadcastToPopups({
+        command: 'download-queued',
+        downloadId,
+        downloadUrl: downloadRequest.downloadUrl,
+        masterUrl: downloadRequest.masterUrl || null,
+        selectedOptionOrigText: downloadRequest.selectedOptionOrigText || null,
+        scheduledFor,
+        retryCount: downloadRequest.retryCount,
+        failureCategory: category
+    });
+    
+    console.info(`Download failed (${category}), retry ${downloadRequest.retryCount}/${policy.maxRetries} in ${delay / 1000}s:`, downloadId);
+    
+    // The slot is free for other downloads meanwhile; alarms fire no sooner than 30s, so short waits use a timer
+    processNextDownload();
+    setTimeout(processNextDownload, delay);
+    return true;
+}
+
+/**
+ * Refresh the headers of a download whose token expired from the tab it was found in
+ * Takes the headers last captured for the video and the tab's current cookies for the media URL.
+ * @param {Object} downloadRequest - Download request, updated in place
+ */
+async function refreshRequestHeaders(downloadRequest) {
+    const { tabId, normalizedUrl } = downloadRequest.videoData || {};
+    if (typeof tabId !== 'number') return;
+    
+    const video = getVideo(tabId, normalizedUrl);
+    const cookieHeader = await getTabCookieHeader(downloadRequest.masterUrl || downloadRequest.downloadUrl, tabId);
+    
+    downloadRequest.headers = {
+        ...(downloadRequest.headers || {}),
+        ...(video?.headers || {}),
+        ...(cookieHeader && { Cookie: cookieHeader })
+    };
+    console.debug('Refreshed headers for retry:', Object.keys(downloadRequest.headers));
+}
+
 // Create download start notification
 function createDownloadNotification(filename) {
     if (!settingsManager.get('showDownloadNotifications')) {
@@ -704,6 +1246,11 @@ export async function cancelDownload(cancelRequest) {
         return;
     }
     
+    // Paused downloads waiting for a slot still hold partial data - drop it like any paused download
+    if (entry.status === 'queued' && entry.resumeFromPause) {
+        entry.status = 'paused';
+    }
+    
     if (entry.status === 'queued') {
         // Direct removal for queued items
         allDownloads.delete(downloadId);
@@ -721,7 +1268,7 @@ export async function cancelDownload(cancelRequest) {
         
         console.debug('Queued download removed immediately:', downloadId);
         return;
-    } else if (entry.status === 'downloading') {
+    } else if (entry.status === 'downloading' || entry.status === 'paused') {
         // Check if this is a browser download (has browserDownloadId)
         if (entry.browserDownloadId) {
             await cancelBrowserDownload(downloadId, entry);
@@ -782,38 +1329,199 @@ export async function cancelDownload(cancelRequest) {
 }
 
 /**
- * Process next download in queue when space becomes available
+ * Pause a running download, keeping what was fetched so far
+ * Native jobs stop fetching and confirm with download-paused; browser downloads pause in Chrome.
+ * Either way the slot goes to the next queued download.
+ * @param {Object} pauseRequest - Pause request with downloadId
+ * @returns {Promise<void>}
  */
-async function processNextDownload() {
-    const maxConcurrentDownloads = settingsManager.get('maxConcurrentDownloads');
-    const activeCount = Array.from(allDownloads.values())
-        .filter(entry => entry.status === 'downloading' || entry.status === 'stopping').length;
+export async function pauseDownload(pauseRequest) {
+    const downloadId = pauseRequest.downloadId || pauseRequest.downloadUrl;
+    const entry = allDownloads.get(downloadId);
+    if (!entry || entry.status !== 'downloading') {
+        console.debug('No running download to pause:', downloadId);
+        return;
+    }
     
-    if (activeCount >= maxConcurrentDownloads) {
+    if (entry.browserDownloadId) {
+        try {
+            await chrome.downloads.pause(entry.browserDownloadId);
+        } catch (error) {
+            console.warn('Failed to pause Chrome download:', error);
+            return;
+        }
+        await handleDownloadEvent({ command: 'download-paused', downloadId });
         return;
     }
     
-    // Find next queued download
-    const queuedEntry = Array.from(allDownloads.values())
-        .find(entry => entry.status === 'queued');
+    try {
+        const response = await nativeHostService.sendMessage({ command: 'pause-download', downloadId });
+        if (!response?.success) {
+            console.warn('Download cannot be paused:', downloadId, response?.error);
+        }
+    } catch (error) {
+        console.warn('Failed to pause download:', error.message);
+    }
+}
+
+/**
+ * Resume a paused download, or queue it when every slot is taken
+ * @param {Object} resumeRequest - Resume request with downloadId
+ */
+export function resumeDownload(resumeRequest) {
+    const downloadId = resumeRequest.downloadId || resumeRequest.downloadUrl;
+    const entry = allDownloads.get(downloadId);
+    if (!entry || entry.status !== 'paused') {
+        console.debug('No paused download to resume:', downloadId);
+        return;
+    }
     
-    if (!queuedEntry) {
+    const maxConcurrentDownloads = settingsManager.get('maxConcurrentDownloads');
+    if (getActiveDownloadCount().active < maxConcurrentDownloads) {
+        continuePausedDownload(downloadId, entry);
         return;
     }
     
-    // Get downloadId from the Map entry we found
-    const downloadId = Array.from(allDownloads.entries())
-        .find(([id, entry]) => entry === queuedEntry)?.[0];
+    entry.status = 'queued';
+    entry.resumeFromPause = true;
+    notifyDownloadCountChange();
+    
+    broadcastToPopups({
+        command: 'download-queued',
+        downloadId,
+        downloadUrl: entry.downloadRequest.downloadUrl,
+        masterUrl: entry.downloadRequest.masterUrl || null,
+        selectedOptionOrigText: entry.downloadRequest.selectedOptionOrigText || null
+    });
+    
+    console.debug('Paused download queued for resume:', downloadId);
+}
+
+/**
+ * Continue a paused download from where it stopped
+ * Native jobs resume from their journaled position; browser downloads resume in Chrome.
+ * @param {string} downloadId - Internal download ID
+ * @param {Object} entry - Paused (or resume-queued) download entry
+ */
+function continuePausedDownload(downloadId, entry) {
+    entry.status = 'downloading';
+    entry.resumeFromPause = false;
+    notifyDownloadCountChange();
+    
+    broadcastToPopups({
+        command: 'download-resumed',
+        downloadId,
+        downloadUrl: entry.downloadRequest.downloadUrl,
+        masterUrl: entry.downloadRequest.masterUrl || null,
+        selectedOptionOrigText: entry.downloadRequest.selectedOptionOrigText || null
+    });
+    
+    if (entry.browserDownloadId) {
+        chrome.downloads.resume(entry.browserDownloadId)
+            .then(() => startBrowserPolling(downloadId, entry))
+            .catch(error => handleDownloadEvent({
+                command: 'download-error',
+                downloadId,
+                downloadUrl: entry.downloadRequest.downloadUrl,
+                masterUrl: entry.downloadRequest.masterUrl || null,
+                selectedOptionOrigText: entry.downloadRequest.selectedOptionOrigText || null,
+                errorMessage: error.message || 'Browser download could not be resumed',
+                browserDownload: true
+            }));
+    } else {
+        nativeHostService.sendMessage({ command: 'resume-download', downloadId }, { expectResponse: false });
+    }
+    
+    console.debug('Paused download resumed:', downloadId);
+}
+
+/**
+ * Process next download in queue when space becomes available
+ */
+async function processNextDownload() {
+    const maxConcurrentDownloads = settingsManager.get('maxConcurrentDownloads');
+    refreshSchedules();
+    
+    // Fill every free slot - several can open at once (e.g. after restoring the persisted queue)
+    for (;;) {
+        const activeCount = Array.from(allDownloads.values())
+            .filter(entry => entry.status === 'downloading' || entry.status === 'stopping').length;
+        
+        if (activeCount >= maxConcurrentDownloads) {
+            break;
+        }
+        
+        // Find next queued download that is due (Map keeps insertion order, so this is FIFO)
+        const [downloadId, queuedEntry] = Array.from(allDownloads.entries())
+            .find(([, entry]) => entry.status === 'queued' && !entry.scheduledFor) || [];
+        
+        if (!queuedEntry) {
+            break;
+        }
+        
+        console.debug('Processing next queued download:', downloadId);
+        
+        // Paused downloads continue where they stopped instead of starting over
+        if (queuedEntry.resumeFromPause) {
+            continuePausedDownload(downloadId, queuedEntry);
+            continue;
+        }
+        
+        // Remove from queue and restart through unified flow
+        allDownloads.delete(downloadId);
+        
+        // Restart through unified flow (handles both native and browser downloads)
+        // The entry is marked downloading synchronously, so the next iteration counts it
+        startDownloadImmediately(queuedEntry.downloadRequest);
+        
+        console.debug('Queued download promoted to active:', downloadId);
+    }
     
-    console.debug('Processing next queued download:', downloadId);
+    armScheduleAlarm();
+}
+
+/**
+ * Recompute when each scheduled download may start (time passed, or the download window changed)
+ * Changed times are broadcast so the downloads tab shows the current "scheduled for" time.
+ */
+function refreshSchedules() {
+    const now = Date.now();
     
-    // Remove from queue and restart through unified flow
-    allDownloads.delete(downloadId);
+    for (const [downloadId, entry] of allDownloads.entries()) {
+        // Resuming a paused download is an explicit request, it only waits for a slot
+        if (entry.status !== 'queued' || entry.resumeFromPause) continue;
+        
+        const scheduledFor = getScheduledStart(entry.downloadRequest, now);
+        if (scheduledFor === (entry.scheduledFor || null)) continue;
+        
+        entry.scheduledFor = scheduledFor;
+        broadcastToPopups({
+            command: 'download-queued',
+            downloadId,
+            downloadUrl: entry.downloadRequest.downloadUrl,
+            masterUrl: entry.downloadRequest.masterUrl || null,
+            selectedOptionOrigText: entry.downloadRequest.selectedOptionOrigText || null,
+            scheduledFor,
+            retryCount: entry.downloadRequest.retryCount || 0
+        });
+    }
+}
+
+/**
+ * Set the schedule alarm to the earliest scheduled download, or clear it when none is waiting
+ * Alarms outlive the service worker, so a queue restored after a restart still starts on time.
+ */
+function armScheduleAlarm() {
+    const times = Array.from(allDownloads.values())
+        .filter(entry => entry.status === 'queued' && entry.scheduledFor)
+        .map(entry => entry.scheduledFor);
     
-    // Restart through unified flow (handles both native and browser downloads)
-    await startDownloadImmediately(queuedEntry.downloadRequest);
+    if (times.length === 0) {
+        chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+        return;
+    }
     
-    console.debug('Queued download promoted to active:', downloadId);
+    chrome.alarms.create(SCHEDULE_ALARM_NAME, { when: Math.min(...times) });
 }
 
 /**
@@ -844,8 +1552,8 @@ function generateDownloadId(request) {
     // Create base identifier with URL hash
     let baseId = simpleHash(request.downloadUrl);
     
-    // Add stream selection hash for DASH multi-track downloads
-    if (request.type === 'dash' && request.streamSelection) {
+    // Add stream selection hash for DASH and Smooth Streaming multi-track downloads
+    if ((request.type === 'dash' || request.type === 'mss') && request.streamSelection) {
         const ss = typeof request.streamSelection === 'string'
             ? request.streamSelection
             : JSON.stringify(request.streamSelection);
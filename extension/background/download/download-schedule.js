@@ -0,0 +1,60 @@
+/**
+ * Download Schedule - When a queued download is allowed to start
+ * Combines a download's own "start at" time and retry backoff with the allowed-hours window from settings.
+ * Windows may cross midnight (22:00-06:00); equal start and end times allow the whole day.
+ */
+
+import { settingsManager } from '../index.js';
+
+/**
+ * Minutes since midnight for "HH:MM"
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes, or null when malformed
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Earliest moment at or after `from` that lies inside the allowed-hours window
+ * @param {number} from - Timestamp (ms)
+ * @returns {number} Timestamp (ms), `from` itself when no window applies or it is already open
+ */
+function getNextWindowOpening(from) {
+    if (!settingsManager.get('downloadWindowEnabled')) return from;
+
+    const start = parseTimeOfDay(settingsManager.get('downloadWindowStart'));
+    const end = parseTimeOfDay(settingsManager.get('downloadWindowEnd'));
+    if (start === null || end === null || start === end) return from;
+
+    const date = new Date(from);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const isOpen = start < end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+    if (isOpen) return from;
+
+    // Closed: the window opens next at `start`, later today or tomorrow
+    const opening = new Date(from);
+    opening.setHours(Math.floor(start / 60), start % 60, 0, 0);
+    if (opening.getTime() <= from) {
+        opening.setDate(opening.getDate() + 1);
+    }
+    return opening.getTime();
+}
+
+/**
+ * When a download may start, if not right away
+ * @param {Object} downloadRequest - Download request (startAt is its own start time, retryAt the end of a retry backoff, ms)
+ * @param {number} now - Current timestamp (ms)
+ * @returns {number|null} Timestamp to wait for, or null when it can start now
+ */
+export function getScheduledStart(downloadRequest, now = Date.now()) {
+    const notBefore = Math.max(now, downloadRequest?.startAt || 0, downloadRequest?.retryAt || 0);
+    const start = getNextWindowOpening(notBefore);
+    return start > now ? start : null;
+}
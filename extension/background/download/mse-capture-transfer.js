@@ -0,0 +1,80 @@
+/**
+ * MSE Capture Transfer - Moves a captured MSE stream from the page to the native host
+ * Captured bytes only exist in the page (mse-hook.js), so they are read slice by slice through the
+ * tab's relay script and handed to the host as 'mse-chunk' messages, which it writes to disk and remuxes.
+ * Each slice waits for the host's answer, so no more than one slice is in flight at a time.
+ * The page only keeps media segments once recording was started for a capture (startMseRecording).
+ */
+
+import nativeHostService from '../messaging/native-host-service.js';
+
+// Raw bytes per slice (sent as base64, well under the 64 MB native messaging limit)
+const SLICE_BYTES = 1024 * 1024;
+
+/**
+ * Have the page start keeping the media segments of a capture, from the next one it appends
+ * @param {number} tabId - Tab holding the capture
+ * @param {string} url - blob: URL of the capture
+ * @param {number} frameId - Frame holding the capture
+ */
+export function startMseRecording(tabId, url, frameId = 0) {
+    chrome.tabs.sendMessage(tabId, { command: 'mse-record', url }, { frameId }).catch(error => {
+        console.warn(`Could not start MSE recording in tab ${tabId}:`, error.message);
+    });
+}
+
+/**
+ * Send every captured track of a download to the native host
+ * A failure is reported to the host, which ends the download with a download-error.
+ * @param {Object} downloadRequest - Download request with downloadId, downloadUrl (blob: URL), tabId and mseCapture
+ * @param {Function} isActive - Returns false once the download was canceled or ended
+ */
+export async function transferMseCapture(downloadRequest, isActive) {
+    const { downloadId, downloadUrl, tabId, mseCapture } = downloadRequest;
+
+    try {
+        for (const track of mseCapture.tracks) {
+            let offset = 0;
+            let done = false;
+            while (!done) {
+                if (!isActive()) return;
+
+                const slice = await chrome.tabs.sendMessage(tabId, {
+                    command: 'mse-read',
+                    url: downloadUrl,
+                    trackId: track.id,
+                    offset,
+                    length: SLICE_BYTES
+                }, { frameId: mseCapture.frameId || 0 });
+                if (!slice || slice.error) {
+                    throw new Error(slice?.error || 'Page holding the capture did not answer');
+                }
+
+                const response = await nativeHostService.sendMessage({
+                    command: 'mse-chunk',
+                    downloadId,
+                    track: track.id,
+                    data: slice.data,
+                    final: slice.done
+                });
+                if (!response?.success) {
+                    throw new Error(response?.error || 'Native host did not accept capture data');
+                }
+
+                offset += slice.length;
+                done = slice.done;
+            }
+        }
+        console.debug(`MSE capture transferred for ${downloadId}`);
+    } catch (error) {
+        // The tab was closed or navigated away (its capture is gone), or the host stopped receiving
+        console.warn(`MSE capture transfer failed for ${downloadId}:`, error.message);
+        if (isActive()) {
+            nativeHostService.sendMessage({
+                command: 'mse-chunk',
+                downloadId,
+                error: error.message
+            }, { expectResponse: false });
+        }
+    }
+}
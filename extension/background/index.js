@@ -6,6 +6,7 @@ import { cleanupOrphanedRules } from './processing/parsing-dnr.js';
 import { initTabTracking } from './state/tab-manager.js';
 import { initUICommunication } from './messaging/popup-communication.js';
 import { initDownloadManager } from './download/download-manager.js';
+import { initBandwidthManager } from './download/bandwidth-manager.js';
 import { initVideoDetector } from './detection/video-detector.js';
 
 // Create and export Settings Manager instance
@@ -73,6 +74,7 @@ async function initializeServices() {
         
 
         await initDownloadManager();     // Initialize download manager early since it uses state manager
+        await initBandwidthManager();    // Keep the host's speed cap in line with settings and browser use
         initVideoDetector();       // Initialize video detector
         initTabTracking();         // Initialize tab tracking
         await initUICommunication();     // Initialize UI communication
@@ -343,6 +343,9 @@ export class NativeHostService {
                 
                 // Connection validated - start idle timeout
                 this.resetConnectionTimeout();
+                
+                // Let local listeners react to a fresh host process (e.g. resume interrupted downloads)
+                this.handleEventMessage({ command: 'host-connected', connectionInfo: this.connectionInfo });
             } else {
                 this.connectionState = 'error';
                 this.connectionError = 'Invalid connection validation response';
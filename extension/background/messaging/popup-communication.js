@@ -4,7 +4,7 @@
  */
 
 // Add static imports at the top
-import { processDownloadCommand, cancelDownload, getActiveDownloadCount, getActiveDownloads } from '../download/download-manager.js';
+import { processDownloadCommand, cancelDownload, pauseDownload, resumeDownload, getActiveDownloadCount, getActiveDownloads } from '../download/download-manager.js';
 import { clearPreviewCache, getCacheStats } from '../../shared/utils/preview-cache.js';
 import { clearAllHeaders } from '../../shared/utils/headers-utils.js';
 import { getVideo, dismissVideoFromTab, cleanupAllVideos, sendFullRefresh } from '../processing/video-store.js';
@@ -12,6 +12,8 @@ import nativeHostService from './native-host-service.js';
 import { updateTabIcon } from '../state/tab-manager.js';
 import { settingsManager } from '../index.js';
 import { generateVideoPreview, clearAllProcessing } from '../processing/video-processor.js';
+import { clearAllAdEvidence } from '../detection/ad-classifier.js';
+import { startMseRecording } from '../download/mse-capture-transfer.js';
 
 // Track all popup connections - simplified single map
 const popupPorts = new Map(); // key = portId, value = {port, tabId, url}
@@ -85,6 +87,11 @@ async function handlePortMessage(message, port, portId) {
             }
             break;
 
+        case 'mse-record':
+            // The user picked a captured stream: the page starts keeping its media segments
+            startMseRecording(message.tabId, message.url, message.frameId);
+            break;
+            
         case 'dismissVideo':
             // Dismiss the video for this tab (counters and icon updated automatically)
             dismissVideoFromTab(message.tabId, message.url);
@@ -101,13 +108,22 @@ async function handlePortMessage(message, port, portId) {
             cancelDownload(message);
             break;
             
+        case 'pause-download':
+            pauseDownload(message);
+            break;
+            
+        case 'resume-download':
+            resumeDownload(message);
+            break;
+            
         case 'clearCaches':
             updateTabIcon();
             clearAllHeaders(); 
             cleanupAllVideos(); // Includes icon reset for all tabs
 			clearAllProcessing(); // Clear all processing state
+			clearAllAdEvidence(); // Forget VAST ad media seen on all tabs
             await clearPreviewCache(); // Clear preview cache
-            console.debug('Cleared all caches (video + headers + preview + icons)');
+            console.debug('Cleared all caches (video + headers + ad evidence + preview + icons)');
             
             // Send confirmation back to popup
             port.postMessage({
@@ -351,12 +367,18 @@ async function handlePortMessage(message, port, portId) {
 
 /**
  * Handle runtime messages (request-response pattern)
- * Currently not used at all
+ * Only acknowledges content script reports the video detector handles
  */
 async function handleRuntimeMessage(message, sender, sendResponse) {
     console.debug('Received runtime message:', message.command);
     
     switch (message.command) {
+        case 'dom-scan':
+        case 'mse-detected':
+        case 'mse-released':
+            // Scanner and capture reports are handled by the video detector
+            sendResponse({ success: true });
+            break;
         default:
             console.warn('Unknown runtime message command:', message.command);
             sendResponse({ success: false, error: 'Unknown command' });
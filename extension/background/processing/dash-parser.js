@@ -1,92 +1,57 @@
 /**
  * DASH Parser
- * Specialized DASH MPD manifest parsing with proper adaptation set handling
+ * DASH MPD manifest parsing on top of the MPD model
+ * - Tracks from the main Period (the one FFmpeg downloads), with attributes inherited from their AdaptationSet
+ * - Multi-period content reported as one video with its Period boundaries (for chapters and ad removal)
+ * - SegmentBase tracks sized exactly from their sidx, with a segment map of byte ranges and times
+ * - Live manifests report their DVR window and suggested latency for the recording options
+ * - Thumbnail tile AdaptationSets (DASH-IF image/jpeg) listed as storyboard sources for hover previews
  */
 
 import {
     calculateEstimatedFileSizeBytes,
     parseFrameRate,
-    extractAttribute,
     detectContainerFromDashTrack
 } from './parser-utils.js';
 import { fetchManifest } from './manifest-fetcher.js';
+import { buildMpdModel, expandSegments } from './mpd-model.js';
+import { parseSidx } from './sidx-parser.js';
 import { standardizeResolution, normalizeUrl } from '../../shared/utils/processing-utils.js';
 
 // Track URLs currently being processed to prevent duplicates
 const processingUrls = new Set();
 
-/**
- * Parse DASH duration string (ISO 8601 format)
- * Example: PT1H22M3.546S
- * 
- * @param {string} durationStr - The duration string
- * @returns {number} Duration in seconds
- */
-export function parseDashDuration(durationStr) {
-    if (!durationStr) return 0;
-    
-    // Handle full ISO 8601 duration format including years, months, days
-    // P[n]Y[n]M[n]DT[n]H[n]M[n]S
-    const regex = /P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?/;
-    const matches = durationStr.match(regex);
-    
-    if (!matches) return 0;
-    
-    // Extract time components (we're simplifying by using approximate values for years/months)
-    const years = matches[1] ? parseInt(matches[1], 10) * 31536000 : 0;   // Approximate year as 365 days
-    const months = matches[2] ? parseInt(matches[2], 10) * 2592000 : 0;   // Approximate month as 30 days
-    const days = matches[3] ? parseInt(matches[3], 10) * 86400 : 0;
-    const hours = matches[4] ? parseInt(matches[4], 10) * 3600 : 0;
-    const minutes = matches[5] ? parseInt(matches[5], 10) * 60 : 0;
-    const seconds = matches[6] ? parseFloat(matches[6]) : 0;
-    
-    // Calculate the total and round to full seconds
-    return Math.round(years + months + days + hours + minutes + seconds);
-}
+// Parallel sidx requests per manifest
+const SIDX_CONCURRENCY = 4;
 
-/**
- * Helper function to extract AdaptationSet sections
- * 
- * @param {string} content - The MPD content
- * @returns {Array<string>} Array of AdaptationSet XML strings
- */
-export function extractAdaptationSets(content) {
-    const adaptationSets = [];
-    const regex = /<AdaptationSet[^>]*>[\s\S]*?<\/AdaptationSet>/g;
-    let match;
-    while ((match = regex.exec(content)) !== null) {
-        adaptationSets.push(match[0]);
-    }
-    return adaptationSets;
-}
+// EssentialProperty scheme of thumbnail tile Representations; its value is the grid, e.g. "10x1"
+const THUMBNAIL_TILE_SCHEME = 'http://dashif.org/thumbnail_tile';
 
-/**
- * Helper function to extract Representation sections
- * 
- * @param {string} adaptationSetContent - The AdaptationSet XML content
- * @returns {Array<string>} Array of Representation XML strings
- */
-export function extractRepresentations(adaptationSetContent) {
-    const representations = [];
-    const regex = /<Representation[^>]*(?:>[\s\S]*?<\/Representation>|[/]?>)/g;
-    let match;
-    while ((match = regex.exec(adaptationSetContent)) !== null) {
-        representations.push(match[0]);
-    }
-    return representations;
-}
+// ContentProtection schemeIdUri (hyphens removed) -> encryption type, in order of precedence
+const ENCRYPTION_SCHEMES = [
+    ['urn:mpeg:dash:mp4protection:2011', 'cenc'],
+    ['urn:uuid:edef8ba979d64acea3c827dcd51d21ed', 'widevine'],
+    ['urn:uuid:9a04f07998404286ab92e65be0885f95', 'playready'],
+    ['urn:uuid:f239e769efa348509c16a903c6932efb', 'clearkey'],
+    ['urn:uuid:94ce86fb07ff4f43adb893d2fa968ca2', 'fairplay'],
+    ['urn:uuid:5e629af538da4063897797ffbd9902d4', 'marlin'],
+    ['urn:uuid:1077efecc0b24d02ace33c1e52e2fb4b', 'verimatrix'],
+    ['urn:uuid:6a99532d869f40eaa75b8ebe2e279df6', 'oma-drm']
+];
 
 /**
  * Determine the media type of an adaptation set
- * @param {string} adaptationSetContent - AdaptationSet XML content
- * @returns {string} Media type: 'video', 'audio', 'subtitles', or 'unknown'
+ * @param {Object} adaptationSet - AdaptationSet from the MPD model
+ * @returns {string} Media type: 'video', 'audio', 'subtitles', 'image', or 'unknown'
  */
-function getAdaptationSetType(adaptationSetContent) {
-    // Check for mimeType and contentType attributes
-    const mimeType = extractAttribute(adaptationSetContent, 'mimeType') || '';
-    const contentType = extractAttribute(adaptationSetContent, 'contentType') || '';
+function getAdaptationSetType(adaptationSet) {
+    const firstRepresentation = adaptationSet.representations[0] || {};
+    const mimeType = adaptationSet.mimeType || firstRepresentation.mimeType || '';
+    const contentType = adaptationSet.contentType || '';
     
-    if (mimeType.includes('video') || contentType === 'video') {
+    if (mimeType.startsWith('image/') || contentType === 'image') {
+        return 'image';
+    } else if (mimeType.includes('video') || contentType === 'video') {
         return 'video';
     } else if (mimeType.includes('audio') || contentType === 'audio') {
         return 'audio';
@@ -97,18 +62,16 @@ function getAdaptationSetType(adaptationSetContent) {
     }
     
     // Check for specific roles or codec indicators if mime/content type not available
-    if (adaptationSetContent.includes('<Role value="subtitle"') || 
-        adaptationSetContent.includes('<Role value="caption"')) {
+    if (adaptationSet.roles.includes('subtitle') || adaptationSet.roles.includes('caption')) {
         return 'subtitles';
     }
     
-    if (adaptationSetContent.includes('mp4a.') || adaptationSetContent.includes('vorbis') || 
-        adaptationSetContent.includes('opus') || adaptationSetContent.includes('ec-3')) {
+    const codecs = adaptationSet.codecs || firstRepresentation.codecs || '';
+    if (/mp4a\.|vorbis|opus|ec-3|ac-3/.test(codecs)) {
         return 'audio';
     }
     
-    if (adaptationSetContent.includes('avc') || adaptationSetContent.includes('hvc1') || 
-        adaptationSetContent.includes('vp9') || adaptationSetContent.includes('av1')) {
+    if (/avc|hvc1|hev1|vp09|vp9|av01|av1/.test(codecs)) {
         return 'video';
     }
     
@@ -116,87 +79,130 @@ function getAdaptationSetType(adaptationSetContent) {
 }
 
 /**
- * Extract channel count from audio configuration
- * 
- * @param {string} adaptationSetContent - AdaptationSet XML content
- * @param {string} representationContent - Representation XML content
- * @returns {number|null} Number of audio channels or null if not found
+ * Encryption type from the ContentProtection schemes anywhere in the manifest
+ * @param {Object} model - MPD model
+ * @returns {Object} { isEncrypted, encryptionType }
  */
-function extractChannelCount(adaptationSetContent, representationContent) {
-    // Check representation first, then adaptation set
-    const repChannels = extractAttribute(representationContent, 'audioChannels') || 
-                       extractAttribute(representationContent, 'channels');
-    if (repChannels) {
-        return parseInt(repChannels, 10);
-    }
-    
-    const adaptChannels = extractAttribute(adaptationSetContent, 'audioChannels') || 
-                         extractAttribute(adaptationSetContent, 'channels');
-    if (adaptChannels) {
-        return parseInt(adaptChannels, 10);
+function getEncryptionInfo(model) {
+    const schemes = new Set();
+    for (const period of model.periods) {
+        for (const adaptationSet of period.adaptationSets) {
+            for (const representation of adaptationSet.representations) {
+                representation.contentProtection.forEach(protection => schemes.add((protection.schemeIdUri || '').toLowerCase().replace(/-/g, '')));
+            }
+        }
     }
     
-    // Check AudioChannelConfiguration value
-    const audioChannelConfigMatch = (representationContent + adaptationSetContent)
-        .match(/<AudioChannelConfiguration[^>]*value="([^"]+)"[^>]*\/>/);
-    if (audioChannelConfigMatch) {
-        return parseInt(audioChannelConfigMatch[1], 10);
+    if (schemes.size === 0) {
+        return { isEncrypted: false, encryptionType: null };
     }
-    
-    return null;
+    const match = ENCRYPTION_SCHEMES.find(([scheme]) => schemes.has(scheme));
+    return { isEncrypted: true, encryptionType: match ? match[1] : null };
 }
 
 /**
- * Extract role information from adaptation set
- * 
- * @param {string} adaptationSetContent - AdaptationSet XML content
- * @returns {Object} Role information with role and _default properties
+ * Period FFmpeg's DASH demuxer reads: the longest one, the last of equals
+ * Tracks and stream indices come from this Period so they line up with what gets downloaded.
+ * @param {Array<Object>} periods - Periods from the MPD model
+ * @returns {Object} Main period
  */
-function extractRoleInfo(adaptationSetContent) {
-    const roleMatch = adaptationSetContent.match(/<Role[^>]*value="([^"]+)"[^>]*\/>/);
-    const role = roleMatch ? roleMatch[1] : null;
-    const _default = role === 'main';
-    
-    return { role, _default };
+function getMainPeriod(periods) {
+    return periods.reduce((main, period) => ((period.duration || 0) >= (main.duration || 0) ? period : main), periods[0]);
 }
 
 /**
- * Extract quality label from representation
- * 
- * @param {string} representationContent - Representation XML content
- * @returns {string|null} Quality label or null if not found
+ * How far back a live manifest can be recorded and how far behind the edge players stay
+ * @param {Object} model - MPD model of a dynamic manifest
+ * @returns {Object} { dvrWindow, liveLatency } in seconds, null when the manifest does not say
  */
-function extractTrackQuality(representationContent) {
-    // Check for explicit quality attribute
-    const qualityAttr = extractAttribute(representationContent, 'quality');
-    if (qualityAttr) {
-        return qualityAttr;
+function getLiveWindow(model) {
+    let dvrWindow = model.timeShiftBufferDepth;
+    if (dvrWindow === null) {
+        // Without a declared buffer the newest Period's timeline is what can still be fetched
+        const period = model.periods[model.periods.length - 1];
+        const representation = period.adaptationSets
+            .flatMap(adaptationSet => adaptationSet.representations)
+            .find(candidate => candidate.segmentInfo?.timeline);
+        if (representation) {
+            const segments = expandSegments(representation, period).segments || [];
+            dvrWindow = segments.reduce((total, segment) => total + segment.duration, 0) || null;
+        }
     }
-    
-    return null;
+    return {
+        dvrWindow: dvrWindow !== null ? Math.floor(dvrWindow) : null,
+        liveLatency: model.suggestedPresentationDelay
+    };
 }
 
 /**
- * Check if track has accessibility features
- * 
- * @param {string} adaptationSetContent - AdaptationSet XML content
- * @returns {Object} Accessibility information
+ * Storyboard sources of a thumbnail tile AdaptationSet, one per Representation with a tile grid
+ * Each segment is one image of columns x rows thumbnails spread evenly over the segment's duration.
+ * @param {Object} adaptationSet - Image AdaptationSet from the MPD model
+ * @param {Object} period - Period the AdaptationSet belongs to
+ * @returns {Array<Object>} { kind: 'dash-tiles', url, width, height, bandwidth, columns, rows, tiles: [{ url, start, duration }] }
  */
-function extractAccessibilityInfo(adaptationSetContent) {
-    const hasAccessibility = adaptationSetContent.includes('<Accessibility') ||
-                           adaptationSetContent.includes('role="caption"') ||
-                           adaptationSetContent.includes('role="subtitle"') ||
-                           adaptationSetContent.includes('role="description"');
-    
-    const isForced = adaptationSetContent.includes('role="forced-subtitle"') ||
-                    adaptationSetContent.includes('forced="true"');
-    
-    return { hasAccessibility, isForced };
+function getTileSources(adaptationSet, period) {
+    const sources = [];
+    for (const representation of adaptationSet.representations) {
+        const grid = representation.essentialProperties.find(descriptor => descriptor.schemeIdUri === THUMBNAIL_TILE_SCHEME);
+        const [, columns, rows] = /^(\d+)x(\d+)$/.exec(grid?.value || '') || [];
+        if (!columns || !representation.width || !representation.height) continue;
+        
+        const tiles = (expandSegments(representation, period).segments || [])
+            .map(({ url, start, duration }) => ({ url, start: (period.start || 0) + start, duration }));
+        if (tiles.length === 0) continue;
+        
+        sources.push({
+            kind: 'dash-tiles',
+            url: tiles[0].url,
+            width: Math.floor(representation.width / columns),
+            height: Math.floor(representation.height / rows),
+            bandwidth: representation.bandwidth,
+            columns: parseInt(columns, 10),
+            rows: parseInt(rows, 10),
+            tiles
+        });
+    }
+    return sources;
+}
+
+/**
+ * Replace the bandwidth-based size estimates of SegmentBase tracks with exact figures from their sidx
+ * Each index is one small ranged request; a track whose index cannot be read keeps its estimate.
+ * @param {Array<Object>} targets - { track, representation } pairs
+ * @param {Object} period - Period the representations belong to
+ * @param {Object} headers - Request headers
+ */
+async function applySegmentIndexes(targets, period, headers) {
+    const queue = [...targets];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const { track, representation } = queue.shift();
+            const { initialization, index } = expandSegments(representation, period);
+            if (!index) continue;
+            
+            const result = await fetchManifest(index.url, headers, { byteRange: index.byteRange, maxRetries: 1, timeoutMs: 5000 });
+            const sidx = result.success ? parseSidx(result.bytes, index.byteRange.offset) : null;
+            if (!sidx || sidx.segments.length === 0) {
+                console.debug(`No usable sidx for DASH track ${track.id}, keeping the size estimate`);
+                continue;
+            }
+            
+            // The media follows the header and index, so the last referenced byte ends the file
+            track.estimatedFileSizeBytes = sidx.end;
+            track.segmentMap = {
+                initRange: initialization?.byteRange || null,
+                indexRange: index.byteRange,
+                segments: sidx.segments.map(({ offset, size, start, duration }) => ({ offset, size, start, duration }))
+            };
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(SIDX_CONCURRENCY, queue.length) }, worker));
 }
 
 /**
  * Parse a DASH MPD document and organize content by media type
- * First validates if it's really a DASH manifest using light parsing
+ * First validates it by building the MPD model
  * 
  * @param {string} url - URL of the DASH manifest
  * @returns {Promise<Object>} Validated and parsed DASH content structured by media type
@@ -241,8 +247,8 @@ export async function parseDashManifest(videoObject) {
         const content = fetchResult.content;
         
         // Validate DASH format
-        if (!content.includes('<MPD') || 
-            (!content.includes('xmlns="urn:mpeg:dash:schema:mpd') && !content.includes('</MPD>'))) {
+        const model = content.includes('<MPD') ? buildMpdModel(content, url) : null;
+        if (!model || model.periods.length === 0) {
             console.warn(`Not a valid DASH manifest: ${url}`);
             return {
                 status: 'invalid-format',
@@ -256,50 +262,34 @@ export async function parseDashManifest(videoObject) {
         
         console.debug(`Confirmed valid DASH manifest: ${url}`);
         
-        // Check if this is a live stream first
-        const isLive = content.match(/type="dynamic"/i) !== null;
+        const isLive = model.isLive;
         
-        // Extract basic MPD properties - skip duration parsing for live streams
-        const duration = isLive ? null : (() => {
-            const durationMatch = content.match(/mediaPresentationDuration="([^"]+)"/);
-            return durationMatch ? parseDashDuration(durationMatch[1]) : null;
-        })();
+        // Duration of the whole presentation - skipped for live streams
+        const duration = isLive || model.duration === null ? null : Math.round(model.duration);
+        const { dvrWindow, liveLatency } = isLive ? getLiveWindow(model) : { dvrWindow: null, liveLatency: null };
         
         // Check for encryption/DRM
-        const isEncrypted = content.includes('<ContentProtection') || 
-                           content.includes('cenc:') || 
-                           content.includes('dashif:');
+        const { isEncrypted, encryptionType } = getEncryptionInfo(model);
         
-        // Try to extract encryption type if present
-        let encryptionType = null;
-        if (isEncrypted) {
-            // Check for common encryption schemes
-            if (content.includes('urn:mpeg:dash:mp4protection:2011')) {
-                encryptionType = 'cenc';
-            } else if (content.includes('urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed')) {
-                encryptionType = 'widevine';
-            } else if (content.includes('urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95')) {
-                encryptionType = 'playready';
-            } else if (content.includes('urn:uuid:f239e769-efa3-4850-9c16-a903c6932efb')) {
-                encryptionType = 'clearkey';
-            } else if (content.includes('urn:uuid:94ce86fb-07ff-4f43-adb8-93d2fa968ca2')) {
-                encryptionType = 'fairplay';
-            } else if (content.includes('urn:uuid:5e629af5-38da-4063-8977-97ffbd9902d4')) {
-                encryptionType = 'marlin';
-            } else if (content.includes('urn:uuid:1077efecc0b24d02ace33c1e52e2fb4b')) {
-                encryptionType = 'verimatrix';
-            } else if (content.includes('urn:uuid:6a99532d-869f-40ea-a75b-8ebe2e279df6')) {
-                encryptionType = 'oma-drm';
-            }
-        }
-        
-        // Extract all adaptation sets
-        const adaptationSets = extractAdaptationSets(content);
+        // Multi-period content is one logical video; tracks come from the Period FFmpeg will read
+        const mainPeriod = getMainPeriod(model.periods);
+        const periods = model.periods.length > 1
+            ? model.periods.map(period => ({
+                id: period.id,
+                start: period.start,
+                duration: period.duration,
+                isMain: period === mainPeriod
+            }))
+            : null;
         
         // Initialize track arrays
         const videoTracks = [];
         const audioTracks = [];
         const subtitleTracks = [];
+        const storyboardSources = [];
+        
+        // SegmentBase tracks whose exact size can be read from their sidx
+        const indexedTracks = [];
         
         // Initialize counters for FFmpeg stream indices
         let videoIndex = 0;
@@ -307,34 +297,31 @@ export async function parseDashManifest(videoObject) {
         let subtitleIndex = 0;
         
         // Process each adaptation set
-        for (const adaptationSet of adaptationSets) {
+        for (const adaptationSet of mainPeriod.adaptationSets) {
             const mediaType = getAdaptationSetType(adaptationSet);
             
+            if (mediaType === 'image') {
+                // Live tiles move with the edge, so only VOD thumbnails are worth keeping
+                if (!isLive) storyboardSources.push(...getTileSources(adaptationSet, mainPeriod));
+                continue;
+            }
             if (mediaType === 'unknown') {
                 continue;
             }
             
             // Extract common adaptation set properties
-            const adaptationSetId = extractAttribute(adaptationSet, 'id') || `${mediaType}-${Date.now()}`;
-            const mimeType = extractAttribute(adaptationSet, 'mimeType') || null;
-            const codecs = extractAttribute(adaptationSet, 'codecs') || null;
-            const lang = extractAttribute(adaptationSet, 'lang') || null;
-            const label = extractAttribute(adaptationSet, 'label') || null;
-            
-            // Extract role and accessibility information
-            const roleInfo = extractRoleInfo(adaptationSet);
-            const accessibilityInfo = extractAccessibilityInfo(adaptationSet);
-            
-            // Get all representations for this adaptation set
-            const representationElements = extractRepresentations(adaptationSet);
+            const adaptationSetId = adaptationSet.id || `${mediaType}-${adaptationSet.index}`;
+            const role = adaptationSet.roles[0] || null;
+            const hasAccessibility = adaptationSet.accessibility.length > 0 ||
+                adaptationSet.roles.some(value => value === 'caption' || value === 'description');
+            const isForced = adaptationSet.forced || adaptationSet.roles.includes('forced-subtitle');
             
             // Process each representation and add it directly to the appropriate tracks array
-            for (const representation of representationElements) {
-                const repId = extractAttribute(representation, 'id') || `${adaptationSetId}-rep-${Date.now()}`;
-                const bandwidthAttr = extractAttribute(representation, 'bandwidth');
-                const bandwidth = bandwidthAttr ? parseInt(bandwidthAttr, 10) : null;
-                const repCodecs = extractAttribute(representation, 'codecs') || codecs;
-                const repMimeType = extractAttribute(representation, 'mimeType') || mimeType;
+            for (const representation of adaptationSet.representations) {
+                const repId = representation.id || `${adaptationSetId}-rep-${representation.index}`;
+                const bandwidth = representation.bandwidth;
+                const repCodecs = representation.codecs;
+                const repMimeType = representation.mimeType;
                 
                 // Create flattened representation object with adaptation set properties
                 const flatRepresentation = {
@@ -343,12 +330,12 @@ export async function parseDashManifest(videoObject) {
                     bandwidth: bandwidth,
                     codecs: repCodecs,
                     mimeType: repMimeType,
-                    lang: lang,
-                    label: label,
-                    role: roleInfo.role,
-                    default: roleInfo._default,
-                    hasAccessibility: accessibilityInfo.hasAccessibility,
-                    isForced: accessibilityInfo.isForced,
+                    lang: adaptationSet.lang,
+                    label: adaptationSet.label,
+                    role: role,
+                    default: role === 'main',
+                    hasAccessibility: hasAccessibility,
+                    isForced: isForced,
                     estimatedFileSizeBytes: calculateEstimatedFileSizeBytes(bandwidth, duration)
                 };
                 
@@ -356,14 +343,20 @@ export async function parseDashManifest(videoObject) {
                 flatRepresentation.trackUrl = `${url}#adaptationSet=${adaptationSetId}&representation=${repId}`;
                 flatRepresentation.normalizedTrackUrl = normalizeUrl(flatRepresentation.trackUrl);
                 
+                // WebM indexRanges point at Cues rather than a sidx
+                if (!isLive && representation.segmentInfo?.kind === 'base' && representation.segmentInfo.indexRange &&
+                    !(repMimeType || '').includes('webm')) {
+                    indexedTracks.push({ track: flatRepresentation, representation });
+                }
+                
                 // Add media-specific properties
                 if (mediaType === 'video') {
-                    flatRepresentation.width = parseInt(extractAttribute(representation, 'width'), 10) || null;
-                    flatRepresentation.height = parseInt(extractAttribute(representation, 'height'), 10) || null;
+                    flatRepresentation.width = representation.width;
+                    flatRepresentation.height = representation.height;
                     flatRepresentation.standardizedResolution = flatRepresentation.height ? 
                         standardizeResolution(flatRepresentation.height) : null;
-                    flatRepresentation.frameRate = parseFrameRate(extractAttribute(representation, 'frameRate') || null);
-                    flatRepresentation.trackQuality = extractTrackQuality(representation);
+                    flatRepresentation.frameRate = parseFrameRate(representation.frameRate);
+                    flatRepresentation.trackQuality = representation.quality;
                     
                     // Calculate resolution string
                     if (flatRepresentation.width && flatRepresentation.height) {
@@ -385,8 +378,8 @@ export async function parseDashManifest(videoObject) {
                     videoTracks.push(flatRepresentation);
                 } 
                 else if (mediaType === 'audio') {
-                    flatRepresentation.audioSamplingRate = parseInt(extractAttribute(representation, 'audioSamplingRate'), 10) || null;
-                    flatRepresentation.channels = extractChannelCount(adaptationSet, representation);
+                    flatRepresentation.audioSamplingRate = representation.audioSamplingRate;
+                    flatRepresentation.channels = representation.channels;
                     
                     // Detect audio container based on DASH mimeType and codecs
                     const audioContainerDetection = detectContainerFromDashTrack({
@@ -420,6 +413,8 @@ export async function parseDashManifest(videoObject) {
             }
         }
         
+        await applySegmentIndexes(indexedTracks, mainPeriod, headers);
+        
         // Sort track arrays by mimeType, then codecs, then bandwidth (highest first)
         const sortTracks = (tracks) => tracks.sort((a, b) => {
             // Phase 1: mimeType (mp4 first, then webm)
@@ -459,11 +454,15 @@ export async function parseDashManifest(videoObject) {
             timestampParsed: timestampParsed,
             duration: duration,
             isLive: isLive,
+            dvrWindow: dvrWindow,
+            liveLatency: liveLatency,
             isEncrypted: isEncrypted,
             encryptionType: encryptionType,
+            periods: periods,
             videoTracks: videoTracks,
             audioTracks: audioTracks,
             subtitleTracks: subtitleTracks,
+            storyboardSources: storyboardSources,
             status: 'success'
         };
         
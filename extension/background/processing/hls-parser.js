@@ -2,6 +2,11 @@
  * HLS Parser
  * Pure JavaScript-based parsing of HLS manifests without FFprobe
  * Provides lightweight and full parsing capabilities for HLS content
+ * Recognizes Low-Latency HLS (partial segments, preload hints, blocking reloads) so live recordings can use them
+ * Reads the EXT-X-PROGRAM-DATE-TIME timeline (broadcast window and gaps) for clipping by wall-clock time
+ * Groups alternate video renditions (EXT-X-MEDIA TYPE=VIDEO, e.g. camera angles) under the variants referencing them
+ * Lists I-frame and image (thumbnail tile) playlists as storyboard sources for hover previews
+ * Offers CEA-608 closed captions (INSTREAM-ID CC1-CC4) as subtitle tracks taken from the video stream
  */
 
 import { 
@@ -9,11 +14,19 @@ import {
     resolveUrl
 } from './parser-utils.js';
 import { fetchManifest } from './manifest-fetcher.js';
+import { fetchHlsKey } from './key-fetcher.js';
 import { standardizeResolution, normalizeUrl, getBaseDirectory, generateId } from '../../shared/utils/processing-utils.js';
 
 // Track URLs currently being processed to prevent duplicates
 const processingUrls = new Set();
 
+// Program date time jumps up to this size are rounding, not gaps in the timeline
+const PDT_GAP_TOLERANCE_MS = 1000;
+
+// Encryption methods whose keys can be fetched and applied by FFmpeg (KEYFORMAT="identity")
+const CLEAR_KEY_METHODS = ['AES-128', 'SAMPLE-AES'];
+const KEY_FETCH_CONCURRENCY = 4;
+
 /**
  * Parse an HLS playlist and organize content by type
  * First validates if it's really an HLS manifest using universal validator
@@ -99,12 +112,18 @@ export async function parseHlsManifest(videoObject) {
         let duration = null;
         let isEncrypted = false;
         let encryptionType = null;
+        let isDrm = false;
+        let keyFetched = null;
         let isLive = false;
         let version = null; 
         let subtitleTracks = [];
         let closedCaptions = [];
         let audioTracks = [];
         let hasMediaGroups = false;
+        let adMarkers = null;
+        let lowLatency = null;
+        let programDateTime = null;
+        let storyboardSources = [];
 
         if (isMaster) {
             // Parse the master playlist to extract variant URLs, subtitle tracks, and closed captions
@@ -117,6 +136,7 @@ export async function parseHlsManifest(videoObject) {
             closedCaptions = masterParseResult.closedCaptions || [];
             audioTracks = masterParseResult.audioTracks || [];
             hasMediaGroups = masterParseResult.hasMediaGroups || false;
+            storyboardSources = masterParseResult.storyboardSources || [];
 
             // Prepare video tracks array with basic info
             videoTracks = masterParseResult.videoTracks || [];
@@ -177,7 +197,12 @@ export async function parseHlsManifest(videoObject) {
                 duration = variantInfo.isLive ? null : variantInfo.duration; // No duration for live streams
                 isEncrypted = variantInfo.isEncrypted || false;
                 encryptionType = variantInfo.encryptionType;
+                isDrm = variantInfo.isDrm || false;
+                keyFetched = variantInfo.keyFetched ?? null;
                 isLive = variantInfo.isLive || false;
+                adMarkers = variantInfo.adMarkers || null;
+                lowLatency = variantInfo.lowLatency || null;
+                programDateTime = variantInfo.programDateTime || null;
                 
                 // Propagate metadata to all video tracks
                 videoTracks = videoTracks.map((videoTrack, index) => {
@@ -186,7 +211,11 @@ export async function parseHlsManifest(videoObject) {
                     updatedVideoTrack.metaJS.isLive = isLive;
                     updatedVideoTrack.metaJS.isEncrypted = isEncrypted;
                     updatedVideoTrack.metaJS.encryptionType = encryptionType;
+                    updatedVideoTrack.metaJS.isDrm = isDrm;
+                    updatedVideoTrack.metaJS.keyFetched = keyFetched;
                     updatedVideoTrack.metaJS.version = variantInfo.version || version;
+                    updatedVideoTrack.metaJS.lowLatency = lowLatency;
+                    updatedVideoTrack.metaJS.programDateTime = programDateTime;
                     
                     // Mark the track that was actually fetched
                     if (successfulTrackIndex >= 0 && videoTrack === allTracksWithUrls[successfulTrackIndex]) {
@@ -229,13 +258,18 @@ export async function parseHlsManifest(videoObject) {
             const variantInfo = calculateHlsVariantDuration(content);
             duration = variantInfo.duration;
             isLive = variantInfo.isLive;
+            adMarkers = extractHlsAdMarkers(content);
+            lowLatency = isLive ? extractHlsLowLatencyInfo(content) : null;
+            programDateTime = extractHlsProgramDateTime(content);
             
             console.debug(`Variant duration: ${duration}s, isLive: ${isLive}`);
             
-            // Extract encryption info
-            const encryptionInfo = extractHlsEncryptionInfo(content);
+            // Extract encryption info and check the key is reachable before the user downloads
+            const encryptionInfo = extractHlsEncryptionInfo(content, url);
             isEncrypted = encryptionInfo.isEncrypted;
             encryptionType = encryptionInfo.encryptionType;
+            isDrm = encryptionInfo.isDrm;
+            keyFetched = await probeHlsKey(encryptionInfo, headers, tabId);
             
             // Extract HLS version for standalone variant
             version = extractHlsVersion(content);
@@ -258,7 +292,11 @@ export async function parseHlsManifest(videoObject) {
                     isLive: isLive,
                     isEncrypted: isEncrypted,
                     encryptionType: encryptionType,
-                    version: version
+                    isDrm: isDrm,
+                    keyFetched: keyFetched,
+                    version: version,
+                    lowLatency: lowLatency,
+                    programDateTime: programDateTime
                 },
                 source: 'parseHlsManifest()',
                 timestampDetected: Date.now()
@@ -284,13 +322,19 @@ export async function parseHlsManifest(videoObject) {
             isLive: isLive,
             isEncrypted: isEncrypted,
             encryptionType: encryptionType,
+            isDrm: isDrm,
+            keyFetched: keyFetched,
             version: version,
+            adMarkers: adMarkers,
+            lowLatency: lowLatency,
+            programDateTime: programDateTime,
             // Standardized structure
             videoTracks: videoTracks,
             audioTracks: audioTracks,
             subtitleTracks: subtitleTracks,
             closedCaptions: closedCaptions,
             hasMediaGroups: hasMediaGroups,
+            storyboardSources: storyboardSources,
             status: 'success'
         };
         
@@ -375,14 +419,19 @@ function parseHlsMaster(content, baseUrl, masterUrl) {
         };
     });
 
-    // --- Audio, subtitle and closed caption track detection ---
-    // Parse #EXT-X-MEDIA:TYPE=AUDIO, TYPE=SUBTITLES and TYPE=CLOSED-CAPTIONS lines
+    // --- Audio, subtitle, closed caption and alternate video track detection ---
+    // Parse #EXT-X-MEDIA:TYPE=AUDIO, TYPE=SUBTITLES, TYPE=CLOSED-CAPTIONS and TYPE=VIDEO lines
     const audioTracks = [];
     const subtitleTracks = [];
     const closedCaptions = [];
+    const videoRenditions = [];
+    const storyboardSources = [];
     const lines = content.split(/\r?\n/);
     for (const line of lines) {
-        if (line.startsWith('#EXT-X-MEDIA:')) {
+        if (line.startsWith('#EXT-X-I-FRAME-STREAM-INF:') || line.startsWith('#EXT-X-IMAGE-STREAM-INF:')) {
+            const source = parseStoryboardStreamInf(line, baseUrl);
+            if (source) storyboardSources.push(source);
+        } else if (line.startsWith('#EXT-X-MEDIA:')) {
             // Parse attributes
             const attrPattern = /([A-Z0-9-]+)=(("[^"]*")|([^,]*))/g;
             let match;
@@ -459,11 +508,34 @@ function parseHlsMaster(content, baseUrl, masterUrl) {
                     });
                 }
             } else if (/TYPE=CLOSED-CAPTIONS/.test(line)) {
+                // Carried inside the video stream; groups usually repeat the same channels for every variant.
+                // Only 608 channels can be decoded: a 708 SERVICE1 is offered as the CC1 captions sent alongside it,
+                // higher services have no 608 counterpart.
+                const announcedId = attrs['INSTREAM-ID']?.toUpperCase() || null;
+                const instreamId = announcedId === 'SERVICE1' ? 'CC1' : announcedId;
+                if (!/^CC[1-4]$/.test(instreamId || '') || closedCaptions.some(caption => caption.instreamId === instreamId)) continue;
                 closedCaptions.push({
+                    id: `cc-${instreamId.toLowerCase()}`,
+                    groupId: attrs['GROUP-ID'] || null,
+                    name: attrs['NAME'] || null,
+                    language: attrs['LANGUAGE'] || null,
+                    instreamId,
+                    default: attrs['DEFAULT'] === 'YES',
+                    autoselect: attrs['AUTOSELECT'] === 'YES',
+                    characteristics: attrs['CHARACTERISTICS'] || null,
+                    closedCaption: true,
+                    // Decoded from the video to text, so any subtitle format works
+                    subtitleContainer: 'srt'
+                });
+            } else if (/TYPE=VIDEO/.test(line)) {
+                // Without a URI the rendition is the variant's own video, only named here
+                const renditionUrl = attrs['URI'] ? resolveUrl(baseUrl, attrs['URI']) : null;
+                videoRenditions.push({
                     groupId: attrs['GROUP-ID'] || null,
                     name: attrs['NAME'] || null,
                     language: attrs['LANGUAGE'] || null,
-                    instreamId: attrs['INSTREAM-ID'] || null,
+                    url: renditionUrl,
+                    normalizedUrl: renditionUrl ? normalizeUrl(renditionUrl) : null,
                     default: attrs['DEFAULT'] === 'YES',
                     autoselect: attrs['AUTOSELECT'] === 'YES',
                     characteristics: attrs['CHARACTERISTICS'] || null
@@ -471,7 +543,8 @@ function parseHlsMaster(content, baseUrl, masterUrl) {
             }
         }
     }
-    console.debug(`Found ${audioTracks.length} audio track(s), ${subtitleTracks.length} subtitle track(s) and ${closedCaptions.length} closed caption track(s) in HLS master: ${masterUrl}`);
+    attachVideoAngles(videoTracks, videoRenditions);
+    console.debug(`Found ${audioTracks.length} audio track(s), ${subtitleTracks.length} subtitle track(s), ${closedCaptions.length} closed caption track(s), ${videoRenditions.length} video rendition(s) and ${storyboardSources.length} storyboard source(s) in HLS master: ${masterUrl}`);
 
     // Sort video tracks by bandwidth (highest first for best quality)
     if (videoTracks.length > 0) {
@@ -488,19 +561,70 @@ function parseHlsMaster(content, baseUrl, masterUrl) {
         audioTracks: audioTracks,
         subtitleTracks: subtitleTracks,
         closedCaptions: closedCaptions,
-        hasMediaGroups: audioTracks.length > 0 || subtitleTracks.length > 0 || closedCaptions.length > 0,
+        hasMediaGroups: audioTracks.length > 0 || subtitleTracks.length > 0 || closedCaptions.length > 0 || videoRenditions.length > 0,
+        storyboardSources: storyboardSources,
         status: 'success',
         version: version
     };
 }
 
+/**
+ * Give each variant the camera angles of its VIDEO group
+ * The variant's own playlist is the main angle (named by a URI-less rendition if the group has one);
+ * renditions with a URI are alternate angles sharing the variant's codecs, resolution and bandwidth.
+ * @param {Array} videoTracks - Variants from the master playlist (angles are set on them)
+ * @param {Array} videoRenditions - EXT-X-MEDIA TYPE=VIDEO entries
+ */
+function attachVideoAngles(videoTracks, videoRenditions) {
+    for (const videoTrack of videoTracks) {
+        if (!videoTrack.metaJS.videoGroup) continue;
+        const group = videoRenditions.filter(rendition => rendition.groupId === videoTrack.metaJS.videoGroup);
+        const alternates = group.filter(rendition => rendition.url && rendition.normalizedUrl !== videoTrack.normalizedUrl);
+        if (alternates.length === 0) continue;
+        
+        const main = group.find(rendition => !rendition.url || rendition.normalizedUrl === videoTrack.normalizedUrl);
+        videoTrack.angles = [
+            { id: `${videoTrack.id}-angle-main`, name: main?.name || 'Main', language: main?.language || null, url: videoTrack.url, isMain: true },
+            ...alternates.map((rendition, index) => ({
+                id: `${videoTrack.id}-angle-${index + 1}`,
+                name: rendition.name || `Angle ${index + 2}`,
+                language: rendition.language,
+                url: rendition.url,
+                isMain: false
+            }))
+        ];
+    }
+}
+
+/**
+ * Parse an #EXT-X-I-FRAME-STREAM-INF or #EXT-X-IMAGE-STREAM-INF line (the playlist is its URI attribute)
+ * Image streams (Roku/DASH-IF style thumbnail tiles) need no decoding; I-frame playlists do, via the native host
+ * @param {string} line - The tag line
+ * @param {string} baseUrl - Base URL for resolving the URI
+ * @returns {Object|null} { kind: 'hls-iframe'|'hls-image', url, width, height, bandwidth, codecs } or null without a URI
+ */
+function parseStoryboardStreamInf(line, baseUrl) {
+    const attrs = parseAttributeList(line.slice(line.indexOf(':') + 1));
+    if (!attrs['URI']) return null;
+
+    const [width, height] = (attrs['RESOLUTION'] || '').split('x').map(value => parseInt(value, 10) || null);
+    return {
+        kind: line.startsWith('#EXT-X-IMAGE-STREAM-INF:') ? 'hls-image' : 'hls-iframe',
+        url: resolveUrl(baseUrl, attrs['URI']),
+        width: width || null,
+        height: height || null,
+        bandwidth: parseInt(attrs['BANDWIDTH'], 10) || null,
+        codecs: attrs['CODECS'] || null
+    };
+}
+
 /**
  * Parse an HLS variant playlist to extract full metadata
  * @param {string} variantUrl - URL of the HLS variant playlist
  * @param {Object} [headers] - Optional headers to use for the request
  * @returns {Promise<Object>} - Complete variant metadata
  */
-async function parseHlsVariant(variantUrl, headers = null, _tabId) {
+async function parseHlsVariant(variantUrl, headers = null, tabId) {
     try {
         console.debug(`Fetching variant: ${variantUrl} with headers:`, headers);
         
@@ -544,8 +668,12 @@ async function parseHlsVariant(variantUrl, headers = null, _tabId) {
         const durationInfo = calculateHlsVariantDuration(content);
         console.debug(`Variant duration info: ${JSON.stringify(durationInfo)}`);
         
-        const encryptionInfo = extractHlsEncryptionInfo(content);
+        const encryptionInfo = extractHlsEncryptionInfo(content, variantUrl);
         console.debug(`Variant encryption info: ${JSON.stringify(encryptionInfo)}`);
+        const adMarkers = extractHlsAdMarkers(content);
+        const lowLatency = durationInfo.isLive ? extractHlsLowLatencyInfo(content) : null;
+        const programDateTime = extractHlsProgramDateTime(content);
+        const keyFetched = await probeHlsKey(encryptionInfo, headers, tabId);
 
         // Extract HLS version
         const version = extractHlsVersion(content);
@@ -557,7 +685,12 @@ async function parseHlsVariant(variantUrl, headers = null, _tabId) {
             isLive: durationInfo.isLive,
             isEncrypted: encryptionInfo.isEncrypted,
             encryptionType: encryptionInfo.isEncrypted ? encryptionInfo.encryptionType : null,
+            isDrm: encryptionInfo.isDrm,
+            keyFetched,
             version: version,
+            adMarkers,
+            lowLatency,
+            programDateTime,
             // Container information for download (HLS defaults)
             videoContainer: 'mp4',
             audioContainer: 'm4a'
@@ -612,36 +745,279 @@ function calculateHlsVariantDuration(content) {
     };
 }
 
+/**
+ * Low-Latency HLS capabilities of a media playlist
+ * @param {string} content - Media playlist content
+ * @returns {Object|null} { partTarget, partHoldBack, holdBack, canBlockReload, canSkipUntil, hasPreloadHint },
+ *   null for playlists without partial segments
+ */
+export function extractHlsLowLatencyInfo(content) {
+    let partTarget = null;
+    let serverControl = {};
+    let hasPreloadHint = false;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line.startsWith('#EXT-X-PART-INF:')) {
+            partTarget = parseFloat(parseAttributeList(line.slice('#EXT-X-PART-INF:'.length))['PART-TARGET']) || null;
+        } else if (line.startsWith('#EXT-X-SERVER-CONTROL:')) {
+            serverControl = parseAttributeList(line.slice('#EXT-X-SERVER-CONTROL:'.length));
+        } else if (line.startsWith('#EXT-X-PRELOAD-HINT:')) {
+            hasPreloadHint = true;
+        }
+    }
+
+    if (partTarget === null) {
+        return null;
+    }
+    return {
+        partTarget,
+        partHoldBack: parseFloat(serverControl['PART-HOLD-BACK']) || null,
+        holdBack: parseFloat(serverControl['HOLD-BACK']) || null,
+        canBlockReload: serverControl['CAN-BLOCK-RELOAD'] === 'YES',
+        canSkipUntil: parseFloat(serverControl['CAN-SKIP-UNTIL']) || null,
+        hasPreloadHint
+    };
+}
+
+/**
+ * Wall-clock timeline of a media playlist from its EXT-X-PROGRAM-DATE-TIME tags
+ * Segments without a tag continue from the previous one; a tag that jumps away from that
+ * (more than a second) or an EXT-X-GAP segment is reported as a gap.
+ * @param {string} content - Media playlist content
+ * @returns {Object|null} { start, end, gaps: [{ date, duration }] } with dates in ms since the epoch
+ *   and durations in seconds, null for playlists without program date times
+ */
+export function extractHlsProgramDateTime(content) {
+    let start = null;
+    let nextDate = null;    // Date the next segment starts at if nothing says otherwise
+    let pendingDate = null;
+    let pendingGap = false;
+    const gaps = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+            const date = Date.parse(line.slice('#EXT-X-PROGRAM-DATE-TIME:'.length));
+            pendingDate = isNaN(date) ? null : date;
+        } else if (line === '#EXT-X-GAP') {
+            pendingGap = true;
+        } else if (line.startsWith('#EXTINF:')) {
+            const duration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+            if (pendingDate !== null) {
+                if (nextDate !== null && Math.abs(pendingDate - nextDate) > PDT_GAP_TOLERANCE_MS) {
+                    gaps.push({ date: nextDate, duration: (pendingDate - nextDate) / 1000 });
+                }
+                nextDate = pendingDate;
+                start ??= pendingDate;
+            }
+            if (pendingGap && nextDate !== null) {
+                gaps.push({ date: nextDate, duration });
+            }
+            if (nextDate !== null) {
+                nextDate += duration * 1000;
+            }
+            pendingDate = null;
+            pendingGap = false;
+        }
+    }
+
+    if (start === null) {
+        return null;
+    }
+    return { start, end: nextDate, gaps };
+}
+
+/**
+ * Ad break markers of an HLS media playlist
+ * Server-side inserted breaks are found from EXT-X-CUE-OUT/CUE-IN pairs (a CUE-OUT with a duration
+ * also ends on its own) and EXT-X-DATERANGE tags carrying SCTE35-OUT/SCTE35-IN.
+ * @param {string} content - Media playlist content
+ * @returns {Object} { discontinuities, adBreakDuration, adBreaks } - adBreaks as [{ start, duration }] in seconds
+ */
+export function extractHlsAdMarkers(content) {
+    let discontinuities = 0;
+    let elapsed = 0;
+    let openBreak = null; // { start, duration, plannedDuration, id }
+    const adBreaks = [];
+
+    const closeBreak = () => {
+        if (openBreak?.duration > 0) {
+            adBreaks.push({ start: openBreak.start, duration: openBreak.duration });
+        }
+        openBreak = null;
+    };
+    const openAdBreak = (plannedDuration, id = null) => {
+        if (openBreak) return;
+        openBreak = { start: elapsed, duration: 0, plannedDuration: plannedDuration > 0 ? plannedDuration : null, id };
+    };
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line === '#EXT-X-DISCONTINUITY') {
+            discontinuities++;
+        } else if (line.startsWith('#EXT-X-CUE-OUT-CONT')) {
+            // Playlist window that starts in the middle of a break
+            openAdBreak(null);
+        } else if (line.startsWith('#EXT-X-CUE-OUT')) {
+            // #EXT-X-CUE-OUT:30 or #EXT-X-CUE-OUT:DURATION=30
+            const value = line.slice('#EXT-X-CUE-OUT'.length).replace(/^:/, '');
+            openAdBreak(parseFloat(value.replace(/^DURATION=/i, '')));
+        } else if (line.startsWith('#EXT-X-CUE-IN')) {
+            closeBreak();
+        } else if (line.startsWith('#EXT-X-DATERANGE:')) {
+            const attrs = parseDateRange(line);
+            if (attrs['SCTE35-OUT']) {
+                openAdBreak(parseFloat(attrs.DURATION || attrs['PLANNED-DURATION']), attrs.ID || null);
+            } else if (attrs['SCTE35-IN'] && openBreak && (!openBreak.id || !attrs.ID || openBreak.id === attrs.ID)) {
+                closeBreak();
+            }
+        } else if (line.startsWith('#EXTINF:')) {
+            const segmentDuration = parseFloat(line.substring(8)) || 0;
+            elapsed += segmentDuration;
+            if (openBreak) {
+                openBreak.duration += segmentDuration;
+                // A break announced with a duration and no CUE-IN ends once that much has played
+                if (openBreak.plannedDuration && openBreak.duration >= openBreak.plannedDuration - 0.5) {
+                    closeBreak();
+                }
+            }
+        }
+    }
+    closeBreak();
+
+    const round = value => Math.round(value * 10) / 10;
+    return {
+        discontinuities,
+        adBreakDuration: Math.round(adBreaks.reduce((sum, adBreak) => sum + adBreak.duration, 0)),
+        adBreaks: adBreaks.map(adBreak => ({ start: round(adBreak.start), duration: round(adBreak.duration) }))
+    };
+}
+
+// Attributes of a tag's attribute list (quoted values unquoted)
+function parseAttributeList(attributeString) {
+    const attrs = {};
+    const attributePattern = /([A-Z0-9-]+)=(?:"([^"]*)"|([^,]*))/g;
+    let match;
+    while ((match = attributePattern.exec(attributeString)) !== null) {
+        attrs[match[1]] = match[2] ?? match[3];
+    }
+    return attrs;
+}
+
+// Attributes of an EXT-X-DATERANGE tag
+function parseDateRange(line) {
+    return parseAttributeList(line.slice('#EXT-X-DATERANGE:'.length));
+}
+
 /**
  * Extract encryption information from HLS playlist content
+ * Keys with a fetchable URI and the identity KEYFORMAT can be downloaded; anything else is DRM.
  * @param {string} content - HLS playlist content
- * @returns {Object} - Encryption information
+ * @param {string} [playlistUrl] - Playlist URL for resolving relative key URIs
+ * @returns {Object} - Encryption information with the unique key URIs (several when keys rotate)
  */
-function extractHlsEncryptionInfo(content) {
+export function extractHlsEncryptionInfo(content, playlistUrl = null) {
     let isEncrypted = false;
     let encryptionType = null;
+    let isDrm = false;
+    const keyUris = new Set();
     
-    // Check for encryption by looking for EXT-X-KEY tags
     const lines = content.split(/\r?\n/);
     for (const line of lines) {
-        if (line.trim().startsWith('#EXT-X-KEY:')) {
-            isEncrypted = true;
-            
-            // Try to extract encryption method
-            const methodMatch = line.match(/METHOD=([^,]+)/);
-            if (methodMatch && methodMatch[1]) {
-                encryptionType = methodMatch[1].replace(/"/g, '');  // Remove quotes if present
-            }
-            break; // Found what we need
+        const tag = line.trim();
+        if (!tag.startsWith('#EXT-X-KEY:')) continue;
+        
+        const attrs = parseAttributeList(tag.slice('#EXT-X-KEY:'.length));
+        
+        if (!attrs.METHOD || attrs.METHOD === 'NONE') continue;
+        
+        isEncrypted = true;
+        encryptionType = encryptionType || attrs.METHOD;
+        
+        const keyFormat = attrs.KEYFORMAT || 'identity';
+        let keyUri = attrs.URI || null;
+        try {
+            keyUri = keyUri && playlistUrl ? new URL(keyUri, playlistUrl).href : keyUri;
+        } catch {
+            // Leave unparsable URIs as-is; they are not fetchable either way
+        }
+        
+        if (!CLEAR_KEY_METHODS.includes(attrs.METHOD) || keyFormat !== 'identity' || !keyUri) {
+            // FairPlay (skd://), Widevine/PlayReady KEYFORMATs and SAMPLE-AES-CTR need a license server
+            isDrm = true;
+            encryptionType = attrs.METHOD;
+        } else if (/^https?:/i.test(keyUri)) {
+            keyUris.add(keyUri);
         }
     }
     
     return {
         isEncrypted: isEncrypted,
-        encryptionType: encryptionType
+        encryptionType: encryptionType,
+        isDrm: isDrm,
+        keyUris: [...keyUris]
     };
 }
 
+/**
+ * Check that the first key of an encrypted playlist can be fetched (shown in the UI before download)
+ * @param {Object} encryptionInfo - Result of extractHlsEncryptionInfo
+ * @param {Object} headers - Captured request headers
+ * @param {number} tabId - Tab whose cookies should be sent
+ * @returns {Promise<boolean|null>} Null when there is no clear key to fetch
+ */
+async function probeHlsKey(encryptionInfo, headers, tabId) {
+    if (!encryptionInfo.isEncrypted || encryptionInfo.isDrm || encryptionInfo.keyUris.length === 0) {
+        return null;
+    }
+    const result = await fetchHlsKey(encryptionInfo.keyUris[0], headers, tabId);
+    return result.success;
+}
+
+/**
+ * Resolve every key referenced by the playlists of an HLS download (rotating keys included)
+ * Keys that cannot be fetched here are left for the native host to retry with the same headers.
+ * @param {Array<string>} playlistUrls - Media playlist URLs of the download
+ * @param {Object} headers - Captured request headers
+ * @param {number} tabId - Tab whose cookies should be sent
+ * @returns {Promise<{keys: Object, failed: Array<string>, isDrm: boolean}>} Keys as { keyUrl: hex }
+ */
+export async function resolveHlsKeys(playlistUrls, headers, tabId) {
+    const keyUris = new Set();
+    let isDrm = false;
+    
+    for (const playlistUrl of playlistUrls) {
+        const fetchResult = await fetchManifest(playlistUrl, headers);
+        if (!fetchResult.success || fetchResult.content.includes('#EXT-X-STREAM-INF')) {
+            continue;
+        }
+        const encryptionInfo = extractHlsEncryptionInfo(fetchResult.content, playlistUrl);
+        isDrm = isDrm || encryptionInfo.isDrm;
+        encryptionInfo.keyUris.forEach(uri => keyUris.add(uri));
+    }
+    
+    const keys = {};
+    const failed = [];
+    const pending = [...keyUris];
+    const worker = async () => {
+        while (pending.length > 0) {
+            const uri = pending.shift();
+            const result = await fetchHlsKey(uri, headers, tabId);
+            if (result.success) {
+                keys[uri] = result.key;
+            } else {
+                console.warn(`Failed to fetch HLS key ${uri}: ${result.error || result.status}`);
+                failed.push(uri);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(KEY_FETCH_CONCURRENCY, pending.length) }, worker));
+    
+    console.debug(`Resolved ${Object.keys(keys).length}/${keyUris.size} HLS keys${isDrm ? ' (DRM detected)' : ''}`);
+    return { keys, failed, isDrm };
+}
+
 /**
  * Parse StreamInf line to extract variant information
  * Example: #EXT-X-STREAM-INF:BANDWIDTH=1280000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"
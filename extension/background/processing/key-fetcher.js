@@ -0,0 +1,81 @@
+/**
+ * Key Fetcher
+ * Single purpose: fetch HLS decryption keys with the tab's cookies and captured headers
+ */
+
+import { applyParsingRule, removeParsingRule } from './parsing-dnr.js';
+
+const AES_KEY_LENGTH = 16; // AES-128 keys are exactly 16 bytes
+
+/**
+ * Build a Cookie header from the cookie store the tab uses (incognito tabs have their own)
+ * Also used to refresh the headers of a download whose token expired.
+ * @param {string} url - Key (or media) URL
+ * @param {number} tabId - Tab the video was detected in
+ * @returns {Promise<string|null>} Cookie header value or null
+ */
+export async function getTabCookieHeader(url, tabId) {
+    if (!chrome.cookies) {
+        return null;
+    }
+
+    try {
+        const stores = await chrome.cookies.getAllCookieStores();
+        const store = stores.find(cookieStore => cookieStore.tabIds.includes(tabId));
+        const cookies = await chrome.cookies.getAll({ url, ...(store && { storeId: store.id }) });
+        return cookies.length > 0 ? cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : null;
+    } catch (error) {
+        console.debug(`Could not read cookies for ${url}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Fetch a single AES-128 key
+ * @param {string} url - Absolute key URL
+ * @param {Object} headers - Headers captured with the manifest request
+ * @param {number} tabId - Tab whose cookies should be sent
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.timeoutMs=10000] - Timeout in milliseconds
+ * @returns {Promise<{success: boolean, key?: string, status: number, error?: string}>} Key as hex string
+ */
+export async function fetchHlsKey(url, headers, tabId, options = {}) {
+    const { timeoutMs = 10000 } = options;
+
+    const cookieHeader = await getTabCookieHeader(url, tabId);
+    const requestHeaders = { ...(headers || {}), ...(cookieHeader && { Cookie: cookieHeader }) };
+    const ruleId = await applyParsingRule(url, requestHeaders);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(url, {
+            credentials: 'include',
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            return { success: false, status: response.status };
+        }
+
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (bytes.length !== AES_KEY_LENGTH) {
+            // Usually an HTML login/error page served with 200
+            return { success: false, status: response.status, error: `Unexpected key length ${bytes.length}` };
+        }
+
+        return {
+            success: true,
+            status: response.status,
+            key: Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+        };
+    } catch (error) {
+        return { success: false, status: 0, error: error.message };
+    } finally {
+        clearTimeout(timeoutId);
+        if (ruleId) {
+            await removeParsingRule(ruleId);
+        }
+    }
+}
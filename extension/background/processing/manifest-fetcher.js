@@ -1,6 +1,9 @@
 /**
  * Manifest Fetcher
- * Single purpose: fetch manifest content with parsing-scoped DNR
+ * - Fetches manifest content with parsing-scoped DNR
+ * - Sniffs the first bytes of responses whose URL and MIME type say nothing (extensionless
+ *   /playlist?id=... URLs served as text/plain or octet-stream) to tell manifests and media files apart
+ * - Sniffing is rate limited per host and its results are cached, so it adds at most a few small requests
  */
 
 import { applyParsingRule, removeParsingRule } from './parsing-dnr.js';
@@ -12,14 +15,24 @@ import { applyParsingRule, removeParsingRule } from './parsing-dnr.js';
  * @param {Object} [options] - Fetch options
  * @param {number} [options.timeoutMs=10000] - Timeout in milliseconds
  * @param {number} [options.maxRetries=2] - Maximum retry attempts
- * @returns {Promise<{content: string, success: boolean, status: number, error?: string}>}
+ * @param {number} [options.rangeBytes] - Only fetch this many bytes from the start (also returned raw as `bytes`)
+ * @param {Object} [options.byteRange] - Only fetch { offset, length } (returned raw as `bytes`)
+ * @param {boolean} [options.binary=false] - Return the whole response raw as `bytes` instead of decoding it (images)
+ * @returns {Promise<{content: string, success: boolean, status: number, bytes?: Uint8Array, error?: string}>}
  */
 export async function fetchManifest(url, headers, options = {}) {
     const {
         timeoutMs = 10000,
-        maxRetries = 2
+        maxRetries = 2,
+        rangeBytes = null,
+        byteRange = null,
+        binary = false
     } = options;
     
+    const range = byteRange
+        ? { start: byteRange.offset, end: byteRange.offset + byteRange.length - 1 }
+        : (rangeBytes ? { start: 0, end: rangeBytes - 1 } : null);
+    
     let ruleId = null;
     let attempt = 0;
     
@@ -39,9 +52,23 @@ export async function fetchManifest(url, headers, options = {}) {
                 }
                 
                 const response = await fetch(url, {
-                    signal: controller.signal
+                    signal: controller.signal,
+                    ...(range && { headers: { Range: `bytes=${range.start}-${range.end}` } })
                 });
                 
+                if (response.ok && range) {
+                    // A server that ignores Range sends the file from byte 0
+                    const skip = response.status === 206 ? 0 : range.start;
+                    const bytes = (await readLeadingBytes(response, skip + range.end - range.start + 1)).subarray(skip);
+                    clearTimeout(timeoutId);
+                    return {
+                        content: decodeText(bytes),
+                        bytes,
+                        success: true,
+                        status: response.status
+                    };
+                }
+
                 clearTimeout(timeoutId);
                 
                 if (!response.ok) {
@@ -69,9 +96,13 @@ export async function fetchManifest(url, headers, options = {}) {
                     continue;
                 }
                 
-                const content = await response.text();
+                const bytes = new Uint8Array(await response.arrayBuffer());
+                clearTimeout(timeoutId);
+                if (binary) {
+                    return { content: '', bytes, success: true, status: response.status };
+                }
                 return { 
-                    content, 
+                    content: decodeText(bytes), 
                     success: true, 
                     status: response.status 
                 };
@@ -103,4 +134,184 @@ export async function fetchManifest(url, headers, options = {}) {
             await removeParsingRule(ruleId);
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Decode manifest bytes, honouring a UTF-16 byte order mark (IIS serves Smooth Streaming manifests that way)
+ * @param {Uint8Array} bytes - Response bytes
+ * @returns {string}
+ */
+function decodeText(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Read at most `limit` bytes of a response body - servers that ignore Range send the whole file
+ * @param {Response} response - Fetch response
+ * @param {number} limit - Maximum bytes to read
+ * @returns {Promise<Uint8Array>}
+ */
+async function readLeadingBytes(response, limit) {
+    if (!response.body) return new Uint8Array(0);
+    const reader = response.body.getReader();
+    const bytes = new Uint8Array(limit);
+    let length = 0;
+
+    try {
+        while (length < limit) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const take = Math.min(value.length, limit - length);
+            bytes.set(value.subarray(0, take), length);
+            length += take;
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+    return bytes.subarray(0, length);
+}
+
+// Bytes fetched to sniff a response (enough for an XML prolog or a long ftyp box)
+const SNIFF_BYTES = 4096;
+// Per-host sniffing limits
+const SNIFF_MAX_IN_FLIGHT_PER_HOST = 2;
+const SNIFF_MAX_PER_HOST_PER_MINUTE = 10;
+// Sniffed URLs remembered, including ones that turned out not to be media
+const SNIFF_CACHE_SIZE = 500;
+
+const sniffCache = new Map(); // url -> result or null
+const sniffInFlight = new Map(); // url -> Promise
+const hostSniffs = new Map(); // host -> { inFlight, timestamps }
+
+// WebM/Matroska EBML header
+const EBML_MAGIC = [0x1A, 0x45, 0xDF, 0xA3];
+// ftyp major brands of audio-only MP4
+const AUDIO_MP4_BRANDS = new Set(['M4A ', 'M4B ', 'M4P ', 'F4A ']);
+
+/**
+ * Identify a response from its first bytes
+ * @param {Uint8Array} bytes - Leading bytes of the response
+ * @returns {Object|null} { type, mediaType?, mime } or null if neither a manifest, a media file nor an ad response
+ */
+function identifyContent(bytes) {
+    const text = decodeText(bytes.subarray(0, 1024)).trimStart();
+
+    if (text.startsWith('#EXTM3U')) {
+        return { type: 'hls', mime: 'application/x-mpegurl' };
+    }
+    if (text.startsWith('<') && /<MPD[\s>]/.test(text)) {
+        return { type: 'dash', mime: 'application/dash+xml' };
+    }
+    if (text.startsWith('<') && /<SmoothStreamingMedia[\s>]/.test(text)) {
+        return { type: 'mss', mime: 'application/vnd.ms-sstr+xml' };
+    }
+    // Ad responses are not media, but tell the ad classifier which media files are ads
+    if (text.startsWith('<') && /<(?:VAST|(?:vmap:)?VMAP)[\s>]/.test(text)) {
+        return { type: 'vast', mime: 'application/xml' };
+    }
+
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    // A media segment starts with styp/moof, so only a file with its own ftyp box counts as direct media
+    if (bytes.length >= 12 && ascii(4, 8) === 'ftyp') {
+        const isAudio = AUDIO_MP4_BRANDS.has(ascii(8, 12));
+        return { type: 'direct', mediaType: isAudio ? 'audio' : 'video', mime: isAudio ? 'audio/mp4' : 'video/mp4' };
+    }
+    if (EBML_MAGIC.every((byte, i) => bytes[i] === byte)) {
+        const isWebm = ascii(0, Math.min(bytes.length, 64)).includes('webm');
+        return { type: 'direct', mediaType: 'video', mime: isWebm ? 'video/webm' : 'video/x-matroska' };
+    }
+
+    return null;
+}
+
+/**
+ * Take a sniffing slot for a host, or report that the host is at its limit
+ * @param {string} host - Hostname
+ * @returns {boolean} True if a slot was taken (release with releaseSniffSlot)
+ */
+function takeSniffSlot(host) {
+    const now = Date.now();
+    const state = hostSniffs.get(host) || { inFlight: 0, timestamps: [] };
+    state.timestamps = state.timestamps.filter(timestamp => now - timestamp < 60000);
+
+    if (state.inFlight >= SNIFF_MAX_IN_FLIGHT_PER_HOST || state.timestamps.length >= SNIFF_MAX_PER_HOST_PER_MINUTE) {
+        hostSniffs.set(host, state);
+        return false;
+    }
+
+    state.inFlight++;
+    state.timestamps.push(now);
+    hostSniffs.set(host, state);
+    return true;
+}
+
+function releaseSniffSlot(host) {
+    const state = hostSniffs.get(host);
+    if (!state) return;
+    state.inFlight--;
+    if (state.inFlight <= 0 && state.timestamps.length === 0) {
+        hostSniffs.delete(host);
+    }
+}
+
+function cacheSniffResult(url, result) {
+    if (sniffCache.size >= SNIFF_CACHE_SIZE) {
+        sniffCache.delete(sniffCache.keys().next().value);
+    }
+    sniffCache.set(url, result);
+}
+
+/**
+ * Fetch the first bytes of a URL and tell whether it is an HLS/DASH manifest, an MP4/WebM file or a VAST/VMAP ad response
+ * Returns null without fetching when the URL's host is at its sniffing limit; such URLs are not
+ * cached, so a later request for them gets another chance.
+ * @param {string} url - URL to sniff
+ * @param {Object} headers - Headers for DNR rule
+ * @returns {Promise<Object|null>} { type: 'hls'|'dash'|'mss'|'direct'|'vast', mediaType?, mime } or null
+ */
+export async function sniffContent(url, headers) {
+    if (sniffCache.has(url)) {
+        return sniffCache.get(url);
+    }
+    if (sniffInFlight.has(url)) {
+        return sniffInFlight.get(url);
+    }
+
+    let host;
+    try {
+        host = new URL(url).hostname;
+    } catch {
+        return null;
+    }
+    if (!takeSniffSlot(host)) {
+        console.debug(`Sniffing rate limit reached for ${host}, skipping: ${url}`);
+        return null;
+    }
+
+    const pending = (async () => {
+        try {
+            const fetchResult = await fetchManifest(url, headers, {
+                rangeBytes: SNIFF_BYTES,
+                timeoutMs: 5000,
+                maxRetries: 0
+            });
+            if (!fetchResult.success) {
+                console.debug(`Sniffing failed for ${url}: ${fetchResult.error || `HTTP ${fetchResult.status}`}`);
+                return null;
+            }
+
+            const result = identifyContent(fetchResult.bytes);
+            cacheSniffResult(url, result);
+            console.debug(`Sniffed ${url} as ${result ? result.type : 'non-media'}`);
+            return result;
+        } finally {
+            releaseSniffSlot(host);
+            sniffInFlight.delete(url);
+        }
+    })();
+
+    sniffInFlight.set(url, pending);
+    return pending;
+}
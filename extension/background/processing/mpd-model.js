@@ -0,0 +1,345 @@
+/**
+ * MPD Model
+ * DASH manifest resolved into plain objects, built on the DOM-free XML parser
+ * - Periods with start and duration (explicit, up to the next Period's start, or to the end of the presentation)
+ * - AdaptationSet attributes and descriptors inherited by their Representations (mimeType, codecs, frameRate, ...)
+ * - BaseURL chains (MPD > Period > AdaptationSet > Representation) resolved against the manifest URL
+ * - Segment addressing merged across levels: SegmentTemplate (SegmentTimeline or @duration), SegmentList, SegmentBase
+ * - Segment expansion into URLs, period-relative times and byte ranges
+ */
+
+import { parseXml, getChildren, getChild, getAttribute, getText } from './xml-parser.js';
+
+// Attributes a Representation takes from its AdaptationSet when it does not set them itself
+const INHERITED_ATTRIBUTES = ['profiles', 'width', 'height', 'sar', 'frameRate', 'audioSamplingRate', 'mimeType', 'codecs', 'scanType', 'startWithSAP'];
+
+// Segment addressing element -> kind
+const SEGMENT_KINDS = { SegmentTemplate: 'template', SegmentList: 'list', SegmentBase: 'base' };
+
+/**
+ * Seconds of an xs:duration (PT1H22M3.546S, P1DT2H)
+ * Years and months are approximated as 365 and 30 days.
+ * @param {string} value - Duration string
+ * @returns {number|null} Seconds, null when absent or malformed
+ */
+export function parseMpdDuration(value) {
+    const match = /^\s*-?P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?\s*$/.exec(value || '');
+    if (!match) return null;
+    const [, years, months, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+    return years * 31536000 + months * 2592000 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function parseDate(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isFinite(time) ? time : null;
+}
+
+// "500-999" -> { offset: 500, length: 500 }
+function parseByteRange(value) {
+    const match = /^\s*(\d+)-(\d+)\s*$/.exec(value || '');
+    if (!match) return null;
+    const start = parseInt(match[1], 10);
+    return { offset: start, length: parseInt(match[2], 10) - start + 1 };
+}
+
+// First BaseURL of an element resolved against its parent's base
+function resolveBaseUrl(element, parentBaseUrl) {
+    const baseUrl = getText(getChild(element, 'BaseURL'));
+    if (!baseUrl) return parentBaseUrl;
+    try {
+        return new URL(baseUrl, parentBaseUrl).href;
+    } catch {
+        return parentBaseUrl;
+    }
+}
+
+function resolveUrl(url, baseUrl) {
+    try {
+        return new URL(url, baseUrl).href;
+    } catch {
+        return url;
+    }
+}
+
+// Descriptor elements (Role, Accessibility, ContentProtection ...) as { schemeIdUri, value }
+function getDescriptors(element, localName) {
+    return getChildren(element, localName).map(descriptor => ({
+        schemeIdUri: getAttribute(descriptor, 'schemeIdUri'),
+        value: getAttribute(descriptor, 'value')
+    }));
+}
+
+function getChannelCount(element) {
+    const value = getAttribute(getChild(element, 'AudioChannelConfiguration'), 'value');
+    return value && /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Segment addressing of a Representation, merged from the Period, AdaptationSet and Representation levels
+ * The lowest level that has addressing decides its kind; higher levels of that kind supply what it leaves out.
+ * @param {Array<Object>} levels - Elements from Period down to Representation
+ * @returns {Object|null} Segment info, null when the Representation is a single file
+ */
+function resolveSegmentInfo(levels) {
+    const elementName = [...levels].reverse()
+        .map(level => Object.keys(SEGMENT_KINDS).find(name => getChild(level, name)))
+        .find(Boolean);
+    if (!elementName) return null;
+
+    const attributes = {};
+    let timeline = null;
+    let initialization = null;
+    let segmentUrls = null;
+    for (const level of levels) {
+        const element = getChild(level, elementName);
+        if (!element) continue;
+        Object.assign(attributes, element.attributes);
+        timeline = getChild(element, 'SegmentTimeline') || timeline;
+        initialization = getChild(element, 'Initialization') || initialization;
+        const urls = getChildren(element, 'SegmentURL');
+        if (urls.length > 0) segmentUrls = urls;
+    }
+
+    return {
+        kind: SEGMENT_KINDS[elementName],
+        timescale: parseNumber(attributes.timescale) || 1,
+        duration: parseNumber(attributes.duration),
+        startNumber: parseNumber(attributes.startNumber) ?? 1,
+        presentationTimeOffset: parseNumber(attributes.presentationTimeOffset) || 0,
+        initialization: attributes.initialization || getAttribute(initialization, 'sourceURL'),
+        initializationRange: parseByteRange(getAttribute(initialization, 'range')),
+        media: attributes.media || null,
+        indexRange: parseByteRange(attributes.indexRange),
+        timeline: timeline
+            ? getChildren(timeline, 'S').map(entry => ({
+                t: parseNumber(getAttribute(entry, 't')),
+                d: parseNumber(getAttribute(entry, 'd')) || 0,
+                r: parseNumber(getAttribute(entry, 'r')) || 0
+            }))
+            : null,
+        segmentUrls: segmentUrls
+            ? segmentUrls.map(segmentUrl => ({
+                media: getAttribute(segmentUrl, 'media'),
+                mediaRange: parseByteRange(getAttribute(segmentUrl, 'mediaRange'))
+            }))
+            : null
+    };
+}
+
+function buildRepresentation(element, adaptationSetElement, periodElement, adaptationSet, index) {
+    const attribute = (name) => getAttribute(element, name) ?? (INHERITED_ATTRIBUTES.includes(name) ? getAttribute(adaptationSetElement, name) : null);
+
+    return {
+        id: getAttribute(element, 'id'),
+        index,
+        bandwidth: parseNumber(attribute('bandwidth')),
+        mimeType: attribute('mimeType'),
+        codecs: attribute('codecs'),
+        width: parseNumber(attribute('width')),
+        height: parseNumber(attribute('height')),
+        frameRate: attribute('frameRate'),
+        sar: attribute('sar'),
+        audioSamplingRate: parseNumber(attribute('audioSamplingRate')),
+        channels: getChannelCount(element) ?? adaptationSet.channels,
+        quality: attribute('quality'),
+        contentProtection: [...adaptationSet.contentProtection, ...getDescriptors(element, 'ContentProtection')],
+        essentialProperties: [...adaptationSet.essentialProperties, ...getDescriptors(element, 'EssentialProperty')],
+        baseUrl: resolveBaseUrl(element, adaptationSet.baseUrl),
+        segmentInfo: resolveSegmentInfo([periodElement, adaptationSetElement, element])
+    };
+}
+
+function buildAdaptationSet(element, periodElement, period, index) {
+    const adaptationSet = {
+        id: getAttribute(element, 'id'),
+        index,
+        contentType: getAttribute(element, 'contentType'),
+        mimeType: getAttribute(element, 'mimeType'),
+        codecs: getAttribute(element, 'codecs'),
+        lang: getAttribute(element, 'lang'),
+        label: getAttribute(element, 'label') || getText(getChild(element, 'Label')) || null,
+        forced: getAttribute(element, 'forced') === 'true',
+        roles: getDescriptors(element, 'Role').map(role => role.value).filter(Boolean),
+        accessibility: getDescriptors(element, 'Accessibility'),
+        contentProtection: getDescriptors(element, 'ContentProtection'),
+        essentialProperties: getDescriptors(element, 'EssentialProperty'),
+        channels: getChannelCount(element),
+        baseUrl: resolveBaseUrl(element, period.baseUrl)
+    };
+
+    adaptationSet.representations = getChildren(element, 'Representation')
+        .map((representation, representationIndex) => buildRepresentation(representation, element, periodElement, adaptationSet, representationIndex));
+    return adaptationSet;
+}
+
+/**
+ * Build the model of an MPD document
+ * @param {string} content - MPD XML
+ * @param {string} manifestUrl - Manifest URL (base of relative BaseURLs)
+ * @returns {Object|null} { type, isLive, duration, availabilityStartTime, publishTime, timeShiftBufferDepth,
+ *   suggestedPresentationDelay, minimumUpdatePeriod, maxSegmentDuration, minBufferTime, baseUrl, periods }
+ *   or null when the document is not an MPD
+ */
+export function buildMpdModel(content, manifestUrl) {
+    const root = parseXml(content);
+    if (!root || root.localName !== 'MPD') {
+        return null;
+    }
+
+    const type = getAttribute(root, 'type') === 'dynamic' ? 'dynamic' : 'static';
+    const presentationDuration = parseMpdDuration(getAttribute(root, 'mediaPresentationDuration'));
+    const baseUrl = resolveBaseUrl(root, manifestUrl);
+
+    const periods = getChildren(root, 'Period').map((element, index) => {
+        const period = {
+            id: getAttribute(element, 'id') ?? String(index),
+            index,
+            start: parseMpdDuration(getAttribute(element, 'start')),
+            duration: parseMpdDuration(getAttribute(element, 'duration')),
+            baseUrl: resolveBaseUrl(element, baseUrl)
+        };
+        period.adaptationSets = getChildren(element, 'AdaptationSet')
+            .map((adaptationSet, adaptationSetIndex) => buildAdaptationSet(adaptationSet, element, period, adaptationSetIndex));
+        return period;
+    });
+
+    // Missing starts follow the previous Period; missing durations run to the next start or the presentation end
+    periods.forEach((period, index) => {
+        if (period.start === null) {
+            const previous = periods[index - 1];
+            period.start = !previous
+                ? (type === 'static' ? 0 : null)
+                : (previous.start !== null && previous.duration !== null ? previous.start + previous.duration : null);
+        }
+    });
+    periods.forEach((period, index) => {
+        if (period.duration !== null || period.start === null) return;
+        const next = periods[index + 1];
+        if (next?.start != null) {
+            period.duration = Math.max(0, next.start - period.start);
+        } else if (!next && presentationDuration !== null) {
+            period.duration = Math.max(0, presentationDuration - period.start);
+        }
+    });
+
+    const knownDurations = periods.every(period => period.duration !== null);
+    return {
+        type,
+        isLive: type === 'dynamic',
+        duration: presentationDuration ?? (knownDurations && periods.length > 0 ? periods.reduce((sum, period) => sum + period.duration, 0) : null),
+        availabilityStartTime: parseDate(getAttribute(root, 'availabilityStartTime')),
+        publishTime: parseDate(getAttribute(root, 'publishTime')),
+        timeShiftBufferDepth: parseMpdDuration(getAttribute(root, 'timeShiftBufferDepth')),
+        suggestedPresentationDelay: parseMpdDuration(getAttribute(root, 'suggestedPresentationDelay')),
+        minimumUpdatePeriod: parseMpdDuration(getAttribute(root, 'minimumUpdatePeriod')),
+        maxSegmentDuration: parseMpdDuration(getAttribute(root, 'maxSegmentDuration')),
+        minBufferTime: parseMpdDuration(getAttribute(root, 'minBufferTime')),
+        baseUrl,
+        periods
+    };
+}
+
+/**
+ * Fill a SegmentTemplate URL ($RepresentationID$, $Number%05d$, $Bandwidth$, $Time$, $$)
+ * @param {string} template - media or initialization template
+ * @param {Object} values - { RepresentationID, Number, Bandwidth, Time }
+ * @returns {string} Filled URL
+ */
+export function fillSegmentTemplate(template, values) {
+    return template.replace(/\$(RepresentationID|Number|Bandwidth|Time|SubNumber)?(?:%0(\d+)d)?\$/g, (match, name, width) => {
+        if (!name) return '$';
+        if (values[name] === undefined || values[name] === null) return match;
+        const text = String(values[name]);
+        return width ? text.padStart(parseInt(width, 10), '0') : text;
+    });
+}
+
+/**
+ * Segments of a Representation within its Period
+ * Times are in seconds from the Period start. SegmentBase addressing has its segments in the sidx at indexRange,
+ * so only the initialization and index ranges are returned for it. Templates with only @duration need a known
+ * Period duration (live Periods are expanded elsewhere, from the clock).
+ * @param {Object} representation - Representation from the model
+ * @param {Object} period - Period from the model
+ * @returns {Object|null} { initialization: { url, byteRange }|null, index: { url, byteRange }|null, segments: Array|null }
+ */
+export function expandSegments(representation, period) {
+    const info = representation.segmentInfo;
+    const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+    const initialization = (url, byteRange = null) => (url ? { url: resolveUrl(url, representation.baseUrl), byteRange } : null);
+
+    if (!info) {
+        // One file for the whole Period
+        return {
+            initialization: null,
+            index: null,
+            segments: [{ url: representation.baseUrl, number: 0, start: 0, duration: period.duration, byteRange: null }]
+        };
+    }
+
+    if (info.kind === 'base') {
+        return {
+            initialization: initialization(info.initialization || representation.baseUrl, info.initializationRange),
+            index: info.indexRange ? { url: representation.baseUrl, byteRange: info.indexRange } : null,
+            segments: null
+        };
+    }
+
+    const init = info.initialization
+        ? initialization(fillSegmentTemplate(info.initialization, values), info.initializationRange)
+        : (info.initializationRange ? initialization(representation.baseUrl, info.initializationRange) : null);
+    const periodEnd = period.duration !== null ? period.duration * info.timescale + info.presentationTimeOffset : null;
+
+    // Segment times: from the timeline, or evenly spaced by @duration over the Period
+    const times = [];
+    if (info.timeline) {
+        let time = 0;
+        info.timeline.forEach((entry, entryIndex) => {
+            time = entry.t ?? time;
+            let repeat = entry.r;
+            if (repeat < 0) {
+                // Negative repeat: until the next entry's time or the end of the Period
+                const until = info.timeline[entryIndex + 1]?.t ?? periodEnd;
+                repeat = until !== null && entry.d > 0 ? Math.ceil((until - time) / entry.d) - 1 : 0;
+            }
+            for (let i = 0; i <= repeat; i++) {
+                times.push({ time, duration: entry.d });
+                time += entry.d;
+            }
+        });
+    } else if (info.duration) {
+        const count = info.kind === 'list' && info.segmentUrls
+            ? info.segmentUrls.length
+            : (period.duration !== null ? Math.ceil((period.duration * info.timescale) / info.duration) : 0);
+        for (let i = 0; i < count; i++) {
+            times.push({ time: info.presentationTimeOffset + i * info.duration, duration: info.duration });
+        }
+    }
+
+    const segments = times.map(({ time, duration }, index) => {
+        const number = info.startNumber + index;
+        let url = null;
+        let byteRange = null;
+        if (info.kind === 'list') {
+            const segmentUrl = info.segmentUrls?.[index];
+            url = resolveUrl(segmentUrl?.media || representation.baseUrl, representation.baseUrl);
+            byteRange = segmentUrl?.mediaRange || null;
+        } else if (info.media) {
+            url = resolveUrl(fillSegmentTemplate(info.media, { ...values, Number: number, Time: time }), representation.baseUrl);
+        }
+        return {
+            url,
+            number,
+            start: (time - info.presentationTimeOffset) / info.timescale,
+            duration: duration / info.timescale,
+            byteRange
+        };
+    }).filter(segment => segment.url);
+
+    return { initialization: init, index: null, segments };
+}
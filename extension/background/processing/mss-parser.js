@@ -0,0 +1,222 @@
+/**
+ * MSS Parser
+ * Microsoft Smooth Streaming manifest (.ism/Manifest) parsing into the same track structure as DASH
+ * - Each StreamIndex is a media stream (video, audio or text), each QualityLevel one selectable track
+ * - Tracks carry an mssTrackId ("streamIndex:qualityLevel") the native host uses to pick fragments
+ */
+
+import { calculateEstimatedFileSizeBytes } from './parser-utils.js';
+import { fetchManifest } from './manifest-fetcher.js';
+import { parseXml, getChildren, getChild, getAttribute } from './xml-parser.js';
+import { standardizeResolution, normalizeUrl } from '../../shared/utils/processing-utils.js';
+
+// Track URLs currently being processed to prevent duplicates
+const processingUrls = new Set();
+
+// Smooth Streaming times are in 100ns units unless the manifest says otherwise
+const DEFAULT_TIMESCALE = 10000000;
+
+// AAC FourCCs -> audio object type
+const AAC_FOURCCS = { AACL: 2, AACH: 5, AACP: 29 };
+
+/**
+ * Build an RFC 6381 codec string from the FourCC and CodecPrivateData of a QualityLevel
+ * @param {string} fourCC - FourCC attribute (H264, AVC1, AACL, ...)
+ * @param {string} codecPrivateData - Hex codec configuration (SPS/PPS for H.264, AudioSpecificConfig for AAC)
+ * @returns {string|null} Codec string like avc1.64001f or mp4a.40.2
+ */
+function buildCodecString(fourCC, codecPrivateData) {
+    const upperFourCC = (fourCC || '').toUpperCase();
+    const hex = (codecPrivateData || '').toLowerCase();
+
+    if (['H264', 'AVC1', 'DAVC'].includes(upperFourCC)) {
+        // SPS follows the first start code: NAL header, then profile, constraints and level
+        const sps = /^0{6}01(?:67|27)([0-9a-f]{6})/.exec(hex);
+        return sps ? `avc1.${sps[1]}` : 'avc1';
+    }
+    if (upperFourCC in AAC_FOURCCS) {
+        return `mp4a.40.${AAC_FOURCCS[upperFourCC]}`;
+    }
+    if (upperFourCC === 'MP4A') {
+        const objectType = hex.length >= 2 ? parseInt(hex.slice(0, 2), 16) >> 3 : 2;
+        return `mp4a.40.${objectType || 2}`;
+    }
+    if (upperFourCC === 'EC-3' || upperFourCC === 'AC-3') {
+        return upperFourCC.toLowerCase();
+    }
+    if (['HVC1', 'HEV1'].includes(upperFourCC)) {
+        return upperFourCC.toLowerCase();
+    }
+    return fourCC ? fourCC.toLowerCase() : null;
+}
+
+/**
+ * Parse a Smooth Streaming manifest and organize content by media type
+ * First validates if it's really a Smooth Streaming manifest
+ *
+ * @param {Object} videoObject - Video with url, headers and normalizedUrl
+ * @returns {Promise<Object>} Validated and parsed MSS content structured by media type
+ */
+export async function parseMssManifest(videoObject) {
+    const { url, headers, normalizedUrl } = videoObject;
+
+    // Skip if already being processed
+    if (processingUrls.has(normalizedUrl)) {
+        return {
+            status: 'processing',
+            isValid: false,
+            videoTracks: [],
+            audioTracks: [],
+            subtitleTracks: [],
+        };
+    }
+
+    // Mark as being processed
+    processingUrls.add(normalizedUrl);
+
+    try {
+        console.debug(`Fetching Smooth Streaming manifest: ${url}`);
+
+        const fetchResult = await fetchManifest(url, headers);
+        const timestampValidated = Date.now();
+
+        if (!fetchResult.success) {
+            console.warn(`Failed to fetch manifest: ${url} (${fetchResult.status})`);
+            return {
+                status: 'fetch-failed',
+                isValid: false,
+                timestampValidated,
+                videoTracks: [],
+                audioTracks: [],
+                subtitleTracks: []
+            };
+        }
+
+        const content = fetchResult.content;
+
+        const root = parseXml(content);
+        if (!root || root.localName !== 'SmoothStreamingMedia') {
+            console.warn(`Not a valid Smooth Streaming manifest: ${url}`);
+            return {
+                status: 'invalid-format',
+                isValid: false,
+                timestampValidated,
+                videoTracks: [],
+                audioTracks: [],
+                subtitleTracks: []
+            };
+        }
+
+        console.debug(`Confirmed valid Smooth Streaming manifest: ${url}`);
+
+        const isLive = (getAttribute(root, 'IsLive') || '').toUpperCase() === 'TRUE';
+        const timescale = parseInt(getAttribute(root, 'TimeScale'), 10) || DEFAULT_TIMESCALE;
+        const rawDuration = parseInt(getAttribute(root, 'Duration'), 10) || 0;
+        const duration = !isLive && rawDuration > 0 ? Math.round(rawDuration / timescale) : null;
+
+        // Smooth Streaming protection is PlayReady
+        const isEncrypted = !!getChild(root, 'Protection');
+        const encryptionType = isEncrypted ? 'playready' : null;
+
+        const videoTracks = [];
+        const audioTracks = [];
+        const subtitleTracks = [];
+
+        getChildren(root, 'StreamIndex').forEach((streamIndex, streamIndexPosition) => {
+            const streamType = (getAttribute(streamIndex, 'Type') || '').toLowerCase();
+            const name = getAttribute(streamIndex, 'Name') || null;
+            const lang = getAttribute(streamIndex, 'Language') || null;
+            const subtype = (getAttribute(streamIndex, 'Subtype') || '').toUpperCase();
+
+            getChildren(streamIndex, 'QualityLevel').forEach((qualityLevel, qualityLevelPosition) => {
+                const qualityLevelIndex = parseInt(getAttribute(qualityLevel, 'Index'), 10);
+                const level = Number.isFinite(qualityLevelIndex) ? qualityLevelIndex : qualityLevelPosition;
+                const bandwidth = parseInt(getAttribute(qualityLevel, 'Bitrate'), 10) || null;
+                const fourCC = getAttribute(qualityLevel, 'FourCC') || getAttribute(streamIndex, 'FourCC');
+                const codecs = buildCodecString(fourCC, getAttribute(qualityLevel, 'CodecPrivateData'));
+                const mssTrackId = `${streamIndexPosition}:${level}`;
+
+                const track = {
+                    id: mssTrackId,
+                    mssTrackId,
+                    streamName: name,
+                    bandwidth,
+                    codecs,
+                    fourCC,
+                    lang,
+                    label: name,
+                    estimatedFileSizeBytes: calculateEstimatedFileSizeBytes(bandwidth, duration)
+                };
+
+                // For rendering in the UI, create URL with fragment identifier
+                track.trackUrl = `${url}#streamIndex=${streamIndexPosition}&qualityLevel=${level}`;
+                track.normalizedTrackUrl = normalizeUrl(track.trackUrl);
+
+                if (streamType === 'video') {
+                    track.mimeType = 'video/mp4';
+                    track.width = parseInt(getAttribute(qualityLevel, 'MaxWidth') || getAttribute(streamIndex, 'DisplayWidth'), 10) || null;
+                    track.height = parseInt(getAttribute(qualityLevel, 'MaxHeight') || getAttribute(streamIndex, 'DisplayHeight'), 10) || null;
+                    track.standardizedResolution = track.height ? standardizeResolution(track.height) : null;
+                    track.frameRate = null;
+                    if (track.width && track.height) {
+                        track.resolution = `${track.width}x${track.height}`;
+                    }
+                    track.videoContainer = 'mp4';
+                    videoTracks.push(track);
+                } else if (streamType === 'audio') {
+                    track.mimeType = 'audio/mp4';
+                    track.audioSamplingRate = parseInt(getAttribute(qualityLevel, 'SamplingRate'), 10) || null;
+                    track.channels = parseInt(getAttribute(qualityLevel, 'Channels'), 10) || null;
+                    track.default = audioTracks.length === 0;
+                    track.audioContainer = 'm4a';
+                    audioTracks.push(track);
+                } else if (streamType === 'text' && ['CAPT', 'SUBT', ''].includes(subtype)) {
+                    // TTML fragments, converted to WebVTT by the native host
+                    track.mimeType = 'application/ttml+xml';
+                    track.subtitleContainer = 'vtt';
+                    subtitleTracks.push(track);
+                }
+            });
+        });
+
+        // Highest bitrate first
+        videoTracks.sort((a, b) => (b.bandwidth || 0) - (a.bandwidth || 0));
+
+        const timestampParsed = Date.now();
+
+        const result = {
+            url: url,
+            normalizedUrl: normalizedUrl,
+            type: 'mss',
+            isValid: true,
+            timestampValidated: timestampValidated,
+            timestampParsed: timestampParsed,
+            duration: duration,
+            isLive: isLive,
+            isEncrypted: isEncrypted,
+            encryptionType: encryptionType,
+            isDrm: isEncrypted,
+            videoTracks: videoTracks,
+            audioTracks: audioTracks,
+            subtitleTracks: subtitleTracks,
+            status: 'success'
+        };
+
+        console.info(`Successfully parsed Smooth Streaming manifest: found ${videoTracks.length} video, ${audioTracks.length} audio, and ${subtitleTracks.length} subtitle tracks`);
+        return result;
+    } catch (error) {
+        console.error(`Error parsing Smooth Streaming manifest: ${error.message}`);
+        return {
+            status: 'parse-error',
+            isValid: false,
+            timestampValidated: Date.now(),
+            error: error.message,
+            videoTracks: [],
+            audioTracks: [],
+            subtitleTracks: []
+        };
+    } finally {
+        // Clean up processing tracking
+        processingUrls.delete(normalizedUrl);
+    }
+}
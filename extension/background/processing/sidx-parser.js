@@ -0,0 +1,71 @@
+/**
+ * SIDX Parser
+ * Segment index boxes of DASH SegmentBase representations (single files with an indexRange)
+ * - Parses the top-level sidx box into references with absolute byte ranges and times
+ * - Hierarchical references (to further sidx boxes) are kept as one coarse entry; their sizes still add up
+ */
+
+/**
+ * Parse the sidx box fetched from an indexRange
+ * @param {Uint8Array} bytes - Bytes of the index range
+ * @param {number} rangeOffset - File offset of the first byte
+ * @returns {Object|null} { timescale, earliestPresentationTime, segments: [{ offset, size, start, duration }], end }
+ *   where end is the file offset just past the last referenced byte, or null if there is no sidx box
+ */
+export function parseSidx(bytes, rangeOffset = 0) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let position = 0;
+
+    // Skip anything before the first sidx (an indexRange sometimes starts at the moov/sidx boundary)
+    while (position + 8 <= bytes.length) {
+        const size = view.getUint32(position);
+        const type = String.fromCharCode(...bytes.subarray(position + 4, position + 8));
+        if (type === 'sidx') break;
+        if (size < 8) return null;
+        position += size;
+    }
+    if (position + 8 > bytes.length) return null;
+
+    const boxSize = view.getUint32(position);
+    if (boxSize < 32 || position + boxSize > bytes.length) return null;
+
+    const version = bytes[position + 8];
+    const timescale = view.getUint32(position + 16) || 1;
+    let cursor = position + 20;
+    let earliestPresentationTime;
+    let firstOffset;
+    if (version === 0) {
+        earliestPresentationTime = view.getUint32(cursor);
+        firstOffset = view.getUint32(cursor + 4);
+        cursor += 8;
+    } else {
+        earliestPresentationTime = Number(view.getBigUint64(cursor));
+        firstOffset = Number(view.getBigUint64(cursor + 8));
+        cursor += 16;
+    }
+    const referenceCount = view.getUint16(cursor + 2);
+    cursor += 4;
+    if (cursor + referenceCount * 12 > position + boxSize) return null;
+
+    // Offsets are relative to the first byte after the sidx box
+    let offset = rangeOffset + position + boxSize + firstOffset;
+    let time = earliestPresentationTime;
+    const segments = [];
+    for (let i = 0; i < referenceCount; i++) {
+        const reference = view.getUint32(cursor);
+        const duration = view.getUint32(cursor + 4);
+        const size = reference & 0x7FFFFFFF;
+        segments.push({
+            offset,
+            size,
+            start: time / timescale,
+            duration: duration / timescale,
+            isIndex: (reference >>> 31) === 1
+        });
+        offset += size;
+        time += duration;
+        cursor += 12;
+    }
+
+    return { timescale, earliestPresentationTime: earliestPresentationTime / timescale, segments, end: offset };
+}
@@ -0,0 +1,226 @@
+/**
+ * Storyboard Builder
+ * Hover storyboards (small frames spread across the timeline) from the storyboard sources the parsers found
+ * - Image playlists (HLS EXT-X-IMAGE-STREAM-INF) and DASH thumbnail tiles are cropped here, no FFmpeg job needed
+ * - I-frame playlists (HLS EXT-X-I-FRAME-STREAM-INF) are decoded by the native host into one strip of keyframes
+ */
+
+import { fetchManifest } from './manifest-fetcher.js';
+import { resolveUrl } from './parser-utils.js';
+import { getBaseDirectory } from '../../shared/utils/processing-utils.js';
+import nativeHostService from '../messaging/native-host-service.js';
+
+// Frames spread across the timeline
+const STORYBOARD_FRAMES = 16;
+
+// Frames are scaled down to this width; the smallest source at least this wide is preferred
+const FRAME_WIDTH = 160;
+
+const IMAGE_FETCH_CONCURRENCY = 4;
+
+/**
+ * Build a storyboard from the best storyboard source of a video
+ * Sources that need no decoding are tried first; I-frame playlists only with the native host.
+ * @param {Object} videoData - Video with storyboardSources, headers and duration
+ * @param {boolean} canDecode - Whether the native host is available
+ * @returns {Promise<Object|null>} { frames: [{ time, url }], source } or null when no source works
+ */
+export async function buildStoryboard(videoData, canDecode) {
+    const { storyboardSources = [], headers = null, duration = null } = videoData;
+    const candidates = [
+        pickSource(storyboardSources.filter(source => source.kind !== 'hls-iframe')),
+        canDecode ? pickSource(storyboardSources.filter(source => source.kind === 'hls-iframe')) : null
+    ].filter(Boolean);
+
+    for (const source of candidates) {
+        try {
+            const frames = source.kind === 'hls-iframe'
+                ? await buildFromIframes(source, headers)
+                : await buildFromTiles(await listThumbnails(source, headers, duration), headers);
+            if (frames.length > 0) {
+                console.debug(`[Storyboard] Built ${frames.length} frame(s) from ${source.kind} source: ${source.url}`);
+                return { frames, source: source.kind };
+            }
+        } catch (error) {
+            console.warn(`[Storyboard] ${source.kind} source failed for ${source.url}: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Smallest source whose frames are at least FRAME_WIDTH wide, or the largest one
+ * @param {Array<Object>} sources - Storyboard sources of one kind
+ * @returns {Object|null}
+ */
+function pickSource(sources) {
+    if (sources.length === 0) return null;
+    const sorted = [...sources].sort((a, b) => (a.width || 0) - (b.width || 0) || (a.bandwidth || 0) - (b.bandwidth || 0));
+    return sorted.find(source => source.width >= FRAME_WIDTH) || sorted[sorted.length - 1];
+}
+
+/**
+ * Up to count items spread evenly, each from the middle of its share of the list
+ * @param {Array} items - Items in timeline order
+ * @param {number} count - Items wanted
+ * @returns {Array}
+ */
+function pickEvenly(items, count) {
+    if (items.length <= count) return items;
+    return Array.from({ length: count }, (_, i) => items[Math.floor((i + 0.5) * items.length / count)]);
+}
+
+/**
+ * Every thumbnail of a tile source with the image it is in and its grid position
+ * @param {Object} source - 'hls-image' or 'dash-tiles' storyboard source
+ * @param {Object} headers - Request headers
+ * @param {number|null} duration - Video duration; a last image padded past it holds blank thumbnails
+ * @returns {Promise<Array<Object>>} [{ url, time, column, row, columns, rows }]
+ */
+async function listThumbnails(source, headers, duration) {
+    const tiles = source.kind === 'dash-tiles'
+        ? source.tiles.map(tile => ({ ...tile, columns: source.columns, rows: source.rows, thumbnailDuration: null }))
+        : await fetchImagePlaylist(source.url, headers);
+
+    // A short last image holds fewer thumbnails, so spacing comes from the first full one
+    const nominal = tiles[0] ? tiles[0].duration / (tiles[0].columns * tiles[0].rows) : 0;
+    return tiles.flatMap(tile => {
+        const spacing = tile.thumbnailDuration || nominal || tile.duration;
+        const count = Math.min(tile.columns * tile.rows, Math.max(1, Math.ceil(tile.duration / spacing - 0.01)));
+        return Array.from({ length: count }, (_, position) => ({
+            url: tile.url,
+            time: tile.start + position * spacing,
+            column: position % tile.columns,
+            row: Math.floor(position / tile.columns),
+            columns: tile.columns,
+            rows: tile.rows
+        }));
+    }).filter(thumbnail => !duration || thumbnail.time < duration);
+}
+
+/**
+ * Fetch and parse an HLS image playlist (EXTINF per image, EXT-X-TILES with its LAYOUT and per-thumbnail DURATION)
+ * @param {string} url - Image playlist URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Array<Object>>} [{ url, start, duration, columns, rows, thumbnailDuration }]
+ */
+async function fetchImagePlaylist(url, headers) {
+    const result = await fetchManifest(url, headers, { maxRetries: 1, timeoutMs: 5000 });
+    if (!result.success) throw new Error(`image playlist returned ${result.status}`);
+
+    const baseUrl = getBaseDirectory(url);
+    const tiles = [];
+    let start = 0;
+    let duration = null;
+    let layout = null;
+    for (const rawLine of result.content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line.startsWith('#EXTINF:')) {
+            duration = parseFloat(line.substring(8)) || 0;
+        } else if (line.startsWith('#EXT-X-TILES:')) {
+            const [, columns, rows] = /LAYOUT=(\d+)x(\d+)/.exec(line) || [];
+            const [, thumbnailDuration] = /DURATION=([\d.]+)/.exec(line) || [];
+            layout = {
+                columns: parseInt(columns, 10) || 1,
+                rows: parseInt(rows, 10) || 1,
+                thumbnailDuration: parseFloat(thumbnailDuration) || null
+            };
+        } else if (line && !line.startsWith('#') && duration !== null) {
+            tiles.push({ url: resolveUrl(baseUrl, line), start, duration, columns: 1, rows: 1, thumbnailDuration: null, ...layout });
+            start += duration;
+            duration = null;
+            layout = null;
+        }
+    }
+    return tiles;
+}
+
+/**
+ * Crop evenly spaced thumbnails out of their tile images, fetching each image once
+ * @param {Array<Object>} thumbnails - From listThumbnails()
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Array<Object>>} [{ time, url }] with JPEG data URLs
+ */
+async function buildFromTiles(thumbnails, headers) {
+    const picked = pickEvenly(thumbnails, STORYBOARD_FRAMES);
+    const images = new Map();
+    const queue = [...new Set(picked.map(thumbnail => thumbnail.url))];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const url = queue.shift();
+            const result = await fetchManifest(url, headers, { binary: true, maxRetries: 1, timeoutMs: 5000 });
+            if (!result.success) {
+                console.debug(`[Storyboard] Tile image returned ${result.status}: ${url}`);
+                continue;
+            }
+            try {
+                images.set(url, await createImageBitmap(new Blob([result.bytes])));
+            } catch {
+                console.debug(`[Storyboard] Tile image could not be decoded: ${url}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(IMAGE_FETCH_CONCURRENCY, queue.length) }, worker));
+
+    const frames = [];
+    for (const thumbnail of picked) {
+        const image = images.get(thumbnail.url);
+        if (!image) continue;
+        const width = Math.floor(image.width / thumbnail.columns);
+        const height = Math.floor(image.height / thumbnail.rows);
+        frames.push({
+            time: thumbnail.time,
+            url: await cropFrame(image, thumbnail.column * width, thumbnail.row * height, width, height)
+        });
+    }
+    images.forEach(image => image.close());
+    return frames;
+}
+
+/**
+ * Have the native host decode evenly spaced keyframes of an I-frame playlist into one strip, then cut it up
+ * @param {Object} source - 'hls-iframe' storyboard source
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Array<Object>>} [{ time, url }] with JPEG data URLs
+ */
+async function buildFromIframes(source, headers) {
+    const response = await nativeHostService.sendMessage({
+        command: 'generatePreview',
+        url: source.url,
+        headers: headers || {},
+        storyboard: { frames: STORYBOARD_FRAMES, width: FRAME_WIDTH }
+    });
+    if (!response?.storyboardUrl) throw new Error(response?.error || 'no storyboard strip returned');
+
+    const strip = await createImageBitmap(await (await fetch(response.storyboardUrl)).blob());
+    const width = Math.floor(strip.width / response.frameTimes.length);
+    const frames = [];
+    for (const [index, time] of response.frameTimes.entries()) {
+        frames.push({ time, url: await cropFrame(strip, index * width, 0, width, strip.height) });
+    }
+    strip.close();
+    return frames;
+}
+
+/**
+ * Cut one frame out of an image, scaled down to FRAME_WIDTH, as a JPEG data URL
+ * @param {ImageBitmap} image - Tile image or strip
+ * @param {number} x - Left edge of the frame
+ * @param {number} y - Top edge of the frame
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Promise<string>}
+ */
+async function cropFrame(image, x, y, width, height) {
+    const scale = Math.min(1, FRAME_WIDTH / width);
+    const canvas = new OffscreenCanvas(Math.round(width * scale), Math.round(height * scale));
+    canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, canvas.width, canvas.height);
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.75 });
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
@@ -6,11 +6,15 @@
 import { normalizeUrl, generateId } from '../../shared/utils/processing-utils.js';
 import { standardizeResolution, getFilenameFromUrl } from '../../shared/utils/processing-utils.js';
 import { getPreview, storePreview } from '../../shared/utils/preview-cache.js';
+import { buildStoryboard } from './storyboard-builder.js';
 import { parseHlsManifest, extractHlsMediaUrls } from './hls-parser.js';
 import { parseDashManifest } from './dash-parser.js';
+import { parseMssManifest } from './mss-parser.js';
 import nativeHostService from '../messaging/native-host-service.js';
-import { getVideo, updateVideo } from './video-store.js';
+import { getVideo, updateVideo, recordRejectedCandidate, getVideosForDisplay } from './video-store.js';
 import { settingsManager } from '../index.js';
+import { evaluateMediaRules } from '../../shared/utils/detection-rules.js';
+import { classifyAd } from '../detection/ad-classifier.js';
 
 // Module-level state for video processing
 const processingMap = new Map(); // Track active processing to prevent duplicates
@@ -92,6 +96,12 @@ function addDetectedVideo(videoInfo) {
                 });
         }
 
+        // Captured MSE streams grow while the page plays - refresh their size and tracks instead
+        if (videoInfo.type === 'mse' && !existingVideo.timestampDismissed) {
+            updateVideo('update', getMseUpdates({ ...existingVideo, ...videoInfo, normalizedUrl }));
+            return 'updated';
+        }
+
         console.debug(`Duplicate video URL detected: ${videoInfo.url}, Existing timestamp: ${existingVideo.timestampDetected}, New timestamp: ${videoInfo.timestampDetected}`);
         return;
     }
@@ -102,9 +112,11 @@ function addDetectedVideo(videoInfo) {
         normalizedUrl,
         mediaId: generateId(videoInfo.url), // Generate mediaId for UI matching
         processing: true, // Single flag for all processing states
-        title: videoInfo.pageTitle || videoInfo.metadata?.filename || 'untitled',
+        title: videoInfo.title || videoInfo.pageTitle || videoInfo.metadata?.filename || 'untitled',
         isValid: true, // optimistic for all types
-        validForDisplay: true
+        validForDisplay: true,
+        // Host and VAST signals are known right away, duration and HLS markers after processing
+        ...classifyAd(videoInfo)
     };
     
     updateVideo('add', newVideo);
@@ -120,7 +132,7 @@ function addDetectedVideo(videoInfo) {
  * Process a video immediately
  * @param {number} tabId - Tab ID
  * @param {string} normalizedUrl - Normalized video URL
- * @param {string} videoType - Type of video (hls, dash, direct)
+ * @param {string} videoType - Type of video (hls, dash, mss, direct, mse)
  * @param {Object} videoData - Full video data object
  */
 async function processVideo(videoData) {
@@ -149,10 +161,16 @@ async function processVideo(videoData) {
             await processHlsVideo(videoData);
         } else if (type === 'dash') {
             await processDashVideo(videoData);
+        } else if (type === 'mss') {
+            await processMssVideo(videoData);
+        } else if (type === 'mse') {
+            processMseVideo(videoData);
         } else {
             await processDirectVideo(videoData);
         }
 
+        refreshAdClassification(tabId, normalizedUrl);
+
     } catch (error) {
         console.error(`Error processing ${normalizedUrl}:`, error);
         // Remove failed video from UI - send only changes
@@ -239,6 +257,8 @@ async function processHlsVideo(videoData) {
             processing: false
         });
 
+        if (rejectByMediaRules(tabId, normalizedUrl)) return;
+
         // Generate preview for the master using the first remaining video track as source (if enabled)
         if (hlsResult.isMaster && settingsManager.get('autoGeneratePreviews') && hlsResult.videoTracks?.length > 0) {
             await generateVideoPreview({ ...videoData, ...hlsResult }, hlsResult.videoTracks[0].url);
@@ -284,8 +304,12 @@ async function processDashVideo(videoData) {
             subtitleTracks: dashResult.subtitleTracks,
             duration: dashResult.duration,
             isLive: dashResult.isLive,
+            dvrWindow: dashResult.dvrWindow,
+            liveLatency: dashResult.liveLatency,
             isEncrypted: dashResult.isEncrypted,
             encryptionType: dashResult.encryptionType,
+            periods: dashResult.periods,
+            storyboardSources: dashResult.storyboardSources,
             timestampValidated: dashResult.timestampValidated,
             timestampParsed: dashResult.timestampParsed,
             processing: false
@@ -299,6 +323,8 @@ async function processDashVideo(videoData) {
             ...streamFlags
         });
         
+        if (rejectByMediaRules(tabId, normalizedUrl)) return;
+
                 // Generate preview for the manifest (if enabled)
         if (settingsManager.get('autoGeneratePreviews')) {
             await generateVideoPreview({ ...videoData, ...dashUpdates });
@@ -318,6 +344,57 @@ async function processDashVideo(videoData) {
     }
 }
     
+/**
+ * Process a Smooth Streaming video
+ * FFmpeg cannot read Smooth Streaming manifests, so no preview is generated.
+ * @param {Object} videoData - Full video data object
+ */
+async function processMssVideo(videoData) {
+    const { tabId, normalizedUrl } = videoData;
+    
+    console.debug(`Processing Smooth Streaming video: ${normalizedUrl}`);
+    
+    const mssResult = await parseMssManifest(videoData);
+    
+    if (mssResult.status === 'success') {
+        const mssUpdates = {
+            tabId,
+            normalizedUrl,
+            isValid: true,
+            type: 'mss',
+            videoTracks: mssResult.videoTracks,
+            audioTracks: mssResult.audioTracks,
+            subtitleTracks: mssResult.subtitleTracks,
+            duration: mssResult.duration,
+            isLive: mssResult.isLive,
+            isEncrypted: mssResult.isEncrypted,
+            encryptionType: mssResult.encryptionType,
+            isDrm: mssResult.isDrm,
+            timestampValidated: mssResult.timestampValidated,
+            timestampParsed: mssResult.timestampParsed,
+            processing: false
+        };
+        
+        updateVideo('update', {
+            ...mssUpdates,
+            ...detectStreamFlags(mssUpdates)
+        });
+        
+        rejectByMediaRules(tabId, normalizedUrl);
+    } else {
+        updateVideo('remove', {
+            tabId,
+            normalizedUrl,
+            isValid: false,
+            processing: false,
+            timestampValidated: mssResult.timestampValidated || Date.now(),
+            parsingStatus: mssResult.status,
+            parsingError: mssResult.error || 'Not a valid Smooth Streaming manifest',
+            validForDisplay: false
+        });
+    }
+}
+    
 /**
  * Process direct video file
  * @param {number} tabId - Tab ID
@@ -330,12 +407,124 @@ async function processDirectVideo(videoData) {
 
     // Get metadata (FFprobe will override containers if successful)
     const metadataResult = await getFFprobeMetadata(videoData);
+    if (rejectByMediaRules(videoData.tabId, normalizedUrl)) return;
+
     // Generate preview if enabled and video has video content
     if (settingsManager.get('autoGeneratePreviews') && metadataResult?.hasVideo) {
         await generateVideoPreview({ ...videoData, duration: metadataResult.duration });
     }
 }
 
+/**
+ * Process a stream captured from the page's SourceBuffers
+ * The page hook already knows its tracks, so nothing is fetched or probed (FFprobe cannot read blob: URLs)
+ * @param {Object} videoData - Full video data object
+ */
+function processMseVideo(videoData) {
+    console.debug(`Processing captured MSE stream: ${videoData.normalizedUrl}`);
+    updateVideo('update', getMseUpdates(videoData));
+    rejectByMediaRules(videoData.tabId, videoData.normalizedUrl);
+}
+
+/**
+ * Re-classify videos as ads or not once more is known about them (processing finished, a VAST response arrived)
+ * Only videos whose classification changed are updated.
+ * @param {number} tabId - Tab ID
+ * @param {string} [normalizedUrl] - Single video to re-classify, all of the tab's videos if omitted
+ */
+function refreshAdClassification(tabId, normalizedUrl = null) {
+    const videos = normalizedUrl ? [getVideo(tabId, normalizedUrl)] : getVideosForDisplay(tabId);
+    for (const video of videos) {
+        if (!video?.validForDisplay) continue;
+
+        const { isAd, adReasons } = classifyAd(video);
+        if (isAd === !!video.isAd && adReasons.join() === (video.adReasons || []).join()) continue;
+
+        console.debug(`Video ${isAd ? 'classified as ad' : 'no longer classified as ad'}: ${video.normalizedUrl}`, adReasons);
+        updateVideo('update', { tabId, normalizedUrl: video.normalizedUrl, isAd, adReasons });
+    }
+}
+
+/**
+ * Remove a processed video that fails the user's duration, resolution or audio-only rules
+ * The video stays in the store (hidden, with rejectedBy) so it is not detected and processed again.
+ * @param {number} tabId - Tab ID
+ * @param {string} normalizedUrl - Normalized video URL
+ * @returns {boolean} True if the video was rejected
+ */
+function rejectByMediaRules(tabId, normalizedUrl) {
+    const video = getVideo(tabId, normalizedUrl);
+    if (!video?.validForDisplay) return false;
+
+    const rejection = evaluateMediaRules(settingsManager.get('detectionRules'), video);
+    if (!rejection) return false;
+
+    console.debug(`Video rejected by detection rule ${rejection.rule}: ${normalizedUrl}`, rejection);
+    updateVideo('remove', {
+        tabId,
+        normalizedUrl,
+        processing: false,
+        validForDisplay: false,
+        rejectedBy: rejection
+    });
+    recordRejectedCandidate(tabId, { url: video.url, type: video.type, source: video.source, rejection });
+    return true;
+}
+
+/**
+ * Video changes describing the current state of an MSE capture
+ * @param {Object} videoData - Video data carrying mseCapture from the page hook
+ * @returns {Object} Update for updateVideo
+ */
+function getMseUpdates(videoData) {
+    const { tabId, normalizedUrl, url, mseCapture } = videoData;
+    const videoSource = mseCapture.tracks.find(track => track.kind === 'video');
+    const audioSource = mseCapture.tracks.find(track => track.kind === 'audio');
+    const codecs = mseCapture.tracks
+        .map(track => /codecs="?([^"]+)"?/i.exec(track.mimeType)?.[1])
+        .filter(Boolean)
+        .join(',');
+
+    // fMP4 and WebM appends concatenate into a playable file of the same container
+    const isWebm = (mimeType) => /webm/i.test(mimeType || '');
+    let videoContainer = null;
+    if (videoSource) {
+        videoContainer = isWebm(videoSource.mimeType) ? 'webm' : 'mp4';
+        if (audioSource && isWebm(audioSource.mimeType) !== isWebm(videoSource.mimeType)) {
+            videoContainer = 'mkv';
+        }
+    }
+    const audioContainer = audioSource ? (isWebm(audioSource.mimeType) ? 'webm' : 'm4a') : null;
+
+    const videoTracks = [{
+        url,
+        normalizedUrl,
+        trackId: generateId(url),
+        type: 'mse',
+        resolution: mseCapture.width && mseCapture.height ? `${mseCapture.width}x${mseCapture.height}` : null,
+        standardizedResolution: mseCapture.height ? standardizeResolution(mseCapture.height) : null,
+        codecs: codecs || null,
+        fileSize: mseCapture.tracks.reduce((sum, track) => sum + track.bytes, 0),
+        videoContainer,
+        audioContainer,
+        containerDetectionReason: 'mse-source-buffer'
+    }];
+
+    return {
+        tabId,
+        normalizedUrl,
+        isValid: true,
+        processing: false,
+        mseCapture,
+        duration: videoData.duration || null,
+        ...(videoData.poster && { poster: videoData.poster }),
+        videoTracks,
+        hasVideo: !!videoSource,
+        hasAudio: !!audioSource,
+        hasSubtitles: false
+    };
+}
+
 /**
  * Track and update variant-master relationships for video tracks, audio tracks, and subtitles
  * @param {number} tabId - Tab ID
@@ -404,6 +593,7 @@ function handleVariantMasterRelationships(tabId, videoTracks, audioTracks, subti
 
 /**
  * Unified preview generation for all video types
+ * A storyboard from the manifest's thumbnail or I-frame playlists is tried first; FFmpeg is the fallback.
  * @param {Object} videoData - Complete video data object
  * @param {string} [sourceUrl=null] - Optional source URL to generate from (if different)
  */
@@ -411,8 +601,12 @@ async function generateVideoPreview(videoData, sourceUrl = null) {
     const { tabId, normalizedUrl, headers = {}, duration, type } = videoData;
 	
     try {
-        // Skip if coapp not available
         const session = await chrome.storage.session.get(['coappAvailable']);
+        if (videoData.storyboardSources?.length > 0 && await generateStoryboard(videoData, session.coappAvailable)) {
+            return;
+        }
+        
+        // Skip if coapp not available
         if (!session.coappAvailable) {
             console.debug(`[GP] Skipping preview generation - coapp not available: ${normalizedUrl}`);
             return;
@@ -496,6 +690,36 @@ async function generateVideoPreview(videoData, sourceUrl = null) {
     }
 }
 
+/**
+ * Build a hover storyboard and use one of its frames as the preview
+ * @param {Object} videoData - Video data with storyboardSources
+ * @param {boolean} canDecode - Whether the native host can decode I-frame playlists
+ * @returns {Promise<boolean>} Whether a storyboard was built
+ */
+async function generateStoryboard(videoData, canDecode) {
+    const { tabId, normalizedUrl } = videoData;
+    const storyboard = await buildStoryboard(videoData, canDecode);
+    if (!storyboard) {
+        console.debug(`[GP] No storyboard for ${normalizedUrl}, falling back to FFmpeg preview`);
+        return false;
+    }
+    
+    // The frame about 10% in stands in for the FFmpeg preview, unless the page gave a poster
+    let previewUrl = null;
+    if (!videoData.previewUrl && !videoData.poster) {
+        previewUrl = storyboard.frames[Math.floor(storyboard.frames.length * 0.1)].url;
+        await storePreview(normalizedUrl, previewUrl);
+    }
+    
+    updateVideo('update', {
+        tabId,
+        normalizedUrl,
+        storyboard,
+        ...(previewUrl && { previewUrl })
+    });
+    return true;
+}
+
 /**
  * Get FFprobe metadata for direct video
  * @param {number} tabId - Tab ID
@@ -656,7 +880,8 @@ function detectStreamFlags(videoData) {
     // Quick wins from explicit arrays
     let hasVideo = hasVideoTracks;
     let hasAudio = hasAudioTracks;
-    const hasSubtitles = hasSubtitleTracks;
+    // Closed captions are taken from the downloaded video, which live streams are not
+    const hasSubtitles = hasSubtitleTracks || (!videoData.isLive && (videoData.closedCaptions?.length || 0) > 0);
 
     // If there are no explicit audio tracks, check the first video track for an audio container (AV streams)
     if (!hasAudio && hasVideoTracks) {
@@ -680,5 +905,6 @@ export {
     cleanupProcessingForTab,
     clearAllProcessing,
     generateVideoPreview,
-    detectStreamFlags
+    detectStreamFlags,
+    refreshAdClassification
 };
@@ -15,9 +15,16 @@ const allDetectedVideos = new Map();
 // Map<tabId, Map<normalizedVideoTrackUrl, masterUrl>>
 const variantMasterMap = new Map();
 
+// Candidates the gate or the detection rules turned away, with the rule that did it
+// Map<tabId, Map<normalizedUrl, { url, type, source, rejection, timestampRejected }>>
+const rejectedCandidates = new Map();
+// Oldest rejections are dropped beyond this many per tab
+const MAX_REJECTIONS_PER_TAB = 200;
+
 // Expose internal maps for debugging and pipeline access
 globalThis.allDetectedVideosInternal = allDetectedVideos;
 globalThis.variantMasterMapInternal = variantMasterMap;
+globalThis.rejectedCandidatesInternal = rejectedCandidates;
 
 /**
  * Helper function to get a video from store
@@ -215,10 +222,10 @@ function sendFullRefresh(tabId) {
     console.debug(`Sent full refresh with ${videos.length} videos for tab ${tabId}`);
 }
 
-// Get video counts by type for a tab (only validForDisplay videos) { hls, dash, direct, unknown, total }
+// Get video counts by type for a tab (only validForDisplay videos) { hls, dash, mss, direct, mse, unknown, total }
 function getVideoTypeCounts(tabId) {
     const tabVideosMap = allDetectedVideos.get(tabId);
-    const counts = { hls: 0, dash: 0, direct: 0, unknown: 0, total: 0 };
+    const counts = { hls: 0, dash: 0, mss: 0, direct: 0, mse: 0, unknown: 0, total: 0 };
     if (!tabVideosMap) return counts;
     for (const video of tabVideosMap.values()) {
         if (!video.validForDisplay) continue;
@@ -232,6 +239,34 @@ function getVideoTypeCounts(tabId) {
     return counts;
 }
 
+/**
+ * Remember why a candidate was not added (or was removed) for a tab
+ * @param {number} tabId - Tab ID
+ * @param {Object} entry - { url, type, source, rejection: { rule, value, reason } }
+ */
+function recordRejectedCandidate(tabId, entry) {
+    if (!tabId || !entry?.url || !entry.rejection) return;
+
+    if (!rejectedCandidates.has(tabId)) {
+        rejectedCandidates.set(tabId, new Map());
+    }
+    const tabRejections = rejectedCandidates.get(tabId);
+    const normalizedUrl = normalizeUrl(entry.url);
+
+    // Re-inserting moves the entry to the end, so the oldest one is always first
+    tabRejections.delete(normalizedUrl);
+    tabRejections.set(normalizedUrl, { ...entry, timestampRejected: Date.now() });
+    if (tabRejections.size > MAX_REJECTIONS_PER_TAB) {
+        tabRejections.delete(tabRejections.keys().next().value);
+    }
+}
+
+// Get rejected candidates for a tab, newest first
+function getRejectedCandidates(tabId) {
+    const tabRejections = rejectedCandidates.get(tabId);
+    return tabRejections ? Array.from(tabRejections.values()).reverse() : [];
+}
+
 // Clean up videos for a specific tab
 function cleanupVideosForTab(tabId) {
     console.debug(`Cleaning up videos for tab ${tabId}`);
@@ -246,6 +281,8 @@ function cleanupVideosForTab(tabId) {
         variantMasterMap.delete(tabId);
     }
     
+    rejectedCandidates.delete(tabId);
+    
     // Reset tab icon immediately after cleanup
     updateTabIcon(tabId);
 }
@@ -256,6 +293,7 @@ function cleanupAllVideos() {
     
     allDetectedVideos.clear();
     variantMasterMap.clear();
+    rejectedCandidates.clear();
     
     // Reset all tab icons after global cleanup
     updateTabIcon(); // Global reset (no tabId parameter)
@@ -273,6 +311,8 @@ export {
     restoreVideoInTab,
     getVideosForDisplay,
     sendFullRefresh,
+    recordRejectedCandidate,
+    getRejectedCandidates,
     cleanupVideosForTab,
     cleanupAllVideos
 };
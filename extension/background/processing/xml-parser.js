@@ -0,0 +1,158 @@
+/**
+ * XML Parser
+ * Small DOM-free XML parser for manifests (the service worker has no DOMParser)
+ * - Elements keep their attributes, children and text; prefixed names (cenc:pssh) are matched by local name
+ * - Self-closing elements, CDATA, comments, processing instructions and doctypes are handled
+ * - Predefined and numeric entities are decoded
+ * - Lenient: a stray close tag closes up to its matching open element, unclosed elements end with the document
+ */
+
+// Opening or closing tag starting at lastIndex: </?name attributes /?>
+const TAG_RE = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE_RE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode XML entities in text or attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+    if (!text.includes('&')) return text;
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+        }
+        return ENTITIES[name] ?? entity;
+    });
+}
+
+function parseAttributes(attributeString) {
+    const attributes = {};
+    for (const match of attributeString.matchAll(ATTRIBUTE_RE)) {
+        attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+    }
+    return attributes;
+}
+
+function createElement(name, attributes = {}) {
+    return {
+        name,
+        localName: name.slice(name.indexOf(':') + 1),
+        attributes,
+        children: [],
+        text: ''
+    };
+}
+
+/**
+ * Parse an XML document
+ * @param {string} content - XML text
+ * @returns {Object|null} Root element { name, localName, attributes, children, text }, null if there is none
+ */
+export function parseXml(content) {
+    const document = createElement('#document');
+    const stack = [document];
+    const current = () => stack[stack.length - 1];
+    let position = 0;
+
+    // Skip to the end of a construct, or the end of the document if it never closes
+    const skipTo = (terminator, from) => {
+        const end = content.indexOf(terminator, from);
+        return end === -1 ? content.length : end + terminator.length;
+    };
+
+    while (position < content.length) {
+        const tagStart = content.indexOf('<', position);
+        if (tagStart === -1) {
+            current().text += decodeEntities(content.slice(position));
+            break;
+        }
+        if (tagStart > position) {
+            current().text += decodeEntities(content.slice(position, tagStart));
+        }
+
+        if (content.startsWith('<!--', tagStart)) {
+            position = skipTo('-->', tagStart + 4);
+        } else if (content.startsWith('<![CDATA[', tagStart)) {
+            const end = content.indexOf(']]>', tagStart + 9);
+            current().text += content.slice(tagStart + 9, end === -1 ? content.length : end);
+            position = end === -1 ? content.length : end + 3;
+        } else if (content.startsWith('<?', tagStart)) {
+            position = skipTo('?>', tagStart + 2);
+        } else if (content.startsWith('<!', tagStart)) {
+            position = skipTo('>', tagStart + 2);
+        } else {
+            TAG_RE.lastIndex = tagStart;
+            const match = TAG_RE.exec(content);
+            if (!match) {
+                // Not a tag after all (a bare "<" in text)
+                current().text += '<';
+                position = tagStart + 1;
+                continue;
+            }
+            position = TAG_RE.lastIndex;
+
+            const [, closing, name, attributeString, selfClosing] = match;
+            if (closing) {
+                const openIndex = stack.findLastIndex(element => element.name === name);
+                if (openIndex > 0) {
+                    stack.length = openIndex;
+                }
+                continue;
+            }
+
+            const element = createElement(name, parseAttributes(attributeString));
+            current().children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    return document.children[0] || null;
+}
+
+/**
+ * Child elements with a local name
+ * @param {Object} element - Parent element (null-safe)
+ * @param {string} localName - Name without namespace prefix
+ * @returns {Array<Object>} Matching children in document order
+ */
+export function getChildren(element, localName) {
+    return element ? element.children.filter(child => child.localName === localName) : [];
+}
+
+/**
+ * First child element with a local name
+ * @param {Object} element - Parent element (null-safe)
+ * @param {string} localName - Name without namespace prefix
+ * @returns {Object|null} First match
+ */
+export function getChild(element, localName) {
+    return element?.children.find(child => child.localName === localName) || null;
+}
+
+/**
+ * Attribute value by local name (xlink:href matches "href" when no unprefixed one exists)
+ * @param {Object} element - Element (null-safe)
+ * @param {string} name - Attribute name
+ * @returns {string|null} Value
+ */
+export function getAttribute(element, name) {
+    if (!element) return null;
+    if (name in element.attributes) return element.attributes[name];
+    const prefixed = Object.keys(element.attributes).find(key => key.slice(key.indexOf(':') + 1) === name);
+    return prefixed ? element.attributes[prefixed] : null;
+}
+
+/**
+ * Trimmed text content of an element (its own text, not its children's)
+ * @param {Object} element - Element (null-safe)
+ * @returns {string} Text
+ */
+export function getText(element) {
+    return element ? element.text.trim() : '';
+}
@@ -4,13 +4,26 @@
 
 import nativeHostService from '../messaging/native-host-service.js';
 import { broadcastToPopups } from '../messaging/popup-communication.js';
+import { DEFAULT_RETRY_POLICIES, normalizeRetryPolicies } from '../../shared/utils/retry-policy.js';
+import { DEFAULT_DETECTION_RULES, normalizeDetectionRules } from '../../shared/utils/detection-rules.js';
 
 const SETTINGS_DEFAULTS = {
   maxConcurrentDownloads: 3,
+  segmentConcurrency: 4, // Parallel segment requests per HLS download
+  segmentRetries: 5, // Retries per segment before an HLS download fails
+  maxDownloadSpeed: 0, // Bytes per second shared by all native downloads, 0 = unlimited
+  maxDownloadSpeedUnit: 1048576, // MB/s multiplier (user's preferred unit)
+  activeUseDownloadSpeed: 0, // Lower cap while the browser is in use, 0 = off
+  activeUseDownloadSpeedUnit: 1048576,
+  downloadWindowEnabled: false, // Only start downloads between the two times below
+  downloadWindowStart: '01:00', // HH:MM, local time
+  downloadWindowEnd: '07:00', // HH:MM, may be earlier than the start (window across midnight)
+  retryPolicies: DEFAULT_RETRY_POLICIES, // Per failure category: { maxRetries, baseDelay (seconds) }
   defaultSavePath: null,
   showDownloadNotifications: true,
   minFileSizeFilter: 200 * 1024, // 200KB in bytes (for video-detector.js)
   minFileSizeFilterUnit: 1024, // KB multiplier (user's preferred unit)
+  detectionRules: DEFAULT_DETECTION_RULES, // Domain lists, URL patterns, min duration/resolution, type toggles
   autoGeneratePreviews: true,
   saveDownloadsInHistory: true,
   maxHistorySize: 100,
@@ -20,6 +33,7 @@ const SETTINGS_DEFAULTS = {
 
 // Simplified validation - just clamp numbers to valid ranges
 const clampValue = (value, min, max) => Math.max(min, Math.min(max, value));
+const isTimeOfDay = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
 
 class SettingsManager {
   constructor() {
@@ -110,12 +124,35 @@ class SettingsManager {
 
   _clampNumericSettings() {
     this.settings.maxConcurrentDownloads = clampValue(this.settings.maxConcurrentDownloads, 1, 10);
+    this.settings.segmentConcurrency = clampValue(this.settings.segmentConcurrency, 1, 16);
+    this.settings.segmentRetries = clampValue(this.settings.segmentRetries, 0, 10);
     this.settings.minFileSizeFilter = clampValue(this.settings.minFileSizeFilter, 0, 100 * 1024 * 1024);
     
+    this.settings.maxDownloadSpeed = clampValue(this.settings.maxDownloadSpeed, 0, 1000 * 1024 * 1024);
+    this.settings.activeUseDownloadSpeed = clampValue(this.settings.activeUseDownloadSpeed, 0, 1000 * 1024 * 1024);
+    
     // Validate unit preference (KB or MB only)
     if (![1024, 1048576].includes(this.settings.minFileSizeFilterUnit)) {
       this.settings.minFileSizeFilterUnit = 1024; // Default to KB
     }
+    for (const key of ['maxDownloadSpeedUnit', 'activeUseDownloadSpeedUnit']) {
+      if (![1024, 1048576].includes(this.settings[key])) {
+        this.settings[key] = 1048576; // Default to MB/s
+      }
+    }
+    
+    // Download window times must be HH:MM
+    for (const key of ['downloadWindowStart', 'downloadWindowEnd']) {
+      if (!isTimeOfDay(this.settings[key])) {
+        this.settings[key] = SETTINGS_DEFAULTS[key];
+      }
+    }
+    
+    // Every failure category gets a complete policy within limits
+    this.settings.retryPolicies = normalizeRetryPolicies(this.settings.retryPolicies);
+    
+    // Rules are cleaned up (bare domains, valid patterns only) before anything evaluates them
+    this.settings.detectionRules = normalizeDetectionRules(this.settings.detectionRules);
     
     this.settings.maxHistorySize = clampValue(this.settings.maxHistorySize, 0, 200);
     this.settings.historyAutoRemoveInterval = clampValue(this.settings.historyAutoRemoveInterval, 1, 365);
@@ -5,6 +5,7 @@
 
 import { cleanupVideosForTab, getVideosForDisplay } from "../processing/video-store.js";
 import { cleanupProcessingForTab } from "../processing/video-processor.js";
+import { cleanupAdEvidenceForTab } from "../detection/ad-classifier.js";
 
 // Track domain (origin) for each tab to detect domain changes
 // Map<tabId, origin> - tracks the current domain for each tab
@@ -107,6 +108,7 @@ function initTabTracking() {
       // Cleanup all tab-related data
       cleanupVideosForTab(tabId, false);
       cleanupProcessingForTab(tabId);
+      cleanupAdEvidenceForTab(tabId);
 
       // Clean up domain tracking
       if (tabDomains.has(tabId)) {
@@ -138,6 +140,7 @@ function initTabTracking() {
             `Domain change detected, cleaning up tab ${details.tabId}`
           );
           cleanupVideosForTab(details.tabId);
+          cleanupAdEvidenceForTab(details.tabId);
           // Icon is now reset immediately by cleanupVideosForTab
         } else {
           console.debug(
@@ -0,0 +1,273 @@
+/**
+ * DOM Scanner - Isolated-world content script that finds videos the network listener cannot see
+ * - <video>/<audio>/<source> elements, including ones whose manifest came from the cache
+ * - Player configs: JW Player setup() objects, Video.js data-setup, data-* attributes (Brightcove-style embeds)
+ *   and any inline script or JSON that names a manifest or media file
+ * - JSON-LD VideoObject and Open Graph tags, which also give a title, poster and duration
+ * Candidates are sent to the background as 'dom-scan' once each; the page is rescanned when it changes.
+ */
+
+(() => {
+    if (window.__maxDomScanner) return;
+    window.__maxDomScanner = true;
+
+    // Time the page must stay unchanged before a rescan
+    const RESCAN_DELAY_MS = 1500;
+    // Inline scripts larger than this are skipped (bundled app code, not configs)
+    const MAX_SCRIPT_LENGTH = 512 * 1024;
+
+    // Absolute or protocol-relative URL ending in a media or manifest extension (or a Smooth Streaming .ism/Manifest)
+    const MEDIA_URL_RE = /(?:https?:)?\/\/[^\s"'<>()\\]+?\.(?:m3u8|mpd|isml?\/manifest|mp4|m4v|webm|mov|mkv|ogv|mp3|m4a)(?:\?[^\s"'<>()\\]*)?(?=[\s"'<>()\\]|$)/gi;
+    // Any URL, relative ones included, with a media or manifest extension
+    const MEDIA_EXT_RE = /\.(?:m3u8|mpd|isml?\/manifest|mp4|m4v|webm|mov|mkv|ogv|mp3|m4a)(?:$|[?#])/i;
+    // file: "...", hlsUrl: '...' - script config keys whose value is a stream even without an extension
+    const CONFIG_KEY_RE = /["']?(file|hls|hlsUrl|hls_url|dash|dashUrl|dash_url|manifest|manifestUrl|manifest_url|streamUrl|stream_url|videoUrl|video_url)["']?\s*:\s*["']((?:https?:)?\/\/[^"'\s]+)["']/gi;
+    // Keys of parsed config objects (Video.js sources, data-config JSON) that hold the stream URL
+    const CONFIG_URL_KEYS = ['src', 'file', 'url', 'hls', 'hlsUrl', 'dash', 'dashUrl', 'manifest', 'manifestUrl', 'streamUrl', 'videoUrl'];
+    // data-* attributes that hold a media URL or a player config
+    const DATA_ATTRIBUTE_RE = /^data-(?:src|video|video-src|video-url|hls|hls-src|hls-url|dash|dash-src|dash-url|stream|stream-url|file|manifest|setup|config|sources|player-config)$/i;
+
+    // Key name prefix -> mime type, so extensionless manifests can still be typed
+    const KEY_MIME_HINTS = {
+        hls: 'application/x-mpegurl',
+        dash: 'application/dash+xml'
+    };
+
+    const reported = new Set();
+    let rescanTimer = null;
+
+    // JSON-escaped URLs ("https:\/\/cdn\/x.m3u8", "/") back to plain text
+    function unescapeText(text) {
+        return text
+            .replace(/\\u002[fF]/g, '/')
+            .replace(/\\\//g, '/')
+            .replace(/&amp;/g, '&');
+    }
+
+    function toAbsoluteUrl(value) {
+        if (!value || typeof value !== 'string') return null;
+        const trimmed = value.trim();
+        if (!trimmed || /^(?:blob|data|mediastream|javascript):/i.test(trimmed)) return null;
+        try {
+            const url = new URL(trimmed, document.baseURI);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // ISO 8601 duration (PT1H2M3S) to seconds
+    function parseIsoDuration(value) {
+        const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/i.exec(value || '');
+        if (!match) return null;
+        const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+        const total = days * 86400 + hours * 3600 + minutes * 60 + seconds;
+        return total > 0 ? total : null;
+    }
+
+    // Mime hint from a config key name (hlsUrl -> HLS)
+    function getKeyMimeHint(key) {
+        const lower = key.toLowerCase();
+        for (const [hint, mime] of Object.entries(KEY_MIME_HINTS)) {
+            if (lower.startsWith(hint)) return mime;
+        }
+        return null;
+    }
+
+    function createCollector() {
+        const candidates = new Map();
+        return {
+            add(rawUrl, details = {}) {
+                const url = toAbsoluteUrl(rawUrl);
+                if (!url) return;
+                const existing = candidates.get(url);
+                if (existing) {
+                    // Keep the first origin but fill in metadata a later source knows
+                    for (const [key, value] of Object.entries(details)) {
+                        if (value && !existing[key]) existing[key] = value;
+                    }
+                    return;
+                }
+                candidates.set(url, { url, ...details });
+            },
+            values: () => [...candidates.values()]
+        };
+    }
+
+    function scanMediaElements(collector) {
+        for (const element of document.querySelectorAll('video, audio')) {
+            const poster = toAbsoluteUrl(element.getAttribute('poster'));
+            const title = element.getAttribute('title') || element.getAttribute('aria-label') || null;
+            const duration = Number.isFinite(element.duration) && element.duration > 0 ? element.duration : null;
+
+            for (const src of [element.getAttribute('src'), element.currentSrc]) {
+                collector.add(src, { origin: 'media-element', poster, title, duration });
+            }
+            for (const source of element.querySelectorAll('source[src]')) {
+                collector.add(source.getAttribute('src'), {
+                    origin: 'source-element',
+                    mimeType: source.getAttribute('type') || null,
+                    poster,
+                    title,
+                    duration
+                });
+            }
+        }
+    }
+
+    // URLs in free text: media extensions anywhere, and stream-like config keys
+    function scanText(collector, text, origin) {
+        if (!text || text.length > MAX_SCRIPT_LENGTH) return;
+        const plain = unescapeText(text);
+
+        for (const match of plain.matchAll(MEDIA_URL_RE)) {
+            collector.add(match[0], { origin });
+        }
+        for (const match of plain.matchAll(CONFIG_KEY_RE)) {
+            collector.add(match[2], { origin, mimeType: getKeyMimeHint(match[1]) });
+        }
+    }
+
+    // Parsed player config: { sources: [{ src, type }] }, { file }, { hls: { url } } and the like
+    function scanConfigObject(collector, value, origin, depth = 0) {
+        if (!value || typeof value !== 'object' || depth > 8) return;
+        if (Array.isArray(value)) {
+            value.forEach(item => scanConfigObject(collector, item, origin, depth + 1));
+            return;
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (typeof item === 'string' && CONFIG_URL_KEYS.includes(key)) {
+                const mimeType = (typeof value.type === 'string' && value.type.includes('/') ? value.type : null) || getKeyMimeHint(key);
+                if (mimeType || MEDIA_EXT_RE.test(item) || key === 'file') {
+                    collector.add(item, {
+                        origin,
+                        mimeType,
+                        title: typeof value.title === 'string' ? value.title : null,
+                        poster: toAbsoluteUrl(value.image || value.poster)
+                    });
+                }
+            } else if (typeof item === 'object') {
+                scanConfigObject(collector, item, origin, depth + 1);
+            }
+        }
+    }
+
+    function scanDataAttributes(collector) {
+        for (const element of document.querySelectorAll('body *')) {
+            for (const attribute of element.attributes) {
+                if (!DATA_ATTRIBUTE_RE.test(attribute.name)) continue;
+                const value = attribute.value;
+                if (/^\s*[[{]/.test(value)) {
+                    try {
+                        scanConfigObject(collector, JSON.parse(value), 'data-attribute');
+                    } catch {
+                        scanText(collector, value, 'data-attribute');
+                    }
+                } else {
+                    const mimeType = getKeyMimeHint(attribute.name.replace(/^data-/i, '').replace(/-/g, ''));
+                    if (mimeType || MEDIA_EXT_RE.test(value)) {
+                        collector.add(value, { origin: 'data-attribute', mimeType });
+                    }
+                }
+            }
+        }
+    }
+
+    // JSON-LD VideoObject (possibly nested in @graph or arrays)
+    function scanJsonLd(collector, data) {
+        if (!data || typeof data !== 'object') return;
+        if (Array.isArray(data)) {
+            data.forEach(item => scanJsonLd(collector, item));
+            return;
+        }
+        if (data['@graph']) {
+            scanJsonLd(collector, data['@graph']);
+        }
+
+        const types = [].concat(data['@type'] || []);
+        if (types.includes('VideoObject')) {
+            const thumbnail = [].concat(data.thumbnailUrl || data.thumbnail?.url || [])[0];
+            collector.add(data.contentUrl, {
+                origin: 'json-ld',
+                mimeType: data.encodingFormat || null,
+                title: data.name || null,
+                poster: toAbsoluteUrl(thumbnail),
+                duration: parseIsoDuration(data.duration)
+            });
+        }
+        if (data.video) {
+            scanJsonLd(collector, data.video);
+        }
+    }
+
+    function scanScripts(collector) {
+        for (const script of document.querySelectorAll('script:not([src])')) {
+            const text = script.textContent;
+            if (script.type === 'application/ld+json') {
+                try {
+                    scanJsonLd(collector, JSON.parse(text));
+                } catch {
+                    // Malformed JSON-LD - fall back to plain text matching
+                }
+            }
+            scanText(collector, text, script.type === 'application/ld+json' ? 'json-ld' : 'player-config');
+        }
+    }
+
+    function scanOpenGraph(collector) {
+        const meta = (property) => document.querySelector(`meta[property="${property}"], meta[name="${property}"]`)?.getAttribute('content') || null;
+        const videoUrl = meta('og:video:secure_url') || meta('og:video:url') || meta('og:video');
+        if (videoUrl) {
+            collector.add(videoUrl, {
+                origin: 'open-graph',
+                mimeType: meta('og:video:type'),
+                title: meta('og:title'),
+                poster: toAbsoluteUrl(meta('og:image')),
+                duration: parseFloat(meta('video:duration')) || null
+            });
+        }
+    }
+
+    function scan() {
+        rescanTimer = null;
+        const collector = createCollector();
+        try {
+            scanMediaElements(collector);
+            scanOpenGraph(collector);
+            scanScripts(collector);
+            scanDataAttributes(collector);
+        } catch (error) {
+            console.debug('DOM scan failed:', error);
+        }
+
+        const candidates = collector.values().filter(candidate => !reported.has(candidate.url));
+        if (candidates.length === 0) return;
+        candidates.forEach(candidate => reported.add(candidate.url));
+
+        chrome.runtime.sendMessage({
+            command: 'dom-scan',
+            candidates,
+            page: {
+                url: window.location.href,
+                userAgent: navigator.userAgent
+            }
+        }).catch(() => {
+            // Extension reloaded - nothing is listening anymore
+        });
+    }
+
+    function scheduleScan() {
+        clearTimeout(rescanTimer);
+        rescanTimer = setTimeout(scan, RESCAN_DELAY_MS);
+    }
+
+    new MutationObserver(scheduleScan).observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['src', 'poster', 'data-setup', 'data-config', 'data-src', 'data-video', 'data-hls', 'data-dash', 'data-stream']
+    });
+    // Media elements pick their source late (currentSrc) - rescan when one starts loading
+    document.addEventListener('loadstart', scheduleScan, true);
+    scan();
+})();
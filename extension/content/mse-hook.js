@@ -0,0 +1,252 @@
+/**
+ * MSE Capture Hook - Runs in the page's main world at document_start
+ * - Records the mime type of every SourceBuffer and keeps its latest init segment
+ * - Keeps a copy of appended media segments only once the user picked the capture ('record' from the relay)
+ * - Ties each MediaSource to the blob: URL the page gives its media element
+ * - Reports captures to the isolated-world relay (mse-relay.js), which forwards them to the background
+ * - Captured bytes stay in the page until the background reads them for a download, and are dropped
+ *   when the page closes the MediaSource or revokes its URL
+ */
+
+(() => {
+    const MediaSource = window.MediaSource;
+    const SourceBuffer = window.SourceBuffer;
+    if (!MediaSource || !SourceBuffer || window.__maxMseCaptureHook) return;
+    window.__maxMseCaptureHook = true;
+
+    const MESSAGE_SOURCE = 'max-mse-hook';
+    const RELAY_SOURCE = 'max-mse-relay';
+
+    // Memory kept per page for all captures together; appends past it are not recorded
+    const MAX_CAPTURE_BYTES = 256 * 1024 * 1024;
+    // Minimum time between two reports of the same capture while it grows
+    const REPORT_INTERVAL_MS = 2000;
+    const POSTER_WIDTH = 320;
+
+    const captures = new Map();          // blob URL -> capture
+    const captureBySource = new WeakMap(); // MediaSource -> capture
+    const trackByBuffer = new WeakMap();   // SourceBuffer -> track
+    let capturedBytes = 0;
+    let nextTrackId = 0;
+
+    const originalAddSourceBuffer = MediaSource.prototype.addSourceBuffer;
+    const originalAppendBuffer = SourceBuffer.prototype.appendBuffer;
+    const originalCreateObjectURL = URL.createObjectURL;
+    const originalRevokeObjectURL = URL.revokeObjectURL;
+
+    function getCapture(mediaSource) {
+        let capture = captureBySource.get(mediaSource);
+        if (!capture) {
+            capture = { mediaSource, url: null, tracks: [], recording: false, truncated: false, poster: null, lastReport: 0, reportTimer: null };
+            captureBySource.set(mediaSource, capture);
+            mediaSource.addEventListener('sourceclose', () => releaseCapture(capture));
+        }
+        return capture;
+    }
+
+    // Free everything a capture holds once the page is done with its MediaSource
+    function releaseCapture(capture) {
+        for (const track of capture.tracks) {
+            capturedBytes -= track.bytes;
+            track.init = null;
+            track.chunks = [];
+            track.bytes = 0;
+        }
+        clearTimeout(capture.reportTimer);
+        capture.reportTimer = null;
+        if (capture.url && captures.get(capture.url) === capture) {
+            captures.delete(capture.url);
+            window.postMessage({ source: MESSAGE_SOURCE, type: 'released', url: capture.url }, '*');
+        }
+    }
+
+    // Init segments (fMP4 ftyp/moov, WebM EBML header) are kept before recording, so a recording can start anywhere
+    function isInitSegment(bytes) {
+        if (bytes.byteLength < 8) return false;
+        if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) return true;
+        const boxType = String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]);
+        return boxType === 'ftyp' || boxType === 'moov';
+    }
+
+    // Keep one append of a track within the page-wide budget
+    function storeAppend(capture, track, data) {
+        const view = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : data instanceof ArrayBuffer ? new Uint8Array(data) : null;
+        if (!view) return;
+
+        // Until the user picks the capture only the latest init segment is kept (renditions switch init)
+        const init = isInitSegment(view);
+        if (!capture.recording && !init) return;
+        const replaced = init && !capture.recording ? (track.init?.byteLength || 0) : 0;
+        if (capturedBytes - replaced + view.byteLength > MAX_CAPTURE_BYTES) {
+            capture.truncated = true;
+            return;
+        }
+        if (capture.truncated) return;
+
+        const copy = copyBytes(data);
+        if (init && !capture.recording) {
+            capturedBytes -= replaced;
+            track.bytes -= replaced;
+            track.init = copy;
+        } else {
+            track.chunks.push(copy);
+        }
+        track.bytes += copy.byteLength;
+        capturedBytes += copy.byteLength;
+    }
+
+    // All bytes of a track in append order: the init segment kept before recording, then what was recorded
+    function getTrackChunks(track) {
+        return track.init ? [track.init, ...track.chunks] : track.chunks;
+    }
+
+    // Copy appended data - the page may reuse or detach its buffer right after appendBuffer() returns
+    function copyBytes(data) {
+        if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data.slice(0));
+        }
+        if (ArrayBuffer.isView(data)) {
+            return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        }
+        return null;
+    }
+
+    // Media element currently playing this capture's blob URL
+    function findMediaElement(capture) {
+        if (!capture.url) return null;
+        for (const element of document.querySelectorAll('video, audio')) {
+            if (element.src === capture.url || element.currentSrc === capture.url) {
+                return element;
+            }
+        }
+        return null;
+    }
+
+    // Small JPEG of the current frame (the data is the page's own, so the canvas is never tainted)
+    function grabPoster(element) {
+        if (element.tagName !== 'VIDEO' || !element.videoWidth || element.readyState < 2) return null;
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = POSTER_WIDTH;
+            canvas.height = Math.round(POSTER_WIDTH * element.videoHeight / element.videoWidth);
+            canvas.getContext('2d').drawImage(element, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } catch {
+            return null;
+        }
+    }
+
+    function describeCapture(capture) {
+        const element = findMediaElement(capture);
+        const duration = capture.mediaSource.duration;
+        if (!capture.poster && element) {
+            capture.poster = grabPoster(element);
+        }
+
+        return {
+            url: capture.url,
+            duration: Number.isFinite(duration) ? duration : null,
+            isLive: duration === Infinity,
+            recording: capture.recording,
+            width: element?.videoWidth || null,
+            height: element?.videoHeight || null,
+            poster: capture.poster,
+            truncated: capture.truncated,
+            tracks: capture.tracks.map(track => ({
+                id: track.id,
+                mimeType: track.mimeType,
+                kind: track.kind,
+                bytes: track.bytes
+            }))
+        };
+    }
+
+    // Report a capture once it has media data, then at most every REPORT_INTERVAL_MS while it grows
+    function scheduleReport(capture) {
+        if (!capture.url || capture.reportTimer) return;
+        const wait = Math.max(0, capture.lastReport + REPORT_INTERVAL_MS - Date.now());
+        capture.reportTimer = setTimeout(() => {
+            capture.reportTimer = null;
+            capture.lastReport = Date.now();
+            window.postMessage({ source: MESSAGE_SOURCE, type: 'capture', capture: describeCapture(capture) }, '*');
+        }, wait);
+    }
+
+    // Up to `length` bytes of a track starting at `offset`, and whether that reaches its end
+    function readTrack(url, trackId, offset, length) {
+        const track = captures.get(url)?.tracks.find(candidate => candidate.id === trackId);
+        if (!track) {
+            return { error: 'Capture is no longer available in the page' };
+        }
+
+        const end = Math.min(track.bytes, offset + length);
+        const data = new Uint8Array(Math.max(0, end - offset));
+        let position = 0;
+        for (const chunk of getTrackChunks(track)) {
+            const chunkEnd = position + chunk.byteLength;
+            if (chunkEnd > offset && position < end) {
+                const from = Math.max(0, offset - position);
+                const to = Math.min(chunk.byteLength, end - position);
+                data.set(chunk.subarray(from, to), position + from - offset);
+            }
+            position = chunkEnd;
+            if (position >= end) break;
+        }
+        return { data, done: end >= track.bytes };
+    }
+
+    MediaSource.prototype.addSourceBuffer = function (mimeType) {
+        const sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+        const kind = /^audio\//i.test(mimeType) ? 'audio' : 'video';
+        const track = { id: `${kind}${nextTrackId++}`, mimeType, kind, init: null, chunks: [], bytes: 0 };
+        getCapture(this).tracks.push(track);
+        trackByBuffer.set(sourceBuffer, { track, mediaSource: this });
+        return sourceBuffer;
+    };
+
+    SourceBuffer.prototype.appendBuffer = function (data) {
+        const entry = trackByBuffer.get(this);
+        if (entry) {
+            const capture = getCapture(entry.mediaSource);
+            storeAppend(capture, entry.track, data);
+            scheduleReport(capture);
+        }
+        return originalAppendBuffer.apply(this, arguments);
+    };
+
+    URL.createObjectURL = function (object) {
+        const url = originalCreateObjectURL.apply(this, arguments);
+        if (object instanceof MediaSource) {
+            const capture = getCapture(object);
+            capture.url = url;
+            captures.set(url, capture);
+        }
+        return url;
+    };
+
+    URL.revokeObjectURL = function (url) {
+        // Players often revoke the URL as soon as the element attached it; the capture then lives until 'sourceclose'
+        const capture = captures.get(url);
+        if (capture && capture.mediaSource.readyState === 'closed') {
+            releaseCapture(capture);
+        }
+        return originalRevokeObjectURL.apply(this, arguments);
+    };
+
+    window.addEventListener('message', (event) => {
+        const message = event.data;
+        if (event.source !== window || message?.source !== RELAY_SOURCE) return;
+
+        if (message.type === 'record') {
+            const capture = captures.get(message.url);
+            if (capture && !capture.recording) {
+                capture.recording = true;
+                scheduleReport(capture);
+            }
+        } else if (message.type === 'read') {
+            const result = readTrack(message.url, message.trackId, message.offset, message.length);
+            window.postMessage({ source: MESSAGE_SOURCE, type: 'chunk', requestId: message.requestId, ...result }, '*');
+        }
+    });
+})();
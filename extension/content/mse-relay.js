@@ -0,0 +1,71 @@
+/**
+ * MSE Capture Relay - Isolated-world content script paired with mse-hook.js
+ * - Forwards capture reports from the page hook to the background ('mse-detected', 'mse-released')
+ * - Passes 'mse-record' from the background on to the hook, which then starts keeping media segments
+ * - Serves 'mse-read' requests from the background with base64 slices of a captured track
+ *   (runtime messages are JSON, so raw bytes cannot cross as they are)
+ */
+
+(() => {
+    const HOOK_SOURCE = 'max-mse-hook';
+    const RELAY_SOURCE = 'max-mse-relay';
+    const READ_TIMEOUT_MS = 30000;
+
+    const pendingReads = new Map(); // requestId -> sendResponse
+    let nextRequestId = 0;
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return window.btoa(binary);
+    }
+
+    window.addEventListener('message', (event) => {
+        const message = event.data;
+        if (event.source !== window || message?.source !== HOOK_SOURCE) return;
+
+        if (message.type === 'capture') {
+            chrome.runtime.sendMessage({ command: 'mse-detected', capture: message.capture }).catch(() => {
+                // Extension reloaded - nothing is listening anymore
+            });
+        } else if (message.type === 'released') {
+            chrome.runtime.sendMessage({ command: 'mse-released', url: message.url }).catch(() => {});
+        } else if (message.type === 'chunk') {
+            const sendResponse = pendingReads.get(message.requestId);
+            if (!sendResponse) return;
+            pendingReads.delete(message.requestId);
+            sendResponse(message.error
+                ? { error: message.error }
+                : { data: toBase64(message.data), length: message.data.length, done: message.done });
+        }
+    });
+
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.command === 'mse-record') {
+            window.postMessage({ source: RELAY_SOURCE, type: 'record', url: request.url }, '*');
+            return false;
+        }
+        if (request.command !== 'mse-read') return false;
+
+        const requestId = ++nextRequestId;
+        pendingReads.set(requestId, sendResponse);
+        setTimeout(() => {
+            if (pendingReads.delete(requestId)) {
+                sendResponse({ error: 'Page did not answer the capture read' });
+            }
+        }, READ_TIMEOUT_MS);
+
+        window.postMessage({
+            source: RELAY_SOURCE,
+            type: 'read',
+            requestId,
+            url: request.url,
+            trackId: request.trackId,
+            offset: request.offset,
+            length: request.length
+        }, '*');
+        return true; // Answered asynchronously
+    });
+})();
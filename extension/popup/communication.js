@@ -79,7 +79,7 @@ async function handleIncomingMessage(message) {
 
         case 'cachesCleared':
             await renderVideos([]); // Pass empty array directly
-            updateUICounters({ videos: { hls: 0, dash: 0, direct: 0, unknown: 0, total: 0 } });
+            updateUICounters({ videos: { hls: 0, dash: 0, mss: 0, direct: 0, mse: 0, unknown: 0, total: 0 } });
             break;
 
         case 'previewCacheStats':
@@ -93,6 +93,8 @@ async function handleIncomingMessage(message) {
         case 'download-queued':
         case 'download-started':
         case 'download-stopping':
+        case 'download-paused':
+        case 'download-resumed':
         case 'filename-resolved':
             await updateDownloadProgress(message);
             break;
@@ -5,18 +5,45 @@
 import { sendPortMessage } from './communication.js';
 import { showConfirmModal } from './ui-utils.js';
 import { renderHistoryItems } from './video/video-renderer.js';
+import { FAILURE_CATEGORY_LABELS, RETRY_LIMITS } from '../shared/utils/retry-policy.js';
+import { DETECTION_TYPE_LABELS, DETECTION_RULE_LIMITS, isValidUrlPattern } from '../shared/utils/detection-rules.js';
 
 let currentSettings = null;
 
 // Setting configurations with validation and display logic
 const SETTING_CONFIGS = {
   maxConcurrentDownloads: { type: 'number', min: 1, max: 10 },
+  segmentConcurrency: { type: 'number', min: 1, max: 16 },
+  segmentRetries: { type: 'number', min: 0, max: 10 },
+  downloadWindowEnabled: { type: 'boolean' },
+  downloadWindowStart: { type: 'time' },
+  downloadWindowEnd: { type: 'time' },
+  retryPolicies: { type: 'retry-policy' },
+  detectionRules: { type: 'detection-rules' },
   defaultSavePath: { type: 'path' },
   showDownloadNotifications: { type: 'boolean' },
+  maxDownloadSpeed: {
+    type: 'unit-number',
+    min: 0,
+    maxBytes: 1000 * 1048576, // 1000 MB/s
+    units: [
+      { label: 'KB/s', multiplier: 1024 },
+      { label: 'MB/s', multiplier: 1048576 }
+    ]
+  },
+  activeUseDownloadSpeed: {
+    type: 'unit-number',
+    min: 0,
+    maxBytes: 1000 * 1048576, // 1000 MB/s
+    units: [
+      { label: 'KB/s', multiplier: 1024 },
+      { label: 'MB/s', multiplier: 1048576 }
+    ]
+  },
   minFileSizeFilter: { 
     type: 'unit-number',
     min: 0, 
-    max: 100,  // max value in either unit
+    maxBytes: 100 * 1048576, // 100 MB
     units: [
       { label: 'KB', multiplier: 1024 },
       { label: 'MB', multiplier: 1048576 }
@@ -85,6 +112,13 @@ function setupEventListeners() {
         } else if (config.type === 'number') {
             element.addEventListener('blur', (e) => handleNumberInput(settingKey, e.target));
             addKeyboardHandlers(element);
+        } else if (config.type === 'time') {
+            // Time pickers commit a complete HH:MM on change; an emptied field is ignored
+            element.addEventListener('change', (e) => {
+                if (e.target.value && currentSettings?.[settingKey] !== e.target.value) {
+                    handleSettingChange(settingKey, e.target.value);
+                }
+            });
         } else if (config.type === 'unit-number') {
             element.addEventListener('blur', (e) => handleUnitNumberInput(settingKey, e.target));
             addKeyboardHandlers(element);
@@ -98,6 +132,26 @@ function setupEventListeners() {
                     }
                 });
             }
+        } else if (config.type === 'retry-policy') {
+            // One row per failure category, each with a retries and a first-wait input
+            renderRetryPolicyRows(element);
+            element.querySelectorAll('input[data-retry-category]').forEach(input => {
+                input.addEventListener('blur', (e) => handleRetryPolicyInput(settingKey, e.target));
+                addKeyboardHandlers(input);
+            });
+        } else if (config.type === 'detection-rules') {
+            // One entry per line in the list fields, number inputs for the minimums, a checkbox per type
+            renderDetectionRulesEditor(element);
+            element.querySelectorAll('textarea[data-rules-field]').forEach(textarea => {
+                textarea.addEventListener('blur', (e) => handleDetectionRulesListInput(settingKey, e.target));
+            });
+            element.querySelectorAll('input[type="number"][data-rules-field]').forEach(input => {
+                input.addEventListener('blur', (e) => handleDetectionRulesNumberInput(settingKey, e.target));
+                addKeyboardHandlers(input);
+            });
+            element.querySelectorAll('input[data-rules-type]').forEach(checkbox => {
+                checkbox.addEventListener('change', (e) => handleDetectionRulesTypeChange(settingKey, e.target));
+            });
         } else if (config.type === 'unit') {
             // For unit type, the element itself is the unit-toggle
             if (element) {
@@ -163,6 +217,162 @@ async function handleNumberInput(settingKey, input) {
     }
 }
 
+/**
+ * Build the retry policy rows: failure category, retries and wait before the first retry
+ * @param {HTMLElement} container - Element with data-setting="retryPolicies"
+ */
+function renderRetryPolicyRows(container) {
+    const rows = Object.entries(FAILURE_CATEGORY_LABELS).map(([category, label]) => `
+        <div class="retry-policy-row">
+            <span class="retry-policy-label">${label}</span>
+            <input type="number" class="input-field" data-retry-category="${category}" data-retry-field="maxRetries"
+                min="0" max="${RETRY_LIMITS.maxRetries}" title="Retries (0 = never)" />
+            <input type="number" class="input-field" data-retry-category="${category}" data-retry-field="baseDelay"
+                min="1" max="${RETRY_LIMITS.baseDelay}" title="Seconds before the first retry, doubled for each further one" />
+        </div>
+    `).join('');
+    
+    container.innerHTML = `
+        <div class="retry-policy-row retry-policy-header">
+            <span class="retry-policy-label">Failure Reason</span>
+            <span>Retries</span>
+            <span>First Wait (s)</span>
+        </div>
+        ${rows}
+    `;
+}
+
+/**
+ * Handle a retries / first-wait input of the retry policy table
+ */
+function handleRetryPolicyInput(settingKey, input) {
+    if (!currentSettings) return;
+    
+    const { retryCategory: category, retryField: field } = input.dataset;
+    const min = field === 'maxRetries' ? 0 : 1;
+    const policy = currentSettings[settingKey][category];
+    let value = parseInt(input.value, 10);
+
+    // Clamp to valid range
+    if (isNaN(value) || value < min) value = min;
+    if (value > RETRY_LIMITS[field]) value = RETRY_LIMITS[field];
+
+    input.value = value;
+    input.classList.remove('error');
+
+    if (policy[field] !== value) {
+        updateSettings({
+            ...currentSettings,
+            [settingKey]: {
+                ...currentSettings[settingKey],
+                [category]: { ...policy, [field]: value }
+            }
+        });
+        showSuccessFeedback(input);
+    }
+}
+
+/**
+ * Build the detection rules editor: domain lists, URL patterns, minimums and type toggles
+ * @param {HTMLElement} container - Element with data-setting="detectionRules"
+ */
+function renderDetectionRulesEditor(container) {
+    const listField = (field, label, placeholder, tooltip) => `
+        <label class="detection-rules-field">
+            <span class="detection-rules-label" title="${tooltip}">${label}</span>
+            <textarea class="input-field" data-rules-field="${field}" rows="2" spellcheck="false" placeholder="${placeholder}"></textarea>
+        </label>
+    `;
+    const typeToggles = Object.entries(DETECTION_TYPE_LABELS).map(([type, label]) => `
+        <label class="detection-rules-type">
+            <input type="checkbox" data-rules-type="${type}" />
+            ${label}
+        </label>
+    `).join('');
+
+    container.innerHTML = `
+        ${listField('domainAllowList', 'Allowed Domains', 'example.com', 'Only detect videos on these sites or from these hosts (one per line, subdomains included). Empty = everywhere')}
+        ${listField('domainDenyList', 'Blocked Domains', 'ads.example.com', 'Never detect videos on these sites or from these hosts (one per line, subdomains included)')}
+        ${listField('urlIncludePatterns', 'Include URLs', 'cdn\\.example\\.com/video', 'Only detect video URLs matching one of these regular expressions (one per line). Empty = all')}
+        ${listField('urlExcludePatterns', 'Exclude URLs', '/preview/|thumbnail', 'Never detect video URLs matching any of these regular expressions (one per line)')}
+        <div class="detection-rules-minimums">
+            <label class="detection-rules-field">
+                <span class="detection-rules-label" title="Hide videos shorter than this. Live streams are never hidden by duration">Min. Duration (s)</span>
+                <input type="number" class="input-field" data-rules-field="minDuration" min="0" max="${DETECTION_RULE_LIMITS.minDuration}" />
+            </label>
+            <label class="detection-rules-field">
+                <span class="detection-rules-label" title="Hide videos whose best quality is below this height, e.g. 720">Min. Resolution (p)</span>
+                <input type="number" class="input-field" data-rules-field="minResolution" min="0" max="${DETECTION_RULE_LIMITS.minResolution}" />
+            </label>
+        </div>
+        <div class="detection-rules-types">${typeToggles}</div>
+    `;
+}
+
+/**
+ * Handle a domain list / URL pattern textarea of the detection rules editor
+ * A list with an invalid pattern is not saved until it is fixed.
+ */
+function handleDetectionRulesListInput(settingKey, textarea) {
+    if (!currentSettings) return;
+
+    const field = textarea.dataset.rulesField;
+    const entries = textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+    if (field === 'urlIncludePatterns' || field === 'urlExcludePatterns') {
+        const invalid = entries.find(pattern => !isValidUrlPattern(pattern));
+        if (invalid) {
+            textarea.classList.add('error');
+            textarea.title = `Invalid regular expression: ${invalid}`;
+            return;
+        }
+    }
+    textarea.classList.remove('error');
+    textarea.title = '';
+
+    const rules = currentSettings[settingKey];
+    if (JSON.stringify(rules[field]) !== JSON.stringify(entries)) {
+        updateSettings({ ...currentSettings, [settingKey]: { ...rules, [field]: entries } });
+        showSuccessFeedback(textarea);
+    }
+}
+
+/**
+ * Handle a minimum duration / resolution input of the detection rules editor
+ */
+function handleDetectionRulesNumberInput(settingKey, input) {
+    if (!currentSettings) return;
+
+    const field = input.dataset.rulesField;
+    let value = parseInt(input.value, 10);
+
+    // Clamp to valid range
+    if (isNaN(value) || value < 0) value = 0;
+    if (value > DETECTION_RULE_LIMITS[field]) value = DETECTION_RULE_LIMITS[field];
+
+    input.value = value;
+    input.classList.remove('error');
+
+    const rules = currentSettings[settingKey];
+    if (rules[field] !== value) {
+        updateSettings({ ...currentSettings, [settingKey]: { ...rules, [field]: value } });
+        showSuccessFeedback(input);
+    }
+}
+
+/**
+ * Handle a type checkbox of the detection rules editor
+ */
+function handleDetectionRulesTypeChange(settingKey, checkbox) {
+    if (!currentSettings) return;
+
+    const rules = currentSettings[settingKey];
+    updateSettings({
+        ...currentSettings,
+        [settingKey]: { ...rules, types: { ...rules.types, [checkbox.dataset.rulesType]: checkbox.checked } }
+    });
+}
+
 /**
  * Handle save path selection
  */
@@ -247,8 +457,24 @@ export function updateSettingsUI(settings) {
         } else if (config.type === 'path') {
             element.value = settings[settingKey] || '';
             element.placeholder = settings[settingKey] ? '' : 'Click to choose folder';
-        } else if (config.type === 'number') {
+        } else if (config.type === 'number' || config.type === 'time') {
             element.value = settings[settingKey];
+        } else if (config.type === 'retry-policy') {
+            element.querySelectorAll('input[data-retry-category]').forEach(input => {
+                const policy = settings[settingKey][input.dataset.retryCategory];
+                input.value = policy ? policy[input.dataset.retryField] : '';
+                input.classList.remove('error');
+            });
+        } else if (config.type === 'detection-rules') {
+            const rules = settings[settingKey];
+            element.querySelectorAll('[data-rules-field]').forEach(field => {
+                const value = rules[field.dataset.rulesField];
+                field.value = Array.isArray(value) ? value.join('\n') : value;
+                field.classList.remove('error');
+            });
+            element.querySelectorAll('input[data-rules-type]').forEach(checkbox => {
+                checkbox.checked = rules.types[checkbox.dataset.rulesType] !== false;
+            });
         } else if (config.type === 'unit-number') {
             // Handle unit-number inputs - use stored unit preference
             const bytes = settings[settingKey];
@@ -267,8 +493,7 @@ export function updateSettingsUI(settings) {
             element.value = formattedValue;
             
             // Set dynamic max constraint based on unit
-            const maxBytes = 100 * 1048576; // 100 MB in bytes
-            const maxValueForUnit = maxBytes / preferredUnit;
+            const maxValueForUnit = config.maxBytes / preferredUnit;
             element.max = maxValueForUnit;
             
             // Store original bytes for change detection
@@ -307,9 +532,8 @@ async function handleUnitNumberInput(settingKey, input) {
     
     const multiplier = parseInt(activeUnit.dataset.multiplier, 10);
 
-    // Calculate dynamic max based on unit (100 MB total limit)
-    const maxBytes = 100 * 1048576; // 100 MB in bytes
-    const maxValueForUnit = maxBytes / multiplier;
+    // Calculate dynamic max based on unit (the setting's byte limit)
+    const maxValueForUnit = config.maxBytes / multiplier;
 
     // Clamp to valid range
     if (isNaN(value) || value < config.min) value = config.min;
@@ -379,9 +603,8 @@ function handleUnitToggleClick(settingKey, clickedUnit) {
     // Update input value and dynamic max constraint
     input.value = formattedValue;
     
-    // Calculate dynamic max based on unit (100 MB total limit)
-    const maxBytes = 100 * 1048576; // 100 MB in bytes
-    const maxValueForUnit = maxBytes / newMultiplier;
+    // Calculate dynamic max based on unit (the setting's byte limit)
+    const maxValueForUnit = config.maxBytes / newMultiplier;
     input.max = maxValueForUnit;
     
     // Store original bytes for change detection
@@ -223,7 +223,7 @@ export function showConfirmModal(message, onConfirm, onCancel = null, triggerEle
 /**
  * Unified UI counters update function
  * @param {Object} params - { videos, downloads }
- *   videos: { hls, dash, direct, unknown, total } (optional)
+ *   videos: { hls, dash, mss, direct, mse, unknown, total } (optional)
  *   downloads: { total } (optional)
  */
 export function updateUICounters(params = {}) {
@@ -236,7 +236,7 @@ export function updateUICounters(params = {}) {
             tabCounter.textContent = counts.total > 0 ? String(counts.total) : '';
         }
         // Per-group counters
-        const types = ['hls', 'dash', 'direct', 'unknown'];
+        const types = ['hls', 'dash', 'mss', 'direct', 'mse', 'unknown'];
         types.forEach(type => {
             const group = document.querySelector(`#videos-list .video-type-group[data-video-type="${type}"] .counter`);
             if (group) {
@@ -285,17 +285,8 @@ export function initializeFiltersAndSearch() {
     initializeFilterDropdown();
     initializeSearchInput();
     
-    // Apply initial filter state if any filter is unchecked
-    const activeFilters = getCurrentFilters();
-    const isFilterActive = activeFilters.length < 3;
-    
-    if (isFilterActive) {
-        const filterDropdown = document.getElementById('filter-dropdown');
-        if (filterDropdown) {
-            filterDropdown.classList.add('active');
-        }
-        updateGroupVisibilityWithFilters(activeFilters, isFilterActive);
-    }
+    // Apply initial filter state (ads start hidden)
+    handleFilterChange();
 }
 
 /**
@@ -480,16 +471,47 @@ function initializeFilterDropdown() {
  */
 function handleFilterChange() {
     const activeFilters = getCurrentFilters();
-    const isFilterActive = activeFilters.length < 3; // Not all types selected
+    const isTypeFilterActive = activeFilters.length < getTypeFilterCount(); // Not all types selected
     
-    // Update filter button visual state
+    // Update filter button visual state (showing ads is a change from the default too)
     const filterDropdown = document.getElementById('filter-dropdown');
     if (filterDropdown) {
-        filterDropdown.classList.toggle('active', isFilterActive);
+        filterDropdown.classList.toggle('active', isTypeFilterActive || isShowingAds());
     }
     
+    document.querySelectorAll('#videos-list .video-item').forEach(applyAdFilterToVideoItem);
+    
     // Apply group-level filtering
-    updateGroupVisibilityWithFilters(activeFilters, isFilterActive);
+    updateGroupVisibilityWithFilters(activeFilters, isTypeFilterActive);
+}
+
+/**
+ * Re-apply the current filters to the groups after videos were added, updated or removed
+ * A group whose only videos are hidden ads is hidden as well.
+ */
+export function refreshGroupVisibility() {
+    const activeFilters = getCurrentFilters();
+    updateGroupVisibilityWithFilters(activeFilters, activeFilters.length < getTypeFilterCount());
+}
+
+/**
+ * Hide a video item classified as ad unless ads are shown
+ */
+export function applyAdFilterToVideoItem(videoElement) {
+    const isAd = !!videoElement._component?.videoData?.isAd;
+    videoElement.classList.toggle('ad-hidden', isAd && !isShowingAds());
+}
+
+/**
+ * Whether the "Show Ads" filter is checked
+ */
+function isShowingAds() {
+    return !!document.querySelector('#filter-options input[data-filter="ads"]')?.checked;
+}
+
+// Number of video type checkboxes in the filter dropdown
+function getTypeFilterCount() {
+    return document.querySelectorAll('#filter-options input[type="checkbox"]:not([data-filter])').length;
 }
 
 /**
@@ -595,7 +617,8 @@ function filterVideosBySearch(searchTerm) {
 function updateGroupVisibilityWithFilters(activeFilters, isFilterActive) {
     document.querySelectorAll('.video-type-group').forEach(group => {
         const type = group.dataset.videoType;
-        const hasContent = group.querySelector('.section-content').children.length > 0;
+        const hasContent = Array.from(group.querySelector('.section-content').children)
+            .some(item => !item.classList.contains('ad-hidden'));
         
         if (isFilterActive) {
             // Filter is active - only show if type is selected AND has content
@@ -664,10 +687,10 @@ export function applySearchToVideoItem(videoElement) {
 }
 
 /**
- * Get current filter state
+ * Get current filter state (checked video types)
  */
 export function getCurrentFilters() {
-    const checkboxes = document.querySelectorAll('#filter-options input[type="checkbox"]');
+    const checkboxes = document.querySelectorAll('#filter-options input[type="checkbox"]:not([data-filter])');
     return Array.from(checkboxes)
         .filter(cb => cb.checked)
         .map(cb => cb.value);
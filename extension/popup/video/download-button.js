@@ -11,6 +11,7 @@ const BUTTON_STATES = {
     STARTING: 'starting', 
     DOWNLOADING: 'downloading',
     QUEUED: 'queued',
+    PAUSED: 'paused',
     STOPPING: 'stopping',
     ERROR: 'error',
     SUCCESS: 'success',
@@ -20,6 +21,17 @@ const BUTTON_STATES = {
 // Original download button HTML template
 const DOWNLOAD_BUTTON_ORIGINAL_HTML = `<span>Download</span>`;
 
+// Pause/resume toggle icons (shown next to Stop/Cancel)
+const PAUSE_ICON_HTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <rect x="5" y="4" width="5" height="16" rx="1"></rect>
+        <rect x="14" y="4" width="5" height="16" rx="1"></rect>
+    </svg>`;
+const RESUME_ICON_HTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <path d="M6 4v16l14-8z"></path>
+    </svg>`;
+
 /**
  * VideoDownloadButtonComponent - Manages download button state and actions
  */
@@ -29,6 +41,7 @@ export class VideoDownloadButtonComponent {
         this.elementsDiv = elementsDiv;
         this.buttonWrapper = null;
         this.downloadBtn = null;
+        this.pauseBtn = null;
         this.menuBtn = null;
         this.menuDropdown = null;
         
@@ -56,6 +69,10 @@ export class VideoDownloadButtonComponent {
         this.downloadBtn.className = 'download-btn';
         this.downloadBtn.innerHTML = DOWNLOAD_BUTTON_ORIGINAL_HTML;
         
+        // Create pause/resume toggle (hidden until a pausable download runs)
+        this.pauseBtn = document.createElement('button');
+        this.pauseBtn.className = 'download-pause-btn';
+        
         // Create menu button
         this.menuBtn = document.createElement('button');
         this.menuBtn.className = 'download-menu-btn';
@@ -74,6 +91,7 @@ export class VideoDownloadButtonComponent {
         
         // Assemble UI
         this.buttonWrapper.appendChild(this.downloadBtn);
+        this.buttonWrapper.appendChild(this.pauseBtn);
         this.buttonWrapper.appendChild(this.menuBtn);
         this.buttonWrapper.appendChild(this.menuDropdown);
         this.elementsDiv.appendChild(this.buttonWrapper);
@@ -182,6 +200,7 @@ export class VideoDownloadButtonComponent {
         // Update state and classes
         this.currentState = state;
         this.buttonWrapper.className = `download-btn-wrapper btn-${state}`;
+        this.updatePauseToggle(state, options);
         
         // Update button content and handler (same as old system)
         switch (state) {
@@ -205,6 +224,11 @@ export class VideoDownloadButtonComponent {
                 this.downloadBtn.onclick = options.handler || null;
                 break;
                 
+            case BUTTON_STATES.PAUSED:
+                this.downloadBtn.innerHTML = options.text || 'Cancel';
+                this.downloadBtn.onclick = options.handler || null;
+                break;
+                
             case BUTTON_STATES.STOPPING:
                 this.downloadBtn.innerHTML = options.text || 'Stopping...';
                 this.downloadBtn.onclick = null; // Disable clicks during stopping
@@ -227,6 +251,25 @@ export class VideoDownloadButtonComponent {
         }
     }
     
+    /**
+     * Show the pause toggle while a pausable download runs and the resume toggle while it is paused
+     * @param {string} state - Button state
+     * @param {Object} options - State options (pauseHandler / resumeHandler)
+     */
+    updatePauseToggle(state, options) {
+        const handler = state === BUTTON_STATES.DOWNLOADING ? options.pauseHandler
+            : state === BUTTON_STATES.PAUSED ? options.resumeHandler
+            : null;
+        
+        this.buttonWrapper.classList.toggle('pausable', !!handler);
+        this.pauseBtn.onclick = handler || null;
+        if (!handler) return;
+        
+        const paused = state === BUTTON_STATES.PAUSED;
+        this.pauseBtn.innerHTML = paused ? RESUME_ICON_HTML : PAUSE_ICON_HTML;
+        this.pauseBtn.title = paused ? 'Resume' : 'Pause';
+    }
+    
     /**
      * Create dropdown menu for additional options
      * @returns {HTMLElement} - Dropdown element
@@ -411,6 +454,28 @@ export class VideoDownloadButtonComponent {
         sendPortMessage(cancelMessage);
     }
     
+    /**
+     * Send pause message for download
+     * @param {string} downloadId - Download to pause
+     */
+    sendPauseMessage(downloadId) {
+        sendPortMessage({
+            command: 'pause-download',
+            downloadId
+        });
+    }
+    
+    /**
+     * Send resume message for a paused download
+     * @param {string} downloadId - Download to resume
+     */
+    sendResumeMessage(downloadId) {
+        sendPortMessage({
+            command: 'resume-download',
+            downloadId
+        });
+    }
+    
     /**
      * Handle clicks outside dropdown
      * @param {Event} e - Click event
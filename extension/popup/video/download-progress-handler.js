@@ -137,7 +137,16 @@ export function restoreDownloadStates(activeDownloads = []) {
                         handler: () => {
                             component.downloadButton.updateState('stopping');
                             cancelHandler();
-                        }
+                        },
+                        pauseHandler: downloadEntry.progressData?.pausable
+                            ? () => component.downloadButton.sendPauseMessage(downloadEntry.downloadId)
+                            : null
+                    });
+                } else if (downloadEntry.status === 'paused') {
+                    component.downloadButton.updateState('paused', {
+                        text: 'Cancel',
+                        handler: cancelHandler,
+                        resumeHandler: () => component.downloadButton.sendResumeMessage(downloadEntry.downloadId)
                     });
                 } else if (downloadEntry.status === 'queued') {
                     component.downloadButton.updateState('queued', {
@@ -276,11 +285,32 @@ function updateComponentButtonState(downloadButtonComponent, progressData = {})
                     // Set stopping state instead of intermediary text
                     downloadButtonComponent.updateState('stopping');
                     cancelHandler();
-                }
+                },
+                pauseHandler: progressData.pausable
+                    ? () => downloadButtonComponent.sendPauseMessage(progressData.downloadId)
+                    : null
             });
             console.debug('Component download button switched to Stop mode');
             break;
 
+        case 'download-paused':
+            // Main button cancels the paused download, the toggle resumes it
+            downloadButtonComponent.updateState('paused', {
+                text: 'Cancel',
+                handler: cancelHandler,
+                resumeHandler: () => downloadButtonComponent.sendResumeMessage(progressData.downloadId)
+            });
+            console.debug('Component download button set to paused state');
+            break;
+
+        case 'download-resumed':
+            downloadButtonComponent.updateState('starting', {
+                text: 'Resuming...',
+                handler: cancelHandler
+            });
+            console.debug('Component download button set to resuming state');
+            break;
+
         case 'download-stopping':
             // Handle stopping state from background
             downloadButtonComponent.updateState('stopping');
@@ -351,13 +381,37 @@ function updateSingleDropdown(downloadGroup, progressData = {}) {
     const dropdownOption = downloadGroup.querySelector(`.dropdown-option[data-url="${progressData.downloadUrl}"]`);
 
     switch (progressData.command) {
-        case 'download-queued':
+        case 'download-queued': {
             // Color dropdown option yellow to show queued quality
             if (dropdownOption) {
                 dropdownOption.classList.add('queued');
             }
+            
+            // A download requeued for a retry drops the progress of the failed attempt
+            if (selectedOption && progressData.retryCount) {
+                selectedOption.querySelector('.progress-container')?.classList.remove('livestream');
+                selectedOption.style.removeProperty('--progress');
+                clearProgressTooltip(selectedOption);
+            }
+            if (dropdownOption) {
+                dropdownOption.classList.remove('downloading');
+                dropdownOption.style.removeProperty('--progress');
+            }
+            
+            // Scheduled downloads and retries say when they start; back to the quality text once they only wait for a slot
+            const labelElement = selectedOption?.querySelector('.label');
+            if (labelElement && progressData.scheduledFor) {
+                labelElement.classList.remove('has-recording-indicator');
+                const startTime = formatScheduledTime(progressData.scheduledFor);
+                labelElement.textContent = progressData.retryCount
+                    ? `Retry ${progressData.retryCount} at ${startTime}`
+                    : `Scheduled for ${startTime}`;
+            } else if (labelElement && progressData.selectedOptionOrigText && /^(Scheduled for|Retry \d+ at) /.test(labelElement.textContent)) {
+                labelElement.textContent = progressData.selectedOptionOrigText.split('•').slice(0, 2).join('•');
+            }
             console.debug('Dropdown option set to queued state');
             break;
+        }
 
         case 'download-progress':
             // Update selected-option with progress bar AND text
@@ -401,8 +455,10 @@ function updateSingleDropdown(downloadGroup, progressData = {}) {
                     // Build VOD progress display text: progress • size downloaded • eta
                     let displayText = `${progress}%`;
 
-                    // Add segment info for 0% progress
-                    if (progress === 0 && progressData.currentSegment) {
+                    // Add segment info: exact position when the host fetches segments, count at 0% otherwise
+                    if (progressData.totalSegments) {
+                        displayText += ` (segment ${progressData.currentSegment || 0}/${progressData.totalSegments})`;
+                    } else if (progress === 0 && progressData.currentSegment) {
                         displayText += ` (${progressData.currentSegment} segments)`;
                     }
 
@@ -421,8 +477,10 @@ function updateSingleDropdown(downloadGroup, progressData = {}) {
                     }
                 }
 
-                // Update tooltip data attributes for hover display (skip for livestreams)
-                if (!progressData.isLive) {
+                // Update tooltip data attributes for hover display
+                if (progressData.isLive) {
+                    updateLiveProgressTooltip(selectedOption, progressData);
+                } else {
                     updateProgressTooltip(selectedOption, progressData);
                 }
             }
@@ -443,6 +501,23 @@ function updateSingleDropdown(downloadGroup, progressData = {}) {
             console.debug('Dropdown progress updated:', progress + '%');
             break;
 
+        case 'download-paused':
+            // Keep the bar where the download stopped
+            if (selectedOption) {
+                const labelElement = selectedOption.querySelector('.label');
+
+                if (progress !== undefined) {
+                    selectedOption.style.setProperty('--progress', `${progress}%`);
+                }
+                clearProgressTooltip(selectedOption);
+
+                if (labelElement) {
+                    labelElement.textContent = progress !== undefined ? `Paused • ${progress}%` : 'Paused';
+                }
+            }
+            console.debug('Dropdown set to paused state');
+            break;
+
         case 'download-success':
         case 'download-error':
         case 'download-canceled':
@@ -478,6 +553,19 @@ function updateSingleDropdown(downloadGroup, progressData = {}) {
     }
 }
 
+/**
+ * Format the start time of a scheduled download: "02:00", or "Tue 02:00" when not within the next day
+ * @param {number} timestamp - Scheduled start (ms)
+ * @returns {string} Display text
+ */
+function formatScheduledTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return timestamp - Date.now() < 24 * 60 * 60 * 1000
+        ? time
+        : `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
 /**
  * Create video item in downloads tab from video data
  * @param {Object} videoData - Raw video data
@@ -581,6 +669,29 @@ export function handleActiveDownloadsData(activeDownloads) {
                     updateDownloadButton(downloadEntry.progressData);
                     updateDropdown(downloadEntry.progressData);
                 }
+
+                // Scheduled downloads show when they start
+                if (downloadEntry.status === 'queued' && downloadEntry.scheduledFor) {
+                    updateDropdown({
+                        command: 'download-queued',
+                        downloadId: downloadEntry.downloadId,
+                        downloadUrl: downloadEntry.downloadUrl,
+                        masterUrl: downloadEntry.masterUrl,
+                        scheduledFor: downloadEntry.scheduledFor,
+                        retryCount: downloadEntry.retryCount
+                    });
+                }
+
+                // Paused downloads show where they stopped
+                if (downloadEntry.status === 'paused') {
+                    updateDropdown({
+                        ...downloadEntry.progressData,
+                        command: 'download-paused',
+                        downloadId: downloadEntry.downloadId,
+                        downloadUrl: downloadEntry.downloadUrl,
+                        masterUrl: downloadEntry.masterUrl
+                    });
+                }
             } else {
                 console.warn('Download entry missing videoData, skipping:', downloadEntry.downloadUrl);
             }
@@ -688,8 +799,10 @@ function updateProgressTooltip(selectedOption, progressData) {
 	if (progressData.progress !== 0) {
 		selectedOption.classList.add('has-progress-tooltip');
 		
-		// Add segment info
-		if (progressData.currentSegment) {
+		// Add segment info (exact count when the host fetches segments itself)
+		if (progressData.totalSegments) {
+			parts.push(`segment ${progressData.currentSegment || 0}/${progressData.totalSegments}`);
+		} else if (progressData.currentSegment) {
 			parts.push(`${progressData.currentSegment} segments`);
 		}
 	}
@@ -706,6 +819,25 @@ function updateProgressTooltip(selectedOption, progressData) {
     selectedOption.setAttribute('data-tooltip-quality', progressData.selectedOptionOrigText || 'Unknown');
 }
 
+/**
+ * Update progress tooltip for live recordings: recorded duration • lag behind the live edge
+ * @param {HTMLElement} selectedOption - The selected-option element
+ * @param {Object} progressData - Progress data from native host
+ */
+function updateLiveProgressTooltip(selectedOption, progressData) {
+    const parts = [];
+    
+    if (progressData.currentTime) {
+        parts.push(`Recorded ${formatTime(progressData.currentTime)}`);
+    }
+    if (progressData.liveLag !== null && progressData.liveLag !== undefined) {
+        parts.push(`${formatTime(progressData.liveLag)} behind live`);
+    }
+    
+    selectedOption.classList.toggle('has-progress-tooltip', parts.length > 0);
+    selectedOption.setAttribute('data-tooltip-content', parts.join(' • '));
+}
+
 /**
  * Clear progress tooltip data from selected-option element
  * @param {HTMLElement} selectedOption - The selected-option element
@@ -3,7 +3,7 @@
  * Eliminates DOM dataset dependencies and provides clean track selection
  */
 
-import { formatSize, buildTrackLabel } from '../../shared/utils/processing-utils.js';
+import { formatSize, formatDuration, parseTimestamp, buildTrackLabel } from '../../shared/utils/processing-utils.js';
 
 // Container compatibility matrix for track muxing
 const CONTAINER_COMPATIBILITY = {
@@ -47,6 +47,22 @@ export class VideoDropdownComponent {
         this.optionsContainer = null;
         this.isAdvancedMode = this.determineMode();
         
+        // Recording options for livestreams (raw form values, converted in getLiveOptions)
+        this.liveOptions = { startFrom: 'edge', rewindValue: '', stopMode: 'manual', stopValue: '' };
+        
+        // Time range for clip downloads of VOD media (raw form values, converted in getClipOptions)
+        // times is 'position' (from the start of the media) or 'broadcast' (wall-clock, from program date times)
+        this.clipOptions = { start: '', end: '', cutMode: 'fast', removeAdBreaks: false, times: 'position' };
+        
+        // Start time and speed cap for this download only (raw form values, converted in getStartAt/getSpeedLimit)
+        this.downloadOptions = { startAt: '', speed: '', speedUnit: '1048576' };
+        
+        // Several camera angles are saved as one file each ('separate') or as video tracks of one MKV ('mkv')
+        this.angleMode = 'separate';
+        
+        // Closed captions extracted on their own are saved as 'srt' or 'vtt' (muxed ones follow the video container)
+        this.captionFormat = 'srt';
+        
         // Bind methods to preserve context
         this.handleClick = this.handleClick.bind(this);
         this.handleClickOutside = this.handleClickOutside.bind(this);
@@ -55,10 +71,10 @@ export class VideoDropdownComponent {
     // Determine if this should use advanced (multi-track) mode. True = advanced
     determineMode() {
         const hasAudioTracks = (this.videoData.audioTracks?.length || 0) > 0;
-        const hasSubtitleTracks = (this.videoData.subtitleTracks?.length || 0) > 0;
+        const hasSubtitleTracks = (this.videoData.subtitleTracks?.length || 0) > 0 || getClosedCaptionTracks(this.videoData).length > 0;
         
-        // Advanced mode if we have any audio or subtitle tracks
-        return hasAudioTracks || hasSubtitleTracks;
+        // Advanced mode if we have any audio or subtitle tracks (closed captions included), or camera angles to pick from
+        return hasAudioTracks || hasSubtitleTracks || this.hasAngles();
     }
     
     // Render the dropdown component
@@ -111,6 +127,21 @@ export class VideoDropdownComponent {
             this.createSimpleOptions();
         }
         
+        if (this.videoData.isLive) {
+            this.createLiveOptions();
+        }
+        // Live HLS with program date times can also be clipped from its DVR window by broadcast time
+        if (!this.videoData.isLive || this.getBroadcastWindow()) {
+            this.createClipOptions();
+        }
+        if (this.hasAngles()) {
+            this.createAngleOptions();
+        }
+        if (getClosedCaptionTracks(this.videoData).length > 0) {
+            this.createCaptionOptions();
+        }
+        this.createDownloadOptions();
+        
         // Initialize display
         this.updateSelectedDisplay();
         
@@ -209,6 +240,324 @@ export class VideoDropdownComponent {
         });
     }
     
+    // Create recording controls for livestreams: start position and scheduled stop
+    createLiveOptions() {
+        const { dvrWindow, lowLatency } = this.videoData;
+        // DASH records natively and can start anywhere inside the DVR window
+        const canRewind = this.videoData.type === 'dash';
+        const rewindMax = dvrWindow ? Math.max(1, Math.floor(dvrWindow / 60)) : '';
+        // LL-HLS is recorded part by part: show how fine-grained that is
+        const latencyRow = lowLatency ? `
+            <div class="extra-option-row">
+                <span>Latency</span>
+                <span class="extra-option-value">Low-latency, ${Number(lowLatency.partTarget.toFixed(2))}s parts${lowLatency.canBlockReload ? ', blocking reload' : ''}</span>
+            </div>` : '';
+        const section = document.createElement('div');
+        section.className = 'extra-options live-options';
+        section.innerHTML = `
+            <div class="column-title">RECORDING</div>${latencyRow}
+            <label class="extra-option-row">
+                <span>Start from</span>
+                <select class="extra-option-input" data-live-option="startFrom">
+                    <option value="edge">Live edge</option>
+                    <option value="dvr">Earliest DVR segment</option>
+                    ${canRewind ? '<option value="rewind">Rewind (minutes)</option>' : ''}
+                </select>
+                <input class="extra-option-input rewind-value" data-live-option="rewindValue" type="number" min="1" max="${rewindMax}" hidden />
+            </label>
+            <label class="extra-option-row">
+                <span>Stop</span>
+                <select class="extra-option-input" data-live-option="stopMode">
+                    <option value="manual">Manually</option>
+                    <option value="duration">After minutes</option>
+                    <option value="clock">At clock time</option>
+                    <option value="size">At size (MB)</option>
+                </select>
+                <input class="extra-option-input stop-value" data-live-option="stopValue" hidden />
+            </label>
+        `;
+        
+        const stopValueInput = section.querySelector('[data-live-option="stopValue"]');
+        const rewindValueInput = section.querySelector('[data-live-option="rewindValue"]');
+        
+        section.addEventListener('change', (e) => {
+            const key = e.target.dataset.liveOption;
+            if (!key) return;
+            this.liveOptions[key] = e.target.value;
+            
+            if (key === 'startFrom') {
+                rewindValueInput.hidden = e.target.value !== 'rewind';
+            }
+            
+            // Swap the value input to match the chosen stop condition
+            if (key === 'stopMode') {
+                const mode = e.target.value;
+                stopValueInput.hidden = mode === 'manual';
+                stopValueInput.type = mode === 'clock' ? 'time' : 'number';
+                stopValueInput.min = mode === 'clock' ? '' : '1';
+                stopValueInput.value = '';
+                this.liveOptions.stopValue = '';
+            }
+        });
+        
+        this.optionsContainer.appendChild(section);
+    }
+    
+    /**
+     * Convert the recording form into options for the native host
+     * @returns {Object} { startFrom, rewindSeconds, stopAfterSeconds, stopAtTime, stopAtBytes }
+     */
+    getLiveOptions() {
+        const { startFrom, rewindValue, stopMode, stopValue } = this.liveOptions;
+        const options = { startFrom, rewindSeconds: null, stopAfterSeconds: null, stopAtTime: null, stopAtBytes: null };
+        
+        // Rewinding past the DVR window starts at its earliest segment
+        if (startFrom === 'rewind') {
+            const { dvrWindow } = this.videoData;
+            const seconds = Math.round(parseFloat(rewindValue) * 60);
+            if (seconds > 0) {
+                options.rewindSeconds = dvrWindow ? Math.min(seconds, dvrWindow) : seconds;
+            } else {
+                options.startFrom = 'edge';
+            }
+        }
+        
+        if (stopMode === 'duration' && parseFloat(stopValue) > 0) {
+            options.stopAfterSeconds = Math.round(parseFloat(stopValue) * 60);
+        } else if (stopMode === 'size' && parseFloat(stopValue) > 0) {
+            options.stopAtBytes = Math.round(parseFloat(stopValue) * 1024 * 1024);
+        } else if (stopMode === 'clock' && stopValue) {
+            options.stopAtTime = getNextClockTime(stopValue);
+        }
+        
+        return options;
+    }
+    
+    // Create start/end inputs for downloading only part of a VOD (or of a live DVR window)
+    createClipOptions() {
+        const { isLive } = this.videoData;
+        const broadcastWindow = this.getBroadcastWindow();
+        if (isLive) {
+            this.clipOptions.times = 'broadcast';
+        }
+        const durationHint = this.videoData.duration ? formatDuration(this.videoData.duration) : 'end';
+        
+        // Broadcast times are only offered when the playlist dates its segments; live streams only have those
+        const timesRow = broadcastWindow && !isLive ? `
+            <label class="extra-option-row">
+                <span>Times</span>
+                <select class="extra-option-input" data-clip-option="times">
+                    <option value="position">Position in video</option>
+                    <option value="broadcast">Broadcast time</option>
+                </select>
+            </label>` : '';
+        const windowRow = broadcastWindow ? `
+            <div class="extra-option-row">
+                <span>Broadcast</span>
+                <span class="extra-option-value">${formatClockTime(broadcastWindow.start)}–${formatClockTime(broadcastWindow.end)}${broadcastWindow.gaps.length > 0 ? `, ${broadcastWindow.gaps.length} gap${broadcastWindow.gaps.length > 1 ? 's' : ''}` : ''}</span>
+            </div>` : '';
+        
+        const section = document.createElement('div');
+        section.className = 'extra-options clip-options';
+        section.innerHTML = `
+            <div class="column-title">${isLive ? 'DVR CLIP' : 'CLIP'}</div>${windowRow}${timesRow}
+            <label class="extra-option-row">
+                <span>Start</span>
+                <input class="extra-option-input" data-clip-option="start" placeholder="${isLive ? formatClockTime(broadcastWindow.start) : '0:00'}" />
+            </label>
+            <label class="extra-option-row">
+                <span>End</span>
+                <input class="extra-option-input" data-clip-option="end" placeholder="${isLive ? formatClockTime(broadcastWindow.end) : durationHint}" />
+            </label>
+            <label class="extra-option-row">
+                <span>Cut</span>
+                <select class="extra-option-input" data-clip-option="cutMode">
+                    <option value="fast">Fast (nearest keyframe)</option>
+                    <option value="accurate">Accurate (re-encode)</option>
+                </select>
+            </label>
+        `;
+        
+        // Server-side inserted ad breaks found in the playlist can be left out of the download
+        const adBreaks = this.getAdBreaks();
+        if (adBreaks.length > 0) {
+            const adBreakDuration = adBreaks.reduce((sum, adBreak) => sum + adBreak.duration, 0);
+            section.insertAdjacentHTML('beforeend', `
+                <label class="extra-option-row">
+                    <span>Ad breaks</span>
+                    <input class="extra-option-input ad-breaks-toggle" type="checkbox" data-clip-option="removeAdBreaks" />
+                    Remove ${adBreaks.length} (${formatDuration(adBreakDuration)})
+                </label>
+            `);
+        }
+        
+        const startInput = section.querySelector('[data-clip-option="start"]');
+        const endInput = section.querySelector('[data-clip-option="end"]');
+        
+        section.addEventListener('input', (e) => {
+            const key = e.target.dataset.clipOption;
+            if (!key) return;
+            this.clipOptions[key] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            e.target.classList.remove('error');
+            
+            // Hint the broadcast window in place of positions
+            if (key === 'times') {
+                const broadcast = e.target.value === 'broadcast';
+                startInput.placeholder = broadcast ? formatClockTime(broadcastWindow.start) : '0:00';
+                endInput.placeholder = broadcast ? formatClockTime(broadcastWindow.end) : durationHint;
+            }
+        });
+        
+        this.optionsContainer.appendChild(section);
+    }
+    
+    /**
+     * Wall-clock span of an HLS playlist whose segments carry EXT-X-PROGRAM-DATE-TIME
+     * @returns {Object|null} { start, end, gaps } with dates in ms since the epoch
+     */
+    getBroadcastWindow() {
+        if (this.videoData.type !== 'hls') return null;
+        const timeline = this.videoData.programDateTime;
+        return timeline?.end > timeline?.start ? timeline : null;
+    }
+    
+    /**
+     * Convert the clip form into a time range for the native host
+     * @returns {Object|null} { start, end, accurate } in seconds, or { startDate, endDate, accurate } in ms
+     *   since the epoch for broadcast times, null when the whole media is wanted
+     * @throws {Error} When a timestamp cannot be parsed or the range is empty
+     */
+    getClipOptions() {
+        const { start, end, cutMode, times } = this.clipOptions;
+        if (!start.trim() && !end.trim()) return null;
+        if (times === 'broadcast') return this.getBroadcastClip();
+        
+        const startSeconds = start.trim() ? parseTimestamp(start) : 0;
+        const endSeconds = end.trim() ? parseTimestamp(end) : null;
+        const markInvalid = (key) => this.optionsContainer
+            .querySelector(`[data-clip-option="${key}"]`)?.classList.add('error');
+        
+        if (startSeconds === null) {
+            markInvalid('start');
+            throw new Error('Clip start must look like 1:23:45, 12:34 or 90');
+        }
+        if (end.trim() && endSeconds === null) {
+            markInvalid('end');
+            throw new Error('Clip end must look like 1:23:45, 12:34 or 90');
+        }
+        if (endSeconds !== null && endSeconds <= startSeconds) {
+            markInvalid('end');
+            throw new Error('Clip end must be after its start');
+        }
+        if (this.videoData.duration && startSeconds >= this.videoData.duration) {
+            markInvalid('start');
+            throw new Error(`Clip start is past the end of the video (${formatDuration(this.videoData.duration)})`);
+        }
+        
+        return { start: startSeconds, end: endSeconds, accurate: cutMode === 'accurate' };
+    }
+    
+    // Broadcast-time form of getClipOptions: clock times inside the playlist's program date time window
+    getBroadcastClip() {
+        const { start, end, cutMode } = this.clipOptions;
+        const broadcastWindow = this.getBroadcastWindow();
+        const markInvalid = (key) => this.optionsContainer
+            .querySelector(`[data-clip-option="${key}"]`)?.classList.add('error');
+        const span = `${formatClockTime(broadcastWindow.start)}–${formatClockTime(broadcastWindow.end)}`;
+        
+        const startDate = start.trim() ? getBroadcastTime(start, broadcastWindow.start) : broadcastWindow.start;
+        const endDate = end.trim() ? getBroadcastTime(end, startDate ?? broadcastWindow.start) : null;
+        if (startDate === null) {
+            markInvalid('start');
+            throw new Error('Clip start must be a clock time like 14:05 or 14:05:30');
+        }
+        if (end.trim() && endDate === null) {
+            markInvalid('end');
+            throw new Error('Clip end must be a clock time like 14:20 or 14:20:30');
+        }
+        if (startDate < broadcastWindow.start || startDate >= broadcastWindow.end) {
+            markInvalid('start');
+            throw new Error(`Clip start is outside the broadcast window (${span})`);
+        }
+        if (endDate !== null && endDate <= startDate) {
+            markInvalid('end');
+            throw new Error('Clip end must be after its start');
+        }
+        
+        return { startDate, endDate, accurate: cutMode === 'accurate' };
+    }
+    
+    // Ad breaks of an HLS VOD playlist ([{ start, duration }] in seconds)
+    getAdBreaks() {
+        if (this.videoData.type !== 'hls' || this.videoData.isLive) return [];
+        return this.videoData.adMarkers?.adBreaks || [];
+    }
+    
+    /**
+     * Whether the download should leave out the playlist's ad breaks
+     * @returns {boolean}
+     */
+    getRemoveAdBreaks() {
+        return this.clipOptions.removeAdBreaks && this.getAdBreaks().length > 0;
+    }
+    
+    // Create per-download start time and speed cap inputs (override the global schedule and limit)
+    createDownloadOptions() {
+        const section = document.createElement('div');
+        section.className = 'extra-options download-options';
+        section.innerHTML = `
+            <div class="column-title">DOWNLOAD</div>
+            <label class="extra-option-row">
+                <span>Start at</span>
+                <input class="extra-option-input" type="time" data-download-option="startAt" />
+            </label>
+            <label class="extra-option-row">
+                <span>Speed limit</span>
+                <input class="extra-option-input" type="number" min="0" step="0.1" data-download-option="speed" placeholder="Global limit" />
+                <select class="extra-option-input speed-unit" data-download-option="speedUnit">
+                    <option value="1024">KB/s</option>
+                    <option value="1048576" selected>MB/s</option>
+                </select>
+            </label>
+        `;
+        
+        section.addEventListener('input', (e) => {
+            const key = e.target.dataset.downloadOption;
+            if (!key) return;
+            this.downloadOptions[key] = e.target.value;
+            e.target.classList.remove('error');
+        });
+        
+        this.optionsContainer.appendChild(section);
+    }
+    
+    /**
+     * Convert the start time field into a timestamp for the download queue
+     * @returns {number|null} Next occurrence of the chosen clock time, null to start right away
+     */
+    getStartAt() {
+        const { startAt } = this.downloadOptions;
+        return startAt ? getNextClockTime(startAt) : null;
+    }
+    
+    /**
+     * Convert the speed form into a per-download cap for the native host
+     * @returns {number|null} Bytes per second, null to only apply the global limit
+     * @throws {Error} When the value is not a positive number
+     */
+    getSpeedLimit() {
+        const { speed, speedUnit } = this.downloadOptions;
+        if (!speed.trim()) return null;
+        
+        const value = parseFloat(speed.replace(',', '.'));
+        if (!(value > 0)) {
+            this.optionsContainer.querySelector('[data-download-option="speed"]')?.classList.add('error');
+            throw new Error('Speed limit must be a positive number');
+        }
+        
+        return Math.round(value * parseInt(speedUnit, 10));
+    }
+    
     // Create advanced options for multi-track selection
     createAdvancedOptions() {
         const columnsContainer = document.createElement('div');
@@ -222,15 +571,21 @@ export class VideoDropdownComponent {
             columnsContainer.appendChild(videoColumn);
         }
         
+        // Create angle column (follows the selected variant)
+        if (this.hasAngles()) {
+            columnsContainer.appendChild(this.createAngleColumn());
+        }
+        
         // Create audio column
         if (audioTracks?.length > 0) {
             const audioColumn = this.createTrackColumn('AUDIO', audioTracks, 'audio', false);
             columnsContainer.appendChild(audioColumn);
         }
         
-        // Create subtitle column
-        if (subtitleTracks?.length > 0) {
-            const subsColumn = this.createTrackColumn('SUBS', subtitleTracks, 'subtitle', false);
+        // Create subtitle column (closed captions of the video stream follow the subtitle renditions)
+        const subtitleOptions = [...subtitleTracks, ...getClosedCaptionTracks(this.videoData)];
+        if (subtitleOptions.length > 0) {
+            const subsColumn = this.createTrackColumn('SUBS', subtitleOptions, 'subtitle', false);
             columnsContainer.appendChild(subsColumn);
         }
         
@@ -296,6 +651,98 @@ export class VideoDropdownComponent {
         return column;
     }
     
+    // Camera angles of the selected variant; variants without a VIDEO group have none
+    createAngleColumn() {
+        const angles = this.selectedTracks.videoTrack?.angles || [];
+        return this.createTrackColumn('ANGLES', angles, 'angle', false);
+    }
+    
+    /**
+     * Whether any variant offers alternate camera angles (EXT-X-MEDIA TYPE=VIDEO)
+     * @returns {boolean}
+     */
+    hasAngles() {
+        return this.videoData.type === 'hls' && !!this.videoData.videoTracks?.some(track => track.angles?.length > 0);
+    }
+    
+    // Create the choice between one file per angle and a single multi-track MKV
+    createAngleOptions() {
+        const section = document.createElement('div');
+        section.className = 'extra-options angle-options';
+        section.innerHTML = `
+            <div class="column-title">ANGLES</div>
+            <label class="extra-option-row">
+                <span>Save as</span>
+                <select class="extra-option-input" data-angle-option="mode">
+                    <option value="separate">One file per angle</option>
+                    <option value="mkv">One MKV, a video track per angle</option>
+                </select>
+            </label>
+        `;
+        
+        section.addEventListener('change', (e) => {
+            if (e.target.dataset.angleOption !== 'mode') return;
+            this.angleMode = e.target.value;
+            this.updateSelectedDisplay();
+            this.onSelectionChange(this.selectedTracks);
+        });
+        
+        this.optionsContainer.appendChild(section);
+    }
+    
+    /**
+     * How several selected angles are saved
+     * @returns {string} 'separate' or 'mkv'
+     */
+    getAngleMode() {
+        return this.angleMode;
+    }
+    
+    // Create the format choice for closed captions extracted as sidecar files
+    createCaptionOptions() {
+        const section = document.createElement('div');
+        section.className = 'extra-options caption-options';
+        section.innerHTML = `
+            <div class="column-title">CLOSED CAPTIONS</div>
+            <label class="extra-option-row">
+                <span>Extract as</span>
+                <select class="extra-option-input" data-caption-option="format">
+                    <option value="srt">SRT</option>
+                    <option value="vtt">WebVTT</option>
+                </select>
+            </label>
+        `;
+        
+        section.addEventListener('change', (e) => {
+            if (e.target.dataset.captionOption !== 'format') return;
+            this.captionFormat = e.target.value;
+        });
+        
+        this.optionsContainer.appendChild(section);
+    }
+    
+    /**
+     * Sidecar format of extracted closed captions
+     * @returns {string} 'srt' or 'vtt'
+     */
+    getCaptionFormat() {
+        return this.captionFormat;
+    }
+    
+    /**
+     * Carry the angle selection over to another variant (angles are matched by name)
+     * @param {Object} videoTrack - Newly selected variant
+     */
+    selectAnglesOf(videoTrack) {
+        const angles = videoTrack.angles || [];
+        const previous = this.selectedTracks.videoAngles || [];
+        const kept = angles.filter(angle => previous.some(selected => selected.name === angle.name));
+        this.selectedTracks.videoAngles = kept.length > 0 ? kept : angles.filter(angle => angle.isMain);
+        
+        const column = this.optionsContainer.querySelector('.tracks-columns-container .column.angle');
+        column?.replaceWith(this.createAngleColumn());
+    }
+    
     /**
      * Check if a track is currently selected
      * @param {Object} track - Track to check
@@ -310,6 +757,8 @@ export class VideoDropdownComponent {
                 return this.selectedTracks.audioTracks.some(t => t.id === track.id);
             case 'subtitle':
                 return this.selectedTracks.subtitleTracks.some(t => t.id === track.id);
+            case 'angle':
+                return this.selectedTracks.videoAngles?.some(t => t.id === track.id) || false;
             default:
                 return false;
         }
@@ -341,6 +790,9 @@ export class VideoDropdownComponent {
                 this.selectedTracks.videoTrack = track;
                 // Update compatibility when video track changes
                 this.updateCompatibility();
+                if (this.hasAngles()) {
+                    this.selectAnglesOf(track);
+                }
             }
         } else {
             // Toggle selection
@@ -364,6 +816,9 @@ export class VideoDropdownComponent {
                 } else {
                     this.selectedTracks.subtitleTracks = this.selectedTracks.subtitleTracks.filter(t => t.id !== track.id);
                 }
+            } else if (type === 'angle') {
+                const videoAngles = (this.selectedTracks.videoAngles || []).filter(t => t.id !== track.id);
+                this.selectedTracks.videoAngles = input.checked ? [...videoAngles, track] : videoAngles;
             }
         }
         
@@ -385,7 +840,7 @@ export class VideoDropdownComponent {
         
         // Show processing text based on video type
         if (this.videoData.processing) {
-            if (this.videoData.type === 'hls' || this.videoData.type === 'dash') {
+            if (['hls', 'dash', 'mss'].includes(this.videoData.type)) {
                 label.textContent = 'Parsing...';
             } else if (this.videoData.type === 'direct') {
                 label.textContent = 'Probing...';
@@ -416,6 +871,8 @@ export class VideoDropdownComponent {
     buildAdvancedSummary() {
         let summary = '';
         let totalSize = 0;
+        // Every selected angle is a full video download
+        const angleCount = this.selectedTracks.videoAngles?.length || 0;
         
         // Get resolution from video track using cached label
         if (this.selectedTracks.videoTrack) {
@@ -427,7 +884,7 @@ export class VideoDropdownComponent {
             const videoSize = this.selectedTracks.videoTrack.estimatedFileSizeBytes || 
                              this.selectedTracks.videoTrack.metaJS?.estimatedFileSizeBytes;
             if (videoSize) {
-                totalSize += videoSize;
+                totalSize += videoSize * Math.max(1, angleCount);
             }
         } else {
             summary = 'Custom';
@@ -453,6 +910,10 @@ export class VideoDropdownComponent {
             trackCounts.push(`${this.selectedTracks.subtitleTracks.length} subs`);
         }
         
+        if (angleCount > 1) {
+            trackCounts.unshift(this.angleMode === 'mkv' ? `${angleCount} angles` : `${angleCount} angle files`);
+        }
+        
         if (trackCounts.length > 0) {
             summary += ` (${trackCounts.join(', ')})`;
         }
@@ -496,13 +957,65 @@ export class VideoDropdownComponent {
         const trackLabel = option.querySelector('.track-label')?.textContent;
         if (!trackLabel) return null;
         
-        const tracks = type === 'audio' ? this.videoData.audioTracks : this.videoData.subtitleTracks;
+        const tracks = type === 'audio'
+            ? this.videoData.audioTracks
+            : [...(this.videoData.subtitleTracks || []), ...getClosedCaptionTracks(this.videoData)];
         
         // Find track by matching cached label
         return tracks?.find(track => track._cachedLabel === trackLabel);
     }
 }
 
+/**
+ * Next occurrence of a clock time - a time earlier than now means tomorrow
+ * @param {string} value - Time as HH:MM (from a time input)
+ * @returns {number} Timestamp (ms)
+ */
+function getNextClockTime(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    if (date.getTime() <= Date.now()) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date.getTime();
+}
+
+/**
+ * Date of a clock time on or after a reference date - so a window crossing midnight still resolves
+ * @param {string} value - Time as HH:MM or HH:MM:SS
+ * @param {number} reference - Timestamp (ms) the time is at or after, to the second
+ * @returns {number|null} Timestamp (ms), null if the value is not a clock time
+ */
+function getBroadcastTime(value, reference) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) return null;
+    const [hours, minutes, seconds] = match.slice(1).map(part => Number(part ?? 0));
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    
+    const date = new Date(reference);
+    date.setHours(hours, minutes, seconds, 0);
+    if (date.getTime() < Math.floor(reference / 1000) * 1000) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date.getTime();
+}
+
+// Local clock time of a timestamp (HH:MM:SS)
+function formatClockTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+}
+
+/**
+ * Closed captions offered as subtitle tracks
+ * They are decoded from the downloaded video, so live recordings (which FFmpeg reads as they go) have none.
+ * @param {Object} videoData - Video data
+ * @returns {Array} CEA-608/708 caption tracks from the manifest
+ */
+export function getClosedCaptionTracks(videoData) {
+    return videoData.type === 'hls' && !videoData.isLive ? (videoData.closedCaptions || []) : [];
+}
+
 /**
  * Check if a specific track type is compatible with a video container
  * @param {string} trackContainer - Container of the track to check
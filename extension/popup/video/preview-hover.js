@@ -1,6 +1,9 @@
+import { formatDuration } from '../../shared/utils/processing-utils.js';
+
 // Cache the hover preview elements for better performance
 let hoverPreviewContainer = null;
 let hoverPreviewImg = null;
+let hoverPreviewTime = null;
 
 /**
  * Initialize hover preview elements
@@ -9,29 +12,51 @@ function initHoverPreview() {
     if (!hoverPreviewContainer) {
         hoverPreviewContainer = document.getElementById('preview-hover');
         hoverPreviewImg = document.getElementById('hover-preview-img');
+        hoverPreviewTime = document.getElementById('hover-preview-time');
     }
 }
 
 /**
  * Setup hover preview functionality for a specific preview container
  * This is the simple, correct approach - individual handlers per element
+ * With a storyboard the cursor scrubs it: its position across the thumbnail picks the frame.
+ * Calling again for the same container (a storyboard arriving after the preview) only swaps what is shown.
  * @param {HTMLElement} previewContainer - The preview container element
  * @param {string} previewUrl - The preview URL to show on hover
+ * @param {Object} [storyboard] - { frames: [{ time, url }] } spread across the timeline
  */
-export function setupPreviewHover(previewContainer, previewUrl) {
-    if (!previewContainer || !previewUrl || previewUrl.includes('video-placeholder.png')) {
+export function setupPreviewHover(previewContainer, previewUrl, storyboard = null) {
+    if (previewUrl?.includes('video-placeholder.png')) {
+        previewUrl = null;
+    }
+    const previous = previewContainer?._hoverPreview;
+    const frames = storyboard?.frames?.length > 0 ? storyboard.frames : (previous?.frames || null);
+    if (!previewContainer || (!previewUrl && !frames)) {
+        return;
+    }
+
+    previewContainer._hoverPreview = { previewUrl: previewUrl || previous?.previewUrl || null, frames };
+    if (previous) {
         return;
     }
 
+    const showPreview = (event) => {
+        const { previewUrl, frames } = previewContainer._hoverPreview;
+        if (frames) {
+            const rect = previewContainer.getBoundingClientRect();
+            const ratio = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+            const frame = frames[Math.min(frames.length - 1, Math.max(0, Math.floor(ratio * frames.length)))];
+            showHoverPreview(frame.url, event, formatDuration(frame.time) || '0:00');
+        } else {
+            showHoverPreview(previewUrl, event);
+        }
+    };
+
     // Mouse enter - show preview
-    previewContainer.addEventListener('mouseenter', (event) => {
-        showHoverPreview(previewUrl, event);
-    });
+    previewContainer.addEventListener('mouseenter', showPreview);
 
-    // Mouse move - update preview position  
-    previewContainer.addEventListener('mousemove', (event) => {
-        showHoverPreview(previewUrl, event);
-    });
+    // Mouse move - update preview position (and storyboard frame)
+    previewContainer.addEventListener('mousemove', showPreview);
 
     // Mouse leave - hide preview
     previewContainer.addEventListener('mouseleave', () => {
@@ -43,15 +68,22 @@ export function setupPreviewHover(previewContainer, previewUrl) {
  * Show hover preview at specific position
  * @param {string} previewUrl - URL of the full-size preview image
  * @param {MouseEvent} event - Mouse event to position the preview
+ * @param {string} [timeLabel] - Timeline position of a storyboard frame
  */
-export function showHoverPreview(previewUrl, event) {
+export function showHoverPreview(previewUrl, event, timeLabel = null) {
     initHoverPreview();
     
     // Only proceed if we have both the container and a valid preview URL
     if (!hoverPreviewContainer || !hoverPreviewImg || !previewUrl) return;
     
-    // Set the image source
-    hoverPreviewImg.src = previewUrl;
+    // Set the image source (unchanged while scrubbing within one frame)
+    if (hoverPreviewImg.getAttribute('src') !== previewUrl) {
+        hoverPreviewImg.src = previewUrl;
+    }
+    if (hoverPreviewTime) {
+        hoverPreviewTime.textContent = timeLabel || '';
+        hoverPreviewTime.style.display = timeLabel ? 'block' : 'none';
+    }
     
     // Position the preview near the cursor but within viewport bounds
     const rect = hoverPreviewContainer.getBoundingClientRect();
@@ -5,7 +5,7 @@
 
 import { formatDuration } from '../../shared/utils/processing-utils.js';
 import { sendPortMessage } from '../communication.js';
-import { VideoDropdownComponent, isTrackCompatibleWithVideo } from './dropdown.js';
+import { VideoDropdownComponent, isTrackCompatibleWithVideo, getClosedCaptionTracks } from './dropdown.js';
 import { VideoDownloadButtonComponent } from './download-button.js';
 import { setupPreviewHover } from './preview-hover.js';
 import { showInfo, showError } from '../ui-utils.js';
@@ -60,12 +60,14 @@ export class VideoItemComponent {
         const selection = {
             videoTrack: null,
             audioTracks: [],
-            subtitleTracks: []
+            subtitleTracks: [],
+            videoAngles: []
         };
         
-        // Select first/best video track
+        // Select first/best video track, with its main camera angle when it has several
         if (this.videoData.videoTracks?.length > 0) {
             selection.videoTrack = this.videoData.videoTracks[0];
+            selection.videoAngles = (selection.videoTrack.angles || []).filter(angle => angle.isMain);
         }
         
         // Select default audio tracks
@@ -204,8 +206,8 @@ export class VideoItemComponent {
             previewContainer.appendChild(durationElement);
         }
         
-        // Add status badges for Live and/or Encrypted
-        if (this.videoData.isLive || this.videoData.isEncrypted) {
+        // Add status badges for Live, Encrypted and/or Ad
+        if (this.videoData.isLive || this.videoData.isEncrypted || this.videoData.isAd) {
             const statusBadge = this.createStatusBadge();
             previewContainer.appendChild(statusBadge);
         }
@@ -246,10 +248,7 @@ export class VideoItemComponent {
             return '';
         }
         
-        const tooltipText = this.videoData.isEncrypted ? 
-            (this.videoData.encryptionType ? 
-                `Encryption: ${this.videoData.encryptionType}` : 
-                'Encrypted content') : '';
+        const tooltipText = this.videoData.isEncrypted ? this.getEncryptionLabel() : '';
         
         const liveHtml = this.videoData.isLive ? '<span class="live-text">LIVE</span>' : '';
         const lockHtml = this.videoData.isEncrypted ? 
@@ -323,7 +322,26 @@ export class VideoItemComponent {
     }
 
     /**
-     * Create status badge for Live/Encrypted content
+     * Describe whether encrypted content can be downloaded
+     * @returns {string} Tooltip text for the lock icon
+     */
+    getEncryptionLabel() {
+        const { isDrm, keyFetched, encryptionType } = this.videoData;
+        
+        if (isDrm) {
+            return 'DRM, cannot download';
+        }
+        if (keyFetched === true) {
+            return `Encrypted (${encryptionType || 'AES-128'}, key fetched)`;
+        }
+        if (keyFetched === false) {
+            return `Encrypted (${encryptionType || 'AES-128'}, key not reachable)`;
+        }
+        return encryptionType ? `Encryption: ${encryptionType}` : 'Encrypted content';
+    }
+
+    /**
+     * Create status badge for Live/Encrypted/Ad content
      * @returns {HTMLElement} Status badge element
      */
     createStatusBadge() {
@@ -332,9 +350,7 @@ export class VideoItemComponent {
         
         // Set tooltip for encrypted content
         if (this.videoData.isEncrypted) {
-            statusBadge.title = this.videoData.encryptionType ? 
-                `Encryption: ${this.videoData.encryptionType}` : 
-                'Encrypted content';
+            statusBadge.title = this.getEncryptionLabel();
         }
         
         // Add Live text if applicable
@@ -345,6 +361,15 @@ export class VideoItemComponent {
             statusBadge.appendChild(liveText);
         }
         
+        // Add Ad text if applicable (only visible while ads are shown)
+        if (this.videoData.isAd) {
+            const adText = document.createElement('span');
+            adText.className = 'ad-text';
+            adText.textContent = 'AD';
+            adText.title = `Classified as ad: ${(this.videoData.adReasons || []).join(', ')}`;
+            statusBadge.appendChild(adText);
+        }
+        
         // Add Encrypted lock icon if applicable
         if (this.videoData.isEncrypted) {
             const lockIcon = document.createElement('span');
@@ -381,8 +406,8 @@ export class VideoItemComponent {
             };
             previewImage.src = previewUrl;
             
-            // Setup individual hover handlers for this preview
-            setupPreviewHover(previewContainer, previewUrl);
+            // Setup individual hover handlers for this preview (scrubbing the storyboard if there is one)
+            setupPreviewHover(previewContainer, previewUrl, this.videoData.storyboard);
         }
     }
     
@@ -543,18 +568,61 @@ export class VideoItemComponent {
         const coappAvailable = session.coappAvailable || false;
         const isDirect = this.videoData.type === 'direct';
         
+        // Validate the clip range and speed limit up front so a typo never turns into a full download
+        let clip = null;
+        let speedLimit = null;
+        let startAt = null;
+        let removeAdBreaks = false;
+        if (this.dropdown) {
+            try {
+                clip = this.dropdown.getClipOptions();
+                speedLimit = this.dropdown.getSpeedLimit();
+                startAt = this.dropdown.getStartAt();
+                removeAdBreaks = this.dropdown.getRemoveAdBreaks();
+            } catch (error) {
+                showError(error.message);
+                if (this.downloadButton) {
+                    this.downloadButton.updateState('default');
+                }
+                return;
+            }
+        }
+        
+        // Captured streams only hold their init segments until the user picks them; the first click starts recording
+        if (this.videoData.type === 'mse' && !this.videoData.mseCapture?.recording) {
+            sendPortMessage({
+                command: 'mse-record',
+                tabId: this.videoData.tabId,
+                url: this.videoData.url,
+                frameId: this.videoData.mseCapture?.frameId || 0
+            });
+            showInfo('Capturing started. Play the part you want, then press Download again.', 5000);
+            if (this.downloadButton) {
+                this.downloadButton.updateState('default');
+            }
+            return;
+        }
+        
         // Use browser download for direct videos when coapp unavailable
         const useBrowserDownload = !coappAvailable && isDirect;
         
+        if (clip && !coappAvailable) {
+            showError('CoApp is required for clip downloads. Go to Settings tab to install.');
+            if (this.downloadButton) {
+                this.downloadButton.updateState('default');
+            }
+            return;
+        }
+        
         if (!coappAvailable && !isDirect) {
-            showError('CoApp is required for HLS/DASH downloads. Go to Settings tab to install.');
+            showError('CoApp is required for HLS/DASH and captured stream downloads. Go to Settings tab to install.');
             if (this.downloadButton) {
                 this.downloadButton.updateState('default');
             }
             return;
         }
         
-        const commands = this.createDownloadCommand(mode, useBrowserDownload);
+        const commands = this.createDownloadCommand(mode, useBrowserDownload, { clip, speedLimit, startAt, removeAdBreaks });
         
         // Handle single command or array of commands (for multi-track extraction)
         const commandArray = Array.isArray(commands) ? commands : [commands];
@@ -588,9 +656,20 @@ export class VideoItemComponent {
     }
 
     // Create complete download command based on mode and current component state
-    createDownloadCommand(mode = 'download', useBrowserDownload = false) {
+    // extraOptions holds the dropdown's per-download settings: { clip, speedLimit, startAt, removeAdBreaks }
+    createDownloadCommand(mode = 'download', useBrowserDownload = false, extraOptions = {}) {
+        const { clip = null, speedLimit = null, startAt = null, removeAdBreaks = false } = extraOptions;
         const baseData = this.getDownloadData();
         
+        // Without its ad breaks the download is shorter and smaller (duration stays the source's for clip ranges)
+        const adBreakDuration = removeAdBreaks ? (this.videoData.adMarkers?.adBreakDuration || 0) : 0;
+        const contentDuration = adBreakDuration > 0 && this.videoData.duration > adBreakDuration
+            ? this.videoData.duration - adBreakDuration
+            : this.videoData.duration;
+        if (contentDuration !== this.videoData.duration && baseData.fileSizeBytes) {
+            baseData.fileSizeBytes = Math.round(baseData.fileSizeBytes * contentDuration / this.videoData.duration);
+        }
+        
         // Get selected option text for UI restoration
         const selectedOptionOrigText = this.getSelectedOptionText();
         
@@ -599,17 +678,19 @@ export class VideoItemComponent {
             normalizedUrl: this.videoData.normalizedUrl,
             title: this.videoData.title,
             type: this.videoData.type,
-            duration: this.videoData.duration,
+            duration: contentDuration,
             previewUrl: this.videoData.previewUrl,
             poster: this.videoData.poster,
             tabId: this.videoData.tabId,
             pageUrl: this.videoData.pageUrl,
             pageFavicon: this.videoData.pageFavicon,
 			pageTitle: this.videoData.pageTitle,
-            // Include live/encryption status for downloads tab display
-            isLive: this.videoData.isLive,
+            // Include live/encryption status for downloads tab display (a DVR clip is not a recording)
+            isLive: this.videoData.isLive && !clip,
             isEncrypted: this.videoData.isEncrypted,
             encryptionType: this.videoData.encryptionType,
+            isDrm: this.videoData.isDrm,
+            keyFetched: this.videoData.keyFetched,
 			// For advanced dropdowns (HLS/DASH), use selection-based flags; for simple dropdowns, use container-based flags
 			hasVideo: this.selectedTracks.videoTrack !== null && !!this.selectedTracks.videoTrack?.videoContainer,
 			hasAudio: this.selectedTracks.audioTracks.length > 0 || !!this.selectedTracks.videoTrack?.audioContainer,
@@ -628,13 +709,18 @@ export class VideoItemComponent {
             browserDownload: useBrowserDownload,  // Flag for browser download routing
             selectedOptionOrigText,
             videoData: minimalVideoData,
-            ...baseData
+            ...baseData,
+            ...(this.videoData.isLive && this.dropdown && { liveOptions: this.dropdown.getLiveOptions() }),
+            ...(clip && { clip }),
+            ...(speedLimit && { speedLimit }),
+            ...(startAt && { startAt }),
+            ...(removeAdBreaks && { removeAdBreaks })
         };
 
         // Apply mode-specific modifications
         switch (mode) {
             case 'download-as':
-                return command;
+                return this.createAngleCommands(command);
             case 'extract-audio':
                 return this.createAudioExtractionCommands(command);
             case 'extract-subs':
@@ -642,8 +728,39 @@ export class VideoItemComponent {
             case 're-download':
                 return { ...command, isRedownload: true };
             default:
-                return command;
+                return this.createAngleCommands(command);
+        }
+    }
+    
+    /**
+     * Apply the camera angle selection to a video download
+     * Angles are saved as one MKV with a video track each, or as one download per angle named after it
+     * @param {Object} baseCommand - Download command built for the selected variant
+     * @returns {Object|Array<Object>} The command, or one command per angle
+     */
+    createAngleCommands(baseCommand) {
+        const angles = this.selectedTracks.videoAngles || [];
+        if (this.videoData.type !== 'hls' || angles.length === 0 || (angles.length === 1 && angles[0].isMain)) {
+            return baseCommand;
         }
+        
+        if (this.dropdown?.getAngleMode() === 'mkv' && angles.length > 1) {
+            // Angles share the variant's bandwidth, so each adds about its size
+            const angleSize = this.selectedTracks.videoTrack?.metaJS?.estimatedFileSizeBytes || 0;
+            return {
+                ...baseCommand,
+                container: 'mkv',
+                inputs: this.buildHlsInputsArray(angles),
+                fileSizeBytes: baseCommand.fileSizeBytes ? baseCommand.fileSizeBytes + angleSize * (angles.length - 1) : null
+            };
+        }
+        
+        return angles.map(angle => ({
+            ...baseCommand,
+            downloadUrl: angle.url,
+            filename: [baseCommand.filename, angle.name].filter(Boolean).join(' - '),
+            inputs: this.buildHlsInputsArray([angle])
+        }));
     }
 
     /**
@@ -740,6 +857,8 @@ export class VideoItemComponent {
         if (this.videoData.type === 'dash' && audioTrack.ffmpegStreamIndex) {
             command.streamSelection = audioTrack.ffmpegStreamIndex;
             delete command.inputs; // Clear inputs to avoid sending all selected tracks
+        } else if (this.videoData.type === 'mss' && audioTrack.mssTrackId) {
+            command.streamSelection = audioTrack.mssTrackId;
         } else if (this.videoData.type === 'hls' && audioTrack.url) {
             command.downloadUrl = audioTrack.url;
             delete command.inputs; // Clear inputs array for single audio track download
@@ -777,8 +896,15 @@ export class VideoItemComponent {
         
         // Add type-specific properties
         if (this.videoData.type === 'hls') {
+            // Clear LL-HLS is recorded part by part by the native host; encrypted streams stay with FFmpeg
+            if (this.videoData.isLive && this.videoData.lowLatency && !this.videoData.isEncrypted) {
+                downloadData.lowLatency = true;
+            }
+            
             const hasAdvancedTracks = (this.videoData.audioTracks?.length || 0) > 0 || 
-                                     (this.videoData.subtitleTracks?.length || 0) > 0;
+                                     (this.videoData.subtitleTracks?.length || 0) > 0 ||
+                                     getClosedCaptionTracks(this.videoData).length > 0 ||
+                                     (videoTrack?.angles?.length || 0) > 0;
             
             if (hasAdvancedTracks) {
                 // HLS Advanced mode
@@ -794,6 +920,20 @@ export class VideoItemComponent {
             // DASH mode
             downloadData.downloadUrl = videoTrack?.url || this.videoData.url;
             downloadData.streamSelection = this.buildDashStreamSelection();
+            if (this.videoData.isLive) {
+                // Live DASH is recorded by the native host, which picks representations by id rather than stream index
+                downloadData.dashRepresentations = this.buildDashRepresentations();
+            }
+        } else if (this.videoData.type === 'mss') {
+            // Smooth Streaming mode: the native host fetches the selected tracks' fragments itself
+            downloadData.downloadUrl = this.videoData.url;
+            downloadData.streamSelection = this.buildMssStreamSelection();
+        } else if (this.videoData.type === 'mse') {
+            // Captured MSE mode: the background reads the tracks from the page and hands them to the CoApp
+            downloadData.downloadUrl = this.videoData.url;
+            downloadData.container = videoTrack?.videoContainer || videoTrack?.audioContainer || 'mp4';
+            downloadData.fileSizeBytes = videoTrack?.fileSize || null;
+            downloadData.mseCapture = this.videoData.mseCapture;
         } else {
             // Direct mode
             downloadData.downloadUrl = videoTrack.url;
@@ -808,17 +948,30 @@ export class VideoItemComponent {
     
     /**
      * Build HLS inputs array for advanced mode
+     * @param {Array|null} angles - Camera angles to take the video from (null: the selected variant itself)
      * @returns {Array} Array of input objects with url and streamMap
      */
-    buildHlsInputsArray() {
+    buildHlsInputsArray(angles = null) {
         const inputs = [];
         let streamIndex = 0;
+        const videoTrack = this.selectedTracks.videoTrack;
         
-        // Add video track
-        if (this.selectedTracks.videoTrack?.url) {
+        // Add video track (one per camera angle, labelled with its name)
+        const videoInputs = angles || (videoTrack?.url ? [{ url: videoTrack.url, isMain: true }] : []);
+        // Angle playlists carry video only: keep the audio muxed into the variant when there are no audio renditions
+        const variantAudio = !!videoTrack?.angles && !(this.videoData.audioTracks?.length > 0);
+        videoInputs.forEach(angle => {
+            const index = streamIndex++;
             inputs.push({
-                url: this.selectedTracks.videoTrack.url,
-                streamMap: `${streamIndex++}:v:0`
+                url: angle.url,
+                streamMap: variantAudio && angle.isMain ? [`${index}:v:0`, `${index}:a:0?`] : `${index}:v:0`,
+                ...(angles && { label: angle.name })
+            });
+        });
+        if (variantAudio && !videoInputs.some(angle => angle.isMain)) {
+            inputs.push({
+                url: videoTrack.url,
+                streamMap: `${streamIndex++}:a:0?`
             });
         }
         
@@ -833,9 +986,11 @@ export class VideoItemComponent {
             }
         });
         
-        // Add subtitle tracks
+        // Add subtitle tracks (closed captions are read out of the selected variant's video)
         this.selectedTracks.subtitleTracks.forEach(subTrack => {
-            if (subTrack.url) {
+            if (subTrack.closedCaption && videoTrack?.url) {
+                inputs.push(this.buildClosedCaptionInput(subTrack, videoTrack.url, streamIndex++));
+            } else if (subTrack.url) {
                 inputs.push({
                     url: subTrack.url,
                     streamMap: `${streamIndex++}:s:0`,
@@ -847,6 +1002,23 @@ export class VideoItemComponent {
         return inputs;
     }
     
+    /**
+     * Input that decodes a CEA-608/708 caption channel of the selected variant into a subtitle stream
+     * @param {Object} captionTrack - Closed caption track from the manifest
+     * @param {string} videoUrl - Variant playlist carrying the captions
+     * @param {number} index - Input index
+     * @returns {Object} Input object with the caption channel and its language
+     */
+    buildClosedCaptionInput(captionTrack, videoUrl, index) {
+        return {
+            url: videoUrl,
+            closedCaption: captionTrack.instreamId,
+            streamMap: `${index}:s:0`,
+            label: captionTrack._cachedLabel,
+            language: captionTrack.language || null
+        };
+    }
+    
     /**
      * Build DASH stream selection string
      * @returns {string} Stream selection string (e.g., "0:v:0,0:a:1,0:s:0")
@@ -876,6 +1048,30 @@ export class VideoItemComponent {
         return streams.join(',');
     }
     
+    /**
+     * Selected video and audio representations of a live DASH stream (subtitles are not recorded)
+     * @returns {Array} [{ id, adaptationSetId, kind }]
+     */
+    buildDashRepresentations() {
+        const { videoTrack, audioTracks } = this.selectedTracks;
+        return [
+            ...(videoTrack?.ffmpegStreamIndex ? [{ id: videoTrack.id, adaptationSetId: videoTrack.adaptationSetId, kind: 'video' }] : []),
+            ...audioTracks.map(track => ({ id: track.id, adaptationSetId: track.adaptationSetId, kind: 'audio' }))
+        ];
+    }
+    
+    /**
+     * Build Smooth Streaming track selection string
+     * @returns {string} Selected track IDs in video, audio, subtitle order (e.g., "0:2,1:0,2:0")
+     */
+    buildMssStreamSelection() {
+        return [
+            this.selectedTracks.videoTrack,
+            ...this.selectedTracks.audioTracks,
+            ...this.selectedTracks.subtitleTracks
+        ].map(track => track?.mssTrackId).filter(Boolean).join(',');
+    }
+    
     /**
      * Get optimal container based on selected tracks and compatibility
      * @returns {string} Optimal container format
@@ -970,7 +1166,7 @@ export class VideoItemComponent {
     // Create subtitle extraction commands - handles single and multi-track scenarios
     createSubtitleExtractionCommands(baseCommand) {
         const selectedSubtitleTracks = this.selectedTracks.subtitleTracks || [];
-        const availableSubtitleTracks = this.videoData.subtitleTracks || [];
+        const availableSubtitleTracks = [...(this.videoData.subtitleTracks || []), ...getClosedCaptionTracks(this.videoData)];
         
         // If no tracks selected but tracks are available, use default or best track
         if (selectedSubtitleTracks.length === 0 && availableSubtitleTracks.length > 0) {
@@ -1065,7 +1261,7 @@ export class VideoItemComponent {
      * @returns {Object} Subtitle track with default flag
      */
     getDefaultOrBestSubtitleTrack() {
-        const availableSubtitleTracks = this.videoData.subtitleTracks || [];
+        const availableSubtitleTracks = [...(this.videoData.subtitleTracks || []), ...getClosedCaptionTracks(this.videoData)];
         
         // First, look for a track marked as default
         const defaultTrack = availableSubtitleTracks.find(track => track.default === true);
@@ -1106,6 +1302,14 @@ export class VideoItemComponent {
         // Add track-specific data for DASH/HLS
         if (this.videoData.type === 'dash') {
             command.streamSelection = subTrack.ffmpegStreamIndex;
+        } else if (this.videoData.type === 'mss') {
+            command.streamSelection = subTrack.mssTrackId;
+        } else if (this.videoData.type === 'hls' && subTrack.closedCaption) {
+            // Captions are decoded from the video, which is downloaded for them
+            const videoTrack = this.selectedTracks.videoTrack || this.videoData.videoTracks?.[0];
+            command.container = this.dropdown?.getCaptionFormat() || 'srt';
+            command.downloadUrl = videoTrack?.url;
+            command.inputs = videoTrack?.url ? [this.buildClosedCaptionInput(subTrack, videoTrack.url, 0)] : [];
         } else if (this.videoData.type === 'hls') {
             command.downloadUrl = subTrack.url;
             delete command.inputs; // Clear inputs array for single subtitle track download
@@ -1218,6 +1422,14 @@ export class VideoItemComponent {
                     handler: cancelHandler
                 });
                 break;
+                
+            case 'paused':
+                this.downloadButton.updateState('paused', {
+                    text: 'Cancel',
+                    handler: cancelHandler,
+                    resumeHandler: () => this.downloadButton.sendResumeMessage(this.getDownloadIdForCancellation())
+                });
+                break;
         }
     }
     
@@ -1,7 +1,8 @@
 import { sendPortMessage } from '../communication.js';
 import { formatSize, formatDuration, formatBitrate } from '../../shared/utils/processing-utils.js';
+import { getFailureCategoryLabel } from '../../shared/utils/retry-policy.js';
 import { VideoItemComponent } from './video-item.js';
-import { applySearchToVideoItem, updateInitialMessageVisibility, applySortingToGroups } from '../ui-utils.js';
+import { applySearchToVideoItem, applyAdFilterToVideoItem, refreshGroupVisibility, applySortingToGroups } from '../ui-utils.js';
 import { setupPreviewHover } from './preview-hover.js';
 
 // Render videos using static group structure
@@ -52,12 +53,13 @@ export async function renderVideos(videos = []) {
             typeVideos.forEach(video => {
                 const videoComponent = new VideoItemComponent(video, 'default');
                 const videoElement = videoComponent.render();
-                // Apply current search filter to new video item
+                // Apply current search and ad filters to new video item
                 applySearchToVideoItem(videoElement);
+                applyAdFilterToVideoItem(videoElement);
                 content.appendChild(videoElement);
             });
             
-            // Show group with content (ignore filter state during initial render)
+            // Show group with content (current filters are applied below)
             group.style.display = 'flex';
         } else {
             // Hide group with no content and clear count
@@ -68,6 +70,9 @@ export async function renderVideos(videos = []) {
             group.style.display = 'none';
         }
     }
+    
+    // Apply type filters and hide groups holding nothing but hidden ads
+    refreshGroupVisibility();
 }
 
 /**
@@ -347,6 +352,17 @@ function buildFlagsHtml(progressData) {
             <span class="history-flag-text deleted-flag">DELETED</span>
         `);
     }
+    // Why the download failed, and how often it was retried (failed or finally successful)
+    if (progressData.command === 'download-error' && progressData.failureCategory) {
+        icons.push(`
+            <span class="history-flag-text failure-flag" data-tooltip="Failure reason">${getFailureCategoryLabel(progressData.failureCategory).toUpperCase()}</span>
+        `);
+    }
+    if (progressData.retryCount) {
+        icons.push(`
+            <span class="history-flag-text retry-flag" data-tooltip="Automatic retries">${progressData.retryCount} ${progressData.retryCount === 1 ? 'RETRY' : 'RETRIES'}</span>
+        `);
+    }
     return icons.join('');
 }
 
@@ -616,7 +632,9 @@ export function groupVideosByType(videos) {
     const groups = {
         hls: [],
         dash: [],
+        mss: [],
         direct: [],
+        mse: [],
         unknown: []
     };
 
@@ -631,8 +649,12 @@ export function groupVideosByType(videos) {
             groups.hls.push(video);
         } else if (type === 'dash') {
             groups.dash.push(video);
+        } else if (type === 'mss') {
+            groups.mss.push(video);
         } else if (type === 'direct') {
             groups.direct.push(video);
+        } else if (type === 'mse') {
+            groups.mse.push(video);
         } else {
             groups.unknown.push(video);
         }
@@ -675,14 +697,16 @@ export async function addVideoToUI(video) {
         const videoComponent = new VideoItemComponent(video, 'default');
         const videoElement = videoComponent.render();
         
-        // Apply current search filter to new video item
+        // Apply current search and ad filters to new video item
         applySearchToVideoItem(videoElement);
+        applyAdFilterToVideoItem(videoElement);
         
         // Prepend to the group (newest first)
         groupBody.insertBefore(videoElement, groupBody.firstChild);
         
         // Apply current sorting to maintain sort order
         applySortingToGroups();
+        refreshGroupVisibility();
         
         console.debug(`[ADD] Added video to UI: ${video.url}`);
         
@@ -708,7 +732,7 @@ export async function updateVideoInUI(videoUrl, video) {
         }
         
         // Handle preview updates with targeted DOM manipulation
-        if ('previewUrl' in video || 'generatingPreview' in video) {
+        if ('previewUrl' in video || 'generatingPreview' in video || 'storyboard' in video) {
             const component = existingElement._component;
             if (component) {
                 component.updateVideoData(video);
@@ -744,6 +768,11 @@ export async function updateVideoInUI(videoUrl, video) {
                 }
             }
             
+            // Storyboard frames replace the single preview on hover
+            if (video.storyboard && previewContainer) {
+                setupPreviewHover(previewContainer, video.previewUrl || null, video.storyboard);
+            }
+            
             console.debug(`[UPD] Applied targeted preview updates for: ${videoUrl}`);
             return;
         }
@@ -752,14 +781,16 @@ export async function updateVideoInUI(videoUrl, video) {
         const videoComponent = new VideoItemComponent(video, 'default');
         const newElement = videoComponent.render();
         
-        // Apply current search filter to updated video item
+        // Apply current search and ad filters to updated video item (it may just have been classified as ad)
         applySearchToVideoItem(newElement);
+        applyAdFilterToVideoItem(newElement);
         
         // Replace the existing element
         existingElement.parentNode.replaceChild(newElement, existingElement);
         
         // Apply current sorting to maintain sort order
         applySortingToGroups();
+        refreshGroupVisibility();
         
         console.debug(`[UPD] Full re-render completed for: ${videoUrl}`);
         
@@ -782,21 +813,12 @@ export async function removeVideoFromUI(videoUrl) {
             return;
         }
         
-        const group = existingElement.closest('.video-type-group');
         // Clean up tooltip if removing element with active tooltip
         if (window.hideActiveTooltip) window.hideActiveTooltip();
         existingElement.remove();
         
-        // Check if group is now empty and update visibility
-        if (group) {
-            const groupBody = group.querySelector('.section-content');
-            if (groupBody && groupBody.children.length === 0) {
-                group.style.display = 'none';
-            }
-        }
-        
-        // Update initial message visibility using centralized helper
-        updateInitialMessageVisibility();
+        // Hide the group if it is now empty (or holds only hidden ads); also updates the initial message
+        refreshGroupVisibility();
         
         console.debug(`[RM] Removed video from UI: ${videoUrl}`);
         
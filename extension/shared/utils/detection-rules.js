@@ -0,0 +1,194 @@
+/**
+ * Detection Rules Utilities
+ * User-defined filters for detected videos, evaluated in two stages:
+ * - URL rules (domains, URL patterns, types) when a request is gated, before anything is fetched
+ * - Media rules (duration, resolution, audio-only) once a video has been parsed or probed
+ * A rejection names the rule that caused it, so filtered candidates can be told apart.
+ */
+
+// Type toggles in settings order -> display label ('audio' covers audio-only media of any type)
+export const DETECTION_TYPE_LABELS = {
+    hls: 'HLS',
+    dash: 'DASH',
+    mss: 'Smooth',
+    direct: 'Direct',
+    audio: 'Audio'
+};
+
+export const DEFAULT_DETECTION_RULES = {
+    domainAllowList: [], // Only detect on these domains (media or page host), empty = all
+    domainDenyList: [], // Never detect on these domains
+    urlIncludePatterns: [], // Media URL must match one of these regexes, empty = all
+    urlExcludePatterns: [], // Media URL must match none of these regexes
+    minDuration: 0, // Seconds, 0 = off (live streams are never filtered by duration)
+    minResolution: 0, // Height of the best video track in pixels, 0 = off
+    types: { hls: true, dash: true, mss: true, direct: true, audio: true }
+};
+
+export const DETECTION_RULE_LIMITS = { maxEntries: 100, minDuration: 24 * 60 * 60, minResolution: 4320 };
+
+// Compiled URL patterns per normalized rules object
+const compiledPatterns = new WeakMap();
+
+/**
+ * Domain list entry reduced to a bare hostname (scheme, path, port and leading "*." removed)
+ * @param {string} entry - Entry as typed by the user
+ * @returns {string} Hostname or empty string
+ */
+function normalizeDomain(entry) {
+    return String(entry).trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/[/?#].*$/, '')
+        .replace(/:\d+$/, '')
+        .replace(/^\*?\./, '');
+}
+
+/**
+ * Whether a string compiles as a URL pattern
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+export function isValidUrlPattern(pattern) {
+    try {
+        new RegExp(pattern, 'i');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function normalizeList(list, normalizeEntry, isValid = () => true) {
+    if (!Array.isArray(list)) return [];
+    const entries = list.map(normalizeEntry).filter(entry => entry && isValid(entry));
+    return [...new Set(entries)].slice(0, DETECTION_RULE_LIMITS.maxEntries);
+}
+
+function clampNumber(value, max) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? 0 : Math.max(0, Math.min(max, number));
+}
+
+/**
+ * Complete, clean rules from a possibly partial or outdated settings value
+ * Invalid URL patterns are dropped rather than failing every evaluation.
+ * @param {Object} rules - Stored detectionRules setting
+ * @returns {Object} Rules with every field present
+ */
+export function normalizeDetectionRules(rules) {
+    const types = {};
+    for (const type of Object.keys(DETECTION_TYPE_LABELS)) {
+        types[type] = rules?.types?.[type] !== false;
+    }
+
+    return {
+        domainAllowList: normalizeList(rules?.domainAllowList, normalizeDomain),
+        domainDenyList: normalizeList(rules?.domainDenyList, normalizeDomain),
+        urlIncludePatterns: normalizeList(rules?.urlIncludePatterns, entry => String(entry).trim(), isValidUrlPattern),
+        urlExcludePatterns: normalizeList(rules?.urlExcludePatterns, entry => String(entry).trim(), isValidUrlPattern),
+        minDuration: clampNumber(rules?.minDuration, DETECTION_RULE_LIMITS.minDuration),
+        minResolution: clampNumber(rules?.minResolution, DETECTION_RULE_LIMITS.minResolution),
+        types
+    };
+}
+
+function getCompiledPatterns(rules) {
+    let compiled = compiledPatterns.get(rules);
+    if (!compiled) {
+        const compile = patterns => patterns.filter(isValidUrlPattern).map(pattern => ({ pattern, regex: new RegExp(pattern, 'i') }));
+        compiled = {
+            include: compile(rules.urlIncludePatterns || []),
+            exclude: compile(rules.urlExcludePatterns || [])
+        };
+        compiledPatterns.set(rules, compiled);
+    }
+    return compiled;
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+// Domain entry matching a host or one of its parents (example.com matches cdn.example.com)
+function findDomainMatch(list, hosts) {
+    return list.find(domain => hosts.some(host => host === domain || host.endsWith(`.${domain}`))) || null;
+}
+
+/**
+ * Check a candidate against the domain, URL pattern and type rules
+ * @param {Object} rules - Normalized detection rules
+ * @param {Object} candidate - { url, pageUrl, type, mediaType }
+ * @returns {Object|null} Rejection { rule, value, reason } or null if the candidate passes
+ */
+export function evaluateUrlRules(rules, { url, pageUrl = null, type = null, mediaType = null }) {
+    if (!rules) return null;
+
+    const hosts = [getHostname(url), pageUrl ? getHostname(pageUrl) : null].filter(Boolean);
+
+    const denied = findDomainMatch(rules.domainDenyList, hosts);
+    if (denied) {
+        return { rule: 'domain-deny', value: denied, reason: `Blocked domain ${denied}` };
+    }
+    if (rules.domainAllowList.length > 0 && !findDomainMatch(rules.domainAllowList, hosts)) {
+        return { rule: 'domain-allow', value: hosts[0] || null, reason: 'Domain is not on the allow list' };
+    }
+
+    const { include, exclude } = getCompiledPatterns(rules);
+    const excluded = exclude.find(({ regex }) => regex.test(url));
+    if (excluded) {
+        return { rule: 'url-exclude', value: excluded.pattern, reason: `URL matches exclude pattern ${excluded.pattern}` };
+    }
+    if (include.length > 0 && !include.some(({ regex }) => regex.test(url))) {
+        return { rule: 'url-include', value: null, reason: 'URL matches no include pattern' };
+    }
+
+    if (type && rules.types[type] === false) {
+        return { rule: 'type', value: type, reason: `${DETECTION_TYPE_LABELS[type]} detection is off` };
+    }
+    if (mediaType === 'audio' && rules.types.audio === false) {
+        return { rule: 'type', value: 'audio', reason: 'Audio detection is off' };
+    }
+
+    return null;
+}
+
+// Height of the best video track, from whichever source described it
+function getMaxHeight(video) {
+    const heights = (video.videoTracks || []).map(track => {
+        const height = track.height || track.metaJS?.height || track.metaFFprobe?.height;
+        if (height) return height;
+        const match = /x(\d+)$/.exec(track.resolution || track.metaJS?.resolution || '');
+        return match ? parseInt(match[1], 10) : null;
+    }).filter(Number.isFinite);
+    return heights.length > 0 ? Math.max(...heights) : null;
+}
+
+/**
+ * Check a parsed or probed video against the duration, resolution and audio-only rules
+ * Values that are still unknown never cause a rejection.
+ * @param {Object} rules - Normalized detection rules
+ * @param {Object} video - Video from the store
+ * @returns {Object|null} Rejection { rule, value, reason } or null if the video passes
+ */
+export function evaluateMediaRules(rules, video) {
+    if (!rules || !video) return null;
+
+    if (video.hasAudio && video.hasVideo === false && rules.types.audio === false) {
+        return { rule: 'type', value: 'audio', reason: 'Audio detection is off' };
+    }
+
+    const duration = video.duration || video.videoTracks?.[0]?.metaJS?.duration || null;
+    if (rules.minDuration > 0 && !video.isLive && Number.isFinite(duration) && duration < rules.minDuration) {
+        return { rule: 'min-duration', value: duration, reason: `Shorter than ${rules.minDuration}s` };
+    }
+
+    const height = getMaxHeight(video);
+    if (rules.minResolution > 0 && video.hasVideo !== false && height !== null && height < rules.minResolution) {
+        return { rule: 'min-resolution', value: height, reason: `Below ${rules.minResolution}p` };
+    }
+
+    return null;
+}
@@ -47,6 +47,13 @@ export function formatDuration(seconds) {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Parse HH:MM:SS, MM:SS or plain seconds (fractions allowed) back to seconds; null if invalid
+export function parseTimestamp(value) {
+    const text = String(value ?? '').trim();
+    if (!text || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text)) return null;
+    return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
 // time formatter for dl progress
 export function formatTime(seconds) {
     if (seconds < 60) {
@@ -186,8 +193,8 @@ export function generateId(url) {
 /**
  * Build track label for video tracks
  * @param {Object} track - Track data
- * @param {string} type - Track type ('video', 'audio', 'subtitle')
- * @param {string} videoType - Video type ('hls', 'dash', 'direct')
+ * @param {string} type - Track type ('video', 'audio', 'subtitle', 'angle')
+ * @param {string} videoType - Video type ('hls', 'dash', 'mss', 'direct', 'mse')
  * @returns {string} Formatted track label
  */
 export function buildTrackLabel(track, type, videoType) {
@@ -201,13 +208,20 @@ export function buildTrackLabel(track, type, videoType) {
             fps = track.metaJS.fps || null;
             fileSizeBytes = track.metaJS.estimatedFileSizeBytes;
             codecs = track.metaJS.codecs ? parseCodecs(track.metaJS.codecs).join(' & ') : null;
-        } else if (videoType === 'dash') {
-            // DASH video track structure
+        } else if (videoType === 'dash' || videoType === 'mss') {
+            // DASH and Smooth Streaming video track structure
             resolution = track.resolution || null; // width x height format
             standardizedRes = track.standardizedResolution || null;
             fps = track.frameRate || null;
             fileSizeBytes = track.estimatedFileSizeBytes;
             codecs = track.codecs ? parseCodecs(track.codecs).join(' & ') : null;
+        } else if (videoType === 'mse') {
+            // Captured MSE stream: size is what the page has buffered so far
+            resolution = track.resolution || null;
+            standardizedRes = track.standardizedResolution || null;
+            fps = null;
+            fileSizeBytes = track.fileSize;
+            codecs = track.codecs ? parseCodecs(track.codecs).join(' & ') : null;
         } else {
             // Direct video track structure
             resolution = (track.metaFFprobe?.width && track.metaFFprobe?.height) ?
@@ -268,7 +282,11 @@ export function buildTrackLabel(track, type, videoType) {
     } else if (type === 'subtitle') {
         let language;
 
-        if (videoType === 'hls' && track.name !== undefined) {
+        if (track.closedCaption) {
+            // Closed caption channel of the video stream, e.g. "English • CC1"
+            const name = track.name || track.language || 'Captions';
+            return [track.default ? `${name}*` : name, track.instreamId].join(' • ');
+        } else if (videoType === 'hls' && track.name !== undefined) {
             // HLS subtitle track structure
             language = track.default ? `${track.name || track.language || 'Subtitle'}*` :
                 (track.name || track.language || 'Subtitle');
@@ -279,6 +297,10 @@ export function buildTrackLabel(track, type, videoType) {
         }
 
         return language;
+
+    } else if (type === 'angle') {
+        // Camera angle (alternate video rendition) of an HLS variant
+        return [track.name, track.language].filter(Boolean).join(' • ') || 'Angle';
     }
 
     return 'Unknown';
@@ -0,0 +1,73 @@
+/**
+ * Retry Policy Utilities
+ * Failure categories reported by the native host and how often / how soon each is retried
+ */
+
+// Category id (native host failure-classifier) -> display label, in settings order
+export const FAILURE_CATEGORY_LABELS = {
+    'network-timeout': 'Network Timeout',
+    'token-expired': 'Token Expired',
+    'http-403': 'HTTP 403 Forbidden',
+    'http-404': 'HTTP 404 Not Found',
+    'http-410': 'HTTP 410 Gone',
+    'disk-full': 'Disk Full',
+    'codec-error': 'Codec / Mux Error',
+    'drm': 'DRM Protected',
+    'unknown': 'Other Errors'
+};
+
+// maxRetries: attempts after the first failure; baseDelay: seconds before the first retry, doubled per retry
+export const DEFAULT_RETRY_POLICIES = {
+    'network-timeout': { maxRetries: 3, baseDelay: 10 },
+    'token-expired': { maxRetries: 2, baseDelay: 5 },
+    'http-403': { maxRetries: 1, baseDelay: 30 },
+    'http-404': { maxRetries: 0, baseDelay: 30 },
+    'http-410': { maxRetries: 0, baseDelay: 30 },
+    'disk-full': { maxRetries: 0, baseDelay: 60 },
+    'codec-error': { maxRetries: 1, baseDelay: 5 },
+    'drm': { maxRetries: 0, baseDelay: 30 },
+    'unknown': { maxRetries: 1, baseDelay: 15 }
+};
+
+export const RETRY_LIMITS = { maxRetries: 10, baseDelay: 3600 };
+
+// Longest wait between two attempts, however many retries came before
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+/**
+ * Complete, clamped policies from a possibly partial or outdated settings value
+ * @param {Object} policies - Stored retryPolicies setting
+ * @returns {Object} Policy for every category
+ */
+export function normalizeRetryPolicies(policies) {
+    const normalized = {};
+    for (const [category, defaults] of Object.entries(DEFAULT_RETRY_POLICIES)) {
+        const policy = policies?.[category] || {};
+        const maxRetries = parseInt(policy.maxRetries, 10);
+        const baseDelay = parseInt(policy.baseDelay, 10);
+        normalized[category] = {
+            maxRetries: isNaN(maxRetries) ? defaults.maxRetries : Math.max(0, Math.min(RETRY_LIMITS.maxRetries, maxRetries)),
+            baseDelay: isNaN(baseDelay) ? defaults.baseDelay : Math.max(1, Math.min(RETRY_LIMITS.baseDelay, baseDelay))
+        };
+    }
+    return normalized;
+}
+
+/**
+ * Delay before the next attempt, doubling with each retry already made
+ * @param {Object} policy - { maxRetries, baseDelay }
+ * @param {number} retryCount - Retries made so far
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(policy, retryCount) {
+    return Math.min(policy.baseDelay * Math.pow(2, retryCount), MAX_RETRY_DELAY_SECONDS) * 1000;
+}
+
+/**
+ * Label for a failure category
+ * @param {string} category - Category id
+ * @returns {string}
+ */
+export function getFailureCategoryLabel(category) {
+    return FAILURE_CATEGORY_LABELS[category] || FAILURE_CATEGORY_LABELS.unknown;
+}
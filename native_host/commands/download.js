@@ -9,6 +9,22 @@
  * - Handles download cancellation, process cleanup, and partial file removal.
  * - Logs all key actions, errors, and data flow for transparency and debugging.
  * - Maintains a static map of active download processes for robust cancellation and status management.
+ * - Journals HLS/DASH downloads to disk so they can resume from the last confirmed position after a host crash.
+ * - Fetches VOD HLS segments natively (parallel, retried) and has FFmpeg remux the local copy.
+ * - Records livestreams from the live edge or DVR start and stops them after a duration, at a clock time or size.
+ * - Clips VOD downloads to a time range, with a fast keyframe-aligned cut or an accurate re-encoded one.
+ * - Fetches direct VOD files natively with byte-range resume, so they can pause and resume like segmented ones.
+ * - Pauses journaled downloads on request, keeping fetched data until they are resumed or canceled.
+ * - Caps download speed with a global limit set by the extension and an optional per-download one; FFmpeg network reads go through a local throttling proxy.
+ * - Tags every failure with a category (HTTP status, expired token, network, disk, codec, DRM) for the extension's retry policy.
+ * - Receives MSE streams captured in the page as 'mse-chunk' messages and remuxes their tracks into one file.
+ * - Fetches Smooth Streaming fragments natively and remuxes the tracks MssFragmentFetcher rebuilds from them.
+ * - Records live DASH natively from the edge, a point rewound into the DVR window or its start, then remuxes the tracks;
+ *   the extension resolves the manifest and sends each update as a 'dash-live-manifest' message.
+ * - Records Low-Latency HLS natively part by part with blocking playlist reloads, staying at the live edge.
+ * - Clips HLS VOD or the DVR window of a live playlist by broadcast time (EXT-X-PROGRAM-DATE-TIME) and stamps
+ *   outputs with the real start time as creation_time.
+ * - Decodes CEA-608/708 closed captions from the video into subtitle tracks or SRT/VTT sidecar files.
  */
 
 const fs = require('fs');
@@ -19,6 +35,25 @@ const BaseCommand = require('./base-command');
 const { logDebug } = require('../utils/logger');
 const { getFullEnv } = require('../utils/resources');
 const processManager = require('../lib/process-manager');
+const downloadJournal = require('../lib/download-journal');
+const HlsSegmentFetcher = require('../lib/hls-segment-fetcher');
+const DirectFileFetcher = require('../lib/direct-file-fetcher');
+const bandwidthLimiter = require('../lib/bandwidth-limiter');
+const ThrottleProxy = require('../lib/throttle-proxy');
+const { classifyFailure } = require('../lib/failure-classifier');
+const MseCaptureReceiver = require('../lib/mse-capture-receiver');
+const MssFragmentFetcher = require('../lib/mss-fragment-fetcher');
+const DashLiveRecorder = require('../lib/dash-live-recorder');
+const HlsLiveRecorder = require('../lib/hls-live-recorder');
+
+// Safety margin when the confirmed on-disk position has to be taken from the journal
+const RESUME_REWIND_SECONDS = 10;
+
+// Share of the progress bar taken by segment fetching; the local remux fills the rest
+const SEGMENT_FETCH_WEIGHT = 0.95;
+
+// How often a running download looks for a cancellation requested by another host process
+const CANCEL_CHECK_INTERVAL_MS = 5000;
 
 // Command for downloading videos
 class DownloadCommand extends BaseCommand {
@@ -26,7 +61,7 @@ class DownloadCommand extends BaseCommand {
     static activeDownloads = new Map();
 
     // Initialize progress tracking state for a download
-    initProgressState(downloadId, { type, duration, fileSizeBytes, downloadUrl, isLive }) {
+    initProgressState(downloadId, { type, duration, fileSizeBytes, downloadUrl, isLive, journaled = false, timeOffset = 0, bytesOffset = 0, segmented = false }) {
         const now = Date.now();
         return {
             // Basic info
@@ -39,7 +74,7 @@ class DownloadCommand extends BaseCommand {
             duration: duration || 0,
             fileSizeBytes: fileSizeBytes || 0,
             isLive: isLive || false, // Track if this is a livestream
-			strategy: isLive ? 'livestream' : (duration ? 'time' : 'size'),
+			strategy: isLive ? 'livestream' : (segmented ? 'segments' : (duration ? 'time' : 'size')),
 
             // Windowed speed calc (10s sliding window of unique byte steps)
             byteSamples: [],            // Array<{t:number, b:number}>, t=Date.now(), b=downloadedBytes
@@ -49,9 +84,16 @@ class DownloadCommand extends BaseCommand {
             currentTime: 0,
             downloadedBytes: 0,
             currentSegment: 0,            
+            totalSegments: 0,             // Known up front when segments are fetched natively
+            liveInitialLag: null,         // Seconds behind the live edge when recording started
+            // Resume support: position already on disk from previous parts
+            journaled,
+            timeOffset,
+            bytesOffset,
             // For progress throttling
             lastProgressUpdate: 0,
             lastProgressPercent: 0,
+            lastCancelCheck: 0,
             errorLines: [],
 			finalProcessedTime: null, // Final processed time from FFmpeg
             finalStats: null
@@ -153,16 +195,17 @@ class DownloadCommand extends BaseCommand {
         const outTimeMs = output.match(/out_time_ms=(\d+)/);
         if (outTimeMs) {
             const timeUs = parseInt(outTimeMs[1], 10);
-            progressState.currentTime = timeUs / 1000000; // Convert to seconds
-            progressState.finalProcessedTime = timeUs / 1000000; // Store for termination messages
+            progressState.currentTime = progressState.timeOffset + timeUs / 1000000; // Convert to seconds
+            progressState.finalProcessedTime = progressState.currentTime; // Store for termination messages
             hasUpdate = true;
         }
         
         // Parse size data
+        // Fetched downloads already count network bytes; the local remux size would reset them
         const totalSize = output.match(/total_size=(\d+)/);
-        if (totalSize) {
+        if (totalSize && progressState.strategy !== 'segments') {
             const prevBytes = progressState.downloadedBytes || 0;
-            progressState.downloadedBytes = parseInt(totalSize[1], 10);
+            progressState.downloadedBytes = progressState.bytesOffset + parseInt(totalSize[1], 10);
             // Record a speed sample only on monotonic increase of total bytes
             const nowMsForSample = Date.now();
             if (progressState.downloadedBytes > prevBytes) {
@@ -171,8 +214,8 @@ class DownloadCommand extends BaseCommand {
             hasUpdate = true;
         }
 
-        // Only track segments for HLS type
-        if (progressState.type === 'hls') {
+        // Only track segments for HLS type (fetched segments are counted by the fetcher)
+        if (progressState.type === 'hls' && progressState.strategy !== 'segments') {
             if (output.includes('Opening ') && output.includes(' for reading')) {
                 // Match any file being opened for reading, regardless of extension
                 const segmentMatch = output.match(/Opening\s+['"]([^'"]+)['"] for reading/);
@@ -186,6 +229,14 @@ class DownloadCommand extends BaseCommand {
         // Send throttled progress updates
         if (hasUpdate) {
             this.sendProgressUpdate(progressState);
+            
+            // Remember how far we got so a crashed host can resume from here
+            if (progressState.journaled) {
+                downloadJournal.update(progressState.downloadId, {
+                    lastTime: progressState.currentTime,
+                    lastSegment: progressState.currentSegment
+                });
+            }
         }
     }
 
@@ -200,6 +251,16 @@ class DownloadCommand extends BaseCommand {
             return;
         }
         
+        // A job that outlived its extension session can only be canceled through the journal
+        if (now - progressState.lastCancelCheck >= CANCEL_CHECK_INTERVAL_MS) {
+            progressState.lastCancelCheck = now;
+            if (downloadJournal.isCancelRequested(progressState.downloadId)) {
+                logDebug('Cancellation requested by another host process:', progressState.downloadId);
+                this.cancelDownload({ downloadId: progressState.downloadId });
+                return;
+            }
+        }
+        
         const strategy = progressState.strategy;
 
         // Calculate progress based on selected strategy
@@ -214,6 +275,13 @@ class DownloadCommand extends BaseCommand {
             if (progressState.fileSizeBytes > 0 && progressState.downloadedBytes > 0) {
                 progress = (progressState.downloadedBytes / progressState.fileSizeBytes) * 100;
             }
+        } else if (strategy === 'segments') {
+            // Direct files have no segments; their fetch is counted in bytes
+            const fetched = progressState.totalSegments > 0
+                ? progressState.currentSegment / progressState.totalSegments
+                : (progressState.fileSizeBytes > 0 ? Math.min(1, progressState.downloadedBytes / progressState.fileSizeBytes) : 0);
+            const remuxed = progressState.duration > 0 ? Math.min(1, progressState.currentTime / progressState.duration) : 0;
+            progress = (fetched * SEGMENT_FETCH_WEIGHT + remuxed * (1 - SEGMENT_FETCH_WEIGHT)) * 100;
         }
 
         // Cap at 99.9% until we get final completion
@@ -244,6 +312,12 @@ class DownloadCommand extends BaseCommand {
                 currentTime: Math.round(progressState.currentTime),
                 totalDuration: progressState.isLive ? null : Math.round(progressState.duration),
 				currentSegment: progressState.currentSegment || null,
+                totalSegments: progressState.totalSegments || null,
+                pausable: progressState.journaled,
+                // Edge keeps moving in real time while the recording catches up at download speed
+                liveLag: progressState.isLive && progressState.liveInitialLag !== null
+                    ? Math.max(0, Math.round(progressState.liveInitialLag + elapsedSeconds - progressState.currentTime))
+                    : null,
                 eta: progressState.isLive ? null : (progress > 0 && speed > 0 ? Math.round(((100 - progress) / 100) * (progressState.fileSizeBytes || (progressState.downloadedBytes / (progress / 100))) / speed) : null)
             };
             
@@ -310,6 +384,20 @@ class DownloadCommand extends BaseCommand {
         // Find download by downloadId
         const downloadEntry = DownloadCommand.activeDownloads.get(downloadId);
         if (!downloadEntry) {
+            const journalState = downloadJournal.getState(downloadId).state;
+            
+            // Started by an earlier host process that is still running it - ask that process to stop
+            if (journalState === 'running' && downloadJournal.requestCancel(downloadId)) {
+                logDebug('Cancellation forwarded to the host process running:', downloadId);
+                return;
+            }
+            
+            // Paused downloads only exist on disk
+            if (journalState === 'paused') {
+                this.discardPausedDownload(downloadId);
+                return;
+            }
+            
             logDebug('No active download found for:', downloadId);
             
             // Send confirmation when no process exists - UI needs it
@@ -320,11 +408,21 @@ class DownloadCommand extends BaseCommand {
             return;
         }
         
+        // A live DASH recording still fetching stops and remuxes what it has, like FFmpeg ending a live input
+        if (downloadEntry.recorder?.getRecordedDuration() > 0) {
+            logDebug('Stopping live recording:', downloadId);
+            downloadEntry.recorder.stop();
+            return;
+        }
+        
         const { process, type, container } = downloadEntry;
         
         try {
             // 1. Mark as canceled for close handler detection
             downloadEntry.wasCanceled = true;
+            
+            // Still fetching segments: abort requests, the fetch phase reports the cancellation
+            downloadEntry.fetchers?.forEach(fetcher => fetcher.abort());
 
             // 2. Terminate FFmpeg process (will trigger close/error handler)
             if (process && process.pid && !process.killed) {
@@ -356,6 +454,97 @@ class DownloadCommand extends BaseCommand {
         }
     }
 
+    /**
+     * Pause a running download, keeping what it fetched for resume-download
+     * Native fetching stops at once. A remote FFmpeg run (DASH) is asked to finish its fragmented output,
+     * which resume-download keeps as a part; a local remux is stopped and redone on resume.
+     * @param {Object} params Command parameters
+     * @param {string} params.downloadId The download ID to pause
+     * @returns {Object} Response with success and an error when the download cannot pause
+     */
+    pauseDownload(params) {
+        const { downloadId } = params;
+        const downloadEntry = DownloadCommand.activeDownloads.get(downloadId);
+        let response = { success: true };
+        
+        if (!downloadEntry || downloadEntry.wasCanceled) {
+            response = { success: false, error: 'Download is not running' };
+        } else if (!downloadEntry.progressState.journaled) {
+            response = { success: false, error: 'Livestreams, subtitle extractions and captured streams cannot be paused' };
+        } else if (!downloadEntry.wasPaused) {
+            logDebug('Pausing download:', downloadId);
+            downloadEntry.wasPaused = true;
+            
+            // Still fetching: abort requests, the fetch phase reports the pause
+            downloadEntry.fetchers?.forEach(fetcher => fetcher.abort());
+            
+            const ffmpeg = downloadEntry.process;
+            if (ffmpeg && ffmpeg.pid && !ffmpeg.killed) {
+                try {
+                    if (downloadEntry.localRemux) {
+                        ffmpeg.kill('SIGTERM');
+                    } else {
+                        ffmpeg.stdin.write('q');
+                    }
+                } catch (err) {
+                    logDebug('Could not stop FFmpeg for pause:', err.message);
+                }
+            }
+        }
+        
+        this.sendMessage(response);
+        return response;
+    }
+    
+    /**
+     * Set the speed cap shared by all downloads of this host process
+     * @param {Object} params Command parameters
+     * @param {number} params.limit Bytes per second, 0 for unlimited
+     * @returns {Object} Response with the limit now in effect
+     */
+    setSpeedLimit(params) {
+        bandwidthLimiter.setGlobalLimit(params.limit);
+        const response = { success: true, limit: bandwidthLimiter.getGlobalLimit() };
+        this.sendMessage(response);
+        return response;
+    }
+    
+    /**
+     * Tell the extension a download paused; its journal entry and fetched data stay for resume-download
+     * @param {string} downloadId - Download ID
+     */
+    sendPausedMessage(downloadId) {
+        downloadJournal.pause(downloadId);
+        logDebug('Download paused:', downloadId);
+        this.sendMessage({
+            command: 'download-paused',
+            downloadId,
+            timestamp: Date.now()
+        }, { useMessageId: false });
+    }
+    
+    /**
+     * Delete what a paused download kept for resuming and settle it as canceled
+     * @param {string} downloadId - Download ID
+     */
+    discardPausedDownload(downloadId) {
+        const entry = downloadJournal.get(downloadId);
+        const leftovers = [entry.currentPartPath, ...(entry.parts || []).map(part => part.path)].filter(Boolean);
+        for (const filePath of leftovers) {
+            try { fs.unlinkSync(filePath); } catch { /* ignore */ }
+        }
+        if (entry.workDir) {
+            this.removeSegmentWorkDir({ workDir: entry.workDir });
+        }
+        
+        logDebug('Discarded paused download:', downloadId);
+        this.sendTerminalMessage({
+            command: 'download-canceled',
+            downloadId,
+            timestamp: Date.now()
+        });
+    }
+
     /**
      * Execute the download command
      * @param {Object} params Command parameters
@@ -363,18 +552,24 @@ class DownloadCommand extends BaseCommand {
      * @param {string} params.downloadUrl Video URL to download
      * @param {string} params.filename Filename to save as
      * @param {string} params.savePath Path to save file to
-     * @param {string} params.type Media type ('hls', 'dash', 'direct')
+     * @param {string} params.type Media type ('hls', 'dash', 'mss', 'direct', 'mse')
      * @param {string} params.container Container format from extension (required)
      * @param {boolean} params.audioOnly Whether to download audio only (optional)
      * @param {boolean} params.subsOnly Whether to download subtitles only (optional)
-     * @param {string} params.streamSelection Stream selection spec for DASH (optional)
-     * @param {Array} params.inputs Array of input objects for HLS advanced mode (optional)
+     * @param {string} params.streamSelection Stream selection spec for DASH, track IDs for Smooth Streaming (optional)
+     * @param {Array} params.inputs Array of input objects for HLS advanced mode, { url, streamMap, label } where streamMap may list several maps (optional);
+     *   closed caption inputs add { closedCaption: 'CC1'-'CC4', language } and read the captions out of the video at url
      * @param {Object} params.duration Video duration (optional)
      * @param {Object} params.headers HTTP headers to use (optional)
      * @param {boolean} params.isLive Whether this is a livestream (optional)
+     * @param {Array} params.dashRepresentations Representations to record from a live DASH stream as { id, adaptationSetId, kind } (optional)
+     * @param {Object} params.dashLiveManifest Manifest model of a live DASH stream, resolved by the extension (required to record one)
+     * @param {boolean} params.lowLatency Live HLS with partial segments, recorded natively (optional)
+     * @param {Object} params.clip Time range as { start, end, accurate } in seconds, or { startDate, endDate, accurate } in broadcast time for HLS (optional)
      * @param {string} params.audioLabel Audio track label for filename generation (optional)
      * @param {string} params.subsLabel Subtitle track label for filename generation (optional)
      * @param {boolean} params.allowOverwrite Whether to allow overwriting existing files (optional)
+     * @param {number} params.speedLimit Speed cap for this download in bytes per second, 0 for the global one only (optional)
      */
     async execute(params) {
         const { command } = params;
@@ -382,11 +577,342 @@ class DownloadCommand extends BaseCommand {
         // Route to appropriate method based on command
         if (command === 'cancel-download') {
             return await this.cancelDownload(params);
+        } else if (command === 'pause-download') {
+            return this.pauseDownload(params);
+        } else if (command === 'set-speed-limit') {
+            return this.setSpeedLimit(params);
+        } else if (command === 'resume-download') {
+            return await this.resumeDownload(params);
+        } else if (command === 'get-resumable-downloads') {
+            return this.getResumableDownloads();
+        } else if (command === 'get-download-states') {
+            return this.getDownloadStates(params);
+        } else if (command === 'mse-chunk') {
+            return await this.receiveMseChunk(params);
+        } else if (command === 'dash-live-manifest') {
+            return this.receiveDashLiveManifest(params);
         } else {
             return await this.executeDownload(params);
         }
     }
 
+    /**
+     * Report journaled downloads that were interrupted by a previous host shutdown/crash
+     * @returns {Object} Response with resumable downloads
+     */
+    getResumableDownloads() {
+        const downloads = downloadJournal.listOrphaned()
+            .filter(entry => !DownloadCommand.activeDownloads.has(entry.downloadId))
+            .map(entry => ({
+                downloadId: entry.downloadId,
+                request: entry.request,
+                outputPath: entry.outputPath,
+                type: entry.type,
+                lastTime: entry.lastTime,
+                lastSegment: entry.lastSegment,
+                updatedAt: entry.updatedAt
+            }));
+        
+        logDebug('Resumable downloads in journal:', downloads.map(d => d.downloadId));
+        
+        const response = { success: true, downloads };
+        this.sendMessage(response);
+        return response;
+    }
+
+    /**
+     * Report what this host knows about downloads a restarted extension is tracking
+     * Jobs started by an earlier host process keep running there but can no longer message the extension.
+     * @param {Object} params Command parameters
+     * @param {Array<string>} params.downloadIds Downloads to look up
+     * @returns {Object} Response with { downloadId: { state, result? } }
+     */
+    getDownloadStates(params) {
+        const states = {};
+        for (const downloadId of params.downloadIds || []) {
+            states[downloadId] = DownloadCommand.activeDownloads.has(downloadId)
+                ? { state: 'active' }
+                : downloadJournal.getState(downloadId);
+        }
+        
+        logDebug('Download states requested:', states);
+        
+        const response = { success: true, states };
+        this.sendMessage(response);
+        return response;
+    }
+    
+    /**
+     * Send a download's terminal message and keep it in the journal
+     * A host started by an earlier extension session keeps running after the extension goes away,
+     * so the outcome must outlive the message in case nobody is listening anymore.
+     * @param {Object} message - download-success/-error/-canceled message
+     */
+    sendTerminalMessage(message) {
+        downloadJournal.finish(message.downloadId, message);
+        this.sendMessage(message, { useMessageId: false });
+    }
+
+    /**
+     * Resume a journaled download from its last confirmed position (after a crash or a pause)
+     * The partial file is kept as a finished part and FFmpeg fetches the remainder into a new part,
+     * which are joined into the original output path once the remainder completes.
+     * @param {Object} params Command parameters
+     * @param {string} params.downloadId The journaled download ID to resume
+     */
+    async resumeDownload(params) {
+        const { downloadId } = params;
+        const entry = downloadJournal.get(downloadId);
+        
+        if (!entry || !entry.request) {
+            logDebug('No journal entry to resume for:', downloadId);
+            this.sendMessage({
+                command: 'download-error',
+                downloadId,
+                success: false,
+                message: 'Download cannot be resumed: no journal entry found',
+                completedAt: Date.now()
+            }, { useMessageId: false });
+            return { success: false };
+        }
+        
+        if (DownloadCommand.activeDownloads.has(downloadId)) {
+            logDebug('Download already running, ignoring resume:', downloadId);
+            return { success: true };
+        }
+        
+        // Fetched segments (or the partial direct file) survive in the work directory; only the remux is redone
+        if (entry.segmented) {
+            try { fs.unlinkSync(entry.outputPath); } catch { /* ignore */ }
+            logDebug(`Resuming segmented download ${downloadId} from segment ${entry.lastSegment}`);
+            return this.executeDownload({
+                ...entry.request,
+                downloadId,
+                resumeState: { outputPath: entry.outputPath, startTime: 0, parts: [] }
+            });
+        }
+        
+        const ffmpegService = this.getService('ffmpeg');
+        const parts = [...(entry.parts || [])];
+        
+        // Salvage whatever the interrupted FFmpeg run managed to write
+        const interruptedPath = entry.currentPartPath || entry.outputPath;
+        if (interruptedPath && fs.existsSync(interruptedPath) && fs.statSync(interruptedPath).size > 0) {
+            // Confirmed position is what is actually readable on disk, not the last reported time.
+            // Fragmented MP4 without an index may not report a duration; then fall back to the journaled
+            // position, rewound a little so the seam overlaps instead of leaving a gap.
+            const previousDuration = parts.reduce((sum, part) => sum + part.duration, 0);
+            const probedDuration = await this.probeMediaDuration(ffmpegService, interruptedPath);
+            const partDuration = probedDuration || Math.max(0, (entry.lastTime || 0) - previousDuration - RESUME_REWIND_SECONDS);
+            if (partDuration > 0) {
+                const partPath = this.getPartPath(entry.outputPath, parts.length);
+                if (interruptedPath !== partPath) {
+                    fs.renameSync(interruptedPath, partPath);
+                }
+                parts.push({ path: partPath, duration: partDuration, size: fs.statSync(partPath).size });
+            } else {
+                logDebug('Interrupted part is unreadable, discarding:', interruptedPath);
+                try { fs.unlinkSync(interruptedPath); } catch { /* ignore */ }
+            }
+        }
+        
+        const startTime = parts.reduce((sum, part) => sum + part.duration, 0);
+        logDebug(`Resuming download ${downloadId} at ${startTime}s with ${parts.length} finished part(s)`);
+        
+        return this.executeDownload({
+            ...entry.request,
+            downloadId,
+            resumeState: {
+                outputPath: entry.outputPath,
+                startTime,
+                parts
+            }
+        });
+    }
+
+    /**
+     * Build the path of a numbered resume part next to the final output (keeps the extension for muxer detection)
+     * @param {string} outputPath - Final output path
+     * @param {number} index - Part index
+     * @returns {string} Part file path
+     */
+    getPartPath(outputPath, index) {
+        const ext = path.extname(outputPath);
+        return `${outputPath.slice(0, -ext.length || undefined)}.part${index}${ext}`;
+    }
+
+    /**
+     * Check whether a download can be journaled, paused and resumed (VOD only)
+     * @param {string} type - Media type
+     * @param {boolean} isLive - Livestream flag
+     * @param {boolean} subsOnly - Subtitle extraction flag
+     * @returns {boolean} True if the download should be journaled
+     */
+    isResumable(type, isLive, subsOnly) {
+        return (type === 'hls' || type === 'dash' || type === 'mss' || type === 'direct') && !isLive && !subsOnly;
+    }
+
+    /**
+     * Join resume parts into the final output with the concat demuxer
+     * @param {Object} ffmpegService - FFmpeg service instance
+     * @param {Array<string>} partPaths - Part files in playback order
+     * @param {string} outputPath - Final output path
+     * @param {string} container - Output container
+     * @returns {Promise<boolean>} True if the parts were joined
+     */
+    async joinParts(ffmpegService, partPaths, outputPath, container) {
+        const listPath = `${outputPath}.parts.txt`;
+        // Concat demuxer list format: single quotes escaped as '\''
+        const listContent = partPaths
+            .map(partPath => `file '${partPath.replace(/'/g, "'\\''")}'`)
+            .join('\n');
+        fs.writeFileSync(listPath, listContent + '\n');
+        
+        const args = ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-map', '0', '-c', 'copy'];
+        if (['mp4', 'mov', 'm4v', 'm4a'].includes(container?.toLowerCase())) {
+            args.push('-movflags', '+faststart');
+        }
+        args.push(outputPath);
+        
+        logDebug('Joining resume parts:', ffmpegService.getFFmpegPath(), args.join(' '));
+        
+        const exitCode = await new Promise((resolve) => {
+            const ffmpeg = spawn(ffmpegService.getFFmpegPath(), args, {
+                env: getFullEnv(),
+                windowsVerbatimArguments: process.platform === 'win32'
+            });
+            processManager.register(ffmpeg);
+            ffmpeg.stderr.on('data', () => {}); // Drain stderr so FFmpeg never blocks
+            ffmpeg.on('close', (code) => resolve(code));
+            ffmpeg.on('error', (err) => {
+                logDebug('Join FFmpeg spawn failed:', err.message);
+                resolve(-1);
+            });
+        });
+        
+        try { fs.unlinkSync(listPath); } catch { /* ignore */ }
+        
+        if (exitCode !== 0) {
+            logDebug('Joining resume parts failed with code:', exitCode);
+            return false;
+        }
+        
+        for (const partPath of partPaths) {
+            try { fs.unlinkSync(partPath); } catch { /* ignore */ }
+        }
+        return true;
+    }
+
+    /**
+     * Rewrite the fragmented MP4 of a finished journaled run with its moov up front (faststart)
+     * Fragmented output only keeps an interrupted run readable; a finished download gets the same layout as
+     * an unjournaled one. The fragmented file is kept when the remux fails.
+     * @param {Object} ffmpegService - FFmpeg service instance
+     * @param {string} outputPath - Output written by the run
+     * @param {string} container - Output container
+     * @returns {Promise<string>} Path of the file to treat as the download output
+     */
+    async finishFragmentedOutput(ffmpegService, outputPath, container) {
+        const ext = path.extname(outputPath);
+        const fragmentedPath = `${outputPath.slice(0, -ext.length || undefined)}.fragmented${ext}`;
+        try {
+            fs.renameSync(outputPath, fragmentedPath);
+        } catch (err) {
+            // Locked by another process (antivirus, a player): the fragmented file is a complete download too
+            logDebug('Could not move the fragmented output aside, keeping it:', err.message);
+            return outputPath;
+        }
+        if (await this.joinParts(ffmpegService, [fragmentedPath], outputPath, container)) {
+            return outputPath;
+        }
+        logDebug('Faststart remux failed, keeping the fragmented output:', outputPath);
+        try {
+            fs.renameSync(fragmentedPath, outputPath);
+            return outputPath;
+        } catch (err) {
+            logDebug('Could not move the fragmented output back, keeping it under its temporary name:', err.message);
+            return fragmentedPath;
+        }
+    }
+
+    /**
+     * Join the parts of a resumed download with the remainder written by the last run
+     * @param {Object} ffmpegService - FFmpeg service instance
+     * @param {Array<Object>} parts - Finished parts from earlier runs
+     * @param {string} lastPartPath - Part written by the last FFmpeg run
+     * @param {string} outputPath - Final output path
+     * @param {string} container - Output container
+     * @returns {Promise<string>} Path of the file to treat as the download output
+     */
+    async finalizeResumedOutput(ffmpegService, parts, lastPartPath, outputPath, container) {
+        const partPaths = parts.map(part => part.path).filter(partPath => fs.existsSync(partPath));
+        if (fs.existsSync(lastPartPath) && fs.statSync(lastPartPath).size > 0) {
+            partPaths.push(lastPartPath);
+        }
+        
+        if (partPaths.length === 0) {
+            return lastPartPath;
+        }
+        
+        const joined = await this.joinParts(ffmpegService, partPaths, outputPath, container);
+        if (!joined) {
+            // Keep the parts on disk rather than losing hours of data to a failed join
+            logDebug('Could not join resume parts, leaving them next to the output:', partPaths);
+            return lastPartPath;
+        }
+        
+        return outputPath;
+    }
+
+    /**
+     * Validate a requested clip range against the known duration
+     * Broadcast-time ranges are checked for order only; the playlist resolves them once it is fetched.
+     * @param {Object|null} clip - { start, end, accurate } from the extension (seconds), or { startDate, endDate, accurate } (ms since the epoch)
+     * @param {number|null} duration - Media duration if known
+     * @returns {Object|null} { start, end, accurate } with end null for "until the end", the broadcast-time range, or null for no clip
+     */
+    normalizeClip(clip, duration) {
+        if (!clip) return null;
+        
+        if (clip.startDate !== undefined) {
+            const startDate = Number(clip.startDate);
+            const endDate = Number(clip.endDate) > 0 ? Number(clip.endDate) : null;
+            if (!(startDate > 0)) {
+                throw new Error('Clip start time is missing');
+            }
+            if (endDate !== null && endDate <= startDate) {
+                throw new Error('Clip end time must be after its start time');
+            }
+            return { startDate, endDate, accurate: !!clip.accurate };
+        }
+        
+        const start = Math.max(0, Number(clip.start) || 0);
+        let end = Number(clip.end) > 0 ? Number(clip.end) : null;
+        if (end !== null && duration > 0 && end >= duration) {
+            end = null;
+        }
+        if (end !== null && end <= start) {
+            throw new Error(`Clip end (${end}s) must be after its start (${start}s)`);
+        }
+        
+        if (start === 0 && end === null) {
+            return null; // Whole media
+        }
+        return { start, end, accurate: !!clip.accurate };
+    }
+    
+    /**
+     * Length of the media that a clip covers
+     * @param {Object|null} clip - Normalized clip range
+     * @param {number|null} duration - Full media duration if known
+     * @returns {number|null} Clip length in seconds, or the full duration without a clip
+     */
+    getClipDuration(clip, duration) {
+        if (!clip) return duration;
+        const end = clip.end ?? duration;
+        return end > clip.start ? end - clip.start : null;
+    }
+
     /**
      * Execute the download command
      * @param {Object} params Command parameters (same as execute above)
@@ -407,10 +933,17 @@ class DownloadCommand extends BaseCommand {
             fileSizeBytes = null,
             duration = null,
             downloadId = null,
-            isLive = false,
+            isLive: streamIsLive = false,
             audioLabel = null,
             subsLabel = null,
-            allowOverwrite = false
+            allowOverwrite = false,
+            segmentConcurrency = 4,
+            segmentRetries = 5,
+            liveOptions = null,
+            clip = null,
+            speedLimit = 0,
+            removeAdBreaks = false,
+            resumeState = null
         } = params;
 
         // Use downloadId directly from extension (no need to generate sessionId)
@@ -424,6 +957,32 @@ class DownloadCommand extends BaseCommand {
             logDebug('🔑 Using headers for download request:', Object.keys(headers));
         }
         
+        // Live HLS only takes broadcast-time clips, which fetch part of the DVR window like VOD
+        const dvrClip = streamIsLive && type === 'hls' && clip?.startDate !== undefined;
+        const isLive = streamIsLive && !dvrClip;
+        
+        let clipRange = null;
+        try {
+            clipRange = isLive ? null : this.normalizeClip(clip, duration);
+            if (clipRange?.startDate !== undefined && type !== 'hls') {
+                throw new Error('Broadcast-time clips need an HLS playlist with program date times');
+            }
+            // The caption source takes no input options (headers, cookies, throttle), so it only reads fetched segments
+            if (params.inputs?.some(input => input.closedCaption) && (type !== 'hls' || isLive)) {
+                throw new Error('Closed captions can only be decoded from VOD HLS');
+            }
+        } catch (err) {
+            logDebug('Invalid download request:', err.message);
+            this.sendMessage({
+                command: 'download-error',
+                downloadId,
+                success: false,
+                message: err.message,
+                completedAt: Date.now()
+            }, { useMessageId: false });
+            return { success: false, error: err.message };
+        }
+        
         try {
             // Get required services
             const ffmpegService = this.getService('ffmpeg');
@@ -431,11 +990,97 @@ class DownloadCommand extends BaseCommand {
             // Use container from extension (trusted completely)
             logDebug('📦 Using container from extension:', container);
             
-            // Generate clean output filename with mode-specific suffixes
-            const outputFilename = this.generateOutputFilename(filename, container, audioOnly, subsOnly, audioLabel, subsLabel);
+            // Resumed downloads keep the output path chosen by the interrupted run
+            const uniqueOutput = resumeState?.outputPath || this.resolveOutputPath(
+                // Generate clean output filename with mode-specific suffixes
+                this.generateOutputFilename(filename, container, audioOnly, subsOnly, audioLabel, subsLabel),
+                savePath,
+                allowOverwrite
+            );
+            
+            // Resumed runs write the remainder into a new part that is joined on completion
+            const parts = resumeState?.parts || [];
+            const ffmpegOutput = parts.length > 0 ? this.getPartPath(uniqueOutput, parts.length) : uniqueOutput;
+            const journaled = this.isResumable(type, isLive, subsOnly);
             
-            // Resolve final output path with uniqueness check
-            const uniqueOutput = this.resolveOutputPath(outputFilename, savePath, allowOverwrite);
+            // VOD HLS segments and direct files are fetched natively; FFmpeg then only remuxes the local copy
+            let segmentFetch = null;
+            if (type === 'hls' && !isLive) {
+                segmentFetch = {
+                    urls: params.inputs?.length > 0 ? [...new Set(params.inputs.map(input => input.url))] : [downloadUrl],
+                    workDir: `${uniqueOutput}.segments`,
+                    headers,
+                    concurrency: segmentConcurrency,
+                    maxRetries: segmentRetries,
+                    keys: params.hlsKeys || null,
+                    range: clipRange,
+                    skipAdBreaks: !!removeAdBreaks
+                };
+            } else if (type === 'mss') {
+                // FFmpeg has no Smooth Streaming demuxer: fragments are always fetched and rebuilt natively
+                segmentFetch = {
+                    mss: true,
+                    urls: [downloadUrl],
+                    workDir: `${uniqueOutput}.fragments`,
+                    headers,
+                    concurrency: segmentConcurrency,
+                    maxRetries: segmentRetries,
+                    range: clipRange,
+                    tracks: streamSelection || null
+                };
+            } else if (type === 'dash' && isLive) {
+                // FFmpeg's DASH demuxer cannot start inside the DVR window: live segments are recorded natively
+                segmentFetch = {
+                    live: 'dash',
+                    urls: [downloadUrl],
+                    workDir: `${uniqueOutput}.segments`,
+                    headers,
+                    maxRetries: segmentRetries,
+                    representations: params.dashRepresentations || null,
+                    manifest: params.dashLiveManifest || null,
+                    liveOptions: liveOptions || {}
+                };
+            } else if (type === 'hls' && isLive && params.lowLatency) {
+                // FFmpeg's HLS demuxer ignores partial segments and trails the edge by several segments
+                segmentFetch = {
+                    live: 'hls',
+                    urls: params.inputs?.length > 0 ? [...new Set(params.inputs.map(input => input.url))] : [downloadUrl],
+                    workDir: `${uniqueOutput}.segments`,
+                    headers,
+                    maxRetries: segmentRetries,
+                    liveOptions: liveOptions || {}
+                };
+            } else if (type === 'direct' && journaled) {
+                segmentFetch = {
+                    direct: true,
+                    urls: [downloadUrl],
+                    workDir: `${uniqueOutput}.download`,
+                    headers,
+                    maxRetries: segmentRetries
+                };
+            } else if (type === 'mse') {
+                // Captured in the page: the extension sends the tracks, registered before anything async runs
+                const workDir = `${uniqueOutput}.capture`;
+                segmentFetch = {
+                    mse: true,
+                    urls: [downloadUrl],
+                    workDir,
+                    receiver: new MseCaptureReceiver({ downloadId, workDir, tracks: params.mseCapture?.tracks || [] })
+                };
+            }
+            
+            // Every job is journaled so a restarted extension can reconcile it; only segmented VOD can resume
+            const { resumeState: _, id: __, ...request } = params;
+            downloadJournal.record(downloadId, {
+                request,
+                outputPath: uniqueOutput,
+                currentPartPath: ffmpegOutput,
+                type,
+                parts,
+                segmented: !!segmentFetch,
+                workDir: segmentFetch?.workDir || null,
+                resumable: journaled
+            });
             
             // Send resolved filename to extension immediately
             this.sendMessage({
@@ -444,11 +1089,11 @@ class DownloadCommand extends BaseCommand {
                 resolvedFilename: path.basename(uniqueOutput)
             }, { useMessageId: false });
             
-            // Build FFmpeg command arguments
-            const ffmpegArgs = this.buildFFmpegArgs({
+            // Build FFmpeg command arguments (rebuilt with local inputs once segments are fetched)
+            const argOptions = {
                 downloadUrl,
                 type,
-                outputPath: uniqueOutput,
+                outputPath: ffmpegOutput,
                 container,
                 audioOnly,
                 subsOnly,
@@ -457,17 +1102,26 @@ class DownloadCommand extends BaseCommand {
                 headers,
                 sourceAudioCodec,
                 sourceAudioBitrate,
-                allowOverwrite,
-                trackLabels: params.trackLabels || {}
-            });
+                allowOverwrite: allowOverwrite || !!resumeState,
+                trackLabels: params.trackLabels || {},
+                startTime: resumeState?.startTime || 0,
+                fragmented: journaled && !segmentFetch,
+                liveOptions: isLive ? liveOptions : null,
+                clip: clipRange
+            };
+            const ffmpegArgs = this.buildFFmpegArgs(argOptions);
             
             logDebug('FFmpeg command:', ffmpegService.getFFmpegPath(), ffmpegArgs.join(' '));
             
+            if (segmentFetch) {
+                segmentFetch.argOptions = argOptions;
+            }
+            
             // Execute FFmpeg with progress tracking
             return this.executeFFmpegWithProgress({
                 ffmpegService,
                 ffmpegArgs,
-                uniqueOutput,
+                uniqueOutput: ffmpegOutput,
                 downloadUrl,
                 type,
                 headers, 
@@ -476,7 +1130,15 @@ class DownloadCommand extends BaseCommand {
                 audioOnly,
                 subsOnly,
                 downloadId, // Use downloadId instead of sessionId
-				isLive
+				isLive,
+                container,
+                journaled,
+                finalOutput: uniqueOutput,
+                parts,
+                segmentFetch,
+                liveOptions: isLive ? liveOptions : null,
+                clip: clipRange,
+                speedLimit
             });
             
         } catch (err) {
@@ -643,10 +1305,27 @@ class DownloadCommand extends BaseCommand {
     // Builds FFmpeg command arguments based on input parameters
     buildFFmpegArgs({
         downloadUrl,  type, outputPath, container, audioOnly = false, subsOnly = false, streamSelection, inputs = null, 
-		headers = {}, sourceAudioCodec = null, sourceAudioBitrate = null, allowOverwrite = false, trackLabels = {}
+		headers = {}, sourceAudioCodec = null, sourceAudioBitrate = null, allowOverwrite = false, trackLabels = {},
+		startTime = 0, fragmented = false, localInputs = null, inputOffsets = null, liveOptions = null, clip = null,
+		creationTime = null
 	}) {
         const args = [];
         
+        // Inputs already fetched to disk by HlsSegmentFetcher take no network options
+        const resolveInput = (url) => localInputs?.get(url) || url;
+        
+        // Input seek for clips and resumed downloads (HLS/DASH demuxers seek to the segment containing it).
+        // A local playlist cut to a clip range starts at its own first segment, so seek relative to that.
+        const seekArgs = (url) => {
+            const seconds = startTime + (clip?.start || 0) - (inputOffsets?.get(url) || 0);
+            return seconds > 0 ? ['-ss', seconds.toFixed(3)] : [];
+        };
+        
+        // Live HLS: start at the newest segment or the oldest one still in the playlist window (LL-HLS is recorded beforehand)
+        const liveStartArgs = type === 'hls' && liveOptions && !localInputs
+            ? ['-live_start_index', liveOptions.startFrom === 'dvr' ? '0' : '-1']
+            : [];
+        
         // Determine download type using container-first logic
         const downloadType = this.determineDownloadType(container, audioOnly, subsOnly);
         logDebug('📦 Container-first detection:', { container, downloadType, audioOnly, subsOnly });
@@ -660,8 +1339,10 @@ class DownloadCommand extends BaseCommand {
         args.push('-stats', '-progress', 'pipe:2');
         
 		// Increase timeouts to avoid false triggers during long stream startup/handshakes.
-		args.push('-timeout', '30000000', '-rw_timeout', '30000000', '-icy', '0'); // 30s timeouts for startup
-        if (type === 'hls' || type === 'dash') {
+		if (!localInputs) {
+			args.push('-timeout', '30000000', '-rw_timeout', '30000000', '-icy', '0'); // 30s timeouts for startup
+		}
+        if ((type === 'hls' || type === 'dash') && !localInputs) {
             args.push(
                 '-reconnect', '1',
                 '-reconnect_streamed', '1', 
@@ -672,7 +1353,7 @@ class DownloadCommand extends BaseCommand {
         
         // Prepare headers for per-input application
         let headerArgs = [];
-        if (headers && Object.keys(headers).length > 0) {
+        if (headers && Object.keys(headers).length > 0 && !localInputs) {
             const headerLines = Object.entries(headers)
                 .map(([key, value]) => `${key}: ${value}`)
                 .join('\r\n');
@@ -682,34 +1363,109 @@ class DownloadCommand extends BaseCommand {
         }
         
         // Add inputs with headers, protocols, and stream mapping
-        if (inputs?.length > 0) {
+        if (type === 'mse') {
+            // Captured MSE stream: one local file per SourceBuffer, each mapped whole into the output
+            const trackFiles = localInputs ? [...localInputs.values()] : [downloadUrl];
+            trackFiles.forEach(file => {
+                args.push(...seekArgs(downloadUrl), '-i', file);
+            });
+            trackFiles.forEach((file, index) => {
+                args.push('-map', downloadType === 'audio' ? `${index}:a?` : String(index));
+            });
+            
+            if (downloadType === 'audio') {
+                args.push('-vn');
+                this.addAudioCodecArgs(args, container, sourceAudioCodec, sourceAudioBitrate);
+            } else {
+                args.push('-c', 'copy');
+            }
+            logDebug('🎯 Added captured MSE tracks:', trackFiles.length);
+        } else if (type === 'mss' || (type === 'dash' && liveOptions && localInputs)) {
+            // Smooth Streaming and live DASH recordings: one local file per selected track (video, audio_N, subtitle_N)
+            const trackFiles = localInputs ? [...localInputs.entries()] : [['video', downloadUrl]];
+            // Recorded tracks start at slightly different times; FFmpeg would move each input's start to zero
+            const firstStart = type === 'dash' && inputOffsets ? Math.min(...inputOffsets.values()) : 0;
+            const alignArgs = (key) => {
+                const offset = type === 'dash' ? (inputOffsets?.get(key) ?? firstStart) - firstStart : 0;
+                return offset > 0.001 ? ['-itsoffset', offset.toFixed(3)] : [];
+            };
+            trackFiles.forEach(([key, file]) => {
+                // A live DASH track that changed init segment between Periods is recorded in pieces joined by a list
+                const concatArgs = file.endsWith('.ffconcat') ? ['-f', 'concat'] : [];
+                args.push(...(type === 'dash' ? alignArgs(key) : seekArgs(key)), ...concatArgs, '-i', file);
+            });
+            
+            let audioIndex = 0;
+            let subtitleIndex = 0;
+            trackFiles.forEach(([key], index) => {
+                if (key.startsWith('audio_')) {
+                    if (downloadType === 'subs') return;
+                    args.push('-map', `${index}:a:0`);
+                    if (trackLabels[key] && downloadType === 'video') {
+                        args.push(`-metadata:s:a:${audioIndex}`, `title=${trackLabels[key]}`);
+                    }
+                    audioIndex++;
+                } else if (key.startsWith('subtitle_')) {
+                    if (downloadType === 'audio') return;
+                    args.push('-map', `${index}:s:0`);
+                    if (trackLabels[key] && downloadType === 'video') {
+                        args.push(`-metadata:s:s:${subtitleIndex}`, `title=${trackLabels[key]}`);
+                    }
+                    subtitleIndex++;
+                } else if (downloadType === 'video') {
+                    args.push('-map', `${index}:v:0`);
+                }
+            });
+            
+            if (downloadType === 'audio') {
+                args.push('-vn', '-sn');
+                this.addAudioCodecArgs(args, container, sourceAudioCodec, sourceAudioBitrate);
+            } else if (downloadType === 'subs') {
+                args.push('-vn', '-an', '-c:s', 'copy');
+            } else {
+                args.push('-c:v', 'copy', '-c:a', 'copy');
+                this.addSubtitleCodecArgs(args, container);
+            }
+            logDebug(`🎯 Added ${type === 'mss' ? 'Smooth Streaming' : 'recorded live DASH'} tracks:`, trackFiles.length);
+        } else if (inputs?.length > 0) {
             // HLS advanced mode: multiple inputs with separate tracks (DASH never uses inputs array)
             // FFmpeg requires: [global opts] [input opts -i url]... [output opts -map -c]... [output]
             inputs.forEach(input => {
+                if (input.closedCaption) {
+                    // Read from the local playlist; only the command logged before the fetch names the remote one
+                    args.push(...this.getClosedCaptionInputArgs(input, resolveInput(input.url), seekArgs(input.url)));
+                    return;
+                }
                 if (headerArgs.length > 0) {
                     args.push(...headerArgs);
                 }
                 // Only HLS can have multiple inputs - DASH always uses single input + streamSelection
-                args.push('-protocol_whitelist', 'file,http,https,tcp,tls,crypto', '-f', 'hls', '-allowed_extensions', 'ALL', '-probesize', '5M', '-analyzeduration', '10M');
-                args.push('-i', input.url);
+                args.push('-protocol_whitelist', 'file,http,https,tcp,tls,crypto,httpproxy', '-f', 'hls', '-allowed_extensions', 'ALL', '-probesize', '5M', '-analyzeduration', '10M');
+                args.push(...seekArgs(input.url), ...liveStartArgs, '-i', resolveInput(input.url));
             });
             
             // Add stream mapping for all inputs and metadata (output options must come after all inputs)
+            let videoIndex = 0;
             let audioIndex = 0;
             let subtitleIndex = 0;
             
             inputs.forEach(input => {
-                args.push('-map', input.streamMap);
+                // An input can give several streams (a camera angle's video and the audio muxed with it)
+                const [streamMap, ...extraMaps] = [].concat(input.streamMap);
+                args.push('-map', streamMap);
+                extraMaps.forEach(extraMap => args.push('-map', extraMap));
                 
-                // Add metadata directly from input label
-                if (input.label) {
-                    if (input.streamMap.includes(':a:')) {
-                        args.push(`-metadata:s:a:${audioIndex}`, `title=${input.label}`);
-                        audioIndex++;
-                    } else if (input.streamMap.includes(':s:')) {
-                        args.push(`-metadata:s:s:${subtitleIndex}`, `title=${input.label}`);
-                        subtitleIndex++;
-                    }
+                // Add metadata directly from input label (and the manifest language of closed captions)
+                if (streamMap.includes(':v:')) {
+                    if (input.label) args.push(`-metadata:s:v:${videoIndex}`, `title=${input.label}`);
+                    videoIndex++;
+                } else if (streamMap.includes(':a:')) {
+                    if (input.label) args.push(`-metadata:s:a:${audioIndex}`, `title=${input.label}`);
+                    audioIndex++;
+                } else if (streamMap.includes(':s:')) {
+                    if (input.label) args.push(`-metadata:s:s:${subtitleIndex}`, `title=${input.label}`);
+                    if (input.language) args.push(`-metadata:s:s:${subtitleIndex}`, `language=${input.language}`);
+                    subtitleIndex++;
                 }
             });
             
@@ -717,6 +1473,9 @@ class DownloadCommand extends BaseCommand {
             if (downloadType === 'video') {
                 args.push('-c:v', 'copy', '-c:a', 'copy');
                 this.addSubtitleCodecArgs(args, container);
+            } else if (downloadType === 'subs' && inputs.some(input => input.closedCaption)) {
+                // Decoded captions are text, written in the sidecar's own format
+                args.push('-c:s', container === 'vtt' ? 'webvtt' : 'srt');
             } else {
                 args.push('-c', 'copy');
             }
@@ -727,11 +1486,11 @@ class DownloadCommand extends BaseCommand {
                 args.push(...headerArgs);
             }
             if (type === 'hls') {
-                args.push('-protocol_whitelist', 'file,http,https,tcp,tls,crypto', '-allowed_extensions', 'ALL', '-probesize', '5M', '-analyzeduration', '10M');
+                args.push('-protocol_whitelist', 'file,http,https,tcp,tls,crypto,httpproxy', '-allowed_extensions', 'ALL', '-probesize', '5M', '-analyzeduration', '10M');
             } else if (type === 'dash') {
-                args.push('-protocol_whitelist', 'file,http,https,tcp,tls,crypto', '-probesize', '5M', '-analyzeduration', '10M', '-dash_allow_hier_sidx', '1');
+                args.push('-protocol_whitelist', 'file,http,https,tcp,tls,crypto,httpproxy', '-probesize', '5M', '-analyzeduration', '10M', '-dash_allow_hier_sidx', '1');
             }
-            args.push('-i', downloadUrl);
+            args.push(...seekArgs(downloadUrl), ...liveStartArgs, '-i', resolveInput(downloadUrl));
             logDebug('🎯 Added single input:', type);
             
             // Stream mapping for single input
@@ -804,22 +1563,69 @@ class DownloadCommand extends BaseCommand {
             }
         }
         
+        // Accurate clip: re-encode video so the cut lands on the exact frame instead of the previous keyframe
+        if (clip?.accurate && downloadType === 'video') {
+            args.push(...this.getClipVideoCodecArgs(container));
+        }
+        
         // Format-specific optimizations
         if ((type === 'hls' && downloadType === 'video') || (downloadType === 'audio' && container === 'm4a')) {
             args.push('-bsf:a', 'aac_adtstoasc');
         }
         
         // MP4/MOV faststart optimization (not for subtitles)
-        if (downloadType !== 'subs' && ['mp4', 'mov', 'm4v'].includes(container.toLowerCase())) {
+        // Journaled downloads write fragmented MP4 instead, so a partial file stays readable after a crash
+        if (fragmented && downloadType !== 'subs' && ['mp4', 'mov', 'm4v', 'm4a'].includes(container.toLowerCase())) {
+            args.push('-movflags', '+frag_keyframe+empty_moov+default_base_moof');
+        } else if (downloadType !== 'subs' && ['mp4', 'mov', 'm4v'].includes(container.toLowerCase())) {
             args.push('-movflags', '+faststart');
         }
         
+        // Clip end, relative to the seek point (a resumed run already has startTime seconds on disk)
+        if (clip?.end) {
+            args.push('-t', Math.max(0, clip.end - clip.start - startTime).toFixed(3));
+        }
+        
+        // Scheduled stop for live recordings - FFmpeg finalizes the file itself when a limit is hit
+        if (liveOptions?.stopAfterSeconds > 0) {
+            args.push('-t', String(liveOptions.stopAfterSeconds));
+        }
+        if (liveOptions?.stopAtBytes > 0) {
+            args.push('-fs', String(liveOptions.stopAtBytes));
+        }
+        
+        // Broadcast time the output starts at (program date time, or when a live recording began)
+        if (creationTime) {
+            args.push(...this.getCreationTimeArgs(creationTime));
+        }
+        
         // Output path
         args.push(outputPath);
         
         return args;
     }
     
+    /**
+     * Output metadata stamping when the content was broadcast
+     * @param {number} creationTime - Milliseconds since the epoch
+     * @returns {Array<string>} FFmpeg arguments
+     */
+    getCreationTimeArgs(creationTime) {
+        return ['-metadata', `creation_time=${new Date(creationTime).toISOString()}`];
+    }
+    
+    /**
+     * Video encoder arguments for accurate clips (stream copy can only cut on keyframes)
+     * @param {string} container - Output container format
+     * @returns {Array<string>} FFmpeg arguments
+     */
+    getClipVideoCodecArgs(container) {
+        if (container?.toLowerCase() === 'webm') {
+            return ['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-deadline', 'realtime', '-cpu-used', '8', '-row-mt', '1'];
+        }
+        return ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '18', '-pix_fmt', 'yuv420p'];
+    }
+    
     /**
      * Add appropriate audio codec arguments based on container format
      * @param {Array} args - FFmpeg arguments array
@@ -853,6 +1659,35 @@ class DownloadCommand extends BaseCommand {
         }
     }
 
+    /**
+     * Input arguments that decode a CEA-608 caption channel out of a video into a subtitle stream
+     * The lavfi movie source exposes the captions as an extra "subcc" stream; the caption decoder takes
+     * CC1/CC2 from the first field and CC3/CC4 from the second. The source takes none of the download's
+     * input options (headers, protocol whitelist, throttle), so it must be the fetched local playlist.
+     * @param {Object} input - Closed caption input { closedCaption, url }
+     * @param {string} source - Local playlist of the video
+     * @param {Array} seekArgs - Input seek of a clip or resumed download (['-ss', seconds] or [])
+     * @returns {Array} FFmpeg input arguments
+     */
+    getClosedCaptionInputArgs(input, source, seekArgs) {
+        const dataField = /^CC[34]$/i.test(input.closedCaption) ? 'second' : 'first';
+        const options = [`filename=${this.escapeFilterValue(source)}`, 'format_name=hls'];
+        if (seekArgs.length > 0) {
+            options.push(`seek_point=${seekArgs[1]}`);
+        }
+        logDebug(`📝 Closed captions ${input.closedCaption} from the ${dataField} caption field of ${source}`);
+        return ['-data_field', dataField, '-f', 'lavfi', '-i', `movie=${options.join(':')}[out0+subcc]`];
+    }
+
+    /**
+     * Escape a value for an option inside a filtergraph (option level, then graph level)
+     * @param {string} value - Raw value, e.g. a Windows path
+     * @returns {string}
+     */
+    escapeFilterValue(value) {
+        return value.replace(/[\\':]/g, '\\$&').replace(/[\\'[\],;]/g, '\\$&');
+    }
+
     /**
      * Add appropriate subtitle codec arguments based on container format
      * @param {Array} args - FFmpeg arguments array
@@ -993,6 +1828,381 @@ class DownloadCommand extends BaseCommand {
         }
     }
     
+    /**
+     * Fetch the inputs of a download (HLS segments, Smooth Streaming fragments, a live DASH or LL-HLS recording or a direct file) into its work directory
+     * Sends the terminal canceled/error message itself when fetching does not complete,
+     * or download-paused when it was paused (the work directory is then kept for resuming).
+     * @param {Object} activeEntry - activeDownloads entry (receives the fetchers for cancellation)
+     * @param {Object} segmentFetch - { urls, workDir, headers, concurrency, maxRetries, keys, direct }
+     * @param {Object} progressState - Progress state of the download
+     * @returns {Promise<Object>} { success: true } or the result to resolve with
+     */
+    async fetchInputs(activeEntry, segmentFetch, progressState) {
+        const { downloadId } = progressState;
+        
+        try {
+            if (segmentFetch.mse) {
+                await this.receiveMseCapture(activeEntry, segmentFetch, progressState);
+            } else if (segmentFetch.mss) {
+                await this.fetchMssFragments(activeEntry, segmentFetch, progressState);
+            } else if (segmentFetch.live) {
+                await this.recordLive(activeEntry, segmentFetch, progressState);
+            } else if (segmentFetch.direct) {
+                await this.fetchDirectFile(activeEntry, segmentFetch, progressState);
+            } else {
+                await this.fetchHlsSegments(activeEntry, segmentFetch, progressState);
+            }
+            
+            if (activeEntry.wasCanceled || activeEntry.wasPaused) {
+                throw Object.assign(new Error('Download aborted'), { aborted: true });
+            }
+            
+            activeEntry.fetchers = null;
+            return { success: true };
+        } catch (error) {
+            DownloadCommand.activeDownloads.delete(downloadId);
+            
+            if (activeEntry.wasPaused && !activeEntry.wasCanceled) {
+                this.sendPausedMessage(downloadId);
+                return { success: false, paused: true };
+            }
+            
+            this.removeSegmentWorkDir(segmentFetch);
+            
+            if (error.aborted || activeEntry.wasCanceled) {
+                logDebug('Fetching canceled for:', downloadId);
+                this.sendTerminalMessage({
+                    command: 'download-canceled',
+                    downloadId,
+                    timestamp: Date.now()
+                });
+                return { success: false, wasCanceled: true };
+            }
+            
+            const failureCategory = classifyFailure({ error, url: segmentFetch.urls[0] });
+            logDebug(`Fetching failed for ${downloadId} (${failureCategory}):`, error.message);
+            const source = segmentFetch.mse ? 'Capture transfer'
+                : segmentFetch.direct ? 'File download'
+                    : segmentFetch.mss ? 'Fragment download'
+                        : segmentFetch.live ? 'Live recording' : 'Segment download';
+            this.sendTerminalMessage({
+                command: 'download-error',
+                downloadId,
+                success: false,
+                message: `${source} failed: ${error.message}`,
+                failureCategory,
+                completedAt: Date.now()
+            });
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Fetch all HLS inputs of a download, leaving their local playlists in segmentFetch.localInputs
+     * Skipped ad breaks shorten the local playlists, so a clip range is moved onto their timeline.
+     * @param {Object} activeEntry - activeDownloads entry (receives the fetchers for cancellation)
+     * @param {Object} segmentFetch - { urls, workDir, headers, concurrency, maxRetries, keys, range, skipAdBreaks }
+     * @param {Object} progressState - Progress state of the download
+     */
+    async fetchHlsSegments(activeEntry, segmentFetch, progressState) {
+        const { downloadId } = progressState;
+        const fetchers = segmentFetch.urls.map((url, index) => new HlsSegmentFetcher({
+            playlistUrl: url,
+            headers: segmentFetch.headers,
+            workDir: path.join(segmentFetch.workDir, `input${index}`),
+            concurrency: segmentFetch.concurrency,
+            maxRetries: segmentFetch.maxRetries,
+            keys: segmentFetch.keys,
+            range: segmentFetch.range,
+            throttle: activeEntry.throttle,
+            onProgress: () => {
+                progressState.currentSegment = fetchers.reduce((sum, fetcher) => sum + fetcher.completedSegments, 0);
+                progressState.downloadedBytes = fetchers.reduce((sum, fetcher) => sum + fetcher.downloadedBytes, 0);
+                this.recordByteSample(progressState, Date.now());
+                this.sendProgressUpdate(progressState);
+                if (progressState.journaled) {
+                    downloadJournal.update(downloadId, { lastSegment: progressState.currentSegment });
+                }
+            }
+        }));
+        activeEntry.fetchers = fetchers;
+        
+        // Load every playlist first so progress counts segments across all inputs
+        const playlists = [];
+        for (const fetcher of fetchers) {
+            playlists.push(await fetcher.load());
+        }
+        
+        // Ad breaks come from the primary input and are cut from every input alike, keeping renditions in sync
+        let skippedAdDuration = 0;
+        if (segmentFetch.skipAdBreaks) {
+            const adRanges = fetchers[0].getAdRanges();
+            if (adRanges.length > 0) {
+                skippedAdDuration = fetchers[0].excludeAdRanges(adRanges);
+                fetchers.slice(1).forEach(fetcher => fetcher.excludeAdRanges(adRanges));
+            }
+        }
+        progressState.totalSegments = fetchers.reduce((sum, fetcher) => sum + fetcher.selected.length, 0);
+        
+        // A broadcast-time range becomes a playlist range once the first input is read; FFmpeg cuts by that one
+        if (segmentFetch.range?.startDate !== undefined) {
+            segmentFetch.range = fetchers[0].range;
+            segmentFetch.localClip = segmentFetch.range;
+        }
+        progressState.duration = progressState.duration || this.getClipDuration(segmentFetch.range, Math.max(...playlists.map(playlist => playlist.duration)));
+        
+        // Stamp the output with the broadcast time it starts at
+        segmentFetch.creationTime = fetchers[0].getDateAt(segmentFetch.range?.start ?? fetchers[0].selected[0]?.start ?? 0);
+        
+        // Without its ad breaks or gaps the output is shorter: clip and progress follow the first input's local timeline
+        if (skippedAdDuration > 0 || playlists[0].gapDuration > 0) {
+            const [primary] = fetchers;
+            const range = segmentFetch.range;
+            segmentFetch.localClip = range ? {
+                start: primary.toLocalTime(range.start),
+                end: range.end !== null ? primary.toLocalTime(range.end) : null,
+                accurate: range.accurate
+            } : null;
+            const localEnd = segmentFetch.localClip?.end ?? primary.getSelectedDuration();
+            progressState.duration = localEnd - (segmentFetch.localClip?.start || 0);
+            logDebug(`Skipping ${(skippedAdDuration + playlists[0].gapDuration).toFixed(1)}s of ad breaks and gaps for ${downloadId}, ${progressState.duration.toFixed(1)}s of content left`);
+        }
+        logDebug(`Fetching ${progressState.totalSegments} segments for ${downloadId} (${segmentFetch.concurrency} parallel)`);
+        
+        const localInputs = new Map();
+        const inputOffsets = new Map();
+        for (let i = 0; i < fetchers.length; i++) {
+            localInputs.set(segmentFetch.urls[i], await fetchers[i].download());
+            // A clip moved onto the local timeline is already relative to each local playlist
+            inputOffsets.set(segmentFetch.urls[i], skippedAdDuration > 0 || playlists[0].gapDuration > 0 ? 0 : playlists[i].rangeStart);
+        }
+        
+        segmentFetch.localInputs = localInputs;
+        segmentFetch.inputOffsets = inputOffsets;
+    }
+    
+    /**
+     * Fetch the selected Smooth Streaming tracks, leaving one rebuilt file per track in segmentFetch.localInputs
+     * @param {Object} activeEntry - activeDownloads entry (receives the fetcher for cancellation)
+     * @param {Object} segmentFetch - { urls: [manifest URL], workDir, headers, concurrency, maxRetries, range, tracks }
+     * @param {Object} progressState - Progress state of the download
+     */
+    async fetchMssFragments(activeEntry, segmentFetch, progressState) {
+        const { downloadId } = progressState;
+        const fetcher = new MssFragmentFetcher({
+            manifestUrl: segmentFetch.urls[0],
+            tracks: segmentFetch.tracks,
+            headers: segmentFetch.headers,
+            workDir: segmentFetch.workDir,
+            concurrency: segmentFetch.concurrency,
+            maxRetries: segmentFetch.maxRetries,
+            range: segmentFetch.range,
+            throttle: activeEntry.throttle,
+            onProgress: ({ completedSegments, downloadedBytes }) => {
+                progressState.currentSegment = completedSegments;
+                progressState.downloadedBytes = downloadedBytes;
+                this.recordByteSample(progressState, Date.now());
+                this.sendProgressUpdate(progressState);
+                if (progressState.journaled) {
+                    downloadJournal.update(downloadId, { lastSegment: completedSegments });
+                }
+            }
+        });
+        activeEntry.fetchers = [fetcher];
+        
+        const manifest = await fetcher.load();
+        progressState.totalSegments = manifest.totalSegments;
+        progressState.duration = progressState.duration || this.getClipDuration(segmentFetch.range, manifest.duration);
+        logDebug(`Fetching ${manifest.totalSegments} fragments for ${downloadId} (${segmentFetch.concurrency} parallel)`);
+        
+        segmentFetch.localInputs = await fetcher.download();
+        segmentFetch.inputOffsets = fetcher.getInputOffsets();
+    }
+    
+    /**
+     * Record a live DASH or LL-HLS stream until it is stopped, leaving its local inputs in segmentFetch.localInputs
+     * (one file per DASH track, one local playlist per HLS input).
+     * Progress reports the recorded duration; stopping through cancel-download ends the recording, not the download.
+     * @param {Object} activeEntry - activeDownloads entry (receives the recorder for stopping and cancellation)
+     * @param {Object} segmentFetch - { live: 'dash'|'hls', urls, workDir, headers, maxRetries, representations, manifest, liveOptions }
+     * @param {Object} progressState - Progress state of the download
+     */
+    async recordLive(activeEntry, segmentFetch, progressState) {
+        const source = segmentFetch.live === 'dash'
+            ? { manifestUrl: segmentFetch.urls[0], manifest: segmentFetch.manifest, representations: segmentFetch.representations }
+            : { playlistUrls: segmentFetch.urls };
+        const Recorder = segmentFetch.live === 'dash' ? DashLiveRecorder : HlsLiveRecorder;
+        const recorder = new Recorder({
+            ...source,
+            liveOptions: segmentFetch.liveOptions,
+            headers: segmentFetch.headers,
+            workDir: segmentFetch.workDir,
+            maxRetries: segmentFetch.maxRetries,
+            throttle: activeEntry.throttle,
+            onProgress: ({ completedSegments, downloadedBytes, recordedDuration }) => {
+                progressState.currentSegment = completedSegments;
+                progressState.downloadedBytes = downloadedBytes;
+                progressState.currentTime = recordedDuration;
+                this.recordByteSample(progressState, Date.now());
+                this.sendProgressUpdate(progressState);
+            }
+        });
+        activeEntry.fetchers = [recorder];
+        activeEntry.recorder = recorder;
+        
+        const { initialLag } = await recorder.load();
+        progressState.liveInitialLag = initialLag;
+        
+        try {
+            segmentFetch.localInputs = await recorder.download();
+            // HLS inputs are aligned by the recorder itself, starting on the same media sequence number
+            segmentFetch.inputOffsets = segmentFetch.live === 'dash' ? recorder.getInputOffsets() : null;
+            segmentFetch.creationTime = recorder.getStartDate();
+        } finally {
+            activeEntry.recorder = null;
+        }
+        logDebug(`Recorded ${recorder.getRecordedDuration().toFixed(1)}s of live ${segmentFetch.live === 'dash' ? 'DASH' : 'LL-HLS'} for ${progressState.downloadId}`);
+    }
+    
+    /**
+     * Fetch a direct media file, continuing a partial copy left by a pause or crash
+     * @param {Object} activeEntry - activeDownloads entry (receives the fetcher for cancellation)
+     * @param {Object} segmentFetch - { urls: [url], workDir, headers, maxRetries }
+     * @param {Object} progressState - Progress state of the download
+     */
+    async fetchDirectFile(activeEntry, segmentFetch, progressState) {
+        const [url] = segmentFetch.urls;
+        const fetcher = new DirectFileFetcher({
+            url,
+            headers: segmentFetch.headers,
+            workDir: segmentFetch.workDir,
+            maxRetries: segmentFetch.maxRetries,
+            throttle: activeEntry.throttle,
+            onProgress: ({ downloadedBytes, totalBytes }) => {
+                progressState.downloadedBytes = downloadedBytes;
+                progressState.fileSizeBytes = totalBytes || progressState.fileSizeBytes;
+                this.recordByteSample(progressState, Date.now());
+                this.sendProgressUpdate(progressState);
+            }
+        });
+        activeEntry.fetchers = [fetcher];
+        
+        const localPath = await fetcher.download();
+        logDebug(`Fetched direct file for ${progressState.downloadId}: ${fetcher.totalBytes} bytes`);
+        segmentFetch.localInputs = new Map([[url, localPath]]);
+    }
+    
+    /**
+     * Wait for the extension to send every track of a captured MSE stream
+     * @param {Object} activeEntry - activeDownloads entry (receives the receiver for cancellation)
+     * @param {Object} segmentFetch - { urls: [blob URL], workDir, receiver }
+     * @param {Object} progressState - Progress state of the download
+     */
+    async receiveMseCapture(activeEntry, segmentFetch, progressState) {
+        const { receiver } = segmentFetch;
+        receiver.onProgress = (downloadedBytes) => {
+            progressState.downloadedBytes = downloadedBytes;
+            this.recordByteSample(progressState, Date.now());
+            this.sendProgressUpdate(progressState);
+        };
+        activeEntry.fetchers = [receiver];
+        
+        segmentFetch.localInputs = await receiver.download();
+    }
+    
+    /**
+     * Write a chunk of a captured MSE stream sent by the extension
+     * The reply comes once the chunk is on disk, so the extension never has more than one in flight.
+     * @param {Object} params Command parameters
+     * @param {string} params.downloadId Download the capture belongs to
+     * @param {string} params.track Captured track ID
+     * @param {string} params.data Chunk bytes, base64
+     * @param {boolean} params.final Whether this is the track's last chunk
+     * @param {string} params.error Set instead of data when the extension could not read the capture
+     * @returns {Object} Response with success
+     */
+    async receiveMseChunk(params) {
+        const { downloadId, track, data, final = false, error = null } = params;
+        const receiver = MseCaptureReceiver.get(downloadId);
+        let response = { success: true };
+        
+        if (!receiver) {
+            response = { success: false, error: 'Download is not receiving a capture' };
+        } else if (error) {
+            receiver.fail(error);
+        } else {
+            try {
+                await receiver.append(track, Buffer.from(data || '', 'base64'), final);
+            } catch (err) {
+                response = { success: false, error: err.message };
+            }
+        }
+        
+        this.sendMessage(response);
+        return response;
+    }
+    
+    /**
+     * Hand a live DASH recording the latest manifest model, resolved by the extension
+     * @param {Object} params Command parameters
+     * @param {string} params.downloadId Download being recorded
+     * @param {Object} params.manifest Manifest model (buildMpdModel in the extension)
+     * @returns {Object} Response; success is false once the recording is over
+     */
+    receiveDashLiveManifest(params) {
+        const { downloadId, manifest } = params;
+        const recorder = DownloadCommand.activeDownloads.get(downloadId)?.recorder;
+        let response = { success: true };
+        
+        if (!(recorder instanceof DashLiveRecorder)) {
+            response = { success: false, error: 'Download is not recording live DASH' };
+        } else {
+            try {
+                recorder.updateManifest(manifest);
+            } catch (err) {
+                response = { success: false, error: err.message };
+            }
+        }
+        
+        this.sendMessage(response);
+        return response;
+    }
+    
+    /**
+     * Measure how far behind the live edge a recording starts, and the broadcast time it starts at
+     * @param {string} playlistUrl - Live HLS playlist URL
+     * @param {Object} headers - HTTP headers
+     * @param {Object|null} liveOptions - Recording options ({ startFrom })
+     * @returns {Promise<Object>} { lag, startDate } - seconds behind the edge and ms since the epoch
+     *   (from EXT-X-PROGRAM-DATE-TIME, else the clock); lag is null if the playlist could not be read
+     */
+    async measureLiveStart(playlistUrl, headers, liveOptions) {
+        try {
+            const fetcher = new HlsSegmentFetcher({ playlistUrl, headers, workDir: null, maxRetries: 1 });
+            await fetcher.load();
+            const segments = fetcher.playlist.segments;
+            if (segments.length === 0) return { lag: null, startDate: Date.now() };
+            
+            // DVR start lags by the whole window, edge start by the newest segment only
+            const firstSegment = liveOptions?.startFrom === 'dvr' ? segments[0] : segments[segments.length - 1];
+            const lag = liveOptions?.startFrom === 'dvr' ? fetcher.playlist.duration : firstSegment.duration;
+            return { lag, startDate: firstSegment.programDateTime ?? Date.now() - lag * 1000 };
+        } catch (err) {
+            logDebug('Could not measure live window:', err.message);
+            return { lag: null, startDate: Date.now() };
+        }
+    }
+    
+    // Remove fetched segments once a download reaches a terminal outcome
+    removeSegmentWorkDir(segmentFetch) {
+        if (!segmentFetch) return;
+        try {
+            fs.rmSync(segmentFetch.workDir, { recursive: true, force: true });
+        } catch (err) {
+            logDebug('Could not remove segment directory:', err.message);
+        }
+    }
+    
     // Executes FFmpeg with progress tracking
     executeFFmpegWithProgress({
         ffmpegService,
@@ -1006,7 +2216,15 @@ class DownloadCommand extends BaseCommand {
         audioOnly,
         subsOnly,
         downloadId, // Use downloadId instead of sessionId
-		isLive
+		isLive,
+        container,
+        journaled = false,
+        finalOutput = uniqueOutput,
+        parts = [],
+        segmentFetch = null,
+        liveOptions = null,
+        clip = null,
+        speedLimit = 0
     }) {
         return new Promise((resolve, _reject) => {
             // Use an IIFE to handle async operations properly
@@ -1020,6 +2238,8 @@ class DownloadCommand extends BaseCommand {
                 if (isLive) {
                     logDebug('Skipping duration probe for livestream');
                     finalDuration = null; // Ensure duration is null for livestreams
+                } else if (segmentFetch && !segmentFetch.direct) {
+                    logDebug('Skipping duration probe, fetched playlists provide it');
                 } else if (!isLive && (!duration || typeof duration !== 'number' || duration <= 0)) {
 					logDebug('No valid duration provided, probing media...');
 					finalDuration = await this.probeMediaDuration(ffmpegService, downloadUrl, headers);
@@ -1027,6 +2247,11 @@ class DownloadCommand extends BaseCommand {
 						? logDebug('Got duration from probe:', finalDuration)
 						: logDebug('Could not probe duration, will rely on FFmpeg output parsing');
 				}
+                
+                // Progress of a clip runs against the clip length, not the whole media
+                if (clip) {
+                    finalDuration = this.getClipDuration(clip, finalDuration);
+                }
             
                 // Initialize progress state
                 const progressState = this.initProgressState(downloadId, {
@@ -1034,33 +2259,101 @@ class DownloadCommand extends BaseCommand {
                     duration: finalDuration,
                     fileSizeBytes,
                     downloadUrl,
-                    isLive
+                    isLive,
+                    journaled,
+                    timeOffset: parts.reduce((sum, part) => sum + part.duration, 0),
+                    bytesOffset: parts.reduce((sum, part) => sum + (part.size || 0), 0),
+                    segmented: !!segmentFetch
                 });
                 
                 logDebug('Initialized progress state for downloadId:', downloadId);
                 
-                // Start FFmpeg process
+                // FFmpeg recording live HLS itself: stamp the output with the broadcast time of its first segment
+                let liveCreationArgs = [];
+                if (isLive && type === 'hls' && !segmentFetch) {
+                    const { lag, startDate } = await this.measureLiveStart(downloadUrl, headers, liveOptions);
+                    progressState.liveInitialLag = lag;
+                    liveCreationArgs = this.getCreationTimeArgs(startDate);
+                }
+                
+                // Track this download as active (keyed by downloadId with minimal data)
                 const downloadStartTime = Date.now();
-                const ffmpeg = spawn(ffmpegService.getFFmpegPath(), ffmpegArgs, { 
-                    env: getFullEnv(),
+                const activeEntry = {
+                    process: null,
+                    startTime: downloadStartTime,
+                    outputPath: finalOutput,
+                    type,
+                    headers: headers || null,
+                    progressState,
+                    localRemux: !!segmentFetch, // FFmpeg only reads local files, stopping it loses nothing
+                    throttle: bandwidthLimiter.createThrottle(speedLimit)
+                };
+                DownloadCommand.activeDownloads.set(downloadId, activeEntry);
+                
+                logDebug('Added download to activeDownloads Map. Total downloads:', DownloadCommand.activeDownloads.size);
+                
+                // Fetch segments before FFmpeg starts (skipped on spawn retry, the local copy is reused)
+                // Output options go before the output path, which is always the last argument
+                let runArgs = liveCreationArgs.length > 0
+                    ? [...ffmpegArgs.slice(0, -1), ...liveCreationArgs, ffmpegArgs[ffmpegArgs.length - 1]]
+                    : ffmpegArgs;
+                if (segmentFetch) {
+                    if (!segmentFetch.localInputs) {
+                        const fetchResult = await this.fetchInputs(activeEntry, segmentFetch, progressState);
+                        if (!fetchResult.success) {
+                            resolve(fetchResult);
+                            return;
+                        }
+                    }
+                    runArgs = this.buildFFmpegArgs({
+                        ...segmentFetch.argOptions,
+                        localInputs: segmentFetch.localInputs,
+                        inputOffsets: segmentFetch.inputOffsets,
+                        creationTime: segmentFetch.creationTime ?? null,
+                        ...(segmentFetch.localClip !== undefined && { clip: segmentFetch.localClip })
+                    });
+                    logDebug('FFmpeg remux command:', ffmpegService.getFFmpegPath(), runArgs.join(' '));
+                }
+                
+                // FFmpeg reading the network itself always goes through the throttling proxy: a limit set while it
+                // runs (per download or global) applies from the next chunk, a rate of 0 passes traffic through
+                const env = getFullEnv();
+                let throttleProxy = null;
+                if (!segmentFetch) {
+                    throttleProxy = new ThrottleProxy(activeEntry.throttle, env.http_proxy || env.HTTP_PROXY);
+                    try {
+                        env.http_proxy = await throttleProxy.start();
+                    } catch (err) {
+                        logDebug('Could not start throttling proxy, FFmpeg will read unthrottled:', err.message);
+                        throttleProxy = null;
+                    }
+                }
+                
+                // Start FFmpeg process
+                const ffmpeg = spawn(ffmpegService.getFFmpegPath(), runArgs, { 
+                    env,
                     windowsVerbatimArguments: process.platform === 'win32',
                     stdio: ['pipe', 'pipe', 'pipe'] // Enable stdin for graceful termination
                 });
                 processManager.register(ffmpeg);
+                activeEntry.process = ffmpeg;
                 
                 logDebug('FFmpeg process started with PID:', ffmpeg.pid);
                 
-                // Track this process as active (keyed by downloadId with minimal data)
-                DownloadCommand.activeDownloads.set(downloadId, {
-                    process: ffmpeg,
-                    startTime: downloadStartTime,
-                    outputPath: uniqueOutput,
-                    type,
-                    headers: headers || null,
-                    progressState
-                });
-                
-                logDebug('Added download to activeDownloads Map. Total downloads:', DownloadCommand.activeDownloads.size);
+                // Wall-clock stop: 'q' makes FFmpeg finish the file like a normal end of input
+                let scheduledStopTimer = null;
+                if (liveOptions?.stopAtTime && !segmentFetch) {
+                    const delay = Math.max(0, liveOptions.stopAtTime - Date.now());
+                    logDebug(`Live recording ${downloadId} scheduled to stop in ${Math.round(delay / 1000)}s`);
+                    scheduledStopTimer = setTimeout(() => {
+                        logDebug('Scheduled stop reached for live recording:', downloadId);
+                        try {
+                            ffmpeg.stdin.write('q');
+                        } catch (err) {
+                            logDebug('Could not send scheduled stop to FFmpeg:', err.message);
+                        }
+                    }, delay);
+                }
                 
                 let hasError = false;
                 
@@ -1074,7 +2367,10 @@ class DownloadCommand extends BaseCommand {
                     this.processFFmpegOutput(output, progressState);
                 });
             
-            ffmpeg.on('close', (code, signal) => {
+            ffmpeg.on('close', async (code, signal) => {
+                clearTimeout(scheduledStopTimer);
+                throttleProxy?.close();
+                
                 // Guard against multiple event handling
                 if (hasError) return;
                 
@@ -1087,11 +2383,54 @@ class DownloadCommand extends BaseCommand {
                     DownloadCommand.activeDownloads.delete(downloadId);
                 }
 
+                // Paused: keep fetched data (and a remote run's fragmented output) for resume-download
+                if (downloadEntry?.wasPaused && !downloadEntry.wasCanceled) {
+                    if (segmentFetch) {
+                        // The local remux is redone from the work directory on resume
+                        try { fs.unlinkSync(uniqueOutput); } catch { /* ignore */ }
+                    }
+                    this.sendPausedMessage(downloadId);
+                    resolve({ success: false, paused: true });
+                    return;
+                }
+                
                 // Get minimal state needed for decision
                 const userCanceled = downloadEntry?.wasCanceled || false;
                 const isLivestream = progressState.isLive || false;
-                const fileExists = fs.existsSync(uniqueOutput);
-                const fileSize = fileExists ? fs.statSync(uniqueOutput).size : 0;
+                
+                // Post-processing runs in an event callback: a throw here would be an unhandled rejection, which
+                // ends the host with every other download. On failure the files stay as FFmpeg wrote them.
+                let outputPath;
+                try {
+                    // Resumed downloads: join the parts from earlier runs with this run's remainder
+                    outputPath = parts.length > 0
+                        ? await this.finalizeResumedOutput(ffmpegService, parts, uniqueOutput, finalOutput, container)
+                        : uniqueOutput;
+                    
+                    // A single finished journaled run wrote fragmented MP4 (joined parts already get faststart)
+                    const wroteFragmented = journaled && !segmentFetch && !subsOnly && ['mp4', 'mov', 'm4v', 'm4a'].includes(container?.toLowerCase());
+                    if (wroteFragmented && parts.length === 0 && code === 0 && signal === null && !userCanceled && fs.existsSync(outputPath)) {
+                        outputPath = await this.finishFragmentedOutput(ffmpegService, outputPath, container);
+                    }
+                } catch (err) {
+                    hasError = true;
+                    const message = `Could not finish the output file: ${err.message}`;
+                    logDebug(message);
+                    this.sendTerminalMessage({
+                        command: 'download-error',
+                        downloadId,
+                        filename: path.basename(uniqueOutput),
+                        success: false,
+                        message,
+                        failureCategory: classifyFailure({ error: err, message }),
+                        completedAt: Date.now()
+                    });
+                    resolve({ success: false, error: message });
+                    return;
+                }
+                
+                const fileExists = fs.existsSync(outputPath);
+                const fileSize = fileExists ? fs.statSync(outputPath).size : 0;
                 
                 // Configurable thresholds
                 const MIN_MEDIA_BYTES = 50 * 1024; // 50KB for media files
@@ -1142,11 +2481,14 @@ class DownloadCommand extends BaseCommand {
                     shouldPreserveFile = false;
                 }
                 
+                // Terminal outcome reached - nothing left to resume (sendTerminalMessage settles the journal)
+                this.removeSegmentWorkDir(segmentFetch);
+                
                 // Handle file operations based on decision
                 if (fileExists && !shouldPreserveFile) {
                     try {
-                        fs.unlinkSync(uniqueOutput);
-                        logDebug('Removed file (not preservable for this outcome):', uniqueOutput);
+                        fs.unlinkSync(outputPath);
+                        logDebug('Removed file (not preservable for this outcome):', outputPath);
                     } catch (deleteError) {
                         logDebug('Could not delete file:', deleteError.message);
                     }
@@ -1156,32 +2498,32 @@ class DownloadCommand extends BaseCommand {
                 
                 // Send appropriate message - FFmpeg-only data
                 if (outcome.command === 'download-success') {
-                    this.sendMessage({
+                    this.sendTerminalMessage({
                         command: 'download-success',
                         downloadId,
                         ...(shouldPreserveFile && {
-                            path: uniqueOutput,
-                            filename: path.basename(uniqueOutput),
+                            path: outputPath,
+                            filename: path.basename(outputPath),
                             downloadStats
                         }),
                         completedAt: Date.now(),
                         isPartial: outcome.isPartial || false,
                         ...(outcome.message && { message: outcome.message })
-                    }, { useMessageId: false });
+                    });
                     
                     resolve({ 
                         success: true, 
                         downloadStats, 
-                        ...(shouldPreserveFile && { path: uniqueOutput }), 
+                        ...(shouldPreserveFile && { path: outputPath }), 
                         ...(outcome.isPartial && { isPartial: true }) 
                     });
                     
                 } else if (outcome.command === 'download-canceled') {
-                    this.sendMessage({
+                    this.sendTerminalMessage({
                         command: 'download-canceled',
                         downloadId,
                         timestamp: Date.now()
-                    }, { useMessageId: false });
+                    });
                     
                     resolve({ success: false, downloadStats, wasCanceled: true });
                     
@@ -1189,23 +2531,29 @@ class DownloadCommand extends BaseCommand {
                     hasError = true;
                     const collectedErrors = this.getErrorMessage(progressState);
                     if (collectedErrors) logDebug('Collected error lines:', collectedErrors);
+                    const failureCategory = classifyFailure({ message, errorLines: progressState.errorLines, url: downloadUrl });
+                    logDebug('Failure category:', failureCategory);
                     
-                    this.sendMessage({
+                    this.sendTerminalMessage({
                         command: 'download-error',
                         downloadId,
-                        filename: path.basename(uniqueOutput),
+                        filename: path.basename(outputPath),
                         success: false,
                         message: message,
                         errorMessage: collectedErrors || null,
+                        failureCategory,
                         downloadStats,
                         completedAt: Date.now()
-                    }, { useMessageId: false });
+                    });
                     
                     resolve({ success: false, downloadStats, error: message });
                 }
             });
             
             ffmpeg.on('error', (err) => {
+                clearTimeout(scheduledStopTimer);
+                throttleProxy?.close();
+                
                 // Guard against multiple event handling
                 if (hasError) return;
                 hasError = true;
@@ -1236,19 +2584,30 @@ class DownloadCommand extends BaseCommand {
                         audioOnly,
                         subsOnly,
                         downloadId, // reuse the same id
-                        isLive
+                        isLive,
+                        container,
+                        journaled,
+                        finalOutput,
+                        parts,
+                        segmentFetch,
+                        liveOptions,
+                        clip,
+                        speedLimit
                     }).then(resolve);
                     return;
                 }
                 
+                this.removeSegmentWorkDir(segmentFetch);
+                
                 // Send minimal error message (no stats available since FFmpeg never started)
-                this.sendMessage({
+                this.sendTerminalMessage({
                     command: 'download-error',
                     downloadId,
                     success: false,
                     message: `FFmpeg failed to start: ${err.message}`,
+                    failureCategory: classifyFailure({ error: err }),
                     completedAt: Date.now()
-                }, { useMessageId: false });
+                });
 
                 resolve({ 
                     success: false, 
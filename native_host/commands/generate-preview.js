@@ -7,6 +7,7 @@
  * - Optimizes thumbnails for UI display
  * - Implements temporary file management
  * - Reports preview generation progress and errors
+ * - Decodes evenly spaced frames of an HLS I-frame playlist into one storyboard strip
  */
 
 const fs = require('fs');
@@ -17,6 +18,10 @@ const BaseCommand = require('./base-command');
 const { logDebug } = require('../utils/logger');
 const { getFullEnv } = require('../utils/resources');
 const processManager = require('../lib/process-manager');
+const HlsSegmentFetcher = require('../lib/hls-segment-fetcher');
+
+const STORYBOARD_TIMEOUT_MS = 40000;
+const STORYBOARD_MAX_FRAMES = 20;
 
 /**
  * Command for generating video previews/thumbnails
@@ -26,6 +31,7 @@ class GeneratePreviewCommand extends BaseCommand {
      * Execute the preview generation command
      * @param {Object} params Command parameters
      * @param {string} params.url Video URL to generate preview for
+     * @param {Object} [params.storyboard] { frames, width } to build a storyboard strip from an I-frame playlist at url
      */
     async execute(params) {
         const { url, headers = {}, duration, type } = params;
@@ -38,6 +44,10 @@ class GeneratePreviewCommand extends BaseCommand {
             return { error: error };
         }
         
+        if (params.storyboard) {
+            return this.generateStoryboard(params);
+        }
+        
         // Log received headers
         if (headers && Object.keys(headers).length > 0) {
             logDebug('🔑 Using headers for preview request:', Object.keys(headers));
@@ -181,6 +191,108 @@ class GeneratePreviewCommand extends BaseCommand {
             return { error: err.message };
         }
     }
+
+    /**
+     * Build a storyboard strip from an HLS I-frame playlist
+     * Only the picked keyframes are fetched; appended after their init section they form one stream
+     * FFmpeg decodes in order and tiles side by side, so the extension can cut the strip into frames.
+     * @param {Object} params Command parameters
+     * @param {string} params.url I-frame playlist URL
+     * @param {Object} params.storyboard { frames, width } - frame count and width of each frame
+     * @returns {Promise<Object>} { success, storyboardUrl, frameTimes } or { error }
+     */
+    async generateStoryboard({ url, headers = {}, storyboard }) {
+        const frameCount = Math.max(1, Math.min(storyboard.frames || STORYBOARD_MAX_FRAMES, STORYBOARD_MAX_FRAMES));
+        const frameWidth = storyboard.width || 160;
+        const workDir = path.join(process.env.HOME || os.homedir(), '.cache', 'video-storyboard-' + Date.now());
+        const fetcher = new HlsSegmentFetcher({ playlistUrl: url, headers, workDir, maxRetries: 1 });
+        const deadline = Date.now() + STORYBOARD_TIMEOUT_MS;
+        const timeout = setTimeout(() => fetcher.abort(), STORYBOARD_TIMEOUT_MS);
+        
+        try {
+            const content = (await fetcher.fetchBuffer(url)).toString('utf8');
+            const playlist = HlsSegmentFetcher.parseMediaPlaylist(content, url);
+            const frames = playlist.segments.filter(segment => !segment.isGap);
+            if (frames.length === 0) throw new Error('I-frame playlist has no frames');
+            if (frames.some(segment => segment.keyIndex !== null)) throw new Error('Encrypted I-frame playlists are not supported');
+            
+            const picked = frames.length <= frameCount
+                ? frames
+                : Array.from({ length: frameCount }, (_, i) => frames[Math.floor((i + 0.5) * frames.length / frameCount)]);
+            const mapIndexes = [...new Set(picked.map(segment => segment.mapIndex).filter(index => index !== null))];
+            
+            fs.mkdirSync(workDir, { recursive: true });
+            await fetcher.fetchAll([...mapIndexes.map(index => playlist.maps[index]), ...picked]);
+            
+            // An init section is repeated only where the next frame needs a different one
+            const sourcePath = path.join(workDir, 'frames' + HlsSegmentFetcher.extensionFor(picked[0].url, '.ts'));
+            let currentMap = null;
+            for (const segment of picked) {
+                if (segment.mapIndex !== null && segment.mapIndex !== currentMap) {
+                    fs.appendFileSync(sourcePath, fs.readFileSync(path.join(workDir, playlist.maps[segment.mapIndex].localName)));
+                    currentMap = segment.mapIndex;
+                }
+                fs.appendFileSync(sourcePath, fs.readFileSync(path.join(workDir, segment.localName)));
+            }
+            
+            const stripPath = path.join(workDir, 'storyboard.jpg');
+            await this.runFFmpeg([
+                '-i', sourcePath,
+                '-vf', `scale=${frameWidth}:-2,tile=${picked.length}x1`,
+                '-frames:v', '1',
+                '-q:v', '4',
+                stripPath
+            ], Math.max(1000, deadline - Date.now()));
+            
+            const storyboardUrl = 'data:image/jpeg;base64,' + fs.readFileSync(stripPath).toString('base64');
+            const result = { success: true, storyboardUrl, frameTimes: picked.map(segment => segment.start) };
+            logDebug(`Storyboard strip of ${picked.length} frame(s) built from ${url}`);
+            this.sendMessage(result);
+            return result;
+        } catch (err) {
+            const error = `Failed to build storyboard: ${err.message}`;
+            logDebug(error);
+            this.sendMessage({ error });
+            return { error };
+        } finally {
+            clearTimeout(timeout);
+            fs.rm(workDir, { recursive: true, force: true }, () => {});
+        }
+    }
+
+    /**
+     * Run FFmpeg to completion, killing it after timeoutMs
+     * @param {Array<string>} args FFmpeg arguments
+     * @param {number} timeoutMs Time limit
+     * @returns {Promise<void>} Rejects with the exit code and stderr on failure
+     */
+    runFFmpeg(args, timeoutMs) {
+        const ffmpegPath = this.getService('ffmpeg').getFFmpegPath();
+        logDebug('🎬 FFmpeg storyboard command:', `${ffmpegPath} ${args.join(' ')}`);
+        
+        return new Promise((resolve, reject) => {
+            const ffmpeg = spawn(ffmpegPath, ['-y', ...args], { env: getFullEnv() });
+            processManager.register(ffmpeg);
+            
+            let errorOutput = '';
+            const timeout = setTimeout(() => ffmpeg.kill('SIGKILL'), timeoutMs);
+            ffmpeg.stderr.on('data', (data) => {
+                errorOutput += data.toString();
+            });
+            ffmpeg.on('close', (code) => {
+                clearTimeout(timeout);
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`FFmpeg exited with code ${code}: ${errorOutput.slice(-500)}`));
+                }
+            });
+            ffmpeg.on('error', (err) => {
+                clearTimeout(timeout);
+                reject(err);
+            });
+        });
+    }
 }
 
 module.exports = GeneratePreviewCommand;
@@ -182,6 +182,13 @@ async function bootstrap() {
 const commands = {
     'download': DownloadCommand,
     'cancel-download': DownloadCommand,
+    'pause-download': DownloadCommand,
+    'set-speed-limit': DownloadCommand,
+    'resume-download': DownloadCommand,
+    'get-resumable-downloads': DownloadCommand,
+    'get-download-states': DownloadCommand,
+    'mse-chunk': DownloadCommand,
+    'dash-live-manifest': DownloadCommand,
     'getQualities': GetQualitiesCommand,
     'generatePreview': GeneratePreviewCommand,
     'validateConnection': ValidateConnectionCommand,
@@ -203,7 +210,7 @@ async function processMessage(request, messagingService) {
     const commandType = request.command;
     
     // Track long-running operations
-    const isLongRunningOperation = ['download', 'getQualities', 'generatePreview'].includes(commandType);
+    const isLongRunningOperation = ['download', 'resume-download', 'getQualities', 'generatePreview'].includes(commandType);
     
     if (isLongRunningOperation) {
         incrementOperations();
@@ -0,0 +1,93 @@
+/**
+ * BandwidthLimiter – download speed caps shared by every job of this host process
+ * - One global token bucket that all active downloads draw from, set by the extension at any time
+ * - Optional per-download bucket on top of it, so a single job can be held below the global cap
+ * - Readers await take() before handling each chunk, which holds back the socket and slows the sender
+ * - A rate of 0 means unlimited; a new rate applies from the next chunk taken
+ */
+
+const { logDebug } = require('../utils/logger');
+
+// Largest burst a bucket lets through after being idle, in seconds of its rate
+const BURST_SECONDS = 0.5;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class TokenBucket {
+    constructor(bytesPerSecond = 0) {
+        this.rate = 0;
+        this.tokens = 0;
+        this.updatedAt = Date.now();
+        this.setRate(bytesPerSecond);
+    }
+
+    setRate(bytesPerSecond) {
+        const rate = Math.max(0, Math.floor(Number(bytesPerSecond) || 0));
+        this.refill();
+        this.rate = rate;
+        // Start a changed rate with a clean bucket rather than a debt or surplus from the old one
+        this.tokens = 0;
+    }
+
+    refill() {
+        const now = Date.now();
+        if (this.rate > 0) {
+            const earned = (now - this.updatedAt) / 1000 * this.rate;
+            this.tokens = Math.min(this.rate * BURST_SECONDS, this.tokens + earned);
+        }
+        this.updatedAt = now;
+    }
+
+    // Concurrent callers queue up behind each other's debt, so their combined rate stays at the cap
+    async consume(bytes) {
+        if (!this.rate || bytes <= 0) return;
+        this.refill();
+        this.tokens -= bytes;
+        if (this.tokens < 0) {
+            await sleep(Math.ceil(-this.tokens / this.rate * 1000));
+        }
+    }
+}
+
+const globalBucket = new TokenBucket(0);
+
+/**
+ * Set the cap shared by all downloads
+ * @param {number} bytesPerSecond - 0 for unlimited
+ */
+function setGlobalLimit(bytesPerSecond) {
+    const rate = Math.max(0, Math.floor(Number(bytesPerSecond) || 0));
+    if (rate === globalBucket.rate) return;
+    logDebug('BandwidthLimiter: global limit set to', rate ? `${rate} B/s` : 'unlimited');
+    globalBucket.setRate(rate);
+}
+
+function getGlobalLimit() {
+    return globalBucket.rate;
+}
+
+/**
+ * Throttle for one download: its own cap (if any) and then the global one
+ * @param {number} bytesPerSecond - Per-download cap, 0 to only apply the global one
+ * @returns {{ take: Function, setLimit: Function }}
+ */
+function createThrottle(bytesPerSecond = 0) {
+    const ownBucket = new TokenBucket(bytesPerSecond);
+    return {
+        async take(bytes) {
+            await ownBucket.consume(bytes);
+            await globalBucket.consume(bytes);
+        },
+        setLimit(rate) {
+            ownBucket.setRate(rate);
+        }
+    };
+}
+
+module.exports = {
+    setGlobalLimit,
+    getGlobalLimit,
+    createThrottle
+};
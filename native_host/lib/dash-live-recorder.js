@@ -0,0 +1,525 @@
+/**
+ * DashLiveRecorder – native recorder for live DASH (type="dynamic") manifests
+ * - Finds the live edge from availabilityStartTime and the SegmentTimeline, or from the clock for @duration templates
+ * - Starts suggestedPresentationDelay behind the edge, rewound into the timeShiftBufferDepth window, or at its oldest segment
+ * - Works from the manifest model the extension resolves (mpd-model.js) and sends again every minimumUpdatePeriod,
+ *   so MPD parsing, inheritance and BaseURL resolution live in one place
+ * - Appends new segments to one fragmented MP4 per track
+ * - Follows each track into the next Period (program changes, inserted ad Periods); a Period with a different
+ *   init segment starts a new piece, joined by an ffconcat list
+ * - Stops on request, after a recorded duration or size, at a clock time, or when the stream ends or its manifest
+ *   stops being updated
+ * - Keeps what it recorded when the stream fails part way, so FFmpeg still has something to remux
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const HlsSegmentFetcher = require('./hls-segment-fetcher');
+const { logDebug } = require('../utils/logger');
+
+// Manifest update interval assumed when the MPD gives no minimumUpdatePeriod
+const DEFAULT_UPDATE_PERIOD_S = 2;
+// A manifest not updated for this long (or five update periods) no longer announces new segments
+const MANIFEST_STALE_S = 30;
+// Bounds of the wait between polls
+const MIN_POLL_MS = 500;
+const MAX_POLL_MS = 10000;
+// Window assumed for @duration templates without timeShiftBufferDepth (unbounded by the spec)
+const MAX_TEMPLATE_WINDOW_S = 6 * 3600;
+// Polls a segment may be missing from the server before the recording skips it
+const MAX_MISSING_POLLS = 3;
+// Tolerance when comparing segment times (seconds)
+const TIME_EPSILON = 0.001;
+
+function fatalError(message) {
+    return Object.assign(new Error(message), { fatal: true });
+}
+
+/**
+ * Check a manifest model from the extension and fill in the Period timing the recorder relies on
+ * A Period without a start follows the previous one; each ends where the next starts.
+ * @param {Object} model - buildMpdModel() result
+ * @returns {Object} The model, Periods with start and end
+ */
+function prepareManifest(model) {
+    if (!model || !Array.isArray(model.periods)) {
+        throw fatalError('Response is not a DASH manifest');
+    }
+    const protectedSet = model.periods.some(period => period.adaptationSets.some(adaptationSet =>
+        adaptationSet.contentProtection?.length > 0 || adaptationSet.representations.some(representation => representation.contentProtection?.length > 0)));
+    if (protectedSet) {
+        throw fatalError('Stream is protected with DRM');
+    }
+
+    const periods = model.periods.map(period => ({ ...period, end: null }));
+    periods.forEach((period, index) => {
+        const previous = periods[index - 1];
+        if (period.start === null || period.start === undefined) {
+            period.start = !previous ? 0 : (previous.start !== null && previous.duration !== null ? previous.start + previous.duration : null);
+        }
+        if (previous && period.start !== null) {
+            previous.end = period.start;
+        }
+    });
+    return { ...model, availabilityStartTime: model.availabilityStartTime || 0, periods };
+}
+
+// $RepresentationID$, $Number%05d$, $Bandwidth$, $Time$ and $$
+function fillTemplate(template, values) {
+    return template.replace(/\$(RepresentationID|Number|Bandwidth|Time)?(?:%0(\d+)d)?\$/g, (match, name, width) => {
+        if (!name) return '$';
+        if (values[name] === undefined || values[name] === null) return match;
+        const text = String(values[name]);
+        return width ? text.padStart(parseInt(width, 10), '0') : text;
+    });
+}
+
+// Media type of an AdaptationSet from its content type, mime type or codecs
+function getMediaKind(adaptationSet, representation) {
+    const hint = `${adaptationSet.contentType || ''} ${representation.mimeType || ''} ${representation.codecs || ''}`;
+    if (/video|avc|hvc1|hev1|vp0?9|av01/.test(hint)) return 'video';
+    if (/audio|mp4a|opus|ec-3|ac-3/.test(hint)) return 'audio';
+    return 'text';
+}
+
+class DashLiveRecorder extends HlsSegmentFetcher {
+    /**
+     * @param {Object} options - HlsSegmentFetcher options, plus:
+     * @param {string} options.manifestUrl - Live MPD URL
+     * @param {Object} options.manifest - Manifest model resolved by the extension (later ones come through updateManifest)
+     * @param {Array<Object>} options.representations - Selected { id, adaptationSetId, kind } (best video and first audio when empty)
+     * @param {Object} options.liveOptions - { startFrom: 'edge'|'rewind'|'dvr', rewindSeconds, stopAfterSeconds, stopAtTime, stopAtBytes }
+     */
+    constructor({ manifestUrl, manifest = null, representations = null, liveOptions = null, ...options }) {
+        super({ ...options, playlistUrl: manifestUrl });
+        this.representations = representations?.length > 0 ? representations : null;
+        this.liveOptions = liveOptions || {};
+        this.initialManifest = manifest;
+        this.manifest = null;           // Latest manifest model
+        this.manifestUpdatedAt = 0;     // When the extension last sent one
+        this.tracks = [];               // Recorded tracks with their cursor and output file
+        this.stopRequested = false;
+        this.wakeUp = null;             // Ends the current wait early
+        this.initialLag = null;         // Seconds behind the live edge at the start
+        this.startDate = null;          // Broadcast time of the first recorded segment (ms since the epoch)
+    }
+
+    /**
+     * Fetch the manifest, pick the tracks and find where recording starts
+     * @returns {Promise<{totalSegments:number, duration:null, isLive:boolean, initialLag:number}>}
+     */
+    async load() {
+        this.updateManifest(this.initialManifest);
+        if (!this.manifest.isLive) {
+            throw fatalError('Manifest is not a live stream');
+        }
+
+        const now = Date.now();
+        const period = this.getCurrentPeriod(now);
+        if (!period) {
+            throw new Error('No Period of the stream has started yet');
+        }
+        this.tracks = this.selectTracks(period);
+        if (this.tracks.length === 0) {
+            throw fatalError('None of the selected tracks are in the manifest');
+        }
+
+        // Every track starts at its segment holding the target time
+        const lists = this.tracks.map(track => this.listSegments(track, now));
+        if (lists.some(list => list.length === 0)) {
+            throw new Error('The live window has no segments yet');
+        }
+        const edge = Math.min(...lists.map(list => list[list.length - 1].start + list[list.length - 1].duration));
+        const windowStart = Math.max(...lists.map(list => list[0].start));
+        const { startFrom = 'edge', rewindSeconds = 0 } = this.liveOptions;
+        const target = startFrom === 'dvr' ? windowStart
+            : Math.max(windowStart, edge - (startFrom === 'rewind' ? rewindSeconds : (this.manifest.suggestedPresentationDelay || 0)));
+
+        this.tracks.forEach((track, index) => {
+            const list = lists[index];
+            const first = list.find(segment => segment.start + segment.duration > target + TIME_EPSILON) || list[list.length - 1];
+            track.cursor = first.start;
+            track.firstStart = first.start;
+        });
+        this.initialLag = Math.max(0, edge - Math.min(...this.tracks.map(track => track.cursor)));
+        this.startDate = this.manifest.availabilityStartTime
+            ? this.manifest.availabilityStartTime + Math.min(...this.tracks.map(track => track.firstStart)) * 1000
+            : Date.now() - this.initialLag * 1000;
+
+        logDebug(`DashLiveRecorder: ${this.tracks.map(track => `${track.key}=${track.representationId}`).join(', ')}, starting ${this.initialLag.toFixed(1)}s behind the edge (${startFrom})`);
+        return { totalSegments: 0, duration: null, isLive: true, initialLag: this.initialLag };
+    }
+
+    /**
+     * Record until stopped, a stop condition is met or the stream ends
+     * @returns {Promise<Map<string, string>>} Track key -> local fragmented MP4 (ffconcat list when it spans pieces)
+     */
+    async download() {
+        fs.mkdirSync(this.workDir, { recursive: true });
+        for (const track of this.tracks) {
+            await this.writeInitSegment(track);
+        }
+
+        try {
+            while (!this.stopRequested) {
+                const now = Date.now();
+                for (const track of this.tracks) {
+                    await this.recordNewSegments(track, now);
+                }
+                if (this.limitReached()) {
+                    logDebug('DashLiveRecorder: stop condition reached');
+                    break;
+                }
+                if (this.tracks.every(track => track.ended)) {
+                    logDebug('DashLiveRecorder: stream ended');
+                    break;
+                }
+
+                await this.wait(Math.min(MAX_POLL_MS, Math.max(MIN_POLL_MS, Math.min(this.getUpdatePeriod() * 1000, this.getSegmentDuration() * 500))));
+            }
+        } catch (error) {
+            if (this.aborted || this.getRecordedDuration() === 0) throw error;
+            logDebug(`DashLiveRecorder: recording ended early (${error.message}), keeping ${this.getRecordedDuration().toFixed(1)}s`);
+        }
+
+        this.throwIfAborted();
+        if (this.getRecordedDuration() === 0) {
+            throw new Error('Recording stopped before any segment was received');
+        }
+        return new Map(this.tracks.map(track => [track.key, this.joinPieces(track)]));
+    }
+
+    /**
+     * Take a newer manifest model of the stream (sent by the extension every minimumUpdatePeriod)
+     * @param {Object} model - buildMpdModel() result
+     */
+    updateManifest(model) {
+        this.manifest = prepareManifest(model);
+        this.manifestUpdatedAt = Date.now();
+    }
+
+    getUpdatePeriod() {
+        return this.manifest.minimumUpdatePeriod || DEFAULT_UPDATE_PERIOD_S;
+    }
+
+    // A dynamic manifest only announces new segments while the extension keeps sending it
+    isManifestStale() {
+        return Date.now() - this.manifestUpdatedAt > Math.max(MANIFEST_STALE_S, this.getUpdatePeriod() * 5) * 1000;
+    }
+
+    // The track's only file, or an ffconcat list of its pieces (one per run of Periods sharing an init segment)
+    joinPieces(track) {
+        if (track.pieces.length === 1) return track.pieces[0];
+        const listPath = path.join(this.workDir, `${track.key}.ffconcat`);
+        fs.writeFileSync(listPath, ['ffconcat version 1.0', ...track.pieces.map(piece => `file '${path.basename(piece)}'`), ''].join('\n'));
+        return listPath;
+    }
+
+    // Finish with what has been recorded (unlike abort, which discards it)
+    stop() {
+        this.stopRequested = true;
+        this.wakeUp?.();
+    }
+
+    abort() {
+        super.abort();
+        this.stop();
+    }
+
+    wait(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.wakeUp = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress({
+                completedSegments: this.completedSegments,
+                downloadedBytes: this.downloadedBytes,
+                recordedDuration: this.getRecordedDuration()
+            });
+        }
+    }
+
+    /**
+     * Start of each track's first recorded segment, so FFmpeg keeps the tracks aligned
+     * @returns {Map<string, number>} Track key -> seconds since availabilityStartTime
+     */
+    getInputOffsets() {
+        return new Map(this.tracks.map(track => [track.key, track.firstStart]));
+    }
+
+    // Broadcast time of the earliest recorded segment (ms since the epoch)
+    getStartDate() {
+        return this.startDate;
+    }
+
+    getRecordedDuration() {
+        return this.tracks.length > 0 ? this.tracks[0].recorded : 0;
+    }
+
+    getSegmentDuration() {
+        return Math.max(...this.tracks.map(track => track.segmentDuration || 0), 1);
+    }
+
+    limitReached() {
+        const { stopAfterSeconds, stopAtTime, stopAtBytes } = this.liveOptions;
+        return (stopAfterSeconds > 0 && this.getRecordedDuration() >= stopAfterSeconds) ||
+            (stopAtBytes > 0 && this.downloadedBytes >= stopAtBytes) ||
+            (stopAtTime > 0 && Date.now() >= stopAtTime);
+    }
+
+    // Latest Period that has started by the given wall-clock time
+    getCurrentPeriod(now) {
+        const elapsed = (now - this.manifest.availabilityStartTime) / 1000;
+        const started = this.manifest.periods.filter(period => period.start !== null && period.start <= elapsed);
+        return started[started.length - 1] || null;
+    }
+
+    selectTracks(period) {
+        const candidates = period.adaptationSets.flatMap(adaptationSet => adaptationSet.representations.map(representation => ({
+            adaptationSet,
+            representation,
+            kind: getMediaKind(adaptationSet, representation)
+        })));
+
+        let selected;
+        if (this.representations) {
+            selected = this.representations.map(wanted => {
+                const match = candidates.find(candidate => candidate.representation.id === wanted.id &&
+                    (!wanted.adaptationSetId || candidate.adaptationSet.id === wanted.adaptationSetId || candidate.adaptationSet.id === null));
+                return match && { ...match, kind: wanted.kind || match.kind };
+            }).filter(Boolean);
+        } else {
+            const bestVideo = candidates.filter(candidate => candidate.kind === 'video')
+                .sort((a, b) => (b.representation.bandwidth || 0) - (a.representation.bandwidth || 0))[0];
+            const firstAudio = candidates.find(candidate => candidate.kind === 'audio');
+            selected = [bestVideo, firstAudio].filter(Boolean);
+        }
+
+        // Only media tracks are recorded (live text tracks are left to the player)
+        let audioIndex = 0;
+        return selected.filter(candidate => candidate.kind === 'video' || candidate.kind === 'audio').map(candidate => {
+            const key = candidate.kind === 'video' ? 'video' : `audio_${audioIndex++}`;
+            return {
+                key,
+                kind: candidate.kind,
+                periodId: period.id,
+                adaptationSetId: candidate.adaptationSet.id,
+                representationId: candidate.representation.id,
+                lang: candidate.adaptationSet.lang || null,
+                bandwidth: candidate.representation.bandwidth || 0,
+                filePath: path.join(this.workDir, `${key}.mp4`),
+                pieces: [],
+                initBytes: null,
+                cursor: 0,
+                firstStart: 0,
+                recorded: 0,
+                segmentDuration: null,
+                missingPolls: 0,
+                ended: false
+            };
+        });
+    }
+
+    // The track's Representation in the latest manifest
+    findRepresentation(track) {
+        const period = this.manifest.periods.find(candidate => candidate.id === track.periodId);
+        const adaptationSet = period?.adaptationSets.find(candidate => candidate.id === track.adaptationSetId)
+            || period?.adaptationSets.find(candidate => candidate.representations.some(representation => representation.id === track.representationId));
+        const representation = adaptationSet?.representations.find(candidate => candidate.id === track.representationId);
+        return representation ? { period, representation } : null;
+    }
+
+    /**
+     * Segments of a track available at a wall-clock time
+     * @param {Object} track - Recorded track
+     * @param {number} now - Wall-clock time (ms)
+     * @returns {Array<Object>} { url, byteRange, start, duration } with start in seconds since availabilityStartTime
+     */
+    listSegments(track, now) {
+        const found = this.findRepresentation(track);
+        if (!found) return [];
+        const { period, representation } = found;
+        const info = representation.segmentInfo;
+        if (!info || info.kind === 'base') {
+            throw fatalError('Live Representation has no SegmentTemplate or SegmentList');
+        }
+
+        const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+        const toUrl = (media) => new URL(media, representation.baseUrl).href;
+        const segments = [];
+
+        if (info.timeline) {
+            let time = 0;
+            let number = info.startNumber;
+            info.timeline.forEach((entry, entryIndex) => {
+                time = entry.t ?? time;
+                let repeat = entry.r;
+                if (repeat < 0) {
+                    const until = info.timeline[entryIndex + 1]?.t;
+                    repeat = until !== undefined && until !== null && entry.d > 0 ? Math.ceil((until - time) / entry.d) - 1 : 0;
+                }
+                for (let i = 0; i <= repeat; i++) {
+                    const listed = info.kind === 'list' ? info.segmentUrls?.[number - info.startNumber] : null;
+                    segments.push({
+                        url: info.kind === 'list' ? toUrl(listed?.media || representation.baseUrl) : toUrl(fillTemplate(info.media, { ...values, Number: number, Time: time })),
+                        byteRange: listed?.mediaRange || null,
+                        start: period.start + (time - info.presentationTimeOffset) / info.timescale,
+                        duration: entry.d / info.timescale
+                    });
+                    time += entry.d;
+                    number++;
+                }
+            });
+        } else if (info.duration) {
+            const segmentDuration = info.duration / info.timescale;
+            const elapsed = (now - this.manifest.availabilityStartTime) / 1000;
+            // Segments are available once they end; none past the start of the next Period
+            const periodEnd = Math.min(elapsed, period.end ?? Infinity) - period.start;
+            const window = this.manifest.timeShiftBufferDepth ?? MAX_TEMPLATE_WINDOW_S;
+            const count = info.kind === 'list' ? (info.segmentUrls?.length || 0) : Infinity;
+            const lastIndex = Math.min(count, Math.floor(periodEnd / segmentDuration + TIME_EPSILON)) - 1;
+            const firstIndex = info.kind === 'list' ? 0 : Math.max(0, Math.ceil((periodEnd - window) / segmentDuration));
+            for (let index = firstIndex; index <= lastIndex; index++) {
+                const number = info.startNumber + index;
+                const listed = info.kind === 'list' ? info.segmentUrls[index] : null;
+                segments.push({
+                    url: info.kind === 'list'
+                        ? toUrl(listed.media || representation.baseUrl)
+                        : toUrl(fillTemplate(info.media, { ...values, Number: number, Time: info.presentationTimeOffset + index * info.duration })),
+                    byteRange: listed?.mediaRange || null,
+                    start: period.start + index * segmentDuration,
+                    duration: segmentDuration
+                });
+            }
+        }
+
+        if (segments.length > 0) {
+            track.segmentDuration = segments[segments.length - 1].duration;
+        }
+        return segments;
+    }
+
+    /**
+     * Start the track's file with the init segment of its current Representation
+     * Later Periods with the same init segment keep appending to the same file; a different one starts a new piece.
+     * @param {Object} track - Recorded track
+     */
+    async writeInitSegment(track) {
+        const { representation } = this.findRepresentation(track);
+        const info = representation.segmentInfo;
+        const url = info.initialization || info.initializationRange
+            ? new URL(info.initialization
+                ? fillTemplate(info.initialization, { RepresentationID: representation.id, Bandwidth: representation.bandwidth })
+                : representation.baseUrl, representation.baseUrl).href
+            : null;
+        const initBytes = url ? await this.fetchBytes(track, { url, byteRange: info.initializationRange }) : Buffer.alloc(0);
+        if (track.initBytes && track.initBytes.equals(initBytes)) return;
+
+        if (track.pieces.length > 0) {
+            track.filePath = path.join(this.workDir, `${track.key}_${track.pieces.length}.mp4`);
+            logDebug(`DashLiveRecorder: ${track.key} continues in a new piece (Period ${track.periodId} has another init segment)`);
+        }
+        track.pieces.push(track.filePath);
+        track.initBytes = initBytes;
+        fs.writeFileSync(track.filePath, initBytes);
+    }
+
+    // Fetch a segment (with retries) and return its bytes
+    async fetchBytes(track, { url, byteRange }) {
+        const localName = `${track.key}.part`;
+        await this.fetchResource({ url, byteRange, localName });
+        const partPath = path.join(this.workDir, localName);
+        const bytes = fs.readFileSync(partPath);
+        fs.unlinkSync(partPath);
+        return bytes;
+    }
+
+    // Fetch a segment (with retries) and append it to the track's file
+    async appendResource(track, segment) {
+        fs.appendFileSync(track.filePath, await this.fetchBytes(track, segment));
+    }
+
+    /**
+     * Move a track to the matching Representation of the Period that followed its own
+     * The same Representation id is preferred, then the same AdaptationSet, then the same media kind
+     * (and language) at the closest bandwidth - inserted ad Periods rarely reuse the program's ids.
+     * @param {Object} track - Recorded track
+     * @param {Object} period - Period now playing
+     * @returns {boolean} Whether a match was found
+     */
+    followIntoPeriod(track, period) {
+        const candidates = period.adaptationSets.flatMap(adaptationSet => adaptationSet.representations
+            .map(representation => ({ adaptationSet, representation, kind: getMediaKind(adaptationSet, representation) })))
+            .filter(candidate => candidate.kind === track.kind);
+        const closest = (list) => [...list].sort((a, b) =>
+            Math.abs((a.representation.bandwidth || 0) - track.bandwidth) - Math.abs((b.representation.bandwidth || 0) - track.bandwidth))[0];
+        const sameLanguage = candidates.filter(candidate => !track.lang || candidate.adaptationSet.lang === track.lang);
+        const match = candidates.find(candidate => candidate.representation.id === track.representationId)
+            || closest(candidates.filter(candidate => track.adaptationSetId !== null && candidate.adaptationSet.id === track.adaptationSetId))
+            || closest(sameLanguage.length > 0 ? sameLanguage : candidates);
+        if (!match) return false;
+
+        logDebug(`DashLiveRecorder: ${track.key} follows into Period ${period.id} as ${match.representation.id}`);
+        track.periodId = period.id;
+        track.adaptationSetId = match.adaptationSet.id;
+        track.representationId = match.representation.id;
+        track.bandwidth = match.representation.bandwidth || track.bandwidth;
+        // The new Period's first segment may start a rounding error before the old one's last ended
+        track.cursor = Math.min(track.cursor, period.start);
+        return true;
+    }
+
+    async recordNewSegments(track, now) {
+        if (track.ended) return;
+
+        const segments = this.listSegments(track, now).filter(segment => segment.start >= track.cursor - TIME_EPSILON);
+        if (segments.length === 0) {
+            // Once the track's Period is over, recording carries on in the Period that follows it
+            const current = this.getCurrentPeriod(now);
+            if (current && current.id !== track.periodId && this.manifest.isLive) {
+                if (this.followIntoPeriod(track, current)) {
+                    await this.writeInitSegment(track);
+                    return;
+                }
+                logDebug(`DashLiveRecorder: Period ${current.id} has no ${track.kind} track to follow`);
+                track.ended = true;
+                return;
+            }
+            // Nothing more will come once the stream has turned static or its manifest is no longer updated
+            if (!this.manifest.isLive || !this.findRepresentation(track) || this.isManifestStale()) {
+                track.ended = true;
+            }
+            return;
+        }
+
+        for (const segment of segments) {
+            if (this.stopRequested || this.limitReached()) return;
+            try {
+                await this.appendResource(track, segment);
+            } catch (error) {
+                if (error.statusCode !== 404 && error.statusCode !== 410) throw error;
+                // Listed but not on the server yet: retry on the next poll, skip it after a few
+                if (++track.missingPolls < MAX_MISSING_POLLS) return;
+                logDebug(`DashLiveRecorder: skipping missing ${track.key} segment at ${segment.start.toFixed(1)}s`);
+                track.missingPolls = 0;
+                track.cursor = segment.start + segment.duration;
+                continue;
+            }
+            track.missingPolls = 0;
+            track.cursor = segment.start + segment.duration;
+            track.recorded += segment.duration;
+            this.completedSegments++;
+            this.reportProgress();
+        }
+    }
+}
+
+module.exports = DashLiveRecorder;
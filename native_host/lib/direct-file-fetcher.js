@@ -0,0 +1,255 @@
+/**
+ * DirectFileFetcher – native downloader for direct media files that FFmpeg then remuxes locally
+ * - Streams the file into a work directory, reporting received and total bytes
+ * - Continues a partial file with a Range request (paused downloads, crashed hosts, dropped connections)
+ * - Sends the saved ETag/Last-Modified as If-Range so a changed file is fetched again from the start
+ * - Starts over when the server ignores Range or reports a different length than the partial file's
+ * - Retries with exponential backoff; an attempt that made progress does not count against the limit
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { logDebug } = require('../utils/logger');
+
+const DEFAULT_MAX_RETRIES = 5;
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 15000;
+const SOURCE_FILE_NAME = 'source';
+const META_FILE_NAME = 'source.json';
+
+// Status codes that will not get better by retrying the same URL
+const NON_RETRIABLE_STATUS = new Set([400, 401, 403, 404, 405, 410, 451]);
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Total length from "bytes 0-99/1000" or "bytes */1000" (null when unknown)
+function parseContentRangeTotal(value) {
+    const match = /\/(\d+)\s*$/.exec(value || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+class DirectFileFetcher {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Media file URL
+     * @param {Object} options.headers - HTTP headers captured by the extension
+     * @param {string} options.workDir - Directory for the partial file and its validator
+     * @param {number} options.maxRetries - Retries without progress before the download fails
+     * @param {Function} options.onProgress - Called with { downloadedBytes, totalBytes }
+     * @param {Object} options.throttle - Bandwidth throttle awaited before each received chunk (optional)
+     */
+    constructor({ url, headers = {}, workDir, maxRetries = DEFAULT_MAX_RETRIES, onProgress = null, throttle = null }) {
+        this.url = url;
+        this.headers = headers || {};
+        this.workDir = workDir;
+        this.maxRetries = Math.max(0, maxRetries ?? DEFAULT_MAX_RETRIES);
+        this.onProgress = onProgress;
+        this.throttle = throttle;
+
+        this.filePath = path.join(workDir, SOURCE_FILE_NAME);
+        this.metaPath = path.join(workDir, META_FILE_NAME);
+        this.totalBytes = 0;
+        this.downloadedBytes = 0;
+        this.aborted = false;
+        this.activeRequests = new Set();
+    }
+
+    /**
+     * Download the file, continuing whatever an earlier run left in the work directory
+     * @returns {Promise<string>} Path of the complete local file
+     */
+    async download() {
+        fs.mkdirSync(this.workDir, { recursive: true });
+        const meta = this.readMeta();
+        this.totalBytes = meta.totalBytes || 0;
+
+        for (let attempt = 0; ; attempt++) {
+            this.throwIfAborted();
+            const offset = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+            this.downloadedBytes = offset;
+
+            if (this.totalBytes > 0 && offset >= this.totalBytes) {
+                return this.filePath;
+            }
+
+            try {
+                await this.fetchFrom(offset, meta);
+                return this.filePath;
+            } catch (error) {
+                this.throwIfAborted();
+
+                // Bytes arrived before the connection dropped - keep going from there
+                if (this.downloadedBytes > offset) {
+                    attempt = -1;
+                }
+
+                if (NON_RETRIABLE_STATUS.has(error.statusCode) || attempt >= this.maxRetries) {
+                    error.message = `${path.basename(new URL(this.url).pathname) || 'file'} failed after ${attempt + 1} attempt(s): ${error.message}`;
+                    throw error;
+                }
+
+                const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempt));
+                logDebug(`DirectFileFetcher: request failed at ${this.downloadedBytes} bytes (${error.message}), retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Fetch the rest of the file starting at offset (the whole file when the partial one is stale)
+     * @param {number} offset - Bytes already on disk
+     * @param {Object} meta - Saved { totalBytes, validator } of the partial file
+     */
+    async fetchFrom(offset, meta) {
+        const res = await this.request(this.url, offset > 0 ? { offset, validator: meta.validator } : null);
+
+        // Partial file is already complete
+        if (res.statusCode === 416 && parseContentRangeTotal(res.headers['content-range']) === offset) {
+            res.resume();
+            this.totalBytes = offset;
+            return;
+        }
+
+        const resumed = res.statusCode === 206;
+        const total = resumed
+            ? parseContentRangeTotal(res.headers['content-range'])
+            : parseInt(res.headers['content-length'], 10) || null;
+
+        // The partial file cannot be continued when the source changed length (416 past its end, or another total)
+        if (res.statusCode === 416 || (resumed && meta.totalBytes && total && total !== meta.totalBytes)) {
+            res.resume();
+            fs.rmSync(this.filePath, { force: true });
+            throw new Error('Partial file no longer matches the source, starting over');
+        }
+
+        // Server ignored Range (or If-Range did not match) and sent the whole file
+        if (offset > 0 && !resumed) {
+            logDebug('DirectFileFetcher: server sent the whole file, discarding partial copy of', offset, 'bytes');
+            offset = 0;
+            this.downloadedBytes = 0;
+        }
+
+        this.totalBytes = total || 0;
+        meta.totalBytes = this.totalBytes;
+        meta.validator = res.headers.etag || res.headers['last-modified'] || null;
+        fs.writeFileSync(this.metaPath, JSON.stringify(meta));
+
+        const fileStream = fs.createWriteStream(this.filePath, { flags: offset > 0 ? 'a' : 'w' });
+        try {
+            for await (const chunk of res) {
+                if (this.throttle) await this.throttle.take(chunk.length);
+                this.downloadedBytes += chunk.length;
+                if (!fileStream.write(chunk)) {
+                    await new Promise(resolve => fileStream.once('drain', resolve));
+                }
+                this.reportProgress();
+            }
+        } finally {
+            await new Promise(resolve => fileStream.end(resolve));
+        }
+
+        if (this.totalBytes > 0 && this.downloadedBytes < this.totalBytes) {
+            throw new Error(`Connection closed after ${this.downloadedBytes} of ${this.totalBytes} bytes`);
+        }
+        this.totalBytes = this.downloadedBytes;
+    }
+
+    // Stop the in-flight request; pending download() rejects with an aborted error
+    abort() {
+        this.aborted = true;
+        for (const request of this.activeRequests) {
+            request.destroy(new Error('File download aborted'));
+        }
+        this.activeRequests.clear();
+    }
+
+    throwIfAborted() {
+        if (this.aborted) {
+            const error = new Error('File download aborted');
+            error.aborted = true;
+            throw error;
+        }
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress({
+                downloadedBytes: this.downloadedBytes,
+                totalBytes: this.totalBytes
+            });
+        }
+    }
+
+    readMeta() {
+        try {
+            if (fs.existsSync(this.metaPath) && fs.existsSync(this.filePath)) {
+                return JSON.parse(fs.readFileSync(this.metaPath, 'utf8')) || {};
+            }
+        } catch (err) {
+            logDebug('DirectFileFetcher: unreadable partial file metadata, starting over:', err.message);
+        }
+        fs.rmSync(this.filePath, { force: true });
+        return {};
+    }
+
+    /**
+     * Issue a GET request following redirects
+     * @param {string} url - Absolute URL
+     * @param {Object|null} range - { offset, validator } to continue a partial file
+     * @returns {Promise<http.IncomingMessage>} Response stream (200, 206 or 416)
+     */
+    request(url, range = null, redirectsLeft = MAX_REDIRECTS) {
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('https:') ? https : http;
+            const headers = { Accept: '*/*', ...this.headers };
+            if (range) {
+                headers.Range = `bytes=${range.offset}-`;
+                if (range.validator) {
+                    headers['If-Range'] = range.validator;
+                }
+            }
+
+            const req = client.get(url, { headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+                // The body can be large - stay abortable until it has been read
+                res.on('close', () => this.activeRequests.delete(req));
+
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    res.resume();
+                    if (redirectsLeft <= 0) {
+                        reject(new Error('Too many redirects'));
+                        return;
+                    }
+                    const nextUrl = new URL(res.headers.location, url).href;
+                    this.request(nextUrl, range, redirectsLeft - 1).then(resolve, reject);
+                    return;
+                }
+
+                if (res.statusCode !== 200 && res.statusCode !== 206 && !(range && res.statusCode === 416)) {
+                    res.resume();
+                    const error = new Error(`HTTP ${res.statusCode}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
+                    return;
+                }
+
+                resolve(res);
+            });
+
+            this.activeRequests.add(req);
+            req.on('timeout', () => req.destroy(new Error('Request timed out')));
+            req.on('error', (err) => {
+                this.activeRequests.delete(req);
+                reject(err);
+            });
+        });
+    }
+}
+
+module.exports = DirectFileFetcher;
@@ -0,0 +1,222 @@
+/**
+ * DownloadJournal – persistent record of in-flight native downloads
+ * - Stores one entry per downloadId in a JSON file next to the debug log (~/.cache)
+ * - Each entry keeps the original request, output path, type and last confirmed position
+ * - Entries are written when FFmpeg starts, updated on progress and removed on a terminal outcome
+ * - Entries left behind by a crashed/killed host are reported as resumable on the next start
+ * - Entries owned by another still-running host process are never reported (no double resume)
+ * - Paused entries keep their position until the extension resumes or cancels them
+ * - Terminal outcomes are kept for a day so a restarted extension can learn how a job it lost track of ended
+ * - Several host processes share the file: each one only writes back the entries it owns
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logDebug } = require('../utils/logger');
+const { ensureCacheDirectory } = require('../utils/resources');
+
+const JOURNAL_FILE = path.join(ensureCacheDirectory(), 'video-downloader-journal.json');
+const FLUSH_INTERVAL_MS = 2000; // Progress updates are coalesced into one write per interval
+const FINISHED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Entries written by this process (null marks a removal not yet flushed)
+const ownEntries = new Map();
+let flushTimer = null;
+
+function readDisk() {
+    try {
+        if (fs.existsSync(JOURNAL_FILE)) {
+            return JSON.parse(fs.readFileSync(JOURNAL_FILE, 'utf8')) || {};
+        }
+    } catch (err) {
+        logDebug('DownloadJournal: could not read journal, starting empty:', err.message);
+    }
+    return {};
+}
+
+// Disk state from all processes overlaid with this process's own entries
+function load() {
+    const all = readDisk();
+    for (const [downloadId, entry] of ownEntries) {
+        if (entry) {
+            // Cancellation may be requested by another host process (see requestCancel)
+            if (all[downloadId]?.cancelRequested && !entry.finished) {
+                entry.cancelRequested = true;
+            }
+            all[downloadId] = entry;
+        } else {
+            delete all[downloadId];
+        }
+    }
+    return all;
+}
+
+function writeDisk(all) {
+    // Write to a temp file first so a crash mid-write never corrupts the journal
+    const tmpFile = `${JOURNAL_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(all, null, 2));
+    fs.renameSync(tmpFile, JOURNAL_FILE);
+}
+
+function flush() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    try {
+        const all = load();
+        const cutoff = Date.now() - FINISHED_RETENTION_MS;
+        for (const [downloadId, entry] of Object.entries(all)) {
+            if (entry.finished && entry.updatedAt < cutoff) {
+                delete all[downloadId];
+            }
+        }
+        writeDisk(all);
+        
+        for (const [downloadId, entry] of ownEntries) {
+            if (!entry) ownEntries.delete(downloadId);
+        }
+    } catch (err) {
+        logDebug('DownloadJournal: failed to write journal:', err.message);
+    }
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, FLUSH_INTERVAL_MS);
+}
+
+function isProcessAlive(pid) {
+    if (!pid || pid === process.pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM means the process exists but belongs to someone else
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Create or replace a journal entry (written to disk immediately)
+ * @param {string} downloadId - Download ID from the extension
+ * @param {Object} entry - { request, outputPath, type, parts, resumable }
+ */
+function record(downloadId, entry) {
+    const previous = ownEntries.get(downloadId) || readDisk()[downloadId];
+    ownEntries.set(downloadId, {
+        parts: [],
+        lastTime: 0,
+        lastSegment: 0,
+        resumable: true,
+        ...previous,
+        ...entry,
+        downloadId,
+        finished: false,
+        paused: false,
+        pid: process.pid,
+        updatedAt: Date.now()
+    });
+    flush();
+}
+
+/**
+ * Update the last confirmed position of a journaled download (coalesced write)
+ * @param {string} downloadId - Download ID
+ * @param {Object} fields - Fields to merge (lastTime, lastSegment, ...)
+ */
+function update(downloadId, fields) {
+    const entry = ownEntries.get(downloadId);
+    if (!entry) return;
+    Object.assign(entry, fields, { updatedAt: Date.now() });
+    scheduleFlush();
+}
+
+/**
+ * Mark a download paused (written immediately) - neither running nor orphaned until resumed
+ * @param {string} downloadId - Download ID
+ */
+function pause(downloadId) {
+    update(downloadId, { paused: true });
+    flush();
+    // Whichever host process gets the resume takes the entry over - this one must not write it back
+    ownEntries.delete(downloadId);
+}
+
+function remove(downloadId) {
+    ownEntries.set(downloadId, null);
+    flush();
+}
+
+/**
+ * Replace an entry with the terminal message sent for it (the extension may not have received it)
+ * @param {string} downloadId - Download ID
+ * @param {Object} result - download-success/-error/-canceled message
+ */
+function finish(downloadId, result) {
+    ownEntries.set(downloadId, {
+        downloadId,
+        finished: true,
+        result,
+        pid: process.pid,
+        updatedAt: Date.now()
+    });
+    flush();
+}
+
+function get(downloadId) {
+    return load()[downloadId] || null;
+}
+
+/**
+ * Describe where a download stands from this host's point of view
+ * @param {string} downloadId - Download ID
+ * @returns {Object} { state: 'running'|'paused'|'resumable'|'lost'|'finished'|'unknown', result? }
+ */
+function getState(downloadId) {
+    const entry = get(downloadId);
+    if (!entry) return { state: 'unknown' };
+    if (entry.finished) return { state: 'finished', result: entry.result };
+    if (entry.paused) return { state: 'paused' };
+    if (entry.pid === process.pid || isProcessAlive(entry.pid)) return { state: 'running' };
+    if (entry.cancelRequested) return { state: 'finished', result: { command: 'download-canceled', downloadId } };
+    return { state: entry.resumable === false ? 'lost' : 'resumable' };
+}
+
+/**
+ * Ask the host process that owns a download to cancel it (it checks while reporting progress)
+ * @param {string} downloadId - Download ID
+ * @returns {boolean} True if a running entry was flagged
+ */
+function requestCancel(downloadId) {
+    try {
+        const all = readDisk();
+        if (!all[downloadId] || all[downloadId].finished) return false;
+        all[downloadId].cancelRequested = true;
+        writeDisk(all);
+        return true;
+    } catch (err) {
+        logDebug('DownloadJournal: failed to request cancellation:', err.message);
+        return false;
+    }
+}
+
+function isCancelRequested(downloadId) {
+    return !!readDisk()[downloadId]?.cancelRequested;
+}
+
+/**
+ * List resumable entries that no running host owns anymore
+ * @returns {Array<Object>} Resumable journal entries
+ */
+function listOrphaned() {
+    return Object.values(load())
+        .filter(entry => !entry.finished && !entry.paused && !entry.cancelRequested && entry.resumable !== false && !isProcessAlive(entry.pid));
+}
+
+// Make sure coalesced progress positions hit the disk before the host goes away
+process.on('exit', () => {
+    if (flushTimer) flush();
+});
+
+module.exports = { record, update, pause, remove, finish, get, getState, requestCancel, isCancelRequested, listOrphaned, flush, JOURNAL_FILE };
@@ -0,0 +1,105 @@
+/**
+ * FailureClassifier – sorts a failed download into a category the extension can build a retry policy on
+ * - Reads the thrown error (status code, errno), the terminal message and FFmpeg's last error lines
+ * - HTTP 401, or a 403/410 on a URL whose signed expiry lies in the past, counts as an expired token
+ * - Plain SAMPLE-AES is not DRM: identity-keyed streams are decrypted like AES-128 (only SAMPLE-AES-CTR needs a license)
+ * - Categories are checked from the most specific (disk, DRM) to the most generic (network, codec)
+ */
+
+const { URL } = require('url');
+
+const FAILURE_CATEGORIES = {
+    HTTP_403: 'http-403',
+    HTTP_404: 'http-404',
+    HTTP_410: 'http-410',
+    TOKEN_EXPIRED: 'token-expired',
+    NETWORK_TIMEOUT: 'network-timeout',
+    DISK_FULL: 'disk-full',
+    CODEC_ERROR: 'codec-error',
+    DRM: 'drm',
+    UNKNOWN: 'unknown'
+};
+
+const DISK_FULL_PATTERN = /ENOSPC|No space left on device|Disk quota exceeded|EDQUOT/i;
+const DRM_PATTERN = /\bDRM\b|Widevine|PlayReady|FairPlay|SAMPLE-AES-CTR|\bcenc\b|encrypted stream|decryption key/i;
+const TOKEN_PATTERN = /(?:HTTP error|Server returned) 401|Unauthorized|token (?:has )?expired|expired token|signature (?:has )?expired|Request has expired/i;
+const NETWORK_PATTERN = /ETIMEDOUT|ECONNRESET|ECONNREFUSED|EHOSTUNREACH|ENETUNREACH|EAI_AGAIN|ENOTFOUND|EPIPE|timed out|Connection refused|Connection reset|Network is unreachable|Failed to resolve hostname|Connection closed after/i;
+const CODEC_PATTERN = /Invalid data found|codec|muxer|muxing|demuxer|Could not write header|non monotonically increasing dts|Invalid argument|moov atom not found|too small or empty/i;
+
+// Query parameters CDNs use for the moment a signed URL stops being valid (seconds since epoch)
+const EXPIRY_PARAMS = ['expires', 'expire', 'exp', 'e', 'validto', 'valid_to', 'x-expires'];
+
+// HTTP status from FFmpeg's "Server returned 403 Forbidden" / "HTTP error 404" or our own "HTTP 410"
+function findStatusCode(text) {
+    const match = /(?:Server returned|HTTP error|HTTP)\s+(\d{3})\b/i.exec(text);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Whether a signed URL carries an expiry time that has already passed
+ * @param {string} url - Download URL
+ * @returns {boolean}
+ */
+function hasExpiredSignature(url) {
+    if (!url) return false;
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    const now = Date.now();
+
+    for (const [key, value] of parsed.searchParams) {
+        const name = key.toLowerCase();
+        if (EXPIRY_PARAMS.includes(name) && /^\d{9,13}$/.test(value)) {
+            const expiresAt = value.length > 10 ? parseInt(value, 10) : parseInt(value, 10) * 1000;
+            if (expiresAt < now) return true;
+        }
+        // Akamai hdnts=st=...~exp=...~hmac=...
+        if (name === 'hdnts' || name === '__token__') {
+            const exp = /(?:^|~)exp=(\d+)/.exec(value);
+            if (exp && parseInt(exp[1], 10) * 1000 < now) return true;
+        }
+    }
+
+    // AWS: X-Amz-Date (yyyymmddThhmmssZ) plus X-Amz-Expires seconds
+    const amzDate = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(parsed.searchParams.get('X-Amz-Date') || '');
+    const amzExpires = parseInt(parsed.searchParams.get('X-Amz-Expires'), 10);
+    if (amzDate && amzExpires) {
+        const [, y, mo, d, h, mi, s] = amzDate.map(Number);
+        if (Date.UTC(y, mo - 1, d, h, mi, s) + amzExpires * 1000 < now) return true;
+    }
+    return false;
+}
+
+/**
+ * Classify a failed download
+ * @param {Object} details
+ * @param {Error} [details.error] - Error thrown by a fetcher or spawn (statusCode/code are read)
+ * @param {string} [details.message] - Terminal error message
+ * @param {string[]} [details.errorLines] - FFmpeg's last error lines
+ * @param {string} [details.url] - Download URL, checked for an expired signature
+ * @returns {string} One of FAILURE_CATEGORIES
+ */
+function classifyFailure({ error = null, message = '', errorLines = [], url = null } = {}) {
+    const text = [error?.message, error?.code, message, ...errorLines].filter(Boolean).join('\n');
+    const statusCode = error?.statusCode || findStatusCode(text);
+
+    if (error?.code === 'ENOSPC' || DISK_FULL_PATTERN.test(text)) return FAILURE_CATEGORIES.DISK_FULL;
+    if (DRM_PATTERN.test(text)) return FAILURE_CATEGORIES.DRM;
+    if (statusCode === 401 || TOKEN_PATTERN.test(text)) return FAILURE_CATEGORIES.TOKEN_EXPIRED;
+    if ((statusCode === 403 || statusCode === 410) && hasExpiredSignature(url)) return FAILURE_CATEGORIES.TOKEN_EXPIRED;
+    if (statusCode === 403) return FAILURE_CATEGORIES.HTTP_403;
+    if (statusCode === 404) return FAILURE_CATEGORIES.HTTP_404;
+    if (statusCode === 410) return FAILURE_CATEGORIES.HTTP_410;
+    if (NETWORK_PATTERN.test(text)) return FAILURE_CATEGORIES.NETWORK_TIMEOUT;
+    if (CODEC_PATTERN.test(text)) return FAILURE_CATEGORIES.CODEC_ERROR;
+    return FAILURE_CATEGORIES.UNKNOWN;
+}
+
+module.exports = {
+    FAILURE_CATEGORIES,
+    classifyFailure,
+    hasExpiredSignature
+};
@@ -0,0 +1,370 @@
+/**
+ * HlsLiveRecorder – native recorder for Low-Latency HLS playlists (EXT-X-PART)
+ * - Starts at the segment being produced (its first part) or at the oldest segment of the playlist window
+ * - Fetches parts as they are published, using blocking playlist reloads (_HLS_msn/_HLS_part) when the server allows them
+ * - Requests the part announced by EXT-X-PRELOAD-HINT while waiting for the next reload
+ * - Completes segments from their remaining parts, so nothing is fetched twice and nothing is skipped
+ * - Records every input playlist (variant and audio renditions) in parallel, aligned on media sequence numbers
+ * - Writes one local playlist per input for FFmpeg to remux, keeping what was recorded when the stream fails part way
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const HlsSegmentFetcher = require('./hls-segment-fetcher');
+const { logDebug } = require('../utils/logger');
+
+// Reload interval of playlists that cannot block, relative to their part (or segment) target
+const POLL_FRACTION = 0.5;
+const MIN_POLL_MS = 200;
+
+function fatalError(message) {
+    return Object.assign(new Error(message), { fatal: true });
+}
+
+class HlsLiveRecorder extends HlsSegmentFetcher {
+    /**
+     * @param {Object} options - HlsSegmentFetcher options, plus:
+     * @param {Array<string>} options.playlistUrls - Media playlists to record (variant first, then renditions)
+     * @param {Object} options.liveOptions - { startFrom: 'edge'|'dvr', stopAfterSeconds, stopAtTime, stopAtBytes }
+     */
+    constructor({ playlistUrls, liveOptions = null, ...options }) {
+        super({ ...options, playlistUrl: playlistUrls[0], skipAdBreaks: false });
+        this.playlistUrls = playlistUrls;
+        this.liveOptions = liveOptions || {};
+        this.tracks = [];               // One per playlist with its cursor (msn, part) and recorded entries
+        this.stopRequested = false;
+        this.stopped = new Promise(resolve => {
+            this.resolveStopped = resolve;
+        });
+        this.initialLag = null;         // Seconds behind the live edge at the start
+        this.startDate = null;          // Broadcast time recording starts at (ms since the epoch)
+    }
+
+    /**
+     * Fetch the playlists and find where recording starts
+     * @returns {Promise<{totalSegments:number, duration:null, isLive:boolean, initialLag:number, partTarget:number}>}
+     */
+    async load() {
+        this.tracks = [];
+        for (const [index, url] of this.playlistUrls.entries()) {
+            let mediaUrl = url;
+            let content = (await this.fetchBuffer(url)).toString('utf8');
+            if (content.includes('#EXT-X-STREAM-INF')) {
+                mediaUrl = HlsSegmentFetcher.pickBestVariant(content, url);
+                content = (await this.fetchBuffer(mediaUrl)).toString('utf8');
+            }
+
+            const playlist = HlsSegmentFetcher.parseMediaPlaylist(content, mediaUrl);
+            if (!playlist.isLive) {
+                throw fatalError('Playlist is not a live stream');
+            }
+            if (playlist.keys.length > 0 || playlist.segments.some(segment => segment.keyLine)) {
+                throw fatalError('Encrypted low-latency playlists cannot be recorded natively');
+            }
+            this.tracks.push({
+                key: index === 0 ? 'video' : `input_${index}`,
+                url,
+                mediaUrl,
+                playlist,
+                msn: null,
+                part: 0,
+                entries: [],        // Local playlist lines
+                maps: new Map(),    // Init section (url and range) -> local file
+                currentMap: null,
+                recorded: 0,
+                prefetch: null,     // Part requested from a preload hint { url, byteRange, filePath, done }
+                ended: false
+            });
+        }
+
+        // The first playlist decides where to start; renditions follow its media sequence number
+        const [first] = this.tracks;
+        const { startFrom = 'edge' } = this.liveOptions;
+        const nextMsn = (playlist) => playlist.mediaSequence + playlist.segments.length;
+        const startMsn = startFrom === 'dvr'
+            ? first.playlist.mediaSequence
+            : (first.playlist.partTarget ? nextMsn(first.playlist) : Math.max(first.playlist.mediaSequence, nextMsn(first.playlist) - 1));
+        for (const track of this.tracks) {
+            track.msn = Math.min(nextMsn(track.playlist), Math.max(track.playlist.mediaSequence, startMsn));
+        }
+
+        const pendingDuration = first.playlist.pendingParts.reduce((sum, part) => sum + part.duration, 0);
+        const windowDuration = first.playlist.segments
+            .filter((_, index) => first.playlist.mediaSequence + index >= first.msn)
+            .reduce((sum, segment) => sum + segment.duration, 0);
+        this.initialLag = windowDuration + pendingDuration;
+
+        // Program date time of the start segment, or of the one in progress (which follows the newest)
+        const { segments, mediaSequence } = first.playlist;
+        const startSegment = segments[first.msn - mediaSequence];
+        const newest = segments[segments.length - 1];
+        const startDate = startSegment ? startSegment.programDateTime
+            : (newest?.programDateTime != null ? newest.programDateTime + newest.duration * 1000 : null);
+        this.startDate = startDate ?? Date.now() - this.initialLag * 1000;
+
+        logDebug(`HlsLiveRecorder: ${this.tracks.length} playlist(s), part target ${first.playlist.partTarget ?? 'none'}s, ` +
+            `blocking reload ${first.playlist.serverControl?.canBlockReload ? 'yes' : 'no'}, starting at msn ${first.msn} ` +
+            `${this.initialLag.toFixed(1)}s behind the edge (${startFrom})`);
+        return { totalSegments: 0, duration: null, isLive: true, initialLag: this.initialLag, partTarget: first.playlist.partTarget };
+    }
+
+    /**
+     * Record until stopped, a stop condition is met or the stream ends
+     * @returns {Promise<Map<string, string>>} Playlist URL -> local playlist
+     */
+    async download() {
+        fs.mkdirSync(this.workDir, { recursive: true });
+
+        // A track that fails ends the whole recording, keeping the others aligned with it
+        const results = await Promise.allSettled(this.tracks.map(track => this.recordTrack(track).catch(error => {
+            this.stop();
+            throw error;
+        })));
+        const failure = results.find(result => result.status === 'rejected');
+
+        this.throwIfAborted();
+        if (this.tracks.some(track => track.recorded === 0)) {
+            throw failure?.reason || new Error('Recording stopped before any segment was received');
+        }
+        if (failure) {
+            logDebug(`HlsLiveRecorder: recording ended early (${failure.reason.message}), keeping ${this.getRecordedDuration().toFixed(1)}s`);
+        }
+
+        return new Map(this.tracks.map(track => {
+            const playlistPath = path.join(this.workDir, `${track.key}.m3u8`);
+            fs.writeFileSync(playlistPath, this.buildTrackPlaylist(track));
+            return [track.url, playlistPath];
+        }));
+    }
+
+    // Finish with what has been recorded (unlike abort, which discards it)
+    stop() {
+        this.stopRequested = true;
+        this.resolveStopped();
+    }
+
+    abort() {
+        super.abort();
+        this.stop();
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress({
+                completedSegments: this.completedSegments,
+                downloadedBytes: this.downloadedBytes,
+                recordedDuration: this.getRecordedDuration()
+            });
+        }
+    }
+
+    getStartDate() {
+        return this.startDate;
+    }
+
+    getRecordedDuration() {
+        return this.tracks.length > 0 ? this.tracks[0].recorded : 0;
+    }
+
+    limitReached() {
+        const { stopAfterSeconds, stopAtTime, stopAtBytes } = this.liveOptions;
+        return (stopAfterSeconds > 0 && this.getRecordedDuration() >= stopAfterSeconds) ||
+            (stopAtBytes > 0 && this.downloadedBytes >= stopAtBytes) ||
+            (stopAtTime > 0 && Date.now() >= stopAtTime);
+    }
+
+    // Fetch what the playlist has published, then reload it, until the recording stops or the stream ends
+    async recordTrack(track) {
+        while (!this.stopRequested) {
+            await this.recordAvailable(track);
+            if (track.ended || this.stopRequested) break;
+            if (this.limitReached()) {
+                logDebug('HlsLiveRecorder: stop condition reached');
+                this.stop();
+                break;
+            }
+            await this.reloadTrack(track);
+        }
+        this.discardPrefetch(track);
+    }
+
+    /**
+     * Record full segments and parts from the cursor up to the newest published part
+     * @param {Object} track - Recorded track
+     */
+    async recordAvailable(track) {
+        const { playlist } = track;
+        const lastMsn = playlist.mediaSequence + playlist.segments.length - 1;
+
+        if (track.msn < playlist.mediaSequence) {
+            logDebug(`HlsLiveRecorder: ${track.key} fell behind the playlist window, continuing at msn ${playlist.mediaSequence}`);
+            track.msn = playlist.mediaSequence;
+            track.part = 0;
+        }
+
+        while (!this.stopRequested && !this.limitReached()) {
+            if (track.msn <= lastMsn) {
+                const segment = playlist.segments[track.msn - playlist.mediaSequence];
+                if (track.part === 0) {
+                    await this.recordEntry(track, segment, `${track.msn}`);
+                } else if (segment.parts.length > track.part) {
+                    // The segment was started from its parts: finish it the same way
+                    for (let part = track.part; part < segment.parts.length; part++) {
+                        await this.recordEntry(track, segment.parts[part], `${track.msn}_p${part}`);
+                    }
+                } else if (segment.parts.length === 0) {
+                    logDebug(`HlsLiveRecorder: ${track.key} msn ${track.msn} no longer lists its parts, the rest of the segment is missing`);
+                }
+                track.msn++;
+                track.part = 0;
+            } else if (track.msn === lastMsn + 1 && track.part < playlist.pendingParts.length) {
+                await this.recordEntry(track, playlist.pendingParts[track.part], `${track.msn}_p${track.part}`);
+                track.part++;
+            } else {
+                break;
+            }
+        }
+
+        if (!playlist.isLive && track.msn > lastMsn) {
+            logDebug(`HlsLiveRecorder: ${track.key} stream ended`);
+            track.ended = true;
+        }
+    }
+
+    /**
+     * Fetch one segment or part and add it to the track's local playlist
+     * @param {Object} track - Recorded track
+     * @param {Object} entry - Segment or part { url, duration, byteRange, mapIndex, isGap }
+     * @param {string} name - Local name stem (msn, and part number for parts)
+     */
+    async recordEntry(track, entry, name) {
+        if (entry.isGap) {
+            logDebug(`HlsLiveRecorder: ${track.key} ${name} is marked as a gap, skipping it`);
+            return;
+        }
+
+        const map = entry.mapIndex !== null ? track.playlist.maps[entry.mapIndex] : null;
+        if (map) {
+            const mapId = `${map.url}|${map.byteRange?.offset ?? ''}`;
+            if (!track.maps.has(mapId)) {
+                const localName = `${track.key}_init_${track.maps.size}${HlsSegmentFetcher.extensionFor(map.url, '.mp4')}`;
+                await this.fetchResource({ url: map.url, byteRange: map.byteRange, localName });
+                track.maps.set(mapId, localName);
+            }
+            if (track.currentMap !== mapId) {
+                if (track.currentMap !== null) {
+                    track.entries.push('#EXT-X-DISCONTINUITY');
+                }
+                track.entries.push(`#EXT-X-MAP:URI="${track.maps.get(mapId)}"`);
+                track.currentMap = mapId;
+            }
+        }
+
+        const localName = `${track.key}_${name}${HlsSegmentFetcher.extensionFor(entry.url, '.ts')}`;
+        if (!(await this.takePrefetch(track, entry, localName))) {
+            await this.fetchResource({ url: entry.url, byteRange: entry.byteRange, localName });
+        }
+
+        track.entries.push(`#EXTINF:${entry.duration.toFixed(5)},`, localName);
+        track.recorded += entry.duration;
+        this.completedSegments++;
+        this.reportProgress();
+    }
+
+    /**
+     * Reload a track's playlist: blocking until the next part exists when the server allows it, otherwise after a short wait
+     * The preload hint is requested alongside, so the part is usually on disk when the reload returns.
+     * @param {Object} track - Recorded track
+     */
+    async reloadTrack(track) {
+        const { playlist } = track;
+        let url = track.mediaUrl;
+        if (playlist.serverControl?.canBlockReload) {
+            const blockingUrl = new URL(track.mediaUrl);
+            blockingUrl.searchParams.set('_HLS_msn', String(track.msn));
+            if (playlist.partTarget) {
+                blockingUrl.searchParams.set('_HLS_part', String(track.part));
+            }
+            url = blockingUrl.href;
+        } else {
+            const target = playlist.partTarget || playlist.targetDuration || 1;
+            await Promise.race([this.stopped, new Promise(resolve => setTimeout(resolve, Math.max(MIN_POLL_MS, target * POLL_FRACTION * 1000)))]);
+        }
+        this.startPrefetch(track);
+        if (this.stopRequested) return;
+
+        const reload = this.fetchBuffer(url);
+        reload.catch(() => { /* handled below, or dropped after a stop */ });
+        const content = await Promise.race([reload, this.stopped]);
+        if (this.stopRequested) return;
+        track.playlist = HlsSegmentFetcher.parseMediaPlaylist(content.toString('utf8'), track.mediaUrl);
+    }
+
+    // Request the hinted next part ahead of its playlist entry (not when it was already requested)
+    startPrefetch(track) {
+        const hint = track.playlist.preloadHint;
+        if (!hint || this.stopRequested || (track.prefetch && track.prefetch.url === hint.url &&
+            track.prefetch.byteRange?.offset === hint.byteRange?.offset)) {
+            return;
+        }
+        this.discardPrefetch(track);
+        const filePath = path.join(this.workDir, `${track.key}_hint.tmp`);
+        const prefetch = { url: hint.url, byteRange: hint.byteRange, filePath, done: null };
+        prefetch.done = this.fetchToFile(hint.url, filePath, hint.byteRange).then(() => true, () => false);
+        track.prefetch = prefetch;
+    }
+
+    /**
+     * Use the prefetched part for a playlist entry when it is the one the hint announced
+     * @returns {Promise<boolean>} Whether the entry's file is in place
+     */
+    async takePrefetch(track, entry, localName) {
+        const prefetch = track.prefetch;
+        if (!prefetch || prefetch.url !== entry.url || (prefetch.byteRange?.offset ?? null) !== (entry.byteRange?.offset ?? null)) {
+            return false;
+        }
+        track.prefetch = null;
+        const complete = await prefetch.done;
+        const size = complete ? fs.statSync(prefetch.filePath).size : 0;
+        if (!complete || (entry.byteRange && size !== entry.byteRange.length)) {
+            this.downloadedBytes -= size;
+            try { fs.unlinkSync(prefetch.filePath); } catch { /* ignore */ }
+            return false;
+        }
+        fs.renameSync(prefetch.filePath, path.join(this.workDir, localName));
+        return true;
+    }
+
+    // Drop a prefetched part the playlist never listed
+    discardPrefetch(track) {
+        const prefetch = track.prefetch;
+        if (!prefetch) return;
+        track.prefetch = null;
+        prefetch.done.then(complete => {
+            if (!complete) return;
+            try {
+                this.downloadedBytes -= fs.statSync(prefetch.filePath).size;
+                fs.unlinkSync(prefetch.filePath);
+            } catch { /* ignore */ }
+        });
+    }
+
+    // Finished local playlist of a track: its init sections, segments and parts in recording order
+    buildTrackPlaylist(track) {
+        const longest = Math.max(1, ...track.entries
+            .filter(line => line.startsWith('#EXTINF:'))
+            .map(line => parseFloat(line.slice('#EXTINF:'.length))));
+        return [
+            '#EXTM3U',
+            '#EXT-X-VERSION:7',
+            `#EXT-X-TARGETDURATION:${Math.ceil(longest)}`,
+            '#EXT-X-MEDIA-SEQUENCE:0',
+            '#EXT-X-PLAYLIST-TYPE:VOD',
+            ...track.entries,
+            '#EXT-X-ENDLIST'
+        ].join('\n') + '\n';
+    }
+}
+
+module.exports = HlsLiveRecorder;
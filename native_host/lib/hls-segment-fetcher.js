@@ -0,0 +1,835 @@
+/**
+ * HlsSegmentFetcher – native HLS segment downloader that feeds FFmpeg a local playlist
+ * - Fetches and parses a media playlist (picks the highest-bandwidth variant when handed a master)
+ * - Downloads segments, EXT-X-MAP init sections and AES-128 keys with a bounded worker pool
+ * - Retries each segment with exponential backoff, sending the captured request headers
+ * - Uses AES-128 keys resolved by the extension (tab cookies), fetching only the ones it was not given
+ * - Writes segments atomically into a work directory so an interrupted run skips finished ones
+ * - Reports true per-segment progress and writes a local playlist for FFmpeg to remux
+ * - Limits fetching to the segments overlapping a requested time range (clip downloads)
+ * - Finds server-side inserted ad breaks (CUE-OUT/CUE-IN, SCTE-35 DATERANGE) and can leave out given break ranges
+ * - Parses Low-Latency HLS partial segments, preload hints and server control for live recording
+ * - Dates segments from EXT-X-PROGRAM-DATE-TIME, so ranges can be given in broadcast time and gaps are found
+ * - Leaves out segments marked EXT-X-GAP, which servers do not deliver
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { logDebug } = require('../utils/logger');
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 5;
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 15000;
+const LOCAL_PLAYLIST_NAME = 'local.m3u8';
+const AES_KEY_LENGTH = 16;
+
+// Playlist-wide tags kept even when the segments around them are cut out by a time range
+const PLAYLIST_TAG_PATTERN = /^#(EXTM3U|EXT-X-(VERSION|TARGETDURATION|DISCONTINUITY-SEQUENCE|PLAYLIST-TYPE|INDEPENDENT-SEGMENTS|ENDLIST)\b)/;
+
+// Difference between a segment's program date time and the end of the previous segment counted as a gap (ms)
+const DATE_GAP_TOLERANCE_MS = 1000;
+
+// Overlap with an ad break ignored at a segment edge, and missing from a segment still counted as inside it (seconds)
+const AD_ALIGN_TOLERANCE = 0.2;
+
+// Status codes that will not get better by retrying the same URL
+const NON_RETRIABLE_STATUS = new Set([400, 401, 403, 404, 405, 410, 451]);
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Parse a quoted/unquoted attribute list (KEY=VALUE,KEY="VALUE")
+function parseAttributes(attrString) {
+    const attrs = {};
+    const attrPattern = /([A-Z0-9-]+)=(("[^"]*")|([^,]*))/g;
+    let match;
+    while ((match = attrPattern.exec(attrString)) !== null) {
+        attrs[match[1]] = match[3] ? match[3].slice(1, -1) : match[4];
+    }
+    return attrs;
+}
+
+// Parse "length[@offset]" into { length, offset } (offset null when implicit)
+function parseByteRange(value) {
+    const [length, offset] = String(value).split('@');
+    return {
+        length: parseInt(length, 10),
+        offset: offset !== undefined ? parseInt(offset, 10) : null
+    };
+}
+
+class HlsSegmentFetcher {
+    /**
+     * @param {Object} options
+     * @param {string} options.playlistUrl - Media (or master) playlist URL
+     * @param {Object} options.headers - HTTP headers captured by the extension
+     * @param {string} options.workDir - Directory for segments and the local playlist
+     * @param {number} options.concurrency - Parallel segment requests
+     * @param {number} options.maxRetries - Retries per segment before the download fails
+     * @param {Function} options.onProgress - Called with { completedSegments, totalSegments, downloadedBytes }
+     * @param {Object} options.keys - Keys fetched by the extension as { keyUrl: hex }
+     * @param {Object} options.range - Only fetch segments overlapping { start, end } (seconds, end may be null)
+     * @param {Object} options.throttle - Bandwidth throttle awaited before each received chunk (optional)
+     */
+    constructor({ playlistUrl, headers = {}, workDir, concurrency = DEFAULT_CONCURRENCY, maxRetries = DEFAULT_MAX_RETRIES, onProgress = null, keys = null, range = null, throttle = null }) {
+        this.playlistUrl = playlistUrl;
+        this.headers = headers || {};
+        this.keys = keys || {};
+        this.workDir = workDir;
+        this.concurrency = Math.max(1, concurrency || DEFAULT_CONCURRENCY);
+        this.maxRetries = Math.max(0, maxRetries ?? DEFAULT_MAX_RETRIES);
+        this.onProgress = onProgress;
+        this.range = range;
+        this.throttle = throttle;
+
+        this.playlist = null;           // Parsed media playlist
+        this.inRange = [];              // Segments overlapping the requested range
+        this.selected = [];             // Segments to fetch (all of them unless a range is given or ads are skipped)
+        this.completedSegments = 0;
+        this.downloadedBytes = 0;
+        this.aborted = false;
+        this.activeRequests = new Set();
+    }
+
+    /**
+     * Fetch and parse the media playlist (resolving a master to its best variant)
+     * rangeStart is the playlist time of the first selected segment, i.e. where the local playlist begins.
+     * gapDuration is the EXT-X-GAP time left out of the requested range; ad breaks stay in until excludeAdRanges().
+     * A range given in broadcast time ({ startDate, endDate }) is resolved to playlist time here.
+     * @returns {Promise<{totalSegments:number, duration:number, isLive:boolean, rangeStart:number, gapDuration:number}>}
+     */
+    async load() {
+        let url = this.playlistUrl;
+        let content = (await this.fetchBuffer(url)).toString('utf8');
+
+        if (content.includes('#EXT-X-STREAM-INF')) {
+            url = HlsSegmentFetcher.pickBestVariant(content, url);
+            logDebug('HlsSegmentFetcher: master playlist given, using variant:', url);
+            content = (await this.fetchBuffer(url)).toString('utf8');
+        }
+
+        this.playlist = HlsSegmentFetcher.parseMediaPlaylist(content, url);
+        if (this.range?.startDate !== undefined) {
+            this.range = HlsSegmentFetcher.resolveDateRange(this.playlist.segments, this.range);
+            logDebug(`HlsSegmentFetcher: broadcast-time range resolved to ${this.range.start.toFixed(1)}s-${this.range.end?.toFixed(1) ?? 'end'}`);
+        }
+        const inRange = HlsSegmentFetcher.selectSegments(this.playlist.segments, this.range);
+        this.inRange = inRange;
+        this.selected = inRange.filter(segment => !segment.isGap);
+        const gaps = inRange.filter(segment => segment.isGap || segment.dateGap > 0);
+        if (gaps.length > 0) {
+            logDebug(`HlsSegmentFetcher: ${gaps.length} timeline gap(s) in range: ` +
+                gaps.map(segment => `${segment.start.toFixed(1)}s (${segment.isGap ? 'EXT-X-GAP' : `${segment.dateGap.toFixed(1)}s missing`})`).join(', '));
+        }
+        if (inRange.length === 0 && this.playlist.segments.length > 0) {
+            throw new Error(`Time range starts after the end of the stream (${this.playlist.duration.toFixed(1)}s)`);
+        }
+        if (this.selected.length === 0 && inRange.length > 0) {
+            throw new Error('Time range only covers timeline gaps');
+        }
+        const gapDuration = inRange.filter(segment => segment.isGap).reduce((sum, segment) => sum + segment.duration, 0);
+        logDebug(`HlsSegmentFetcher: ${this.selected.length}/${this.playlist.segments.length} segments, ${this.playlist.maps.length} init sections, ${this.playlist.duration.toFixed(1)}s`);
+
+        return {
+            totalSegments: this.selected.length,
+            duration: this.playlist.duration,
+            isLive: this.playlist.isLive,
+            rangeStart: this.selected[0]?.start || 0,
+            gapDuration
+        };
+    }
+
+    /**
+     * Ad breaks inside the requested range, from this playlist's cue tags (call after load)
+     * @returns {Array<{start:number, end:number}>} Playlist time ranges, adjacent ad segments merged
+     */
+    getAdRanges() {
+        const ranges = [];
+        for (const segment of this.inRange) {
+            if (!segment.isAd || segment.isGap) continue;
+            const last = ranges[ranges.length - 1];
+            if (last && segment.start - last.end <= AD_ALIGN_TOLERANCE) {
+                last.end = segment.start + segment.duration;
+            } else {
+                ranges.push({ start: segment.start, end: segment.start + segment.duration });
+            }
+        }
+        return ranges;
+    }
+
+    /**
+     * Leave the segments inside the given ad breaks out of the download
+     * The ranges come from the primary input, so audio and subtitle renditions without cue tags lose the same time.
+     * A segment straddling a break edge cannot be cut without moving this input against the others, so it throws.
+     * @param {Array<{start:number, end:number}>} adRanges - From getAdRanges() of the primary input
+     * @returns {number} Seconds left out
+     */
+    excludeAdRanges(adRanges) {
+        let skipped = 0;
+        this.selected = this.selected.filter(segment => {
+            const end = segment.start + segment.duration;
+            const overlap = adRanges.reduce((sum, range) => sum + Math.max(0, Math.min(end, range.end) - Math.max(segment.start, range.start)), 0);
+            if (overlap <= AD_ALIGN_TOLERANCE) return true;
+            if (overlap >= segment.duration - AD_ALIGN_TOLERANCE) {
+                skipped += segment.duration;
+                return false;
+            }
+            throw new Error(`Ad breaks do not line up with the segments at ${segment.start.toFixed(1)}s of ${this.playlistUrl}, download with ad breaks kept instead`);
+        });
+        if (this.selected.length === 0) {
+            throw new Error('Time range only covers ad breaks');
+        }
+        logDebug(`HlsSegmentFetcher: ${skipped.toFixed(1)}s of ad breaks skipped, ${this.selected.length} segments left`);
+        return skipped;
+    }
+
+    /**
+     * Download all segments and write the local playlist
+     * @returns {Promise<string>} Path of the local playlist for FFmpeg
+     */
+    async download() {
+        if (!this.playlist) {
+            await this.load();
+        }
+        fs.mkdirSync(this.workDir, { recursive: true });
+
+        // Keys and init sections first - every selected media segment depends on them
+        const keyIndexes = new Set(this.selected.map(segment => segment.keyIndex).filter(index => index !== null));
+        const mapIndexes = new Set(this.selected.map(segment => segment.mapIndex).filter(index => index !== null));
+        const dependencies = [
+            ...this.playlist.keys.filter((_, index) => keyIndexes.has(index)),
+            ...this.playlist.maps.filter((_, index) => mapIndexes.has(index))
+        ];
+        for (const resource of dependencies) {
+            await this.fetchResource(resource);
+        }
+
+        await this.fetchAll(this.selected);
+
+        const localPlaylistPath = path.join(this.workDir, LOCAL_PLAYLIST_NAME);
+        fs.writeFileSync(localPlaylistPath, this.buildLocalPlaylist());
+        return localPlaylistPath;
+    }
+
+    /**
+     * Download resources with the bounded worker pool, counting each one as a completed segment
+     * @param {Array<Object>} resources - Segments (or fragments) in fetch order
+     */
+    async fetchAll(resources) {
+        const queue = [...resources];
+        const worker = async () => {
+            while (queue.length > 0 && !this.aborted) {
+                const segment = queue.shift();
+                await this.fetchResource(segment);
+                this.completedSegments++;
+                this.reportProgress();
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+        this.throwIfAborted();
+    }
+
+    // Stop all in-flight requests; pending download() rejects with an aborted error
+    abort() {
+        this.aborted = true;
+        for (const request of this.activeRequests) {
+            request.destroy(new Error('Segment download aborted'));
+        }
+        this.activeRequests.clear();
+    }
+
+    throwIfAborted() {
+        if (this.aborted) {
+            const error = new Error('Segment download aborted');
+            error.aborted = true;
+            throw error;
+        }
+    }
+
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress({
+                completedSegments: this.completedSegments,
+                totalSegments: this.selected.length,
+                downloadedBytes: this.downloadedBytes
+            });
+        }
+    }
+
+    /**
+     * Download one segment/init section with retry and exponential backoff
+     * Finished files are reused, so a resumed run only fetches what is missing.
+     * @param {Object} resource - { url, localName, byteRange }
+     */
+    async fetchResource(resource) {
+        const targetPath = path.join(this.workDir, resource.localName);
+        if (fs.existsSync(targetPath)) {
+            this.downloadedBytes += fs.statSync(targetPath).size;
+            return;
+        }
+        
+        // Keys provided by the extension or inlined as data: URIs need no request
+        const knownKey = resource.isKey && (resource.data || (this.keys[resource.url] && Buffer.from(this.keys[resource.url], 'hex')));
+        if (knownKey) {
+            fs.writeFileSync(targetPath, knownKey);
+            return;
+        }
+
+        const tmpPath = `${targetPath}.tmp`;
+        for (let attempt = 0; ; attempt++) {
+            this.throwIfAborted();
+            try {
+                await this.fetchToFile(resource.url, tmpPath, resource.byteRange);
+                if (resource.isKey && fs.statSync(tmpPath).size !== AES_KEY_LENGTH) {
+                    // An HTML login/error page instead of a key - retrying will not help
+                    throw Object.assign(new Error('Response is not a 16-byte AES key'), { fatal: true });
+                }
+                fs.renameSync(tmpPath, targetPath);
+                return;
+            } catch (error) {
+                try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+                this.throwIfAborted();
+
+                const retriable = !error.fatal && !NON_RETRIABLE_STATUS.has(error.statusCode);
+                if (!retriable || attempt >= this.maxRetries) {
+                    error.message = `${resource.localName} failed after ${attempt + 1} attempt(s): ${error.message}`;
+                    throw error;
+                }
+
+                const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+                logDebug(`HlsSegmentFetcher: ${resource.localName} attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Issue a GET request following redirects
+     * @param {string} url - Absolute URL
+     * @param {Object|null} byteRange - { length, offset } for EXT-X-BYTERANGE resources
+     * @returns {Promise<http.IncomingMessage>} Successful response stream
+     */
+    request(url, byteRange = null, redirectsLeft = MAX_REDIRECTS) {
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('https:') ? https : http;
+            const headers = { Accept: '*/*', ...this.headers };
+            if (byteRange) {
+                headers.Range = `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}`;
+            }
+
+            const req = client.get(url, { headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+                this.activeRequests.delete(req);
+
+                if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                    res.resume();
+                    if (redirectsLeft <= 0) {
+                        reject(new Error('Too many redirects'));
+                        return;
+                    }
+                    const nextUrl = new URL(res.headers.location, url).href;
+                    this.request(nextUrl, byteRange, redirectsLeft - 1).then(resolve, reject);
+                    return;
+                }
+
+                if (res.statusCode !== 200 && res.statusCode !== 206) {
+                    res.resume();
+                    const error = new Error(`HTTP ${res.statusCode}`);
+                    error.statusCode = res.statusCode;
+                    reject(error);
+                    return;
+                }
+
+                resolve(res);
+            });
+
+            this.activeRequests.add(req);
+            req.on('timeout', () => req.destroy(new Error('Request timed out')));
+            req.on('error', (err) => {
+                this.activeRequests.delete(req);
+                reject(err);
+            });
+        });
+    }
+
+    async fetchBuffer(url) {
+        for (let attempt = 0; ; attempt++) {
+            this.throwIfAborted();
+            try {
+                const res = await this.request(url);
+                const chunks = [];
+                for await (const chunk of res) {
+                    chunks.push(chunk);
+                }
+                return Buffer.concat(chunks);
+            } catch (error) {
+                this.throwIfAborted();
+                if (NON_RETRIABLE_STATUS.has(error.statusCode) || attempt >= this.maxRetries) {
+                    throw error;
+                }
+                await sleep(Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt));
+            }
+        }
+    }
+
+    async fetchToFile(url, filePath, byteRange) {
+        const res = await this.request(url, byteRange);
+        const fileStream = fs.createWriteStream(filePath);
+        let received = 0;
+
+        try {
+            for await (const chunk of res) {
+                if (this.throttle) await this.throttle.take(chunk.length);
+                received += chunk.length;
+                if (!fileStream.write(chunk)) {
+                    await new Promise(resolve => fileStream.once('drain', resolve));
+                }
+            }
+        } finally {
+            await new Promise(resolve => fileStream.end(resolve));
+        }
+
+        // Servers that ignore Range send the whole file - cut out the requested range
+        if (byteRange && res.statusCode === 200 && received > byteRange.length) {
+            const whole = fs.readFileSync(filePath);
+            fs.writeFileSync(filePath, whole.subarray(byteRange.offset, byteRange.offset + byteRange.length));
+            received = byteRange.length;
+        }
+
+        this.downloadedBytes += received;
+    }
+
+    // Rebuild the playlist with local file names so FFmpeg never touches the network
+    buildLocalPlaylist() {
+        const renderLine = (line) => {
+            if (line.segmentIndex !== undefined) {
+                return this.playlist.segments[line.segmentIndex].localName;
+            }
+            if (line.mapIndex !== undefined) {
+                return `#EXT-X-MAP:URI="${this.playlist.maps[line.mapIndex].localName}"`;
+            }
+            if (line.keyIndex !== undefined) {
+                return line.text.replace(/URI="[^"]+"/, `URI="${this.playlist.keys[line.keyIndex].localName}"`);
+            }
+            return line.text;
+        };
+
+        if (this.selected.length === this.playlist.segments.length) {
+            return this.playlist.lines.map(renderLine).join('\n') + '\n';
+        }
+
+        // Time range or skipped ad breaks: keep playlist-wide tags and the tag blocks of selected segments only.
+        // The key and init section in effect for a segment are carried over when its predecessors were
+        // dropped, and the media sequence is rebased because AES-128 IVs default to it. Segments after a
+        // gap get an explicit IV instead, since their position no longer matches their sequence number.
+        const selectedIndexes = new Set(this.selected.map(segment => segment.index));
+        const firstIndex = this.selected[0].index;
+        const output = [];
+        let block = [];
+        let previousIndex = null;   // Last segment written
+        let hadGap = false;
+        let writtenKeyLine = null;  // Key line in effect in the output so far
+        let writtenMapIndex = null; // Init section in effect in the output so far
+
+        for (const line of this.playlist.lines) {
+            if (line.segmentIndex === undefined) {
+                if (line.text?.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+                    output.push(`#EXT-X-MEDIA-SEQUENCE:${this.playlist.mediaSequence + firstIndex}`);
+                } else if (line.text && PLAYLIST_TAG_PATTERN.test(line.text)) {
+                    output.push(line.text);
+                } else {
+                    block.push(line);
+                }
+                continue;
+            }
+
+            if (selectedIndexes.has(line.segmentIndex)) {
+                const segment = this.playlist.segments[line.segmentIndex];
+                const blockKeyLine = block.findLast(blockLine => blockLine.keyIndex !== undefined || blockLine.text?.startsWith('#EXT-X-KEY:'));
+                const blockMapLine = block.findLast(blockLine => blockLine.mapIndex !== undefined);
+
+                if (previousIndex !== null && line.segmentIndex !== previousIndex + 1) {
+                    hadGap = true;
+                    if (!block.some(blockLine => blockLine.text === '#EXT-X-DISCONTINUITY')) {
+                        output.push('#EXT-X-DISCONTINUITY');
+                    }
+                }
+                const needsIv = hadGap && segment.keyIndex !== null && !/[:,]IV=/.test(segment.keyLine.text);
+                if (!blockKeyLine && !needsIv && segment.keyLine !== writtenKeyLine) {
+                    output.push(segment.keyLine ? renderLine(segment.keyLine) : '#EXT-X-KEY:METHOD=NONE');
+                }
+                if (!blockMapLine && segment.mapIndex !== null && segment.mapIndex !== writtenMapIndex) {
+                    output.push(renderLine({ mapIndex: segment.mapIndex }));
+                }
+                output.push(...block.map(renderLine));
+
+                writtenKeyLine = segment.keyLine;
+                if (needsIv) {
+                    const iv = (this.playlist.mediaSequence + segment.index).toString(16).padStart(32, '0');
+                    output.push(`${renderLine(segment.keyLine)},IV=0x${iv}`);
+                }
+                writtenMapIndex = segment.mapIndex;
+                output.push(renderLine(line));
+                previousIndex = line.segmentIndex;
+            }
+            block = [];
+        }
+        // A clip of a live window is complete once fetched
+        if (this.playlist.isLive) {
+            output.push('#EXT-X-ENDLIST');
+        }
+
+        return output.join('\n') + '\n';
+    }
+
+    /**
+     * Position of a playlist time in the local playlist, which holds the selected segments only
+     * @param {number} time - Seconds on the source playlist timeline
+     * @returns {number} Seconds on the local playlist timeline
+     */
+    toLocalTime(time) {
+        let localTime = 0;
+        for (const segment of this.selected) {
+            if (segment.start >= time) break;
+            localTime += Math.min(segment.duration, time - segment.start);
+        }
+        return localTime;
+    }
+
+    // Total duration of the selected segments
+    getSelectedDuration() {
+        return this.selected.reduce((sum, segment) => sum + segment.duration, 0);
+    }
+
+    /**
+     * Broadcast time of a playlist position, from the program date time of the segment holding it
+     * @param {number} time - Seconds on the source playlist timeline
+     * @returns {number|null} Milliseconds since the epoch, null without EXT-X-PROGRAM-DATE-TIME
+     */
+    getDateAt(time) {
+        const segment = this.playlist?.segments.find(candidate => candidate.start + candidate.duration > time) ||
+            this.playlist?.segments[this.playlist.segments.length - 1];
+        if (!segment || segment.programDateTime === null) return null;
+        return segment.programDateTime + Math.max(0, time - segment.start) * 1000;
+    }
+
+    /**
+     * Convert a broadcast-time range into playlist time using the segments' program date times
+     * A time inside a gap moves to the next segment; an end past the newest segment means "until the end".
+     * @param {Array<Object>} segments - Parsed segments
+     * @param {Object} range - { startDate, endDate, accurate } in milliseconds since the epoch (endDate may be null)
+     * @returns {Object} { start, end, accurate } in seconds
+     */
+    static resolveDateRange(segments, { startDate, endDate = null, accurate = false }) {
+        const dated = segments.filter(segment => segment.programDateTime !== null);
+        if (dated.length === 0) {
+            throw Object.assign(new Error('Playlist has no EXT-X-PROGRAM-DATE-TIME for a broadcast-time range'), { fatal: true });
+        }
+        const last = dated[dated.length - 1];
+        const windowEnd = last.programDateTime + last.duration * 1000;
+        if (startDate >= windowEnd) {
+            throw new Error(`Range starts after the newest segment (${new Date(windowEnd).toISOString()})`);
+        }
+
+        const toTime = (date) => {
+            const segment = dated.find(candidate => candidate.programDateTime + candidate.duration * 1000 > date);
+            return segment.start + Math.max(0, date - segment.programDateTime) / 1000;
+        };
+        const start = toTime(Math.max(startDate, dated[0].programDateTime));
+        const end = endDate !== null && endDate < windowEnd ? toTime(endDate) : null;
+        if (end !== null && end <= start) {
+            throw new Error('Range ends before it starts or only covers a gap');
+        }
+        return { start, end, accurate };
+    }
+
+    /**
+     * Pick the segments overlapping a time range
+     * @param {Array<Object>} segments - Parsed segments (with start times)
+     * @param {Object|null} range - { start, end } in seconds, end null for "until the end"
+     * @returns {Array<Object>} Selected segments in playlist order
+     */
+    static selectSegments(segments, range) {
+        if (!range) {
+            return segments;
+        }
+        const start = range.start || 0;
+        const end = range.end ?? Infinity;
+        return segments.filter(segment => segment.start + segment.duration > start && segment.start < end);
+    }
+
+    /**
+     * Pick the highest-bandwidth variant from a master playlist
+     * @param {string} content - Master playlist content
+     * @param {string} baseUrl - Master playlist URL
+     * @returns {string} Absolute variant URL
+     */
+    static pickBestVariant(content, baseUrl) {
+        const lines = content.split(/\r?\n/);
+        let best = null;
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].startsWith('#EXT-X-STREAM-INF:')) continue;
+            const attrs = parseAttributes(lines[i].slice('#EXT-X-STREAM-INF:'.length));
+            const uri = lines.slice(i + 1).find(line => line.trim() && !line.startsWith('#'));
+            const bandwidth = parseInt(attrs.BANDWIDTH, 10) || 0;
+            if (uri && (!best || bandwidth > best.bandwidth)) {
+                best = { bandwidth, url: new URL(uri.trim(), baseUrl).href };
+            }
+        }
+        if (!best) {
+            throw new Error('Master playlist has no variants');
+        }
+        return best.url;
+    }
+
+    /**
+     * Parse a media playlist into segments, init sections and re-serializable lines
+     * @param {string} content - Media playlist content
+     * @param {string} baseUrl - Playlist URL for resolving relative URIs
+     * Partial segments (EXT-X-PART) are attached to the segment they precede; those after the last full segment
+     * are the segment still being produced (pendingParts). Neither appears in the re-serializable lines.
+     * @returns {Object} { segments, maps, keys, lines, duration, isLive, mediaSequence, targetDuration,
+     *   partTarget, serverControl, pendingParts, preloadHint }
+     */
+    static parseMediaPlaylist(content, baseUrl) {
+        const segments = [];
+        const maps = [];
+        const keys = [];
+        const keyIndexByUrl = new Map(); // Rotating keys often repeat the same URI
+        const lines = [];
+        const nextOffsets = new Map(); // url -> end of previous byte range (implicit offsets)
+        let pendingDuration = null;
+        let pendingByteRange = null;
+        let isLive = true;
+        let elapsed = 0;
+        let currentKeyLine = null;  // EXT-X-KEY in effect (segments inherit it until the next one)
+        let currentMapIndex = null;
+        let mediaSequence = 0;
+        let adBreak = null;         // Open ad break { duration, plannedDuration, id } (segments inside get isAd)
+        let targetDuration = null;
+        let partTarget = null;
+        let serverControl = null;   // EXT-X-SERVER-CONTROL { canBlockReload, canSkipUntil, holdBack, partHoldBack }
+        let preloadHint = null;     // EXT-X-PRELOAD-HINT of the next part { url, byteRange }
+        let parts = [];             // Parts since the last full segment
+        let pendingDate = null;     // EXT-X-PROGRAM-DATE-TIME of the next segment
+        let nextDate = null;        // Date the next segment follows on from (previous date + duration)
+        let pendingGap = false;
+        const nextPartOffsets = new Map();
+
+        const resolveRange = (url, range) => {
+            if (!range) return null;
+            const offset = range.offset ?? nextOffsets.get(url) ?? 0;
+            nextOffsets.set(url, offset + range.length);
+            return { length: range.length, offset };
+        };
+
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            if (line.startsWith('#EXTINF:')) {
+                pendingDuration = parseFloat(line.slice('#EXTINF:'.length)) || 0;
+                lines.push({ text: line });
+            } else if (line.startsWith('#EXT-X-CUE-OUT-CONT')) {
+                // Playlist window that starts in the middle of a break
+                adBreak = adBreak || { duration: 0, plannedDuration: null, id: null };
+                lines.push({ text: line });
+            } else if (line.startsWith('#EXT-X-CUE-OUT')) {
+                // #EXT-X-CUE-OUT:30 or #EXT-X-CUE-OUT:DURATION=30
+                const planned = parseFloat(line.slice('#EXT-X-CUE-OUT'.length).replace(/^:(DURATION=)?/i, ''));
+                adBreak = adBreak || { duration: 0, plannedDuration: planned > 0 ? planned : null, id: null };
+                lines.push({ text: line });
+            } else if (line.startsWith('#EXT-X-CUE-IN')) {
+                adBreak = null;
+                lines.push({ text: line });
+            } else if (line.startsWith('#EXT-X-DATERANGE:')) {
+                const attrs = parseAttributes(line.slice('#EXT-X-DATERANGE:'.length));
+                if (attrs['SCTE35-OUT'] && !adBreak) {
+                    const planned = parseFloat(attrs.DURATION || attrs['PLANNED-DURATION']);
+                    adBreak = { duration: 0, plannedDuration: planned > 0 ? planned : null, id: attrs.ID || null };
+                } else if (attrs['SCTE35-IN'] && adBreak && (!adBreak.id || !attrs.ID || adBreak.id === attrs.ID)) {
+                    adBreak = null;
+                }
+                lines.push({ text: line });
+            } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+                // Dropped from the local playlist - the range is fetched into its own file
+                pendingByteRange = parseByteRange(line.slice('#EXT-X-BYTERANGE:'.length));
+            } else if (line.startsWith('#EXT-X-MAP:')) {
+                const attrs = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+                const url = new URL(attrs.URI, baseUrl).href;
+                const index = maps.length;
+                maps.push({
+                    url,
+                    byteRange: resolveRange(url, attrs.BYTERANGE ? parseByteRange(attrs.BYTERANGE) : null),
+                    localName: `init_${String(index).padStart(3, '0')}${HlsSegmentFetcher.extensionFor(url, '.mp4')}`
+                });
+                lines.push({ mapIndex: index });
+                currentMapIndex = index;
+            } else if (line.startsWith('#EXT-X-KEY:')) {
+                const attrs = parseAttributes(line.slice('#EXT-X-KEY:'.length));
+                const url = attrs.URI ? new URL(attrs.URI, baseUrl).href : null;
+                const isClearKey = ['AES-128', 'SAMPLE-AES'].includes(attrs.METHOD) && (attrs.KEYFORMAT || 'identity') === 'identity';
+                if (!url || !isClearKey || !/^(https?|data):/.test(url)) {
+                    // METHOD=NONE and DRM key systems (skd://) pass through untouched
+                    currentKeyLine = attrs.METHOD === 'NONE' ? null : { text: line };
+                    lines.push(currentKeyLine || { text: line });
+                    continue;
+                }
+                if (!keyIndexByUrl.has(url)) {
+                    keyIndexByUrl.set(url, keys.length);
+                    keys.push({
+                        url,
+                        isKey: true,
+                        data: url.startsWith('data:') ? HlsSegmentFetcher.decodeDataUri(url) : null,
+                        byteRange: null,
+                        localName: `key_${String(keys.length).padStart(3, '0')}.key`
+                    });
+                }
+                currentKeyLine = { keyIndex: keyIndexByUrl.get(url), text: line };
+                lines.push(currentKeyLine);
+            } else if (line.startsWith('#EXT-X-PART:')) {
+                // Partial segments duplicate full segments, so they stay out of the local playlist
+                const attrs = parseAttributes(line.slice('#EXT-X-PART:'.length));
+                if (!attrs.URI) continue;
+                const url = new URL(attrs.URI, baseUrl).href;
+                let byteRange = null;
+                if (attrs.BYTERANGE) {
+                    const range = parseByteRange(attrs.BYTERANGE);
+                    const offset = range.offset ?? nextPartOffsets.get(url) ?? 0;
+                    nextPartOffsets.set(url, offset + range.length);
+                    byteRange = { length: range.length, offset };
+                }
+                parts.push({
+                    url,
+                    duration: parseFloat(attrs.DURATION) || 0,
+                    byteRange,
+                    independent: attrs.INDEPENDENT === 'YES',
+                    isGap: attrs.GAP === 'YES',
+                    mapIndex: currentMapIndex
+                });
+            } else if (line.startsWith('#EXT-X-PRELOAD-HINT:')) {
+                const attrs = parseAttributes(line.slice('#EXT-X-PRELOAD-HINT:'.length));
+                const start = attrs['BYTERANGE-START'];
+                const length = attrs['BYTERANGE-LENGTH'];
+                // An open-ended range (start without length) cannot be requested ahead of time
+                if (attrs.TYPE === 'PART' && attrs.URI && (start === undefined || length !== undefined)) {
+                    preloadHint = {
+                        url: new URL(attrs.URI, baseUrl).href,
+                        byteRange: start !== undefined ? { offset: parseInt(start, 10), length: parseInt(length, 10) } : null
+                    };
+                }
+            } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+                const date = Date.parse(line.slice('#EXT-X-PROGRAM-DATE-TIME:'.length));
+                pendingDate = Number.isNaN(date) ? null : date;
+                lines.push({ text: line });
+            } else if (line === '#EXT-X-GAP') {
+                // Kept in the local playlist only if the segment is, and gap segments never are
+                pendingGap = true;
+            } else if (line.startsWith('#EXT-X-RENDITION-REPORT:') || line.startsWith('#EXT-X-SKIP:')) {
+                continue;
+            } else if (line.startsWith('#')) {
+                if (line === '#EXT-X-ENDLIST') {
+                    isLive = false;
+                } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+                    mediaSequence = parseInt(line.slice('#EXT-X-MEDIA-SEQUENCE:'.length), 10) || 0;
+                } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+                    targetDuration = parseFloat(line.slice('#EXT-X-TARGETDURATION:'.length)) || null;
+                } else if (line.startsWith('#EXT-X-PART-INF:')) {
+                    partTarget = parseFloat(parseAttributes(line.slice('#EXT-X-PART-INF:'.length))['PART-TARGET']) || null;
+                    continue;
+                } else if (line.startsWith('#EXT-X-SERVER-CONTROL:')) {
+                    const attrs = parseAttributes(line.slice('#EXT-X-SERVER-CONTROL:'.length));
+                    serverControl = {
+                        canBlockReload: attrs['CAN-BLOCK-RELOAD'] === 'YES',
+                        canSkipUntil: parseFloat(attrs['CAN-SKIP-UNTIL']) || null,
+                        holdBack: parseFloat(attrs['HOLD-BACK']) || null,
+                        partHoldBack: parseFloat(attrs['PART-HOLD-BACK']) || null
+                    };
+                    continue;
+                }
+                lines.push({ text: line });
+            } else {
+                const url = new URL(line, baseUrl).href;
+                const index = segments.length;
+                const programDateTime = pendingDate ?? nextDate;
+                const dateGap = pendingDate !== null && nextDate !== null && pendingDate - nextDate > DATE_GAP_TOLERANCE_MS
+                    ? (pendingDate - nextDate) / 1000
+                    : 0;
+                segments.push({
+                    index,
+                    url,
+                    start: elapsed,
+                    duration: pendingDuration || 0,
+                    byteRange: resolveRange(url, pendingByteRange),
+                    keyLine: currentKeyLine,
+                    keyIndex: currentKeyLine?.keyIndex ?? null,
+                    mapIndex: currentMapIndex,
+                    isAd: !!adBreak,
+                    isGap: pendingGap,
+                    programDateTime,
+                    dateGap,
+                    parts,
+                    localName: `seg_${String(index).padStart(6, '0')}${HlsSegmentFetcher.extensionFor(url, '.ts')}`
+                });
+                lines.push({ segmentIndex: index });
+                elapsed += pendingDuration || 0;
+                if (adBreak) {
+                    // A break announced with a duration and no CUE-IN ends once that much has played
+                    adBreak.duration += pendingDuration || 0;
+                    if (adBreak.plannedDuration && adBreak.duration >= adBreak.plannedDuration - 0.5) {
+                        adBreak = null;
+                    }
+                }
+                nextDate = programDateTime !== null ? programDateTime + (pendingDuration || 0) * 1000 : null;
+                pendingDuration = null;
+                pendingByteRange = null;
+                pendingDate = null;
+                pendingGap = false;
+                parts = [];
+            }
+        }
+
+        return {
+            segments,
+            maps,
+            keys,
+            lines,
+            duration: segments.reduce((sum, segment) => sum + segment.duration, 0),
+            isLive,
+            mediaSequence,
+            targetDuration,
+            partTarget,
+            serverControl,
+            pendingParts: parts,
+            preloadHint
+        };
+    }
+
+    // Decode an inline key (data:[<mediatype>][;base64],<data>)
+    static decodeDataUri(uri) {
+        const match = /^data:([^,]*),(.*)$/s.exec(uri);
+        if (!match) return null;
+        return match[1].endsWith(';base64')
+            ? Buffer.from(match[2], 'base64')
+            : Buffer.from(decodeURIComponent(match[2]), 'binary');
+    }
+
+    // Keep the media extension so FFmpeg's hls demuxer probes segments correctly
+    static extensionFor(url, fallback) {
+        try {
+            const ext = path.extname(new URL(url).pathname).toLowerCase();
+            return /^\.[a-z0-9]{1,5}$/.test(ext) ? ext : fallback;
+        } catch {
+            return fallback;
+        }
+    }
+}
+
+module.exports = HlsSegmentFetcher;
@@ -0,0 +1,152 @@
+/**
+ * MseCaptureReceiver – receives a stream the extension captured from a page's SourceBuffers
+ * - The extension reads the capture out of the page and sends it as base64 'mse-chunk' messages
+ * - Each track's chunks (init segment first, then media segments) are appended in order to one file,
+ *   which is a playable fragmented MP4/WebM that FFmpeg remuxes like any local input
+ * - Receivers are registered by downloadId before the download does anything asynchronous,
+ *   so chunks sent right behind the download command always find theirs
+ * - A transfer that stops sending (tab closed, extension restarted) fails after a quiet period
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logDebug } = require('../utils/logger');
+
+// A transfer that sends nothing for this long is considered lost
+const IDLE_TIMEOUT_MS = 60000;
+
+// File extension FFmpeg can probe, from the SourceBuffer mime type
+function getTrackExtension(mimeType) {
+    if (/webm/i.test(mimeType)) return 'webm';
+    if (/mp2t/i.test(mimeType)) return 'ts';
+    if (/mpeg/i.test(mimeType)) return 'mp3';
+    return 'mp4';
+}
+
+class MseCaptureReceiver {
+    // downloadId -> receiver, for routing incoming chunks
+    static receivers = new Map();
+
+    /**
+     * @param {Object} options
+     * @param {string} options.downloadId - Download the capture belongs to
+     * @param {string} options.workDir - Directory for the track files
+     * @param {Array<Object>} options.tracks - Captured tracks ({ id, mimeType, kind })
+     */
+    constructor({ downloadId, workDir, tracks = [] }) {
+        this.downloadId = downloadId;
+        this.workDir = workDir;
+        this.tracks = new Map(tracks.map(track => [track.id, {
+            ...track,
+            filePath: path.join(workDir, `${track.id}.${getTrackExtension(track.mimeType)}`),
+            complete: false
+        }]));
+        this.downloadedBytes = 0;
+        this.onProgress = null;
+        this.aborted = false;
+        this.writeChain = Promise.resolve();
+        this.idleTimer = null;
+
+        fs.mkdirSync(workDir, { recursive: true });
+        for (const track of this.tracks.values()) {
+            fs.writeFileSync(track.filePath, '');
+        }
+
+        this.done = new Promise((resolve, reject) => {
+            this.resolveDone = resolve;
+            this.rejectDone = reject;
+        });
+        // Settled before anyone awaits it when the transfer fails early
+        this.done.catch(() => {});
+
+        MseCaptureReceiver.receivers.set(downloadId, this);
+        this.resetIdleTimer();
+    }
+
+    /**
+     * Receiver for a download, if it is still waiting for data
+     * @param {string} downloadId - Download ID
+     * @returns {MseCaptureReceiver|undefined}
+     */
+    static get(downloadId) {
+        return MseCaptureReceiver.receivers.get(downloadId);
+    }
+
+    /**
+     * Append a chunk to its track file
+     * @param {string} trackId - Track the chunk belongs to
+     * @param {Buffer} data - Chunk bytes
+     * @param {boolean} final - Whether this is the track's last chunk
+     * @returns {Promise<void>} Resolves once the chunk is on disk
+     */
+    append(trackId, data, final = false) {
+        const track = this.tracks.get(trackId);
+        if (!track) {
+            return Promise.reject(new Error(`Unknown capture track: ${trackId}`));
+        }
+        this.resetIdleTimer();
+
+        this.writeChain = this.writeChain.then(async () => {
+            if (this.aborted) return;
+            if (data.length > 0) {
+                await fs.promises.appendFile(track.filePath, data);
+                this.downloadedBytes += data.length;
+                this.onProgress?.(this.downloadedBytes);
+            }
+            if (final) {
+                track.complete = true;
+                this.finishIfComplete();
+            }
+        }).catch(error => {
+            this.fail(error);
+            throw error;
+        });
+        return this.writeChain;
+    }
+
+    // Resolve once every track has received its last chunk
+    finishIfComplete() {
+        if (![...this.tracks.values()].every(track => track.complete)) return;
+
+        logDebug(`MSE capture received for ${this.downloadId}: ${this.downloadedBytes} bytes`);
+        this.cleanup();
+        this.resolveDone(new Map([...this.tracks.values()].map(track => [track.id, track.filePath])));
+    }
+
+    /**
+     * End the transfer with an error
+     * @param {Error|string} error - What went wrong (a string comes from the extension)
+     */
+    fail(error) {
+        this.cleanup();
+        this.rejectDone(typeof error === 'string' ? new Error(error) : error);
+    }
+
+    abort() {
+        this.aborted = true;
+        this.cleanup();
+        this.rejectDone(Object.assign(new Error('Capture transfer aborted'), { aborted: true }));
+    }
+
+    /**
+     * Wait until every track is on disk
+     * @returns {Promise<Map<string, string>>} Track ID -> local file path
+     */
+    download() {
+        return this.done;
+    }
+
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            this.fail(new Error('Capture transfer timed out'));
+        }, IDLE_TIMEOUT_MS);
+    }
+
+    cleanup() {
+        clearTimeout(this.idleTimer);
+        MseCaptureReceiver.receivers.delete(this.downloadId);
+    }
+}
+
+module.exports = MseCaptureReceiver;
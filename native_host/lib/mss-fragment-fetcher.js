@@ -0,0 +1,686 @@
+/**
+ * MssFragmentFetcher – native Smooth Streaming downloader that rebuilds each selected track as a local file
+ * - Parses the client manifest (.ism/Manifest): StreamIndex URL templates, fragment timelines and QualityLevels
+ * - Downloads the fragments of the selected tracks with HlsSegmentFetcher's worker pool, retries and resume
+ * - Writes the init segment Smooth Streaming leaves out (ftyp/moov from FourCC and CodecPrivateData, H.264 and AAC)
+ * - Gives every fragment a tfdt with its manifest time and joins them into one fragmented MP4 per track
+ * - Converts TTML text fragments into one WebVTT file on the video track's timeline
+ * - Limits fetching to the fragments overlapping a requested time range (clip downloads)
+ * - Refuses PlayReady-protected and live manifests, which FFmpeg could not remux anyway
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const HlsSegmentFetcher = require('./hls-segment-fetcher');
+const { logDebug } = require('../utils/logger');
+
+// Smooth Streaming times are in 100ns units unless the manifest says otherwise
+const DEFAULT_TIMESCALE = 10000000;
+// Size of the tfdt box (version 1) added to fragments that only carry their time in the manifest
+const TFDT_SIZE = 20;
+// tfhd flags
+const TFHD_BASE_DATA_OFFSET = 0x000001;
+const TFHD_DEFAULT_BASE_IS_MOOF = 0x020000;
+// trun flags
+const TRUN_DATA_OFFSET = 0x000001;
+
+const AAC_SAMPLING_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+const H264_FOURCCS = ['H264', 'AVC1', 'DAVC'];
+const AAC_FOURCCS = ['AACL', 'AACH', 'AACP', 'MP4A'];
+// WAVEFORMATEX tag of raw AAC
+const AAC_AUDIO_TAG = 255;
+
+const IDENTITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+function getAttribute(tag, name) {
+    const match = new RegExp(`\\b${name}="([^"]*)"`, 'i').exec(tag);
+    return match ? decodeXmlEntities(match[1]) : null;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function parseInteger(value) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Manifests are served as UTF-8 or UTF-16 (IIS writes UTF-16 with a BOM)
+function decodeManifest(buffer) {
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return buffer.subarray(2).toString('utf16le');
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+    }
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function fatalError(message) {
+    return Object.assign(new Error(message), { fatal: true });
+}
+
+// ---- ISO BMFF writing ----
+
+function box(type, ...payloads) {
+    const body = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'ascii');
+    return Buffer.concat([header, body]);
+}
+
+function fullBox(type, version, flags, ...payloads) {
+    return box(type, uint32(((version << 24) | flags) >>> 0), ...payloads);
+}
+
+function uint8(value) {
+    return Buffer.from([value & 0xFF]);
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value & 0xFFFF, 0);
+    return buffer;
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0, 0);
+    return buffer;
+}
+
+function uint64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(value), 0);
+    return buffer;
+}
+
+function zeros(length) {
+    return Buffer.alloc(length);
+}
+
+function matrix() {
+    return Buffer.concat(IDENTITY_MATRIX.map(uint32));
+}
+
+// ISO 639-2 code packed into the 15 bits mdhd uses ('und' when the manifest gives none or a two-letter one)
+function packLanguage(language) {
+    const code = /^[a-z]{3}$/i.test(language || '') ? language.toLowerCase() : 'und';
+    return [...code].reduce((packed, char) => (packed << 5) | (char.charCodeAt(0) - 0x60), 0);
+}
+
+// MPEG-4 descriptor with a single-byte length (every descriptor here is far below 128 bytes)
+function descriptor(tag, ...payloads) {
+    const body = Buffer.concat(payloads);
+    return Buffer.concat([uint8(tag), uint8(body.length), body]);
+}
+
+// NAL units of Annex B data (00 00 01 / 00 00 00 01 start codes)
+function splitNalUnits(data) {
+    const units = [];
+    let unitStart = null;
+    for (let i = 0; i + 2 < data.length; i++) {
+        if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+            if (unitStart !== null) units.push(data.subarray(unitStart, i));
+            unitStart = i + 3;
+            i += 2;
+        }
+    }
+    if (unitStart !== null) units.push(data.subarray(unitStart));
+
+    // A four-byte start code leaves its leading zero on the previous unit, which never ends in zero itself
+    return units.map(unit => {
+        let end = unit.length;
+        while (end > 0 && unit[end - 1] === 0) end--;
+        return unit.subarray(0, end);
+    }).filter(unit => unit.length > 0);
+}
+
+function buildAvcSampleEntry(qualityLevel) {
+    const nalUnits = splitNalUnits(Buffer.from(qualityLevel.codecPrivateData || '', 'hex'));
+    const sps = nalUnits.filter(unit => (unit[0] & 0x1F) === 7);
+    const pps = nalUnits.filter(unit => (unit[0] & 0x1F) === 8);
+    if (sps.length === 0 || pps.length === 0 || sps[0].length < 4) {
+        throw fatalError('H.264 track has no SPS/PPS in its CodecPrivateData');
+    }
+
+    const lengthSize = qualityLevel.nalUnitLengthField || 4;
+    const avcC = box('avcC',
+        uint8(1), uint8(sps[0][1]), uint8(sps[0][2]), uint8(sps[0][3]),
+        uint8(0xFC | (lengthSize - 1)),
+        uint8(0xE0 | sps.length), ...sps.flatMap(unit => [uint16(unit.length), unit]),
+        uint8(pps.length), ...pps.flatMap(unit => [uint16(unit.length), unit])
+    );
+
+    return box('avc1',
+        zeros(6), uint16(1),                        // reserved, data_reference_index
+        zeros(16),                                  // pre_defined, reserved
+        uint16(qualityLevel.width || 0), uint16(qualityLevel.height || 0),
+        uint32(0x00480000), uint32(0x00480000),     // 72 dpi
+        zeros(4), uint16(1),                        // reserved, frame_count
+        zeros(32),                                  // compressorname
+        uint16(0x0018), uint16(0xFFFF),             // depth, pre_defined
+        avcC
+    );
+}
+
+function buildAudioSpecificConfig(qualityLevel) {
+    if (qualityLevel.codecPrivateData) {
+        return Buffer.from(qualityLevel.codecPrivateData, 'hex');
+    }
+    // AAC-LC from the sampling rate and channel count (HE-AAC is signalled implicitly by its SBR data)
+    const rateIndex = AAC_SAMPLING_RATES.indexOf(qualityLevel.samplingRate);
+    const config = (2 << 11) | ((rateIndex === -1 ? 4 : rateIndex) << 7) | ((qualityLevel.channels || 2) << 3);
+    return uint16(config);
+}
+
+function buildAacSampleEntry(qualityLevel) {
+    const esds = fullBox('esds', 0, 0,
+        descriptor(0x03, uint16(1), uint8(0),           // ES_ID, flags
+            descriptor(0x04, uint8(0x40), uint8(0x15),  // MPEG-4 audio, audio stream
+                zeros(3), uint32(qualityLevel.bitrate || 0), uint32(qualityLevel.bitrate || 0),
+                descriptor(0x05, buildAudioSpecificConfig(qualityLevel))
+            ),
+            descriptor(0x06, uint8(0x02))               // SLConfig: MP4 predefined
+        )
+    );
+
+    return box('mp4a',
+        zeros(6), uint16(1),                        // reserved, data_reference_index
+        zeros(8),                                   // reserved
+        uint16(qualityLevel.channels || 2), uint16(qualityLevel.bitsPerSample || 16),
+        zeros(4),                                   // pre_defined, reserved
+        uint32(Math.min(qualityLevel.samplingRate || 48000, 0xFFFF) << 16),
+        esds
+    );
+}
+
+/**
+ * Build the ftyp/moov a Smooth Streaming track needs in front of its fragments
+ * @param {Object} track - Selected track ({ kind, stream, qualityLevel })
+ * @returns {Buffer} Init segment with one track (ID 1) and mvex
+ */
+function buildInitSegment(track) {
+    const { kind, stream, qualityLevel } = track;
+    const isVideo = kind === 'video';
+    const fourCC = (qualityLevel.fourCC || '').toUpperCase();
+
+    let sampleEntry;
+    if (isVideo && H264_FOURCCS.includes(fourCC)) {
+        sampleEntry = buildAvcSampleEntry(qualityLevel);
+    } else if (!isVideo && (AAC_FOURCCS.includes(fourCC) || qualityLevel.audioTag === AAC_AUDIO_TAG)) {
+        sampleEntry = buildAacSampleEntry(qualityLevel);
+    } else {
+        throw fatalError(`Unsupported Smooth Streaming ${kind} codec: ${qualityLevel.fourCC || 'unknown'}`);
+    }
+
+    const ftyp = box('ftyp', Buffer.from('iso6'), uint32(1), Buffer.from('isomiso6msdh'));
+    const mvhd = fullBox('mvhd', 0, 0,
+        zeros(8), uint32(stream.timescale), uint32(0),      // times, timescale, duration
+        uint32(0x00010000), uint16(0x0100), zeros(10),      // rate, volume, reserved
+        matrix(), zeros(24), uint32(2)                      // pre_defined, next_track_ID
+    );
+    const tkhd = fullBox('tkhd', 0, 0x7,
+        zeros(8), uint32(1), zeros(4), uint32(0),           // times, track_ID, reserved, duration
+        zeros(8), uint16(0), uint16(0),                     // reserved, layer, alternate_group
+        uint16(isVideo ? 0 : 0x0100), zeros(2), matrix(),   // volume, reserved
+        uint32((isVideo ? qualityLevel.width || 0 : 0) << 16),
+        uint32((isVideo ? qualityLevel.height || 0 : 0) << 16)
+    );
+    const mdhd = fullBox('mdhd', 0, 0,
+        zeros(8), uint32(stream.timescale), uint32(0),
+        uint16(packLanguage(stream.language)), zeros(2)
+    );
+    const hdlr = fullBox('hdlr', 0, 0,
+        zeros(4), Buffer.from(isVideo ? 'vide' : 'soun'), zeros(12),
+        Buffer.from(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+    );
+    const mediaHeader = isVideo
+        ? fullBox('vmhd', 0, 1, zeros(8))
+        : fullBox('smhd', 0, 0, zeros(4));
+    const dinf = box('dinf', fullBox('dref', 0, 0, uint32(1), fullBox('url ', 0, 1)));
+    const stbl = box('stbl',
+        fullBox('stsd', 0, 0, uint32(1), sampleEntry),
+        fullBox('stts', 0, 0, uint32(0)),
+        fullBox('stsc', 0, 0, uint32(0)),
+        fullBox('stsz', 0, 0, uint32(0), uint32(0)),
+        fullBox('stco', 0, 0, uint32(0))
+    );
+    const mvex = box('mvex', fullBox('trex', 0, 0, uint32(1), uint32(1), zeros(12)));
+
+    const moov = box('moov',
+        mvhd,
+        box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', mediaHeader, dinf, stbl))),
+        mvex
+    );
+    return Buffer.concat([ftyp, moov]);
+}
+
+// ---- ISO BMFF reading ----
+
+// Boxes between start and end ({ type, start, end, headerSize }); a truncated box ends the list
+function readBoxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1 && offset + 16 <= end) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+        boxes.push({ type: buffer.toString('ascii', offset + 4, offset + 8), start: offset, end: offset + size, headerSize });
+        offset += size;
+    }
+    return boxes;
+}
+
+function childBoxes(buffer, parent) {
+    return readBoxes(buffer, parent.start + parent.headerSize, parent.end);
+}
+
+/**
+ * Make a Smooth Streaming fragment playable after the generated init segment
+ * Track IDs are set to 1, and trafs without a tfdt get one with the manifest time,
+ * moving trun data offsets by the bytes that adds to the moof.
+ * @param {Buffer} data - Fragment as served (moof + mdat)
+ * @param {number} decodeTime - Fragment start in the stream timescale
+ * @returns {Buffer} Rewritten fragment
+ */
+function rewriteFragment(data, decodeTime) {
+    return Buffer.concat(readBoxes(data).map(top => {
+        if (top.type !== 'moof') {
+            return data.subarray(top.start, top.end);
+        }
+
+        const children = childBoxes(data, top);
+        const missingTfdt = children.filter(child => child.type === 'traf' && !childBoxes(data, child).some(box => box.type === 'tfdt')).length;
+        const growth = missingTfdt * TFDT_SIZE;
+
+        return box('moof', ...children.map(child => {
+            if (child.type !== 'traf') {
+                return data.subarray(child.start, child.end);
+            }
+            const trafChildren = childBoxes(data, child);
+            const hasTfdt = trafChildren.some(trafChild => trafChild.type === 'tfdt');
+            return box('traf', ...trafChildren.flatMap(trafChild => {
+                const bytes = Buffer.from(data.subarray(trafChild.start, trafChild.end));
+                if (trafChild.type === 'tfhd') {
+                    const versionAndFlags = bytes.readUInt32BE(8);
+                    bytes.writeUInt32BE(1, 12);
+                    if (!(versionAndFlags & TFHD_BASE_DATA_OFFSET)) {
+                        bytes.writeUInt32BE((versionAndFlags | TFHD_DEFAULT_BASE_IS_MOOF) >>> 0, 8);
+                    }
+                    return hasTfdt ? [bytes] : [bytes, fullBox('tfdt', 1, 0, uint64(decodeTime))];
+                }
+                if (trafChild.type === 'trun' && growth > 0 && (bytes.readUInt32BE(8) & TRUN_DATA_OFFSET)) {
+                    bytes.writeInt32BE(bytes.readInt32BE(16) + growth, 16);
+                }
+                return [bytes];
+            }));
+        }));
+    }));
+}
+
+// Payload of a fragment's mdat (the TTML document of a text fragment)
+function readMdat(data) {
+    const mdat = readBoxes(data).find(top => top.type === 'mdat');
+    return mdat ? data.subarray(mdat.start + mdat.headerSize, mdat.end) : Buffer.alloc(0);
+}
+
+// ---- TTML to WebVTT ----
+
+/**
+ * Seconds of a TTML time expression (clock time or offset time)
+ * @param {string} value - e.g. 00:00:01.500, 00:00:01:12, 1.5s, 1500ms, 15000000t
+ * @param {Object} rates - { tickRate, frameRate }
+ * @returns {number|null}
+ */
+function parseTtmlTime(value, { tickRate, frameRate }) {
+    const text = (value || '').trim();
+    const clock = /^(\d+):(\d{2}):(\d{2})(?:([.:])(\d+))?$/.exec(text);
+    if (clock) {
+        const [, hours, minutes, seconds, separator, fraction] = clock;
+        let total = parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+        if (fraction) {
+            total += separator === '.' ? parseFloat(`0.${fraction}`) : parseInt(fraction, 10) / frameRate;
+        }
+        return total;
+    }
+
+    const offset = /^([\d.]+)(h|m|s|ms|f|t)$/.exec(text);
+    if (!offset) return null;
+    const units = { h: 3600, m: 60, s: 1, ms: 0.001, f: 1 / frameRate, t: 1 / tickRate };
+    return parseFloat(offset[1]) * units[offset[2]];
+}
+
+/**
+ * Cues of a TTML document
+ * @param {string} ttml - TTML document
+ * @returns {Array<Object>} { start, end, text } in seconds, on the document's own timeline
+ */
+function parseTtmlCues(ttml) {
+    const root = /<tt\b[^>]*>/.exec(ttml)?.[0] || '';
+    const rates = {
+        tickRate: parseFloat(getAttribute(root, 'ttp:tickRate')) || 1,
+        frameRate: parseFloat(getAttribute(root, 'ttp:frameRate')) || 30
+    };
+
+    const cues = [];
+    for (const match of ttml.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)) {
+        const start = parseTtmlTime(getAttribute(match[1], 'begin'), rates);
+        const duration = parseTtmlTime(getAttribute(match[1], 'dur'), rates);
+        const end = parseTtmlTime(getAttribute(match[1], 'end'), rates) ?? (start !== null && duration !== null ? start + duration : null);
+        const text = decodeXmlEntities(match[2]
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, ''))
+            .split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+
+        if (start !== null && end !== null && end > start && text) {
+            cues.push({ start, end, text });
+        }
+    }
+    return cues;
+}
+
+function formatVttTime(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+class MssFragmentFetcher extends HlsSegmentFetcher {
+    /**
+     * @param {Object} options - HlsSegmentFetcher options, plus:
+     * @param {string} options.manifestUrl - Smooth Streaming client manifest URL
+     * @param {string} options.tracks - Selected tracks as "streamIndex:qualityLevel" list (best video and audio when empty)
+     */
+    constructor({ manifestUrl, tracks = null, ...options }) {
+        super({ ...options, playlistUrl: manifestUrl, skipAdBreaks: false });
+        this.trackIds = tracks;
+        this.manifest = null;   // Parsed client manifest
+        this.tracks = [];       // Selected tracks with their fragments
+    }
+
+    /**
+     * Fetch and parse the manifest, then pick the selected tracks' fragments
+     * rangeStart is the manifest time of the first selected video fragment, where the rebuilt files begin.
+     * @returns {Promise<{totalSegments:number, duration:number, isLive:boolean, rangeStart:number, skippedAdDuration:number}>}
+     */
+    async load() {
+        const content = decodeManifest(await this.fetchBuffer(this.playlistUrl));
+        this.manifest = MssFragmentFetcher.parseManifest(content, this.playlistUrl);
+
+        if (this.manifest.isProtected) {
+            throw fatalError('Stream is protected with PlayReady DRM');
+        }
+        if (this.manifest.isLive) {
+            throw fatalError('Live Smooth Streaming is not supported');
+        }
+
+        this.tracks = MssFragmentFetcher.selectTracks(this.manifest.streams, this.trackIds);
+        if (this.tracks.length === 0) {
+            throw fatalError('None of the selected tracks are in the manifest');
+        }
+
+        for (const track of this.tracks) {
+            // Codec support is known before anything is downloaded
+            track.init = track.kind === 'text' ? null : buildInitSegment(track);
+            const fragments = track.stream.fragments.map((fragment, index) => ({
+                index,
+                time: fragment.time,
+                start: fragment.time / track.stream.timescale,
+                duration: fragment.duration / track.stream.timescale,
+                url: MssFragmentFetcher.buildFragmentUrl(track.stream, track.qualityLevel, fragment.time, this.manifest.baseUrl),
+                byteRange: null,
+                localName: `${track.key}_${String(index).padStart(6, '0')}.m4s`
+            }));
+            track.fragments = HlsSegmentFetcher.selectSegments(fragments, this.range);
+            if (track.fragments.length === 0) {
+                throw new Error(`Time range starts after the end of the stream (${this.manifest.duration.toFixed(1)}s)`);
+            }
+        }
+
+        this.selected = this.tracks.flatMap(track => track.fragments);
+        logDebug(`MssFragmentFetcher: ${this.tracks.length} tracks (${this.tracks.map(track => track.key).join(', ')}), ${this.selected.length} fragments, ${this.manifest.duration.toFixed(1)}s`);
+
+        return {
+            totalSegments: this.selected.length,
+            duration: this.manifest.duration,
+            isLive: false,
+            rangeStart: this.getTimelineStart(),
+            skippedAdDuration: 0
+        };
+    }
+
+    /**
+     * Download the selected fragments and rebuild one file per track
+     * @returns {Promise<Map<string, string>>} Track key (video, audio_N, subtitle_N) -> local file, in selection order
+     */
+    async download() {
+        if (!this.manifest) {
+            await this.load();
+        }
+        fs.mkdirSync(this.workDir, { recursive: true });
+
+        await this.fetchAll(this.selected);
+
+        const localInputs = new Map();
+        for (const track of this.tracks) {
+            localInputs.set(track.key, track.kind === 'text' ? this.writeSubtitleTrack(track) : this.writeMediaTrack(track));
+        }
+        return localInputs;
+    }
+
+    /**
+     * Where each rebuilt file starts on the manifest timeline
+     * Media files start at their own first fragment; WebVTT files are written on the video track's timeline.
+     * @returns {Map<string, number>} Track key -> seconds
+     */
+    getInputOffsets() {
+        const timelineStart = this.getTimelineStart();
+        return new Map(this.tracks.map(track => [
+            track.key,
+            track.kind === 'text' ? timelineStart : track.fragments[0].start
+        ]));
+    }
+
+    // First selected fragment of the video track (or of the first track without one)
+    getTimelineStart() {
+        const primary = this.tracks.find(track => track.kind === 'video') || this.tracks.find(track => track.kind !== 'text') || this.tracks[0];
+        return primary?.fragments?.[0]?.start || 0;
+    }
+
+    // Init segment followed by every fragment, rewritten to match it
+    writeMediaTrack(track) {
+        const filePath = path.join(this.workDir, `${track.key}.mp4`);
+        const fd = fs.openSync(filePath, 'w');
+        try {
+            fs.writeSync(fd, track.init);
+            for (const fragment of track.fragments) {
+                const data = fs.readFileSync(path.join(this.workDir, fragment.localName));
+                fs.writeSync(fd, rewriteFragment(data, fragment.time));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        return filePath;
+    }
+
+    // Cues of every TTML fragment in one WebVTT file (cues repeated across fragments are written once)
+    writeSubtitleTrack(track) {
+        const timelineStart = this.getTimelineStart();
+        const seen = new Set();
+        const cues = [];
+
+        for (const fragment of track.fragments) {
+            const ttml = readMdat(fs.readFileSync(path.join(this.workDir, fragment.localName))).toString('utf8');
+            const fragmentCues = parseTtmlCues(ttml);
+            // Packagers time cues either on the stream timeline or from the start of their fragment
+            const offset = fragmentCues.every(cue => cue.start < fragment.start) ? fragment.start : 0;
+
+            for (const cue of fragmentCues) {
+                const start = Math.max(0, cue.start + offset - timelineStart);
+                const end = cue.end + offset - timelineStart;
+                const key = `${start.toFixed(3)}|${end.toFixed(3)}|${cue.text}`;
+                if (end > 0 && !seen.has(key)) {
+                    seen.add(key);
+                    cues.push({ start, end, text: cue.text });
+                }
+            }
+        }
+
+        cues.sort((a, b) => a.start - b.start);
+        const filePath = path.join(this.workDir, `${track.key}.vtt`);
+        const body = cues.map(cue => `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.text}`).join('\n\n');
+        fs.writeFileSync(filePath, `WEBVTT\n\n${body}\n`);
+        return filePath;
+    }
+
+    /**
+     * Fragment URL from a StreamIndex Url template
+     * @param {Object} stream - Parsed StreamIndex
+     * @param {Object} qualityLevel - Parsed QualityLevel
+     * @param {number} time - Fragment start in the stream timescale
+     * @param {string} baseUrl - Manifest URL
+     * @returns {string} Absolute fragment URL
+     */
+    static buildFragmentUrl(stream, qualityLevel, time, baseUrl) {
+        const relative = stream.urlTemplate
+            .replace(/\{bitrate\}/gi, String(qualityLevel.bitrate))
+            .replace(/\{start[ _]time\}/gi, String(time))
+            .replace(/\{CustomAttributes\}/gi, qualityLevel.customAttributes);
+        return new URL(relative, baseUrl).href;
+    }
+
+    /**
+     * Resolve "streamIndex:qualityLevel" IDs to tracks, keyed the way the download names its inputs
+     * @param {Array<Object>} streams - Parsed StreamIndexes
+     * @param {string} trackIds - Comma-separated IDs; empty picks the best video and the first audio
+     * @returns {Array<Object>} { key, kind, stream, qualityLevel }
+     */
+    static selectTracks(streams, trackIds) {
+        let picks = String(trackIds || '').split(',').map(id => id.trim()).filter(Boolean).map(id => {
+            const [streamPosition, level] = id.split(':').map(part => parseInt(part, 10));
+            const stream = streams[streamPosition];
+            const qualityLevel = stream?.qualityLevels.find(candidate => candidate.index === level);
+            return qualityLevel ? { stream, qualityLevel } : null;
+        }).filter(Boolean);
+
+        if (picks.length === 0) {
+            picks = ['video', 'audio'].map(type => {
+                const stream = streams.find(candidate => candidate.type === type && candidate.qualityLevels.length > 0);
+                const qualityLevel = stream?.qualityLevels.reduce((best, candidate) => (candidate.bitrate > best.bitrate ? candidate : best));
+                return stream ? { stream, qualityLevel } : null;
+            }).filter(Boolean);
+        }
+
+        const counts = { video: 0, audio: 0, text: 0 };
+        return picks
+            .filter(({ stream }) => stream.type in counts && stream.fragments.length > 0)
+            .map(({ stream, qualityLevel }) => {
+                const kind = stream.type;
+                const index = counts[kind]++;
+                const key = kind === 'video' ? (index === 0 ? 'video' : `video_${index}`) : `${kind === 'text' ? 'subtitle' : 'audio'}_${index}`;
+                return { key, kind, stream, qualityLevel };
+            });
+    }
+
+    /**
+     * Parse a Smooth Streaming client manifest
+     * @param {string} content - Manifest XML
+     * @param {string} baseUrl - Manifest URL for resolving fragment URLs
+     * @returns {Object} { streams, duration, isLive, isProtected, baseUrl }
+     */
+    static parseManifest(content, baseUrl) {
+        const rootTag = /<SmoothStreamingMedia\b[^>]*>/.exec(content)?.[0];
+        if (!rootTag) {
+            throw fatalError('Response is not a Smooth Streaming manifest');
+        }
+        const timescale = parseInteger(getAttribute(rootTag, 'TimeScale')) || DEFAULT_TIMESCALE;
+
+        // StreamIndex positions match the IDs the extension assigned
+        const streams = [...content.matchAll(/<StreamIndex\b([^>]*)>([\s\S]*?)<\/StreamIndex>/g)].map(([, attributes, body], position) => {
+            const qualityLevels = [...body.matchAll(/<QualityLevel\b([^>]*?)(?:\/>|>([\s\S]*?)<\/QualityLevel>)/g)].map(([, levelAttributes, children], levelPosition) => ({
+                index: parseInteger(getAttribute(levelAttributes, 'Index')) ?? levelPosition,
+                bitrate: parseInteger(getAttribute(levelAttributes, 'Bitrate')) || 0,
+                fourCC: getAttribute(levelAttributes, 'FourCC') || getAttribute(attributes, 'FourCC'),
+                codecPrivateData: getAttribute(levelAttributes, 'CodecPrivateData'),
+                width: parseInteger(getAttribute(levelAttributes, 'MaxWidth') || getAttribute(attributes, 'DisplayWidth')),
+                height: parseInteger(getAttribute(levelAttributes, 'MaxHeight') || getAttribute(attributes, 'DisplayHeight')),
+                samplingRate: parseInteger(getAttribute(levelAttributes, 'SamplingRate')),
+                channels: parseInteger(getAttribute(levelAttributes, 'Channels')),
+                bitsPerSample: parseInteger(getAttribute(levelAttributes, 'BitsPerSample')),
+                audioTag: parseInteger(getAttribute(levelAttributes, 'AudioTag')),
+                nalUnitLengthField: parseInteger(getAttribute(levelAttributes, 'NALUnitLengthField')),
+                customAttributes: [...(children || '').matchAll(/<Attribute\b[^>]*>/g)]
+                    .map(([tag]) => `${getAttribute(tag, 'Name')}=${getAttribute(tag, 'Value')}`)
+                    .join(',')
+            }));
+
+            // <c t="start" d="duration" r="count"/>: t defaults to the end of the previous fragment,
+            // d may be left out when the next fragment gives its t, r counts fragments of the same duration
+            const fragments = [];
+            let nextTime = 0;
+            for (const [tag] of body.matchAll(/<c\b[^>]*>/g)) {
+                const time = parseInteger(getAttribute(tag, 't'));
+                const duration = parseInteger(getAttribute(tag, 'd'));
+                const count = Math.max(1, parseInteger(getAttribute(tag, 'r')) || 1);
+                if (time !== null && fragments.length > 0 && fragments[fragments.length - 1].duration === null) {
+                    fragments[fragments.length - 1].duration = time - fragments[fragments.length - 1].time;
+                }
+                let start = time ?? nextTime;
+                for (let i = 0; i < count; i++) {
+                    fragments.push({ time: start, duration });
+                    start += duration || 0;
+                }
+                nextTime = start;
+            }
+            fragments.forEach(fragment => {
+                fragment.duration = fragment.duration || 0;
+            });
+
+            return {
+                position,
+                type: (getAttribute(attributes, 'Type') || '').toLowerCase(),
+                language: getAttribute(attributes, 'Language'),
+                urlTemplate: getAttribute(attributes, 'Url') || '',
+                timescale: parseInteger(getAttribute(attributes, 'TimeScale')) || timescale,
+                qualityLevels,
+                fragments
+            };
+        });
+
+        const rawDuration = parseInteger(getAttribute(rootTag, 'Duration')) || 0;
+        const longest = Math.max(0, ...streams.map(stream => {
+            const last = stream.fragments[stream.fragments.length - 1];
+            return last ? (last.time + last.duration) / stream.timescale : 0;
+        }));
+
+        return {
+            streams,
+            duration: rawDuration > 0 ? rawDuration / timescale : longest,
+            isLive: (getAttribute(rootTag, 'IsLive') || '').toUpperCase() === 'TRUE',
+            isProtected: /<Protection\b/.test(content),
+            baseUrl
+        };
+    }
+}
+
+module.exports = MssFragmentFetcher;
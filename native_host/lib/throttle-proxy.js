@@ -0,0 +1,188 @@
+/**
+ * ThrottleProxy – local HTTP proxy that caps how fast FFmpeg receives network data
+ * - FFmpeg is started with http_proxy pointing here, so inputs it reads itself (DASH, live HLS, direct) are throttled
+ * - Tunnels https through CONNECT and forwards plain http requests, rewritten to origin-form
+ * - Chains to the http_proxy of the host environment when one is set, keeping its credentials in the proxy URL
+ * - Listens on loopback only, one listener per download, closed when the download ends
+ */
+
+const net = require('net');
+const { URL } = require('url');
+const { logDebug } = require('../utils/logger');
+
+// Requests whose header block grows past this are not proxy requests
+const MAX_HEADER_BYTES = 64 * 1024;
+const CONNECT_TIMEOUT_MS = 30000;
+
+// Parse "host:port" or an absolute http URL into a connect target
+function parseTarget(method, target) {
+    if (method === 'CONNECT') {
+        const match = /^\[?([^\]]+?)\]?:(\d+)$/.exec(target);
+        return match ? { host: match[1], port: parseInt(match[2], 10) } : null;
+    }
+    try {
+        const url = new URL(target);
+        if (url.protocol !== 'http:') return null;
+        return { host: url.hostname.replace(/^\[|\]$/g, ''), port: parseInt(url.port, 10) || 80 };
+    } catch {
+        return null;
+    }
+}
+
+// Rewrite "GET http://host/path HTTP/1.1" to the origin-form "GET /path HTTP/1.1" servers expect
+function toOriginForm(head, target) {
+    const lineEnd = head.indexOf('\r\n');
+    const [method, , version] = head.subarray(0, lineEnd).toString('latin1').split(' ');
+    const url = new URL(target);
+    return Buffer.concat([Buffer.from(`${method} ${url.pathname}${url.search} ${version}`, 'latin1'), head.subarray(lineEnd)]);
+}
+
+// Upstream proxy from the environment FFmpeg would otherwise have used
+function parseUpstream(proxyUrl) {
+    if (!proxyUrl) return null;
+    try {
+        const url = new URL(proxyUrl);
+        if (url.protocol !== 'http:') return null;
+        return {
+            host: url.hostname,
+            port: parseInt(url.port, 10) || 80,
+            auth: url.username ? `${url.username}${url.password ? `:${url.password}` : ''}@` : ''
+        };
+    } catch {
+        return null;
+    }
+}
+
+// Copy from -> to, taking bandwidth before each chunk and honouring the writer's backpressure
+// The last chunk can still be waiting for bandwidth when the reader ends, so the writer is ended after it
+function pipeThrottled(from, to, throttle) {
+    let pending = Promise.resolve();
+    from.on('data', (chunk) => {
+        from.pause();
+        pending = (async () => {
+            try {
+                await throttle.take(chunk.length);
+            } catch {
+                // Throttle never rejects; resume regardless
+            }
+            if (to.destroyed) return;
+            if (to.write(chunk)) {
+                from.resume();
+            } else {
+                to.once('drain', () => from.resume());
+            }
+        })();
+    });
+    from.on('end', () => pending.then(() => {
+        if (!to.destroyed) to.end();
+    }));
+}
+
+class ThrottleProxy {
+    /**
+     * @param {Object} throttle - { take(bytes) } from BandwidthLimiter.createThrottle
+     * @param {string} upstreamProxyUrl - Existing http_proxy to chain to (optional)
+     */
+    constructor(throttle, upstreamProxyUrl = null) {
+        this.throttle = throttle;
+        this.upstream = parseUpstream(upstreamProxyUrl);
+        this.server = null;
+        this.sockets = new Set();
+        this.url = null;
+    }
+
+    /**
+     * Start listening on a free loopback port
+     * @returns {Promise<string>} Proxy URL for FFmpeg's http_proxy
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer(client => this.handleClient(client));
+            this.server.once('error', reject);
+            this.server.listen(0, '127.0.0.1', () => {
+                const { port } = this.server.address();
+                this.url = `http://${this.upstream?.auth || ''}127.0.0.1:${port}`;
+                logDebug('ThrottleProxy: listening on port', port, this.upstream ? `(chained to ${this.upstream.host}:${this.upstream.port})` : '');
+                resolve(this.url);
+            });
+        });
+    }
+
+    close() {
+        if (!this.server) return;
+        this.server.close();
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        this.sockets.clear();
+        this.server = null;
+    }
+
+    track(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+    }
+
+    // Buffer the request head, then connect to its target (or the upstream proxy) and relay
+    handleClient(client) {
+        this.track(client);
+        let head = Buffer.alloc(0);
+
+        const onData = (chunk) => {
+            head = Buffer.concat([head, chunk]);
+            const headerEnd = head.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                if (head.length > MAX_HEADER_BYTES) client.destroy();
+                return;
+            }
+            client.removeListener('data', onData);
+            client.pause();
+            this.connect(client, head, headerEnd + 4);
+        };
+        client.on('data', onData);
+    }
+
+    connect(client, head, bodyStart) {
+        const [method = '', target = ''] = head.subarray(0, head.indexOf('\r\n')).toString('latin1').split(' ');
+        const destination = this.upstream || parseTarget(method, target);
+        if (!destination) {
+            client.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        const remote = net.connect(destination.port, destination.host);
+        this.track(remote);
+        let connected = false;
+        remote.setTimeout(CONNECT_TIMEOUT_MS, () => remote.destroy(new Error('Connect timed out')));
+        remote.on('error', (err) => {
+            logDebug('ThrottleProxy: connection to', `${destination.host}:${destination.port}`, 'failed:', err.message);
+            if (!connected && !client.destroyed) {
+                client.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n');
+            }
+        });
+        remote.on('close', () => {
+            // A cleanly ended response is finished by pipeThrottled once its last chunk is written
+            if (connected && !remote.readableEnded) client.destroy();
+        });
+        client.on('close', () => remote.destroy());
+
+        remote.once('connect', () => {
+            connected = true;
+            remote.setTimeout(0);
+            if (method === 'CONNECT' && !this.upstream) {
+                // Tunnel: answer ourselves, then relay whatever follows the head
+                client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+                if (head.length > bodyStart) remote.write(head.subarray(bodyStart));
+            } else {
+                // Anything handed on to the upstream proxy is replayed unchanged
+                remote.write(this.upstream ? head : toOriginForm(head, target));
+            }
+            client.pipe(remote);
+            pipeThrottled(remote, client, this.throttle);
+            client.resume();
+        });
+    }
+}
+
+module.exports = ThrottleProxy;
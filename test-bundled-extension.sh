@@ -43,6 +43,9 @@ REQUIRED_FILES=(
     "background.js"
     "popup/popup.html"
     "popup/popup.js"
+    "content/mse-hook.js"
+    "content/mse-relay.js"
+    "content/dom-scanner.js"
     "popup/popup.css"
     "icons/16.png"
     "icons/48.png"